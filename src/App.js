@@ -1,283 +1,408 @@
-import React, { useState, useEffect, useRef } from 'react';
-import axios from 'axios';
-import SockJS from 'sockjs-client';
-import Stomp from 'stompjs';
-import { createChart, ColorType } from 'lightweight-charts';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { USE_MOCK_BACKEND } from './config';
+import { socket } from './services/socket';
+import { getCurrentUserId } from './services/session';
+import {
+  createStrategy,
+  deleteStrategy,
+  describeApiError,
+  getBacktestResult,
+  getBacktestResultsPage,
+  getCandles,
+  getSignals,
+  getSimulatedTrades,
+  getStrategies,
+  isCancelled,
+  requestDataFetch,
+  updateStrategy,
+} from './services/api';
+import { pushToast } from './services/toasts';
+import { onBacktestFinished } from './services/backtestQueue';
+import { navigate } from './services/router';
+import { useStompSubscription } from './hooks/useSocket';
+import { usePersistentState } from './hooks/usePersistentState';
+import { useRoute } from './hooks/useRoute';
+import { DEFAULT_INDICATOR_LAYOUT } from './utils/indicatorCatalog';
+import { upsertCandle } from './utils/quotes';
+import { DEFAULT_TIMEFRAME, TIMEFRAMES, createCandleAggregator } from './utils/timeframes';
+import { normalizeCandle, normalizeSignal } from './utils/apiSchemas';
+import { formatNumber } from './utils/format';
+import { ALL_STRATEGIES, buildMarkers, mergeSignals, signalKey } from './utils/markers';
+import { MAX_HISTORY_ENTRIES, historyEntry, toConfigPayload } from './utils/strategyConfigs';
+import { EMPTY_QUERY, timestampDay, toPageParams } from './utils/grid';
+import { alertForDrawing, reconcileDrawingAlerts } from './utils/drawings';
+import { routePath } from './utils/routes';
+import { EMPTY_WORKSPACES, resolveViewLayout, setViewLayout } from './utils/workspace';
+import { parseOhlcvCsv } from './utils/candleImport';
+import { readFileText } from './utils/download';
+import { clearImportedCandles, getImportedCandles, setImportedCandles } from './services/backtestData';
+import AccountMenu from './components/AccountMenu';
+import AlertsPanel from './components/AlertsPanel';
+import BacktestDetail from './components/BacktestDetail';
+import BacktestLauncher from './components/BacktestLauncher';
+import ConnectionStatusBadge from './components/ConnectionStatusBadge';
+import DataGrid from './components/DataGrid';
+import DatasetExport from './components/DatasetExport';
+import DrawingLayer from './components/DrawingLayer';
+import DrawingToolbar from './components/DrawingToolbar';
+import EquityComparison from './components/EquityComparison';
+import IndicatorManager from './components/IndicatorManager';
+import NavBar from './components/NavBar';
+import PanelError from './components/PanelError';
+import PaperTradingPanel from './components/PaperTradingPanel';
+import ParameterSweep from './components/ParameterSweep';
+import PortfolioPanel from './components/PortfolioPanel';
+import SessionControls from './components/SessionControls';
+import StrategyEditor from './components/StrategyEditor';
+import StrategyHistory from './components/StrategyHistory';
+import StrategyTransfer from './components/StrategyTransfer';
+import TradingChart from './components/TradingChart';
+import Watchlist from './components/Watchlist';
+import Workspace from './components/Workspace';
+import WorkspaceMenu from './components/WorkspaceMenu';
 
-const API_BASE_URL = 'http://localhost:8080/api/v1'; // Updated base URL
-const WEBSOCKET_URL = 'http://localhost:8080/ws';
+const MAX_CHART_CANDLES = 5000;
+const MAX_INDICATOR_HISTORY = 500;
+const TRADES_REFRESH_MS = 15000;
+const SIGNAL_BUFFER_SIZES = [200, 500, 1000, 2000, 5000, 10000];
+const DEFAULT_SIGNAL_BUFFER = 1000;
+const BACKTEST_PAGE_SIZE = 50;
+const NO_DRAWINGS = [];
+
+// --- Grid Columns ---
+const timeColumn = {
+  key: 'timestamp',
+  label: 'Time',
+  width: 170,
+  value: row => row.time,
+  render: row => new Date(row.timestamp).toLocaleString(),
+  filter: 'dateRange',
+  dates: row => [timestampDay(row.timestamp), timestampDay(row.timestamp)],
+};
+
+const SIGNAL_COLUMNS = [
+  timeColumn,
+  { key: 'symbol', label: 'Symbol', width: 80, filter: 'select' },
+  { key: 'signalType', label: 'Type', width: 70, filter: 'select' },
+  { key: 'strategyName', label: 'Strategy', width: 230, filter: 'select' },
+  { key: 'price', label: 'Price', width: 90, render: row => formatNumber(row.price) },
+  { key: 'description', label: 'Description', width: 320, filter: 'text' },
+];
+
+const TRADE_COLUMNS = [
+  timeColumn,
+  { key: 'symbol', label: 'Symbol', width: 80, filter: 'select' },
+  { key: 'tradeType', label: 'Type', width: 70, filter: 'select' },
+  { key: 'price', label: 'Price', width: 90, render: row => formatNumber(row.price) },
+  { key: 'quantity', label: 'Quantity', width: 90, render: row => formatNumber(row.quantity) },
+  { key: 'strategyName', label: 'Strategy', width: 230, filter: 'select' },
+  { key: 'cashAfterTrade', label: 'Cash After', width: 110, render: row => formatNumber(row.cashAfterTrade) },
+];
+
+const moneyColumn = (key, label) => ({ key, label, width: 105, render: row => formatNumber(row[key]) });
+
+const BACKTEST_COLUMNS = [
+  {
+    key: 'strategyName',
+    label: 'Strategy',
+    width: 260,
+    filter: 'select',
+    render: row => (
+      <>
+        {row.strategyName}
+        {row.source === 'browser' && <span style={{ color: '#666', fontSize: '12px' }}> (browser)</span>}
+      </>
+    ),
+  },
+  { key: 'symbol', label: 'Symbol', width: 80, filter: 'select' },
+  { key: 'startDate', label: 'Start Date', width: 130, filter: 'dateRange', dates: row => [row.startDate, row.endDate] },
+  { key: 'endDate', label: 'End Date', width: 100 },
+  moneyColumn('initialCapital', 'Initial Capital'),
+  moneyColumn('finalCapital', 'Final Capital'),
+  moneyColumn('totalProfitLoss', 'P/L ($)'),
+  moneyColumn('percentageProfitLoss', 'P/L (%)'),
+  { key: 'totalTrades', label: 'Trades', width: 70 },
+  { key: 'winningTrades', label: 'Wins', width: 70 },
+  { key: 'losingTrades', label: 'Losses', width: 70 },
+];
+
+// --- Views ---
+// The panels on each view, in their default docks. Alerts, paper trading and
+// session recording are on every view, since the live feeds they watch should
+// not stop while the user looks elsewhere.
+const backgroundPanels = collapsed => [
+  { id: 'alerts', dock: 'right', collapsed },
+  { id: 'paperTrading', dock: 'right', collapsed },
+  { id: 'session', dock: 'right', collapsed },
+];
+
+const VIEW_PANELS = {
+  dashboard: [{ id: 'watchlist', dock: 'left' }, { id: 'portfolio' }, { id: 'trades' }, { id: 'signals' }, ...backgroundPanels(false)],
+  symbol: [{ id: 'watchlist', dock: 'left' }, { id: 'chart' }, { id: 'signals' }, ...backgroundPanels(false)],
+  backtests: [{ id: 'backtests' }, { id: 'sweep' }, ...backgroundPanels(true)],
+  backtest: [{ id: 'backtestDetail' }, { id: 'backtests', collapsed: true }, ...backgroundPanels(true)],
+  strategies: [{ id: 'strategies' }, { id: 'strategyTransfer' }, { id: 'strategyHistory' }, ...backgroundPanels(true)],
+};
 
 function App() {
-  const [symbol, setSymbol] = useState('IBM');
+  const route = useRoute();
+  const [symbol, setSymbol] = useState(route.view === 'symbol' ? route.symbol : 'IBM');
   const [stockData, setStockData] = useState([]);
-  const [indicators, setIndicators] = useState([]); // New state for indicators
+  const [indicators, setIndicators] = useState([]); // Backend indicator messages, newest last
+  const [indicatorLayout, setIndicatorLayout] = usePersistentState(`indicator-layout:${getCurrentUserId()}`, DEFAULT_INDICATOR_LAYOUT);
+  const [timeframe, setTimeframe] = usePersistentState(`chart-timeframe:${getCurrentUserId()}`, DEFAULT_TIMEFRAME);
+  const [drawings, setDrawings] = usePersistentState(`chart-drawings:${getCurrentUserId()}`, {}); // symbol -> drawings
+  const [drawingTool, setDrawingTool] = useState(null);
+  const [selectedDrawingId, setSelectedDrawingId] = useState(null);
+  const [alerts, setAlerts] = usePersistentState(`alerts:${getCurrentUserId()}`, []);
   const [signals, setSignals] = useState([]);
+  const [signalBufferSize, setSignalBufferSize] = usePersistentState(`signal-buffer:${getCurrentUserId()}`, DEFAULT_SIGNAL_BUFFER);
+  const [markerStrategy, setMarkerStrategy] = useState(ALL_STRATEGIES);
+  const [showTradeMarkers, setShowTradeMarkers] = useState(false);
   const [backtestResults, setBacktestResults] = useState([]);
+  const [backtestTotal, setBacktestTotal] = useState(null); // set when the backend pages results
+  const [browserBacktestResults, setBrowserBacktestResults] = useState([]); // run by the in-browser engine
+  const [highlightedBacktestId, setHighlightedBacktestId] = useState(null);
+  const [linkedBacktest, setLinkedBacktest] = useState(null); // { id, result, error } for a link outside the loaded results
+  const [comparedBacktestIds, setComparedBacktestIds] = useState([]);
+  const [showComparison, setShowComparison] = useState(false);
   const [simulatedTrades, setSimulatedTrades] = useState([]);
+  const [paperTrades, setPaperTrades] = usePersistentState(`paper-trades:${getCurrentUserId()}`, []); // manual order fills
+  const [ticketRequest, setTicketRequest] = useState(null); // { symbol, price } picked on the chart
   const [strategiesConfig, setStrategiesConfig] = useState([]); // New state for strategy configs
-  const [newStrategyName, setNewStrategyName] = useState('');
-  const [newStrategySymbol, setNewStrategySymbol] = useState('');
-  const [newStrategyParams, setNewStrategyParams] = useState('{}'); // JSON string
-  const [newStrategyEnabled, setNewStrategyEnabled] = useState(true);
+  const [editingStrategyId, setEditingStrategyId] = useState(null);
+  const [selectedStrategyIds, setSelectedStrategyIds] = useState([]);
+  const [importedFiles, setImportedFiles] = useState({}); // symbol -> { fileName, count }
+  const [candleImportError, setCandleImportError] = useState(null);
+  const [replaySession, setReplaySession] = useState(null);
+  const [loadErrors, setLoadErrors] = useState({}); // panel -> message of its last failed load
+  const [strategyHistory, setStrategyHistory] = usePersistentState(`strategy-history:${getCurrentUserId()}`, []);
+  const [workspaces, setWorkspaces] = usePersistentState(`workspaces:${getCurrentUserId()}`, EMPTY_WORKSPACES);
 
-  const chartContainerRef = useRef();
-  const chartRef = useRef();
   const candlestickSeriesRef = useRef();
-  const smaSeriesRef = useRef();
-  const rsiSeriesRef = useRef();
-  const macdLineSeriesRef = useRef();
-  const macdSignalSeriesRef = useRef();
-  const macdHistSeriesRef = useRef();
-
-  const stompClientRef = useRef(null);
+  const backtestResultsRef = useRef(backtestResults);
+  backtestResultsRef.current = backtestResults;
+  const replaySessionRef = useRef(null);
+  const symbolRequestRef = useRef(null); // aborts the previous symbol's loads
+  const aggregateCandlesRef = useRef(createCandleAggregator());
+  const backtestQueryRef = useRef(EMPTY_QUERY);
+  const backtestRequestRef = useRef(null);
+  // Loaders and handlers are plain functions remade on every render. Effects
+  // call the latest ones, and read the current symbol and timeframe, through
+  // this ref, so they re-run only for what they are about.
+  const latestRef = useRef();
 
   // --- WebSocket Connection and Data Subscription ---
   useEffect(() => {
-    const socket = new SockJS(WEBSOCKET_URL);
-    const stompClient = Stomp.over(socket);
-    stompClientRef.current = stompClient;
-
-    stompClient.connect({}, frame => {
-      console.log('Connected to WebSocket: ' + frame);
-
-      // Subscribe to stock data updates
-      stompClient.subscribe(`/topic/stock-data/${symbol}`, message => {
-        const newStockData = JSON.parse(message.body);
-        console.log('Received stock data:', newStockData);
-        if (candlestickSeriesRef.current) {
-          candlestickSeriesRef.current.update({
-            time: new Date(newStockData.timestamp).getTime() / 1000,
-            open: newStockData.open,
-            high: newStockData.high,
-            low: newStockData.low,
-            close: newStockData.close,
-          });
-        }
-      });
+    socket.connect();
+    return () => socket.disconnect();
+  }, []);
 
-      // Subscribe to indicator updates
-      stompClient.subscribe(`/topic/indicators/${symbol}`, message => {
-        const newIndicator = JSON.parse(message.body);
-        console.log('Received indicator data:', newIndicator);
-        if (smaSeriesRef.current) {
-          smaSeriesRef.current.update({
-            time: new Date(newIndicator.timestamp).getTime() / 1000,
-            value: newIndicator.sma,
-          });
-        }
-        if (rsiSeriesRef.current) {
-          rsiSeriesRef.current.update({
-            time: new Date(newIndicator.timestamp).getTime() / 1000,
-            value: newIndicator.rsi,
-          });
-        }
-        if (macdLineSeriesRef.current) {
-          macdLineSeriesRef.current.update({
-            time: new Date(newIndicator.timestamp).getTime() / 1000,
-            value: newIndicator.macd,
-          });
-          macdSignalSeriesRef.current.update({
-            time: new Date(newIndicator.timestamp).getTime() / 1000,
-            value: newIndicator.macdSignal,
-          });
-          // For MACD Histogram, you might use a histogram series type
-          macdHistSeriesRef.current.update({
-            time: new Date(newIndicator.timestamp).getTime() / 1000,
-            value: newIndicator.macdHist,
-          });
-        }
-      });
+  // Imported candles are static; live ticks would not line up with them.
+  useStompSubscription(`/topic/stock-data/${symbol}`, newStockData => {
+    if (importedFiles[symbol] && !replaySession) return;
+    const candle = normalizeCandle(newStockData);
+    if (!candle) return;
+    setStockData(prev => upsertCandle(prev, candle, MAX_CHART_CANDLES));
+  });
 
-      // Subscribe to trading signals
-      stompClient.subscribe(`/topic/trading-signals/${symbol}`, message => {
-        const newSignal = JSON.parse(message.body);
-        console.log('Received signal:', newSignal);
-        setSignals(prevSignals => [...prevSignals, newSignal]);
-
-        if (candlestickSeriesRef.current) {
-          const color = newSignal.signalType === 'BUY' ? 'green' : 'red';
-          const shape = newSignal.signalType === 'BUY' ? 'arrowUp' : 'arrowDown';
-          candlestickSeriesRef.current.createMarker({
-            time: new Date(newSignal.timestamp).getTime() / 1000,
-            position: newSignal.signalType === 'BUY' ? 'belowBar' : 'aboveBar',
-            color: color,
-            shape: shape,
-            text: newSignal.signalType,
-          });
-        }
-      });
+  // The chart computes its indicators from candles; the backend's own values
+  // are kept for display alongside.
+  useStompSubscription(`/topic/indicators/${symbol}`, newIndicator => {
+    setIndicators(prev => [...prev, newIndicator].slice(-MAX_INDICATOR_HISTORY));
+  });
 
-      // Initial data fetches
-      fetchHistoricalData(symbol);
-      fetchBacktestResults();
-      fetchSimulatedTrades();
-      fetchStrategiesConfig();
+  // A signal may have produced a simulated trade, so the portfolio refetches.
+  useStompSubscription(`/topic/trading-signals/${symbol}`, newSignal => {
+    const signal = normalizeSignal(newSignal);
+    if (!signal) return;
+    setSignals(prevSignals => mergeSignals(prevSignals, [signal], signalBufferSize));
+    fetchSimulatedTrades();
+  });
 
-    }, error => {
-      console.error('WebSocket connection error:', error);
-    });
+  // Lowering the buffer drops the oldest signals straight away.
+  useEffect(() => {
+    setSignals(prevSignals => mergeSignals(prevSignals, [], signalBufferSize));
+  }, [signalBufferSize]);
 
-    return () => {
-      if (stompClientRef.current && stompClientRef.current.connected) {
-        stompClientRef.current.disconnect();
-        console.log('Disconnected from WebSocket');
-      }
-    };
-  }, [symbol]); // Reconnect WebSocket if symbol changes
+  // --- Initial Data Fetches ---
+  useEffect(() => {
+    latestRef.current.fetchBacktestResults();
+    latestRef.current.fetchSimulatedTrades();
+    latestRef.current.fetchStrategiesConfig();
+  }, []);
 
-  // --- Chart Initialization ---
+  // Trades from strategies on other symbols arrive without a signal here.
   useEffect(() => {
-    if (chartContainerRef.current) {
-      const chart = createChart(chartContainerRef.current, {
-        width: chartContainerRef.current.clientWidth,
-        height: 400,
-        layout: {
-          backgroundColor: '#ffffff',
-          textColor: '#333',
-        },
-        grid: {
-          vertLines: {
-            color: 'rgba(197, 203, 206, 0.5)',
-          },
-          horzLines: {
-            color: 'rgba(197, 203, 206, 0.5)',
-          },
-        },
-        timeScale: {
-          timeVisible: true,
-          secondsVisible: true,
-        },
-      });
-      chartRef.current = chart;
-
-      candlestickSeriesRef.current = chart.addCandlestickSeries({
-        upColor: 'rgba(39, 157, 130, 1)',
-        downColor: 'rgba(214, 56, 80, 1)',
-        borderDownColor: 'rgba(214, 56, 80, 1)',
-        borderUpColor: 'rgba(39, 157, 130, 1)',
-        wickDownColor: 'rgba(214, 56, 80, 1)',
-        wickUpColor: 'rgba(39, 157, 130, 1)',
-      });
+    const interval = setInterval(() => latestRef.current.fetchSimulatedTrades(), TRADES_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
 
-      // Add SMA series
-      smaSeriesRef.current = chart.addLineSeries({ color: 'blue', lineWidth: 1, title: 'SMA' });
+  // A failed load is shown on its panel and as a toast until the next
+  // successful one. Loads cancelled because they went stale are not failures.
+  const reportLoadError = (panel, title, error) => {
+    if (isCancelled(error)) return;
+    console.error(`${title}:`, error);
+    const message = describeApiError(error);
+    setLoadErrors(prev => ({ ...prev, [panel]: message }));
+    pushToast({ kind: 'error', title, message });
+  };
 
-      // Add RSI series (on a new pane)
-      const rsiPane = chart.addAreaSeries({
-        priceScaleId: 'rsi-scale', // Unique scale ID
-        color: 'purple',
-        lineWidth: 1,
-        title: 'RSI',
-      });
-      chart.priceScale('rsi-scale').applyOptions({
-        scaleMargins: {
-          top: 0.7, // space for the main series
-          bottom: 0,
-        },
-      });
-      rsiSeriesRef.current = rsiPane;
-
-      // Add MACD series (on another new pane)
-      const macdPane = chart.addAreaSeries({
-        priceScaleId: 'macd-scale', // Unique scale ID
-        color: 'orange',
-        lineWidth: 1,
-        title: 'MACD',
-      });
-      chart.priceScale('macd-scale').applyOptions({
-        scaleMargins: {
-          top: 0.8, // space for the main series
-          bottom: 0,
-        },
-      });
-      macdLineSeriesRef.current = macdPane;
-      macdSignalSeriesRef.current = chart.addLineSeries({ color: 'red', lineWidth: 1, title: 'MACD Signal' });
-      // For MACD Histogram, you might use a histogram series type
-      macdHistSeriesRef.current = chart.addHistogramSeries({ color: 'green', title: 'MACD Hist' });
+  const clearLoadError = (panel) => {
+    setLoadErrors(prev => (prev[panel] ? { ...prev, [panel]: null } : prev));
+  };
+
+  const cancelSymbolRequests = () => {
+    if (symbolRequestRef.current) symbolRequestRef.current.abort();
+    symbolRequestRef.current = new AbortController();
+    return symbolRequestRef.current.signal;
+  };
 
+  // Responses for a symbol the user has already left are cancelled rather
+  // than drawn over the new one.
+  const loadSymbolData = (targetSymbol) => {
+    const signal = cancelSymbolRequests();
+    setStockData([]);
+    setIndicators([]);
+    const imported = getImportedCandles(targetSymbol);
+    if (imported) {
+      setStockData(imported);
+    } else {
+      fetchHistoricalData(targetSymbol, signal);
+    }
+    fetchSignalHistory(targetSymbol, signal);
+  };
 
-      const handleResize = () => {
-        chart.applyOptions({ width: chartContainerRef.current.clientWidth });
-      };
+  // A replay brings its own snapshot of the chart instead.
+  useEffect(() => {
+    if (replaySessionRef.current) return;
+    latestRef.current.loadSymbolData(symbol);
+  }, [symbol]);
 
-      window.addEventListener('resize', handleResize);
+  // --- Routing ---
+  // A symbol link opens that symbol, and its timeframe when it names one.
+  // Only a new route does; the URL catching up with the symbol does not.
+  useEffect(() => {
+    if (route.view !== 'symbol' || replaySessionRef.current) return;
+    const { symbol: currentSymbol, timeframe: currentTimeframe } = latestRef.current;
+    if (route.symbol !== currentSymbol) setSymbol(route.symbol);
+    if (route.timeframe && route.timeframe !== currentTimeframe) setTimeframe(route.timeframe);
+  }, [route, setTimeframe]);
 
-      return () => {
-        window.removeEventListener('resize', handleResize);
-        chart.remove();
-      };
+  // On the symbol view the URL follows the symbol and timeframe. The entry is
+  // rewritten rather than added to, so typing a symbol does not fill history.
+  const syncSymbolPath = (nextSymbol, nextTimeframe) => {
+    if (route.view === 'symbol' && nextSymbol) {
+      navigate(routePath({ view: 'symbol', symbol: nextSymbol, timeframe: nextTimeframe }), { replace: true });
     }
-  }, []);
+  };
 
   // --- Fetch Historical Data and Initial Chart Load ---
-  const fetchHistoricalData = async (currentSymbol) => {
+  const fetchHistoricalData = async (currentSymbol, signal) => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/stock/${currentSymbol}`);
-      const data = response.data.map(d => ({
-        time: new Date(d.timestamp).getTime() / 1000,
-        open: d.open,
-        high: d.high,
-        low: d.low,
-        close: d.close,
-      }));
-      setStockData(data);
-      if (candlestickSeriesRef.current) {
-        candlestickSeriesRef.current.setData(data);
-        // You would also fetch and set initial indicator data here
-        // For example: fetchSMA(currentSymbol, 20);
-      }
+      setStockData(await getCandles(currentSymbol, { signal }));
+      clearLoadError('chart');
     } catch (error) {
-      console.error('Error fetching historical data:', error);
+      reportLoadError('chart', `Could not load ${currentSymbol} prices`, error);
+    }
+  };
+
+  // --- Fetch Past Signals (for chart markers) ---
+  const fetchSignalHistory = async (currentSymbol, signal) => {
+    try {
+      const history = await getSignals(currentSymbol, { signal });
+      setSignals(prevSignals => mergeSignals(prevSignals, history, signalBufferSize));
+      clearLoadError('signals');
+    } catch (error) {
+      reportLoadError('signals', `Could not load ${currentSymbol} signals`, error);
     }
   };
 
   // --- Fetch Backtest Results ---
+  // A backend that pages results gets the grid's sort, filters and page; one
+  // that does not sends every result and the grid does the rest.
   const fetchBacktestResults = async () => {
+    if (backtestRequestRef.current) backtestRequestRef.current.abort();
+    const controller = new AbortController();
+    backtestRequestRef.current = controller;
     try {
-      const response = await axios.get(`${API_BASE_URL}/stock/backtest/results`);
-      setBacktestResults(response.data);
+      const params = toPageParams(backtestQueryRef.current, BACKTEST_PAGE_SIZE);
+      const { rows, total, paged } = await getBacktestResultsPage(params, { signal: controller.signal });
+      setBacktestResults(rows);
+      setBacktestTotal(paged ? total : null);
+      clearLoadError('backtests');
+      return rows;
     } catch (error) {
-      console.error('Error fetching backtest results:', error);
+      reportLoadError('backtests', 'Could not load backtest results', error);
     }
   };
 
+  const handleBacktestQueryChange = (query) => {
+    backtestQueryRef.current = query;
+    if (backtestTotal !== null) fetchBacktestResults();
+  };
+
   // --- Fetch Simulated Trades ---
   const fetchSimulatedTrades = async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/stock/simulated-trades`);
-      setSimulatedTrades(response.data);
+      setSimulatedTrades(await getSimulatedTrades());
+      clearLoadError('trades');
     } catch (error) {
-      console.error('Error fetching simulated trades:', error);
+      reportLoadError('trades', 'Could not load simulated trades', error);
     }
   };
 
   // --- Strategy Configuration Management ---
   const fetchStrategiesConfig = async () => {
     try {
-      const response = await axios.get(`${API_BASE_URL}/strategies`);
-      setStrategiesConfig(response.data);
+      setStrategiesConfig(await getStrategies());
+      clearLoadError('strategies');
     } catch (error) {
-      console.error('Error fetching strategies config:', error);
+      reportLoadError('strategies', 'Could not load strategies', error);
     }
   };
 
-  const handleCreateStrategy = async () => {
+  // Every change made through the UI is kept locally so it can be reviewed
+  // and undone.
+  const recordStrategyChange = (action, before, after) => {
+    setStrategyHistory(prev => [...prev, historyEntry(action, before, after)].slice(-MAX_HISTORY_ENTRIES));
+  };
+
+  // Create and update rethrow so the editor can show the backend's field errors.
+  const handleCreateStrategy = async (payload) => {
+    const created = await createStrategy(payload);
+    recordStrategyChange('create', null, created || payload);
+    fetchStrategiesConfig(); // Refresh list
+  };
+
+  const handleUpdateStrategy = async (id, payload) => {
+    const before = strategiesConfig.find(s => s.id === id);
+    await updateStrategy(id, payload);
+    recordStrategyChange('edit', before, { id, ...payload });
+    setEditingStrategyId(null);
+    fetchStrategiesConfig(); // Refresh list
+  };
+
+  // Puts back the version from before a recorded change.
+  const handleRestoreStrategy = (entry) => {
+    const payload = toConfigPayload(entry.before);
+    return strategiesConfig.some(s => s.id === entry.strategyId)
+      ? handleUpdateStrategy(entry.strategyId, payload)
+      : handleCreateStrategy(payload);
+  };
+
+  // Sweep results are saved disabled so they never start trading unreviewed.
+  const handleSaveSweepStrategy = async ({ strategyName, symbol: strategySymbol, parameters }) => {
     try {
-      const response = await axios.post(`${API_BASE_URL}/strategies`, {
-        strategyName: newStrategyName,
-        symbol: newStrategySymbol,
-        parameters: newStrategyParams,
-        enabled: newStrategyEnabled,
+      await handleCreateStrategy({
+        strategyName,
+        symbol: strategySymbol,
+        parameters: JSON.stringify(parameters),
+        enabled: false,
       });
-      console.log('Strategy created:', response.data);
-      fetchStrategiesConfig(); // Refresh list
-      // Clear form
-      setNewStrategyName('');
-      setNewStrategySymbol('');
-      setNewStrategyParams('{}');
-      setNewStrategyEnabled(true);
     } catch (error) {
-      console.error('Error creating strategy:', error);
+      console.error('Error saving swept strategy:', error);
+      throw error;
     }
   };
 
@@ -285,254 +410,633 @@ function App() {
     try {
       const strategyToUpdate = strategiesConfig.find(s => s.id === id);
       if (strategyToUpdate) {
-        await axios.put(`${API_BASE_URL}/strategies/${id}`, {
-          ...strategyToUpdate,
-          enabled: !currentStatus,
-        });
-        console.log('Strategy enabled status toggled.');
+        const updated = { ...strategyToUpdate, enabled: !currentStatus };
+        await updateStrategy(id, updated);
+        recordStrategyChange('toggle', strategyToUpdate, updated);
         fetchStrategiesConfig(); // Refresh list
       }
     } catch (error) {
       console.error('Error toggling strategy enabled status:', error);
+      pushToast({ kind: 'error', title: 'Could not update the strategy', message: describeApiError(error) });
     }
   };
 
-  const handleDeleteStrategy = async (id) => {
+  const handleDeleteStrategy = async (strategy) => {
+    if (!window.confirm(`Delete ${strategy.strategyName} (${strategy.symbol})?`)) return;
     try {
-      await axios.delete(`${API_BASE_URL}/strategies/${id}`);
-      console.log('Strategy deleted.');
+      await deleteStrategy(strategy.id);
+      recordStrategyChange('delete', strategy, null);
+      if (editingStrategyId === strategy.id) setEditingStrategyId(null);
+      setSelectedStrategyIds(prev => prev.filter(x => x !== strategy.id));
       fetchStrategiesConfig(); // Refresh list
     } catch (error) {
       console.error('Error deleting strategy:', error);
+      pushToast({ kind: 'error', title: 'Could not delete the strategy', message: describeApiError(error) });
     }
   };
 
 
+  const handleToggleStrategySelected = (id) => {
+    setSelectedStrategyIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
+  const handleToggleCompare = (id) => {
+    setComparedBacktestIds(prev => (prev.includes(id) ? prev.filter(x => x !== id) : [...prev, id]));
+  };
+
   // --- Event Handlers ---
   const handleSymbolChange = (event) => {
-    setSymbol(event.target.value.toUpperCase());
+    const nextSymbol = event.target.value.toUpperCase();
+    setSymbol(nextSymbol);
+    syncSymbolPath(nextSymbol, timeframe);
+  };
+
+  const handleTimeframeChange = (nextTimeframe) => {
+    setTimeframe(nextTimeframe);
+    syncSymbolPath(symbol, nextTimeframe);
   };
 
   const handleFetchData = () => {
     // Trigger backend data ingestion
-    axios.get(`${API_BASE_URL}/stock/${symbol}/fetch`)
-      .then(response => console.log(response.data))
-      .catch(error => console.error('Error triggering data fetch:', error));
+    requestDataFetch(symbol)
+      .then(message => pushToast({ title: `Data fetch started for ${symbol}`, message: typeof message === 'string' ? message : '' }))
+      .catch(error => {
+        console.error('Error triggering data fetch:', error);
+        pushToast({ kind: 'error', title: `Could not fetch data for ${symbol}`, message: describeApiError(error) });
+      });
+  };
+
+  // An OHLCV file replaces the symbol's history on the chart and in
+  // backtests until the user goes back to live data.
+  const handleImportCandles = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const candles = parseOhlcvCsv(await readFileText(file));
+      setImportedCandles(symbol, candles);
+      setImportedFiles(prev => ({ ...prev, [symbol]: { fileName: file.name, count: candles.length } }));
+      setStockData(candles);
+      setCandleImportError(null);
+    } catch (error) {
+      setCandleImportError(error.message);
+    }
   };
 
-  const handleRunBacktest = () => {
-    // Example: Run SMA Crossover backtest for a specific period
-    const startDate = '2024-01-01'; // Adjust as needed
-    const endDate = '2024-01-05';   // Adjust as needed
-    axios.get(`${API_BASE_URL}/stock/${symbol}/backtest/sma-crossover?startDate=${startDate}&endDate=${endDate}`)
-      .then(response => {
-        console.log('Backtest initiated:', response.data);
-        fetchBacktestResults(); // Refresh backtest results
-      })
-      .catch(error => console.error('Error running backtest:', error));
+  const handleUseLiveData = () => {
+    clearImportedCandles(symbol);
+    setImportedFiles(prev => {
+      const { [symbol]: dropped, ...rest } = prev;
+      return rest;
+    });
+    setStockData([]);
+    fetchHistoricalData(symbol);
   };
 
+  // --- Session Replay ---
+  // Replays run offline: the live socket is closed and recorded messages are
+  // injected into the same subscription handlers, starting from the chart as
+  // it was when recording began.
+  const resetToSnapshot = (session) => {
+    setStockData(session.snapshot.candles);
+    setSignals(session.snapshot.signals);
+    setIndicators([]);
+  };
 
-  return (
-    <div style={{ padding: '20px' }}>
-      <h1>Real-time Algorithmic Trading Platform</h1>
+  const handleReplayStart = (session) => {
+    cancelSymbolRequests();
+    socket.disconnect();
+    replaySessionRef.current = session;
+    setReplaySession(session);
+    setSymbol(session.symbol);
+    syncSymbolPath(session.symbol, timeframe);
+    resetToSnapshot(session);
+  };
+
+  const handleReplayEnd = () => {
+    replaySessionRef.current = null;
+    setReplaySession(null);
+    setSignals([]);
+    loadSymbolData(symbol);
+    socket.connect();
+  };
+
+  // Picking a watchlist symbol opens its chart.
+  const handleSelectSymbol = (nextSymbol) => {
+    if (replaySession) return;
+    setSymbol(nextSymbol);
+    navigate(routePath({ view: 'symbol', symbol: nextSymbol, timeframe }));
+  };
+
+  // --- Chart Drawings ---
+  const lastPrice = stockData.length > 0 ? stockData[stockData.length - 1].close : undefined;
+  const symbolDrawings = drawings[symbol] || NO_DRAWINGS;
+  const selectedDrawing = symbolDrawings.find(d => d.id === selectedDrawingId);
+  const drawingAlertIds = useMemo(() => new Set(alerts.filter(a => a.drawingId).map(a => a.drawingId)), [alerts]);
+
+  // A line's price alert follows it when it is moved or deleted.
+  const handleDrawingsChange = (next) => {
+    setAlerts(prev => reconcileDrawingAlerts(prev, symbol, symbolDrawings, next, lastPrice));
+    setDrawings(prev => {
+      const { [symbol]: dropped, ...rest } = prev;
+      return next.length > 0 ? { ...rest, [symbol]: next } : rest;
+    });
+  };
+
+  const handleToggleDrawingAlert = () => {
+    const { id } = selectedDrawing;
+    setAlerts(prev => (prev.some(a => a.drawingId === id)
+      ? prev.filter(a => a.drawingId !== id)
+      : [...prev, alertForDrawing(selectedDrawing, symbol, lastPrice)]));
+  };
+
+  const handleEditDrawingText = () => {
+    const text = window.prompt('Note text', selectedDrawing.text);
+    if (text) handleDrawingsChange(symbolDrawings.map(d => (d.id === selectedDrawing.id ? { ...d, text } : d)));
+  };
+
+  const handleClearDrawings = () => {
+    if (window.confirm(`Delete all ${symbolDrawings.length} drawings on ${symbol}?`)) handleDrawingsChange([]);
+  };
+
+  // A finished run is highlighted in the results table. Older backends do not
+  // return the stored result, so fall back to whichever row is new.
+  const handleBacktestFinished = async (result) => {
+    if (result && result.source === 'browser') {
+      setBrowserBacktestResults(prev => [result, ...prev]);
+      setHighlightedBacktestId(result.id);
+      return;
+    }
+    const previousIds = new Set(backtestResultsRef.current.map(r => r.id));
+    const refreshed = await fetchBacktestResults();
+    const added = (refreshed || []).find(r => !previousIds.has(r.id));
+    setHighlightedBacktestId(result && result.id !== undefined ? result.id : added && added.id);
+  };
+
+  latestRef.current = {
+    symbol,
+    timeframe,
+    fetchBacktestResults,
+    fetchSimulatedTrades,
+    fetchStrategiesConfig,
+    loadSymbolData,
+    handleBacktestFinished,
+  };
+
+  // Runs finish in the queue whether or not the launcher is on screen.
+  useEffect(() => onBacktestFinished(result => latestRef.current.handleBacktestFinished(result)), []);
+
+
+
+  // Candles arrive at the backend's interval and are aggregated into the
+  // chosen timeframe; indicators and markers follow the aggregated bars.
+  const chartSeconds = (TIMEFRAMES[timeframe] || TIMEFRAMES[DEFAULT_TIMEFRAME]).seconds;
+  const chartCandles = useMemo(() => aggregateCandlesRef.current(stockData, chartSeconds), [stockData, chartSeconds]);
+
+  // Manual paper fills are listed, charted and valued with the strategies' trades.
+  const allTrades = useMemo(() => [...simulatedTrades, ...paperTrades], [simulatedTrades, paperTrades]);
+
+  const markers = useMemo(() => buildMarkers({
+    candles: chartCandles,
+    signals,
+    trades: allTrades,
+    symbol,
+    strategy: markerStrategy,
+    showTrades: showTradeMarkers,
+  }), [chartCandles, signals, allTrades, symbol, markerStrategy, showTradeMarkers]);
+
+  const markerStrategies = Array.from(new Set([
+    ...signals.filter(s => s.symbol === symbol).map(s => s.strategyName),
+    ...strategiesConfig.filter(s => s.symbol === symbol).map(s => s.strategyName),
+  ])).filter(Boolean).sort();
 
-      {/* Symbol Input and Controls */}
-      <div style={{ marginBottom: '20px' }}>
+  const allBacktestResults = useMemo(
+    () => [...browserBacktestResults, ...backtestResults],
+    [browserBacktestResults, backtestResults],
+  );
+
+  // The backtest view's result comes from the loaded results when it is
+  // among them, and is fetched on its own otherwise (a link to a result on
+  // another page, or opened before the results have loaded).
+  const selectedBacktestId = route.view === 'backtest' ? route.backtestId : null;
+  const listedBacktest = selectedBacktestId && allBacktestResults.find(r => String(r.id) === selectedBacktestId);
+  const backtestListed = Boolean(listedBacktest);
+  useEffect(() => {
+    if (!selectedBacktestId || backtestListed) return undefined;
+    // In-browser runs only live in memory until the page is reloaded.
+    if (selectedBacktestId.startsWith('browser-')) {
+      setLinkedBacktest({ id: selectedBacktestId, result: null, error: 'In-browser runs are not kept after the page is reloaded.' });
+      return undefined;
+    }
+    const controller = new AbortController();
+    setLinkedBacktest({ id: selectedBacktestId, result: null, error: null });
+    getBacktestResult(selectedBacktestId, { signal: controller.signal })
+      .then(result => setLinkedBacktest({ id: selectedBacktestId, result, error: null }))
+      .catch(error => {
+        if (!isCancelled(error)) setLinkedBacktest({ id: selectedBacktestId, result: null, error: describeApiError(error) });
+      });
+    return () => controller.abort();
+  }, [selectedBacktestId, backtestListed]);
+
+  const linked = linkedBacktest && linkedBacktest.id === selectedBacktestId ? linkedBacktest : null;
+  const selectedBacktest = listedBacktest || (linked && linked.result);
+  const comparedBacktests = useMemo(
+    () => comparedBacktestIds.map(id => allBacktestResults.find(r => r.id === id)).filter(Boolean),
+    [comparedBacktestIds, allBacktestResults],
+  );
+
+  const backtestColumns = useMemo(() => [
+    {
+      key: 'compare',
+      label: 'Compare',
+      width: 70,
+      sortable: false,
+      hideable: false,
+      render: row => (
         <input
-          type="text"
-          value={symbol}
-          onChange={handleSymbolChange}
-          placeholder="Enter Stock Symbol (e.g., IBM)"
-          style={{ marginRight: '10px', padding: '8px' }}
+          type="checkbox"
+          checked={comparedBacktestIds.includes(row.id)}
+          onChange={() => handleToggleCompare(row.id)}
+          onClick={(e) => e.stopPropagation()}
         />
-        <button onClick={handleFetchData} style={{ padding: '8px 15px', marginRight: '10px' }}>
-          Fetch Live Data
-        </button>
-        <button onClick={handleRunBacktest} style={{ padding: '8px 15px' }}>
-          Run Backtest
-        </button>
-      </div>
+      ),
+    },
+    ...BACKTEST_COLUMNS,
+  ], [comparedBacktestIds]);
 
-      {/* Live Chart */}
-      <h2>Live Chart: {symbol}</h2>
-      <div ref={chartContainerRef} style={{ height: '400px', marginBottom: '20px' }}></div>
-
-      {/* Signals Log */}
-      <h2>Signals</h2>
-      <div style={{ maxHeight: '200px', overflowY: 'scroll', border: '1px solid #ccc', padding: '10px', marginBottom: '20px' }}>
-        {signals.length === 0 ? (
-          <p>No signals yet.</p>
-        ) : (
-          <ul>
-            {signals.map((signal, index) => (
-              <li key={index}>
-                [{new Date(signal.timestamp).toLocaleString()}] {signal.symbol} - {signal.signalType} ({signal.strategyName}): {signal.description}
-              </li>
-            ))}
-          </ul>
-        )}
-      </div>
-
-      {/* Backtest Results */}
-      <h2>Backtest Results</h2>
-      <div style={{ maxHeight: '200px', overflowY: 'scroll', border: '1px solid #ccc', padding: '10px', marginBottom: '20px' }}>
-        {backtestResults.length === 0 ? (
-          <p>No backtest results yet.</p>
-        ) : (
-          <table>
-            <thead>
-              <tr>
-                <th>Strategy</th>
-                <th>Symbol</th>
-                <th>Start Date</th>
-                <th>End Date</th>
-                <th>Initial Capital</th>
-                <th>Final Capital</th>
-                <th>P/L ($)</th>
-                <th>P/L (%)</th>
-                <th>Trades</th>
-                <th>Wins</th>
-                <th>Losses</th>
-              </tr>
-            </thead>
-            <tbody>
-              {backtestResults.map(result => (
-                <tr key={result.id}>
-                  <td>{result.strategyName}</td>
-                  <td>{result.symbol}</td>
-                  <td>{result.startDate}</td>
-                  <td>{result.endDate}</td>
-                  <td>{result.initialCapital.toFixed(2)}</td>
-                  <td>{result.finalCapital.toFixed(2)}</td>
-                  <td>{result.totalProfitLoss.toFixed(2)}</td>
-                  <td>{result.percentageProfitLoss.toFixed(2)}</td>
-                  <td>{result.totalTrades}</td>
-                  <td>{result.winningTrades}</td>
-                  <td>{result.losingTrades}</td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        )}
-      </div>
+  const importedFile = importedFiles[symbol];
+  const latestIndicator = indicators[indicators.length - 1];
 
-      {/* Simulated Trades */}
-      <h2>Simulated Trades</h2>
-      <div style={{ maxHeight: '200px', overflowY: 'scroll', border: '1px solid #ccc', padding: '10px', marginBottom: '20px' }}>
-        {simulatedTrades.length === 0 ? (
-          <p>No simulated trades yet.</p>
-        ) : (
-          <table>
-            <thead>
-              <tr>
-                <th>Symbol</th>
-                <th>Timestamp</th>
-                <th>Type</th>
-                <th>Price</th>
-                <th>Quantity</th>
-                <th>Strategy</th>
-                <th>Cash After</th>
-                {/* <th>Portfolio Value After</th> */}
-              </tr>
-            </thead>
-            <tbody>
-              {simulatedTrades.map(trade => (
-                <tr key={trade.id}>
-                  <td>{trade.symbol}</td>
-                  <td>{new Date(trade.timestamp).toLocaleString()}</td>
-                  <td>{trade.tradeType}</td>
-                  <td>{trade.price.toFixed(2)}</td>
-                  <td>{trade.quantity.toFixed(2)}</td>
-                  <td>{trade.strategyName}</td>
-                  <td>{trade.cashAfterTrade.toFixed(2)}</td>
-                  {/* <td>{trade.portfolioValueAfterTrade.toFixed(2)}</td> */}
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        )}
-      </div>
+  // --- Workspace ---
+  // Unknown paths show the dashboard under a notice.
+  const view = VIEW_PANELS[route.view] ? route.view : 'dashboard';
+  const viewLayout = resolveViewLayout((workspaces.layouts[workspaces.active] || {})[view], VIEW_PANELS[view]);
 
-      {/* Strategy Management */}
-      <h2>Strategy Management</h2>
-      <div style={{ marginBottom: '20px', border: '1px solid #ccc', padding: '15px' }}>
-        <h3>Create New Strategy</h3>
-        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '10px' }}>
-          <input
-            type="text"
-            placeholder="Strategy Name (e.g., SMA_CROSSOVER_STRATEGY)"
-            value={newStrategyName}
-            onChange={(e) => setNewStrategyName(e.target.value)}
-            style={{ padding: '8px' }}
-          />
-          <input
-            type="text"
-            placeholder="Symbol (e.g., IBM)"
-            value={newStrategySymbol}
-            onChange={(e) => setNewStrategySymbol(e.target.value.toUpperCase())}
-            style={{ padding: '8px' }}
-          />
-          <textarea
-            placeholder="Parameters (JSON, e.g., {&quot;shortSma&quot;: 5, &quot;longSma&quot;: 20})"
-            value={newStrategyParams}
-            onChange={(e) => setNewStrategyParams(e.target.value)}
-            rows="3"
-            style={{ padding: '8px', gridColumn: '1 / span 2' }}
-          ></textarea>
-          <label style={{ gridColumn: '1 / span 2' }}>
+  const panels = {
+    watchlist: {
+      title: 'Watchlist',
+      render: () => <Watchlist activeSymbol={symbol} onSelectSymbol={handleSelectSymbol} />,
+    },
+    chart: {
+      title: `Live Chart: ${symbol}`,
+      render: () => (
+        <>
+          <div style={{ marginBottom: '20px' }}>
             <input
-              type="checkbox"
-              checked={newStrategyEnabled}
-              onChange={(e) => setNewStrategyEnabled(e.target.checked)}
-              style={{ marginRight: '5px' }}
+              type="text"
+              value={symbol}
+              onChange={handleSymbolChange}
+              disabled={Boolean(replaySession)}
+              placeholder="Enter Stock Symbol (e.g., IBM)"
+              style={{ marginRight: '10px', padding: '8px' }}
             />
-            Enabled
+            <button onClick={handleFetchData} style={{ padding: '8px 15px' }}>
+              Fetch Live Data
+            </button>
+          </div>
+          <PanelError message={loadErrors.chart} onRetry={() => fetchHistoricalData(symbol)} />
+          {latestIndicator && (
+            <p style={{ color: '#666' }}>
+              Backend: SMA {formatNumber(latestIndicator.sma)} · RSI {formatNumber(latestIndicator.rsi)} · MACD {formatNumber(latestIndicator.macd)} / {formatNumber(latestIndicator.macdSignal)}
+            </p>
+          )}
+          <div style={{ marginBottom: '10px' }}>
+            Timeframe:{' '}
+            {Object.entries(TIMEFRAMES).map(([key, { label }]) => (
+              <button
+                key={key}
+                onClick={() => handleTimeframeChange(key)}
+                style={{ marginRight: '5px', fontWeight: key === timeframe ? 'bold' : 'normal', backgroundColor: key === timeframe ? '#e3ecff' : undefined }}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <IndicatorManager indicators={indicatorLayout} onChange={setIndicatorLayout} />
+          <div style={{ marginBottom: '10px' }}>
+            <label style={{ marginRight: '15px' }}>
+              Signal markers:{' '}
+              <select value={markerStrategy} onChange={(e) => setMarkerStrategy(e.target.value)} style={{ padding: '4px' }}>
+                <option value={ALL_STRATEGIES}>All strategies</option>
+                {markerStrategies.map(name => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </label>
+            <label>
+              <input
+                type="checkbox"
+                checked={showTradeMarkers}
+                onChange={(e) => setShowTradeMarkers(e.target.checked)}
+                style={{ marginRight: '5px' }}
+              />
+              Show simulated trade fills
+            </label>
+          </div>
+          <div style={{ marginBottom: '10px' }}>
+            {importedFile ? (
+              <>
+                <span style={{ marginRight: '10px' }}>
+                  Showing imported data: {importedFile.fileName} ({importedFile.count} candles)
+                </span>
+                <button onClick={handleUseLiveData}>Back to live data</button>
+              </>
+            ) : (
+              <label>
+                Import OHLCV CSV:{' '}
+                <input type="file" accept=".csv,text/csv" onChange={handleImportCandles} />
+              </label>
+            )}
+            {candleImportError && <span style={{ color: 'red', marginLeft: '10px' }}>{candleImportError}</span>}
+          </div>
+          <DrawingToolbar
+            tool={drawingTool}
+            onToolChange={setDrawingTool}
+            selected={selectedDrawing}
+            hasAlert={Boolean(selectedDrawing) && drawingAlertIds.has(selectedDrawing.id)}
+            onDelete={() => handleDrawingsChange(symbolDrawings.filter(d => d.id !== selectedDrawingId))}
+            onToggleAlert={handleToggleDrawingAlert}
+            onEditText={handleEditDrawingText}
+            onClear={handleClearDrawings}
+            count={symbolDrawings.length}
+          />
+          <TradingChart
+            candles={chartCandles}
+            indicators={indicatorLayout}
+            markers={markers}
+            candlestickSeriesRef={candlestickSeriesRef}
+            renderOverlay={({ chart, series }) => (
+              <DrawingLayer
+                chart={chart}
+                series={series}
+                candles={chartCandles}
+                drawings={symbolDrawings}
+                onChange={handleDrawingsChange}
+                tool={drawingTool}
+                onToolDone={() => setDrawingTool(null)}
+                selectedId={selectedDrawingId}
+                onSelect={setSelectedDrawingId}
+                alertIds={drawingAlertIds}
+              />
+            )}
+            onPriceDoubleClick={price => setTicketRequest({ symbol, price: Number(price.toFixed(2)) })}
+          />
+        </>
+      ),
+    },
+    paperTrading: {
+      title: 'Paper Trading',
+      render: () => (
+        <PaperTradingPanel
+          symbol={symbol}
+          lastPrice={lastPrice}
+          trades={paperTrades}
+          onFill={trade => setPaperTrades(prev => [...prev, trade])}
+          ticketRequest={ticketRequest}
+          paused={Boolean(replaySession)}
+        />
+      ),
+    },
+    session: {
+      title: 'Session Recording and Replay',
+      render: () => (
+        <SessionControls
+          connection={socket}
+          getSnapshot={() => ({ symbol, candles: stockData, signals })}
+          replaySession={replaySession}
+          onReplayStart={handleReplayStart}
+          onReplayReset={resetToSnapshot}
+          onReplayEnd={handleReplayEnd}
+        />
+      ),
+    },
+    signals: {
+      title: 'Signals',
+      render: () => (
+        <>
+          <PanelError message={loadErrors.signals} onRetry={() => fetchSignalHistory(symbol)} />
+          <label style={{ display: 'block', marginBottom: '5px' }}>
+            Keep the last{' '}
+            <select value={signalBufferSize} onChange={(e) => setSignalBufferSize(Number(e.target.value))} style={{ padding: '4px' }}>
+              {SIGNAL_BUFFER_SIZES.map(size => <option key={size} value={size}>{size}</option>)}
+            </select>{' '}
+            signals in memory
           </label>
-        </div>
-        <button onClick={handleCreateStrategy} style={{ padding: '8px 15px' }}>
-          Create Strategy
-        </button>
+          <DataGrid
+            id="signals"
+            columns={SIGNAL_COLUMNS}
+            rows={signals}
+            rowKey={signalKey}
+            toolbar={rows => <DatasetExport dataset="signals" rows={rows} />}
+            emptyMessage="No signals yet."
+            noMatchMessage="No signals match the filters."
+          />
+        </>
+      ),
+    },
+    alerts: {
+      title: 'Alerts',
+      render: () => <AlertsPanel symbol={symbol} strategies={strategiesConfig} alerts={alerts} onAlertsChange={setAlerts} />,
+    },
+    backtests: {
+      title: 'Backtest Results',
+      render: () => (
+        <>
+          <PanelError message={loadErrors.backtests} onRetry={fetchBacktestResults} />
+          <BacktestLauncher symbol={symbol} strategies={strategiesConfig} />
+          <div style={{ marginBottom: '10px' }}>
+            <button onClick={() => setShowComparison(true)} disabled={comparedBacktestIds.length < 2} style={{ padding: '8px 15px' }}>
+              Compare Selected ({comparedBacktestIds.length})
+            </button>
+          </div>
+          {backtestTotal !== null && browserBacktestResults.length > 0 && (
+            <p style={{ color: '#666' }}>In-browser runs are listed above the server&apos;s page of results.</p>
+          )}
+          <DataGrid
+            id="backtests"
+            columns={backtestColumns}
+            rows={allBacktestResults}
+            rowKey={row => row.id}
+            server={backtestTotal === null ? null : { total: backtestTotal, pageSize: BACKTEST_PAGE_SIZE }}
+            onQueryChange={handleBacktestQueryChange}
+            onRowClick={row => navigate(routePath({ view: 'backtest', backtestId: String(row.id) }))}
+            rowStyle={row => ({
+              backgroundColor: String(row.id) === selectedBacktestId ? '#e3ecff' : row.id === highlightedBacktestId ? '#fff6d5' : undefined,
+            })}
+            toolbar={rows => <DatasetExport dataset="backtests" rows={rows} />}
+            emptyMessage="No backtest results yet."
+            noMatchMessage="No backtest results match the filters."
+          />
+          {showComparison && comparedBacktests.length >= 2 && (
+            <EquityComparison results={comparedBacktests} onClose={() => setShowComparison(false)} />
+          )}
+        </>
+      ),
+    },
+    backtestDetail: {
+      title: `Backtest ${selectedBacktestId}`,
+      render: () => {
+        if (selectedBacktest) return <BacktestDetail result={selectedBacktest} onClose={() => navigate('/backtests')} />;
+        if (linked && linked.error) {
+          return (
+            <>
+              <PanelError message={`Backtest ${selectedBacktestId} could not be opened: ${linked.error}`} />
+              <button onClick={() => navigate('/backtests')}>Back to results</button>
+            </>
+          );
+        }
+        return <p>Loading backtest {selectedBacktestId}…</p>;
+      },
+    },
+    sweep: {
+      title: 'Parameter Sweep',
+      render: () => <ParameterSweep symbol={symbol} onSaveStrategy={handleSaveSweepStrategy} />,
+    },
+    portfolio: {
+      title: 'Portfolio',
+      render: () => (
+        <>
+          <PanelError message={loadErrors.trades} onRetry={fetchSimulatedTrades} />
+          <PortfolioPanel trades={allTrades} />
+        </>
+      ),
+    },
+    trades: {
+      title: 'Simulated Trades',
+      render: () => (
+        <>
+          <PanelError message={loadErrors.trades} onRetry={fetchSimulatedTrades} />
+          <DataGrid
+            id="trades"
+            columns={TRADE_COLUMNS}
+            rows={allTrades}
+            rowKey={row => row.id}
+            toolbar={rows => <DatasetExport dataset="trades" rows={rows} />}
+            emptyMessage="No simulated trades yet."
+            noMatchMessage="No simulated trades match the filters."
+          />
+        </>
+      ),
+    },
+    strategies: {
+      title: 'Strategy Management',
+      render: () => (
+        <>
+          <div style={{ marginBottom: '20px', border: '1px solid #ccc', padding: '15px' }}>
+            <h3>Create New Strategy</h3>
+            <StrategyEditor onSave={handleCreateStrategy} />
+          </div>
+
+          <h3>Existing Strategies</h3>
+          <PanelError message={loadErrors.strategies} onRetry={fetchStrategiesConfig} />
+          <div style={{ maxHeight: '300px', overflowY: 'scroll', border: '1px solid #ccc', padding: '10px' }}>
+            {strategiesConfig.length === 0 ? (
+              <p>No strategies configured yet.</p>
+            ) : (
+              <table>
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>ID</th>
+                    <th>Name</th>
+                    <th>Symbol</th>
+                    <th>Parameters</th>
+                    <th>Enabled</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {strategiesConfig.map(strategy => (
+                    <React.Fragment key={strategy.id}>
+                      <tr>
+                        <td>
+                          <input
+                            type="checkbox"
+                            checked={selectedStrategyIds.includes(strategy.id)}
+                            onChange={() => handleToggleStrategySelected(strategy.id)}
+                            title="Select for export"
+                          />
+                        </td>
+                        <td>{strategy.id}</td>
+                        <td>{strategy.strategyName}</td>
+                        <td>{strategy.symbol}</td>
+                        <td>{strategy.parameters}</td>
+                        <td>{strategy.enabled ? 'Yes' : 'No'}</td>
+                        <td>
+                          <button onClick={() => handleToggleStrategyEnabled(strategy.id, strategy.enabled)} style={{ marginRight: '5px' }}>
+                            {strategy.enabled ? 'Disable' : 'Enable'}
+                          </button>
+                          <button onClick={() => setEditingStrategyId(editingStrategyId === strategy.id ? null : strategy.id)} style={{ marginRight: '5px' }}>
+                            Edit
+                          </button>
+                          <button onClick={() => handleDeleteStrategy(strategy)} style={{ backgroundColor: 'red', color: 'white' }}>
+                            Delete
+                          </button>
+                        </td>
+                      </tr>
+                      {editingStrategyId === strategy.id && (
+                        <tr>
+                          <td colSpan="7" style={{ padding: '10px' }}>
+                            <StrategyEditor
+                              strategy={strategy}
+                              onSave={payload => handleUpdateStrategy(strategy.id, payload)}
+                              onCancel={() => setEditingStrategyId(null)}
+                            />
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </>
+      ),
+    },
+    strategyTransfer: {
+      title: 'Strategy Import / Export',
+      render: () => (
+        <StrategyTransfer
+          strategies={strategiesConfig}
+          selectedIds={selectedStrategyIds}
+          onCreate={handleCreateStrategy}
+          onUpdate={handleUpdateStrategy}
+        />
+      ),
+    },
+    strategyHistory: {
+      title: 'Strategy Change History',
+      render: () => (
+        <StrategyHistory
+          history={strategyHistory}
+          onRestore={handleRestoreStrategy}
+          onClear={() => window.confirm('Clear the local strategy change history?') && setStrategyHistory([])}
+        />
+      ),
+    },
+  };
+
+  return (
+    <div style={{ padding: '20px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <h1>Real-time Algorithmic Trading Platform</h1>
+        <span>
+          {USE_MOCK_BACKEND && <span style={{ marginRight: '10px', color: '#d89614', fontWeight: 'bold' }}>MOCK BACKEND</span>}
+          <AccountMenu />
+          <ConnectionStatusBadge />
+        </span>
       </div>
 
-      <h3>Existing Strategies</h3>
-      <div style={{ maxHeight: '300px', overflowY: 'scroll', border: '1px solid #ccc', padding: '10px' }}>
-        {strategiesConfig.length === 0 ? (
-          <p>No strategies configured yet.</p>
-        ) : (
-          <table>
-            <thead>
-              <tr>
-                <th>ID</th>
-                <th>Name</th>
-                <th>Symbol</th>
-                <th>Parameters</th>
-                <th>Enabled</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {strategiesConfig.map(strategy => (
-                <tr key={strategy.id}>
-                  <td>{strategy.id}</td>
-                  <td>{strategy.strategyName}</td>
-                  <td>{strategy.symbol}</td>
-                  <td>{strategy.parameters}</td>
-                  <td>{strategy.enabled ? 'Yes' : 'No'}</td>
-                  <td>
-                    <button onClick={() => handleToggleStrategyEnabled(strategy.id, strategy.enabled)} style={{ marginRight: '5px' }}>
-                      {strategy.enabled ? 'Disable' : 'Enable'}
-                    </button>
-                    <button onClick={() => handleDeleteStrategy(strategy.id)} style={{ backgroundColor: 'red', color: 'white' }}>
-                      Delete
-                    </button>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-        )}
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '15px' }}>
+        <NavBar route={route} symbol={symbol} timeframe={timeframe} />
+        <WorkspaceMenu workspaces={workspaces} onChange={setWorkspaces} view={view} />
       </div>
+      {route.view === 'notFound' && <p style={{ color: '#d89614' }}>There is no page at this address; showing the dashboard.</p>}
+
+      <Workspace
+        layout={viewLayout}
+        panels={panels}
+        onChange={layout => setWorkspaces(prev => setViewLayout(prev, view, layout))}
+      />
     </div>
   );
 }
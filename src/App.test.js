@@ -1,8 +1,20 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, waitFor } from '@testing-library/react';
 import App from './App';
+import { installMockBackend } from './mock';
 
-test('renders learn react link', () => {
+jest.mock('./services/workerFactory', () => ({ createBacktestWorker: jest.fn() }));
+jest.mock('./services/socket', () => {
+  const { createStompConnection } = jest.requireActual('./services/stompConnection');
+  const { mockClientFactory } = jest.requireActual('./mock');
+  return { socket: createStompConnection({ url: () => 'mock', clientFactory: mockClientFactory }) };
+});
+
+beforeAll(() => installMockBackend());
+
+test('renders the dashboard against the mock backend', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Dashboard' })).toBeInTheDocument();
+  // The watchlist tile fills in once the mock backend answers.
+  expect(screen.getByText('No data')).toBeInTheDocument();
+  await waitFor(() => expect(screen.queryByText('No data')).not.toBeInTheDocument());
 });
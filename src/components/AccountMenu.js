@@ -0,0 +1,37 @@
+import React, { useSyncExternalStore } from 'react';
+import { getActiveProfile, getProfiles, selectProfile } from '../config';
+import { getSession, logout, onAuthChange } from '../services/auth';
+
+// The active backend and signed-in user, with log out. Switching backends
+// signs out and reloads, since tokens and loaded data belong to the old one.
+function AccountMenu() {
+  const session = useSyncExternalStore(onAuthChange, getSession);
+  const profiles = getProfiles();
+  const active = getActiveProfile();
+
+  const handleProfileChange = (name) => {
+    selectProfile(name);
+    logout();
+    window.location.reload();
+  };
+
+  return (
+    <span style={{ marginRight: '10px' }}>
+      {Object.keys(profiles).length > 1 ? (
+        <select value={active} onChange={(e) => handleProfileChange(e.target.value)} style={{ padding: '4px', marginRight: '10px' }}>
+          {Object.entries(profiles).map(([name, profile]) => <option key={name} value={name}>{profile.label}</option>)}
+        </select>
+      ) : (
+        <span style={{ marginRight: '10px', color: '#666' }}>{profiles[active].label}</span>
+      )}
+      {session && (
+        <>
+          <span style={{ marginRight: '5px' }}>{session.user.username}</span>
+          <button onClick={() => logout()}>Log out</button>
+        </>
+      )}
+    </span>
+  );
+}
+
+export default AccountMenu;
@@ -0,0 +1,261 @@
+import React, { useRef, useState } from 'react';
+import { useStompSubscription } from '../hooks/useSocket';
+import { usePersistentState } from '../hooks/usePersistentState';
+import { getCurrentUserId } from '../services/session';
+import {
+  getNotificationPermission,
+  playAlertSound,
+  requestNotificationPermission,
+  showNotification,
+} from '../services/notifications';
+import {
+  ALERT_MODES,
+  ALERT_TYPES,
+  MAX_ALERT_HISTORY,
+  alertHistoryEntry,
+  createAlert,
+  createAlertEngine,
+  defaultAlertValues,
+  describeAlert,
+  isAlertReady,
+  markTriggered,
+  validateAlert,
+} from '../utils/alerts';
+import { STRATEGY_SCHEMAS } from '../utils/strategySchemas';
+
+const ERROR_COLOR = 'rgba(214, 56, 80, 1)';
+const inputStyle = { display: 'block', width: '100%', padding: '8px', boxSizing: 'border-box' };
+
+const FieldError = ({ message }) => (message
+  ? <div style={{ color: ERROR_COLOR, fontSize: '12px' }}>{message}</div>
+  : null);
+
+// Renders nothing; feeds one symbol's price, indicator and signal messages
+// to the alert engine.
+function AlertFeed({ symbol, onMessage }) {
+  useStompSubscription(`/topic/stock-data/${symbol}`, data => onMessage(symbol, 'price', data));
+  useStompSubscription(`/topic/indicators/${symbol}`, data => onMessage(symbol, 'indicator', data));
+  useStompSubscription(`/topic/trading-signals/${symbol}`, data => onMessage(symbol, 'signal', data));
+  return null;
+}
+
+// User-defined price, indicator and strategy-signal alerts, evaluated in the
+// browser against the live feed of every symbol that has one. The alerts are
+// owned by the caller, since chart lines can carry them too; the trigger
+// history is kept per user across reloads.
+function AlertsPanel({ symbol, strategies, alerts, onAlertsChange }) {
+  const userId = getCurrentUserId();
+  const [history, setHistory] = usePersistentState(`alert-history:${userId}`, []);
+  const [values, setValues] = useState(() => defaultAlertValues('PRICE_CROSS', symbol));
+  const [showErrors, setShowErrors] = useState(false);
+  const [permission, setPermission] = useState(getNotificationPermission);
+
+  const engineRef = useRef(null);
+  if (!engineRef.current) engineRef.current = createAlertEngine();
+
+  // Messages can arrive faster than React re-renders; the ref always holds
+  // the latest alerts so a one-shot alert cannot fire twice.
+  const alertsRef = useRef(alerts);
+  alertsRef.current = alerts;
+  const updateAlerts = (update) => {
+    alertsRef.current = update(alertsRef.current);
+    onAlertsChange(alertsRef.current);
+  };
+
+  const errors = validateAlert(values);
+  const type = ALERT_TYPES[values.type];
+  const symbols = Array.from(new Set(alerts.filter(a => a.enabled).map(a => a.symbol)));
+  const strategyNames = Array.from(new Set([...Object.keys(STRATEGY_SCHEMAS), ...strategies.map(s => s.strategyName)])).sort();
+
+  const handleMessage = (messageSymbol, source, data) => {
+    const candidates = alertsRef.current.filter(a => a.symbol === messageSymbol);
+    const now = Date.now();
+    const fired = engineRef.current.evaluate(candidates, source, data).filter(hit => isAlertReady(hit.alert, now));
+    if (fired.length === 0) return;
+
+    const firedIds = new Set(fired.map(hit => hit.alert.id));
+    updateAlerts(prev => prev.map(a => (firedIds.has(a.id) ? markTriggered(a, now) : a)));
+    setHistory(prev => [...prev, ...fired.map(hit => alertHistoryEntry(hit.alert, hit.message, now))].slice(-MAX_ALERT_HISTORY));
+    fired.forEach(hit => showNotification(describeAlert(hit.alert), hit.message));
+    if (fired.some(hit => hit.alert.sound)) playAlertSound();
+  };
+
+  const handleTypeChange = (nextType) => {
+    setValues(prev => ({ ...defaultAlertValues(nextType, prev.symbol), mode: prev.mode, cooldownMinutes: prev.cooldownMinutes, sound: prev.sound }));
+    setShowErrors(false);
+  };
+
+  const update = (field, value) => setValues(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    updateAlerts(prev => [...prev, createAlert(values)]);
+    setValues(prev => defaultAlertValues(prev.type, prev.symbol));
+    setShowErrors(false);
+  };
+
+  const handleToggle = (id) => {
+    engineRef.current.forget(id);
+    updateAlerts(prev => prev.map(a => (a.id === id ? { ...a, enabled: !a.enabled } : a)));
+  };
+
+  const handleDelete = (id) => {
+    engineRef.current.forget(id);
+    updateAlerts(prev => prev.filter(a => a.id !== id));
+  };
+
+  const handleEnableNotifications = async () => {
+    setPermission(await requestNotificationPermission());
+  };
+
+  const errorFor = field => (showErrors ? errors[field] : null);
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '20px' }}>
+      {symbols.map(s => <AlertFeed key={s} symbol={s} onMessage={handleMessage} />)}
+
+      <div style={{ marginBottom: '10px' }}>
+        Browser notifications:{' '}
+        {permission === 'granted' && <span style={{ color: 'rgba(39, 157, 130, 1)' }}>on</span>}
+        {permission === 'denied' && <span style={{ color: ERROR_COLOR }}>blocked in browser settings</span>}
+        {permission === 'unsupported' && <span>not supported by this browser</span>}
+        {permission === 'default' && <button onClick={handleEnableNotifications}>Enable</button>}
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '10px', marginBottom: '10px' }}>
+          <label>
+            Alert type
+            <select value={values.type} onChange={(e) => handleTypeChange(e.target.value)} style={inputStyle}>
+              {Object.entries(ALERT_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+            </select>
+          </label>
+          <label>
+            Symbol
+            <input
+              type="text"
+              value={values.symbol}
+              onChange={(e) => update('symbol', e.target.value.toUpperCase())}
+              style={inputStyle}
+            />
+            <FieldError message={errorFor('symbol')} />
+          </label>
+          {type.fields.map(field => (
+            <label key={field.key}>
+              {field.label}
+              {field.options && (
+                <select value={values[field.key]} onChange={(e) => update(field.key, e.target.value)} style={inputStyle}>
+                  {Object.entries(field.options).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              )}
+              {field.type === 'strategy' && (
+                <select value={values[field.key]} onChange={(e) => update(field.key, e.target.value)} style={inputStyle}>
+                  <option value="">Select strategy…</option>
+                  {strategyNames.map(name => <option key={name} value={name}>{name}</option>)}
+                </select>
+              )}
+              {field.type === 'number' && (
+                <input
+                  type="number"
+                  step="any"
+                  min={field.min}
+                  max={field.max}
+                  value={values[field.key]}
+                  onChange={(e) => update(field.key, e.target.value)}
+                  style={inputStyle}
+                />
+              )}
+              <FieldError message={errorFor(field.key)} />
+            </label>
+          ))}
+          <label>
+            Mode
+            <select value={values.mode} onChange={(e) => update('mode', e.target.value)} style={inputStyle}>
+              {Object.entries(ALERT_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </label>
+          {values.mode === 'cooldown' && (
+            <label>
+              Cooldown (minutes)
+              <input
+                type="number"
+                step="any"
+                min="0"
+                value={values.cooldownMinutes}
+                onChange={(e) => update('cooldownMinutes', e.target.value)}
+                style={inputStyle}
+              />
+              <FieldError message={errorFor('cooldownMinutes')} />
+            </label>
+          )}
+          <label style={{ alignSelf: 'end' }}>
+            <input
+              type="checkbox"
+              checked={values.sound}
+              onChange={(e) => update('sound', e.target.checked)}
+              style={{ marginRight: '5px' }}
+            />
+            Play sound
+          </label>
+        </div>
+        <button type="submit" style={{ padding: '8px 15px', marginBottom: '10px' }}>Add Alert</button>
+      </form>
+
+      {alerts.length === 0 ? <p>No alerts set.</p> : (
+        <table>
+          <thead>
+            <tr>
+              <th>Alert</th>
+              <th>Mode</th>
+              <th>Sound</th>
+              <th>Triggered</th>
+              <th>Last Triggered</th>
+              <th>Enabled</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {alerts.map(alert => (
+              <tr key={alert.id}>
+                <td>
+                  {describeAlert(alert)}
+                  {alert.drawingId && <span style={{ color: '#666', fontSize: '12px' }}> (chart line)</span>}
+                </td>
+                <td>{ALERT_MODES[alert.mode]}{alert.mode === 'cooldown' ? ` (${alert.cooldownMinutes} min)` : ''}</td>
+                <td>{alert.sound ? 'Yes' : 'No'}</td>
+                <td>{alert.triggerCount}</td>
+                <td>{alert.lastTriggeredAt ? new Date(alert.lastTriggeredAt).toLocaleString() : '-'}</td>
+                <td>
+                  <button onClick={() => handleToggle(alert.id)}>{alert.enabled ? 'Disable' : 'Enable'}</button>
+                </td>
+                <td>
+                  <button onClick={() => handleDelete(alert.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      <h3>Alert History</h3>
+      {history.length === 0 ? <p>No alerts triggered yet.</p> : (
+        <div style={{ maxHeight: '300px', overflowY: 'scroll', border: '1px solid #ccc', padding: '10px' }}>
+          <ul>
+            {[...history].reverse().map(entry => (
+              <li key={entry.id}>
+                {new Date(entry.at).toLocaleString()}: {entry.message}
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => setHistory([])}>Clear history</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,94 @@
+import React, { useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { AUTH_REQUIRED, getActiveProfile, getProfiles, selectProfile } from '../config';
+import { getExpiredReason, getSession, login, onAuthChange } from '../services/auth';
+import { clearAllImportedCandles } from '../services/backtestData';
+import { getCurrentUserId } from '../services/session';
+import { socket } from '../services/socket';
+
+const ERROR_COLOR = 'rgba(214, 56, 80, 1)';
+const inputStyle = { display: 'block', width: '100%', padding: '8px', boxSizing: 'border-box', marginBottom: '10px' };
+
+function ProfileSelect({ value, onChange }) {
+  const profiles = getProfiles();
+  if (Object.keys(profiles).length < 2) return null;
+  return (
+    <label>
+      Backend
+      <select value={value} onChange={(e) => onChange(e.target.value)} style={inputStyle}>
+        {Object.entries(profiles).map(([name, profile]) => <option key={name} value={name}>{profile.label}</option>)}
+      </select>
+    </label>
+  );
+}
+
+function LoginScreen({ profile, onProfileChange }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  const expiredReason = getExpiredReason();
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    login(username, password)
+      .catch(err => {
+        const status = err.response && err.response.status;
+        setError(status === 401 ? 'Invalid username or password' : err.message);
+      })
+      .finally(() => setSubmitting(false));
+  };
+
+  return (
+    <div style={{ maxWidth: '320px', margin: '80px auto', padding: '20px', border: '1px solid #ccc' }}>
+      <h2>Sign in</h2>
+      {expiredReason && <p style={{ color: '#d89614' }}>{expiredReason}</p>}
+      <form onSubmit={handleSubmit}>
+        <ProfileSelect value={profile} onChange={onProfileChange} />
+        <label>
+          Username
+          <input type="text" autoComplete="username" value={username} onChange={(e) => setUsername(e.target.value)} style={inputStyle} />
+        </label>
+        <label>
+          Password
+          <input type="password" autoComplete="current-password" value={password} onChange={(e) => setPassword(e.target.value)} style={inputStyle} />
+        </label>
+        {error && <p style={{ color: ERROR_COLOR }}>{error}</p>}
+        <button type="submit" disabled={submitting || !username || !password} style={{ padding: '8px 15px' }}>
+          {submitting ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+// Shows the login screen until there is a session, when the active backend
+// requires one. Signing out unmounts the app, which drops its state and
+// subscriptions; the socket and the imported candles go too. The app is keyed
+// by user, so switching users never shows the previous one's data.
+function AuthGate({ children }) {
+  const session = useSyncExternalStore(onAuthChange, getSession);
+  const [profile, setProfile] = useState(getActiveProfile);
+  const previousSessionRef = useRef(session);
+
+  // Only signing out tears down. Without login there is never a session, and
+  // the app's effects run before this one, so it must not undo their connect.
+  useEffect(() => {
+    const signedOut = previousSessionRef.current && !session;
+    previousSessionRef.current = session;
+    if (!signedOut) return;
+    socket.disconnect();
+    clearAllImportedCandles();
+  }, [session]);
+
+  const handleProfileChange = (name) => {
+    selectProfile(name);
+    setProfile(name);
+  };
+
+  if (AUTH_REQUIRED && !session) return <LoginScreen profile={profile} onProfileChange={handleProfileChange} />;
+  return <React.Fragment key={`${profile}|${getCurrentUserId()}`}>{children}</React.Fragment>;
+}
+
+export default AuthGate;
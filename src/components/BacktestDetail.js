@@ -0,0 +1,103 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import SeriesChart from './SeriesChart';
+import { loadBacktestData } from '../services/backtestData';
+import { describeApiError } from '../services/api';
+import { buildDrawdownCurve, buildEquityCurve, computeMetrics } from '../utils/backtestMetrics';
+import { buildMarkers } from '../utils/markers';
+import { DOWN_COLOR } from '../utils/chartTheme';
+import { formatNumber, formatPercent } from '../utils/format';
+
+const METRIC_ROWS = [
+  ['Final Equity', m => formatNumber(m.finalEquity)],
+  ['Max Drawdown', m => formatPercent(m.maxDrawdown)],
+  ['Sharpe Ratio', m => formatNumber(m.sharpeRatio)],
+  ['Sortino Ratio', m => formatNumber(m.sortinoRatio)],
+  ['Profit Factor', m => formatNumber(m.profitFactor)],
+  ['Average Win', m => formatNumber(m.averageWin)],
+  ['Average Loss', m => formatNumber(m.averageLoss)],
+  ['Exposure Time', m => formatPercent(m.exposure)],
+  ['CAGR', m => formatPercent(m.cagr)],
+  ['Round Trips', m => m.roundTrips],
+];
+
+function BacktestDetail({ result, onClose }) {
+  const [state, setState] = useState({ loading: true, error: null, candles: [], trades: [] });
+
+  useEffect(() => {
+    let cancelled = false;
+    setState({ loading: true, error: null, candles: [], trades: [] });
+    loadBacktestData(result)
+      .then(data => { if (!cancelled) setState({ loading: false, error: null, ...data }); })
+      .catch(error => {
+        console.error('Error loading backtest details:', error);
+        if (!cancelled) setState({ loading: false, error: describeApiError(error), candles: [], trades: [] });
+      });
+    return () => { cancelled = true; };
+  }, [result]);
+
+  const { candles, trades } = state;
+  const equityCurve = useMemo(() => buildEquityCurve(candles, trades, result.initialCapital), [candles, trades, result]);
+  const metrics = useMemo(() => computeMetrics(equityCurve, trades, result.initialCapital), [equityCurve, trades, result]);
+
+  const equitySeries = useMemo(() => [{
+    type: 'area',
+    data: equityCurve.map(({ time, value }) => ({ time, value })),
+    options: { lineColor: '#2962ff', topColor: 'rgba(41, 98, 255, 0.3)', bottomColor: 'rgba(41, 98, 255, 0)', title: 'Equity' },
+  }], [equityCurve]);
+
+  const drawdownSeries = useMemo(() => [{
+    type: 'area',
+    data: buildDrawdownCurve(equityCurve),
+    options: { lineColor: DOWN_COLOR, topColor: 'rgba(214, 56, 80, 0)', bottomColor: 'rgba(214, 56, 80, 0.4)', invertFilledArea: true, title: 'Drawdown %' },
+  }], [equityCurve]);
+
+  const priceSeries = useMemo(() => {
+    const tradeMarkers = buildMarkers({
+      candles,
+      signals: [],
+      trades: trades.map((trade, index) => ({ ...trade, id: trade.id ?? index, symbol: result.symbol })),
+      symbol: result.symbol,
+      showTrades: true,
+    });
+    return [{ type: 'candlestick', data: candles, markers: tradeMarkers.map(({ details, ...marker }) => marker) }];
+  }, [candles, trades, result]);
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0 }}>
+          {result.strategyName} · {result.symbol} · {result.startDate} → {result.endDate}
+        </h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+      {state.loading && <p>Loading backtest details…</p>}
+      {state.error && <p style={{ color: DOWN_COLOR }}>Could not load backtest details: {state.error}</p>}
+      {!state.loading && !state.error && (
+        <>
+          <table style={{ width: 'auto' }}>
+            <tbody>
+              {METRIC_ROWS.map(([label, format]) => (
+                <tr key={label}>
+                  <th>{label}</th>
+                  <td>{format(metrics)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <h4>Equity Curve</h4>
+          <SeriesChart series={equitySeries} height={220} />
+          <h4>Drawdown</h4>
+          <SeriesChart series={drawdownSeries} height={150} />
+          <h4>Trades</h4>
+          {candles.length === 0 ? (
+            <p>No price data for this period.</p>
+          ) : (
+            <SeriesChart series={priceSeries} height={300} />
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BacktestDetail;
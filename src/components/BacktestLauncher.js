@@ -0,0 +1,230 @@
+import React, { useEffect, useState, useSyncExternalStore } from 'react';
+import { DATE_PRESETS, presetRange } from '../utils/dateRanges';
+import { parseParameters } from '../utils/strategies';
+import { DEFAULT_EXECUTION, ENGINE_STRATEGIES } from '../utils/backtestEngine';
+import { enqueueBacktest, getBacktestRuns, onBacktestRunsChange } from '../services/backtestQueue';
+
+const DEFAULT_INITIAL_CAPITAL = 10000;
+const DEFAULT_PRESET = '3M';
+
+const STATUS_COLORS = {
+  pending: '#666',
+  running: '#d89614',
+  finished: 'rgba(39, 157, 130, 1)',
+  failed: 'rgba(214, 56, 80, 1)',
+};
+
+// Overrides are typed as text; numbers go to the backend as numbers.
+const coerce = value => (value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value);
+
+const SIZING_LABELS = {
+  percentOfEquity: '% of equity',
+  fixedQuantity: 'Shares',
+  fixedNotional: 'Notional ($)',
+};
+
+const BUILTIN_PREFIX = 'builtin:';
+
+// Backtest form over the run queue (see services/backtestQueue.js), so
+// several variants can be queued back to back. Runs go to the backend, or to
+// the in-browser engine for the strategies it implements; the engine's own
+// strategies can be run there without a config.
+function BacktestLauncher({ symbol, strategies }) {
+  const [engine, setEngine] = useState('server');
+  const [execution, setExecution] = useState(DEFAULT_EXECUTION);
+  const [strategyId, setStrategyId] = useState('');
+  const [runSymbol, setRunSymbol] = useState(symbol);
+  const [preset, setPreset] = useState(DEFAULT_PRESET);
+  const [range, setRange] = useState(() => presetRange(DEFAULT_PRESET));
+  const [initialCapital, setInitialCapital] = useState(String(DEFAULT_INITIAL_CAPITAL));
+  const [overrides, setOverrides] = useState({});
+  const [formError, setFormError] = useState(null);
+  const runs = useSyncExternalStore(onBacktestRunsChange, getBacktestRuns);
+
+  const resolveStrategy = (id) => {
+    if (id.startsWith(BUILTIN_PREFIX)) {
+      const strategyName = id.slice(BUILTIN_PREFIX.length);
+      return { strategyName, parameters: ENGINE_STRATEGIES[strategyName].defaults };
+    }
+    return strategies.find(s => String(s.id) === id);
+  };
+  const strategy = strategyId ? resolveStrategy(strategyId) : null;
+
+  useEffect(() => {
+    setRunSymbol(symbol);
+  }, [symbol]);
+
+  const handleEngineChange = (value) => {
+    setEngine(value);
+    if (value === 'server' && strategyId.startsWith(BUILTIN_PREFIX)) handleStrategyChange('');
+  };
+
+  const handleExecutionChange = (key, value) => {
+    setExecution(prev => ({ ...prev, [key]: key === 'sizing' ? value : Number(value) }));
+  };
+
+  const handleStrategyChange = (id) => {
+    setStrategyId(id);
+    const selected = id ? resolveStrategy(id) : null;
+    const params = selected ? parseParameters(selected.parameters) : {};
+    setOverrides(Object.fromEntries(Object.entries(params).map(([key, value]) => [key, String(value)])));
+    if (selected && selected.symbol) setRunSymbol(selected.symbol);
+  };
+
+  const handlePresetChange = (value) => {
+    setPreset(value);
+    if (value) setRange(presetRange(value));
+  };
+
+  const handleDateChange = (field, value) => {
+    setPreset('');
+    setRange(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const capital = Number(initialCapital);
+    if (!strategy) return setFormError('Choose a strategy.');
+    if (!runSymbol.trim()) return setFormError('Enter a symbol.');
+    if (!range.startDate || !range.endDate || range.startDate > range.endDate) {
+      return setFormError('Start date must be on or before end date.');
+    }
+    if (!Number.isFinite(capital) || capital <= 0) return setFormError('Initial capital must be a positive number.');
+    if (engine === 'browser') {
+      if (!ENGINE_STRATEGIES[strategy.strategyName]) {
+        return setFormError(`${strategy.strategyName} can only run on the server.`);
+      }
+      if (Object.values(execution).some(value => typeof value === 'number' && (!Number.isFinite(value) || value < 0))) {
+        return setFormError('Commission, slippage and sizing must be non-negative numbers.');
+      }
+    }
+    setFormError(null);
+
+    const params = Object.fromEntries(Object.entries(overrides).map(([key, value]) => [key, coerce(value)]));
+    enqueueBacktest({
+      engine,
+      execution,
+      strategyName: strategy.strategyName,
+      symbol: runSymbol.trim().toUpperCase(),
+      startDate: range.startDate,
+      endDate: range.endDate,
+      initialCapital: capital,
+      params,
+    });
+  };
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '10px' }}>
+      <form onSubmit={handleSubmit}>
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '10px', marginBottom: '10px' }}>
+          <select value={engine} onChange={(e) => handleEngineChange(e.target.value)} style={{ padding: '8px' }}>
+            <option value="server">Run on server</option>
+            <option value="browser">Run in browser</option>
+          </select>
+          <select value={strategyId} onChange={(e) => handleStrategyChange(e.target.value)} style={{ padding: '8px' }}>
+            <option value="">Select strategy…</option>
+            <optgroup label="Configured strategies">
+              {strategies.map(s => (
+                <option key={s.id} value={s.id}>{s.strategyName} ({s.symbol})</option>
+              ))}
+            </optgroup>
+            {engine === 'browser' && (
+              <optgroup label="Built-in (browser)">
+                {Object.keys(ENGINE_STRATEGIES).map(name => (
+                  <option key={name} value={`${BUILTIN_PREFIX}${name}`}>{name}</option>
+                ))}
+              </optgroup>
+            )}
+          </select>
+          <input
+            type="text"
+            value={runSymbol}
+            onChange={(e) => setRunSymbol(e.target.value.toUpperCase())}
+            placeholder="Symbol"
+            style={{ padding: '8px' }}
+          />
+          <input
+            type="number"
+            min="0"
+            step="any"
+            value={initialCapital}
+            onChange={(e) => setInitialCapital(e.target.value)}
+            placeholder="Initial capital"
+            style={{ padding: '8px' }}
+          />
+        </div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '10px' }}>
+          {DATE_PRESETS.map(p => (
+            <button
+              key={p}
+              type="button"
+              onClick={() => handlePresetChange(p)}
+              style={{ padding: '4px 10px', fontWeight: preset === p ? 'bold' : 'normal' }}
+            >
+              {p}
+            </button>
+          ))}
+          <input type="date" value={range.startDate} onChange={(e) => handleDateChange('startDate', e.target.value)} />
+          <span>to</span>
+          <input type="date" value={range.endDate} onChange={(e) => handleDateChange('endDate', e.target.value)} />
+        </div>
+        {Object.keys(overrides).length > 0 && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '10px' }}>
+            {Object.entries(overrides).map(([key, value]) => (
+              <label key={key}>
+                {key}{' '}
+                <input
+                  type="text"
+                  value={value}
+                  onChange={(e) => setOverrides(prev => ({ ...prev, [key]: e.target.value }))}
+                  style={{ width: '80px', padding: '4px' }}
+                />
+              </label>
+            ))}
+          </div>
+        )}
+        {engine === 'browser' && (
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', marginBottom: '10px' }}>
+            <label>
+              Commission/trade ($){' '}
+              <input type="number" min="0" step="any" value={execution.commissionPerTrade} onChange={(e) => handleExecutionChange('commissionPerTrade', e.target.value)} style={{ width: '70px', padding: '4px' }} />
+            </label>
+            <label>
+              Commission rate{' '}
+              <input type="number" min="0" step="any" value={execution.commissionRate} onChange={(e) => handleExecutionChange('commissionRate', e.target.value)} style={{ width: '70px', padding: '4px' }} />
+            </label>
+            <label>
+              Slippage (bps){' '}
+              <input type="number" min="0" step="any" value={execution.slippageBps} onChange={(e) => handleExecutionChange('slippageBps', e.target.value)} style={{ width: '70px', padding: '4px' }} />
+            </label>
+            <label>
+              Size{' '}
+              <select value={execution.sizing} onChange={(e) => handleExecutionChange('sizing', e.target.value)} style={{ padding: '4px' }}>
+                {Object.entries(SIZING_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>{' '}
+              <input type="number" min="0" step="any" value={execution.sizingValue} onChange={(e) => handleExecutionChange('sizingValue', e.target.value)} style={{ width: '80px', padding: '4px' }} />
+            </label>
+          </div>
+        )}
+        <button type="submit" style={{ padding: '8px 15px' }}>
+          Run Backtest
+        </button>
+        {formError && <span style={{ color: STATUS_COLORS.failed, marginLeft: '10px' }}>{formError}</span>}
+      </form>
+
+      {runs.length > 0 && (
+        <ul style={{ marginTop: '10px', marginBottom: 0 }}>
+          {runs.map(run => (
+            <li key={run.id}>
+              <span style={{ color: STATUS_COLORS[run.status], fontWeight: 'bold', marginRight: '5px' }}>{run.status}</span>
+              {run.strategyName} {run.symbol} {run.startDate} → {run.endDate} ({run.initialCapital}{run.engine === 'browser' ? ', browser' : ''})
+              {run.error && <span style={{ color: STATUS_COLORS.failed }}>: {run.error}</span>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default BacktestLauncher;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { useConnectionState } from '../hooks/useSocket';
+import { CONNECTION_STATUS } from '../services/stompConnection';
+
+const BADGE_STYLES = {
+  [CONNECTION_STATUS.CONNECTED]: { label: 'Connected', color: 'rgba(39, 157, 130, 1)' },
+  [CONNECTION_STATUS.CONNECTING]: { label: 'Connecting', color: '#d89614' },
+  [CONNECTION_STATUS.RECONNECTING]: { label: 'Reconnecting', color: '#d89614' },
+  [CONNECTION_STATUS.OFFLINE]: { label: 'Offline', color: 'rgba(214, 56, 80, 1)' },
+};
+
+function ConnectionStatusBadge() {
+  const { status, lastMessageAt } = useConnectionState();
+  const { label, color } = BADGE_STYLES[status];
+
+  return (
+    <span
+      data-testid="connection-status"
+      style={{ display: 'inline-flex', alignItems: 'center', gap: '6px', fontSize: '14px', padding: '4px 10px', border: `1px solid ${color}`, borderRadius: '12px', color }}
+    >
+      <span style={{ width: '8px', height: '8px', borderRadius: '50%', backgroundColor: color }}></span>
+      {label}
+      <span style={{ color: '#666' }}>
+        {lastMessageAt ? `· last message ${new Date(lastMessageAt).toLocaleTimeString()}` : '· no messages yet'}
+      </span>
+    </span>
+  );
+}
+
+export default ConnectionStatusBadge;
@@ -0,0 +1,225 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { usePersistentState } from '../hooks/usePersistentState';
+import { getCurrentUserId } from '../services/session';
+import { EMPTY_QUERY, applyQuery, columnValue, isFilterActive, nextSort, selectOptions, visibleRange } from '../utils/grid';
+
+const DEFAULT_WIDTH = 120;
+const filterInputStyle = { width: '100%', boxSizing: 'border-box', padding: '2px', fontSize: '12px' };
+
+const cellStyle = width => ({
+  flex: `0 0 ${width || DEFAULT_WIDTH}px`,
+  padding: '0 6px',
+  boxSizing: 'border-box',
+  overflow: 'hidden',
+  textOverflow: 'ellipsis',
+  whiteSpace: 'nowrap',
+});
+
+const PICKER_STYLE = {
+  position: 'absolute',
+  right: 0,
+  zIndex: 2,
+  backgroundColor: 'white',
+  border: '1px solid #ccc',
+  padding: '6px 10px',
+  boxShadow: '0 1px 4px rgba(0, 0, 0, 0.2)',
+  whiteSpace: 'nowrap',
+};
+
+function ColumnFilter({ column, rows, value, onChange }) {
+  switch (column.filter) {
+    case 'text':
+      return <input type="text" value={value || ''} onChange={(e) => onChange(e.target.value)} placeholder="Filter" style={filterInputStyle} />;
+    case 'select': {
+      // On a server page the chosen value may not be among the rows shown.
+      const options = selectOptions(rows, column);
+      if (value && !options.includes(value)) options.push(value);
+      return (
+        <select value={value || ''} onChange={(e) => onChange(e.target.value)} style={filterInputStyle}>
+          <option value="">All</option>
+          {options.map(option => <option key={option} value={option}>{option}</option>)}
+        </select>
+      );
+    }
+    case 'dateRange': {
+      const range = value || { from: '', to: '' };
+      return (
+        <>
+          <input type="date" value={range.from} onChange={(e) => onChange({ ...range, from: e.target.value })} title="From" style={filterInputStyle} />
+          <input type="date" value={range.to} onChange={(e) => onChange({ ...range, to: e.target.value })} title="To" style={filterInputStyle} />
+        </>
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+function ColumnPicker({ columns, hidden, onToggle }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <span style={{ position: 'relative' }}>
+      <button onClick={() => setOpen(!open)}>Columns</button>
+      {open && (
+        <div style={PICKER_STYLE}>
+          {columns.filter(column => column.hideable !== false).map(column => (
+            <label key={column.key} style={{ display: 'block' }}>
+              <input type="checkbox" checked={!hidden.includes(column.key)} onChange={() => onToggle(column.key)} />{' '}
+              {column.label}
+            </label>
+          ))}
+        </div>
+      )}
+    </span>
+  );
+}
+
+// Sortable, filterable table that only renders the rows scrolled into view.
+// Without `server` the grid sorts and filters `rows` itself; with
+// `server={{ total, pageSize }}` the rows are one page the caller fetched for
+// the query it gets through `onQueryChange`. Hidden columns are remembered
+// per user under `id`. `toolbar(rows)` renders next to the column controls
+// and gets the rows as shown.
+function DataGrid({
+  id,
+  columns,
+  rows,
+  rowKey,
+  server = null,
+  onQueryChange,
+  onRowClick,
+  rowStyle,
+  toolbar,
+  height = 240,
+  rowHeight = 28,
+  emptyMessage = 'No rows yet.',
+  noMatchMessage = 'No rows match the filters.',
+}) {
+  const [hidden, setHidden] = usePersistentState(`grid-columns:${id}:${getCurrentUserId()}`, []);
+  const [query, setQueryState] = useState(EMPTY_QUERY);
+  const [scrollTop, setScrollTop] = useState(0);
+  const bodyRef = useRef();
+
+  const viewRows = useMemo(() => (server ? rows : applyQuery(rows, columns, query)), [server, rows, columns, query]);
+  const visibleColumns = columns.filter(column => !hidden.includes(column.key));
+  const totalWidth = visibleColumns.reduce((sum, column) => sum + (column.width || DEFAULT_WIDTH), 0);
+  const hasFilters = visibleColumns.some(column => column.filter);
+  const isFiltered = columns.some(column => column.filter && isFilterActive(column, query.filters[column.key]));
+
+  const setQuery = (next) => {
+    setQueryState(next);
+    if (bodyRef.current) bodyRef.current.scrollTop = 0;
+    setScrollTop(0);
+    if (onQueryChange) onQueryChange(next);
+  };
+
+  const setFilter = (key, value) => setQuery({ ...query, filters: { ...query.filters, [key]: value }, page: 0 });
+
+  // A hidden column stops filtering and sorting the rows.
+  const toggleColumn = (key) => {
+    if (hidden.includes(key)) {
+      setHidden(hidden.filter(k => k !== key));
+      return;
+    }
+    setHidden([...hidden, key]);
+    const { [key]: dropped, ...filters } = query.filters;
+    if (dropped || (query.sort && query.sort.key === key)) {
+      setQuery({ ...query, filters, sort: query.sort && query.sort.key === key ? null : query.sort, page: 0 });
+    }
+  };
+
+  const viewportHeight = Math.min(height, viewRows.length * rowHeight);
+  const { start, end } = visibleRange({ scrollTop, viewportHeight, rowHeight, count: viewRows.length });
+  const pageCount = server ? Math.max(1, Math.ceil(server.total / server.pageSize)) : 1;
+
+  let countLabel = viewRows.length === rows.length ? `${rows.length} rows` : `${viewRows.length} of ${rows.length} rows`;
+  if (server) countLabel = `${server.total} rows`;
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '5px' }}>
+        <span style={{ color: '#666' }}>{countLabel}</span>
+        {isFiltered && <button onClick={() => setQuery({ ...query, filters: {}, page: 0 })}>Clear filters</button>}
+        <span style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '10px' }}>
+          {toolbar && toolbar(viewRows)}
+          <ColumnPicker columns={columns} hidden={hidden} onToggle={toggleColumn} />
+        </span>
+      </div>
+      <div style={{ border: '1px solid #ccc', overflowX: 'auto' }}>
+        <div style={{ minWidth: totalWidth }}>
+          <div style={{ display: 'flex', fontWeight: 'bold', borderBottom: '1px solid #ccc', backgroundColor: '#f5f5f5', padding: '4px 0' }}>
+            {visibleColumns.map(column => {
+              const sortable = column.sortable !== false;
+              const sorted = query.sort && query.sort.key === column.key ? query.sort.direction : null;
+              return (
+                <div
+                  key={column.key}
+                  onClick={sortable ? () => setQuery({ ...query, sort: nextSort(query.sort, column.key), page: 0 }) : undefined}
+                  style={{ ...cellStyle(column.width), cursor: sortable ? 'pointer' : undefined, userSelect: 'none' }}
+                  title={sortable ? 'Sort' : undefined}
+                >
+                  {column.label}
+                  {sorted === 'asc' && ' ▲'}
+                  {sorted === 'desc' && ' ▼'}
+                </div>
+              );
+            })}
+          </div>
+          {hasFilters && (
+            <div style={{ display: 'flex', borderBottom: '1px solid #ccc', padding: '4px 0' }}>
+              {visibleColumns.map(column => (
+                <div key={column.key} style={{ ...cellStyle(column.width), overflow: 'visible' }}>
+                  <ColumnFilter column={column} rows={rows} value={query.filters[column.key]} onChange={value => setFilter(column.key, value)} />
+                </div>
+              ))}
+            </div>
+          )}
+          {viewRows.length === 0 ? (
+            <p style={{ padding: '0 6px' }}>{rows.length === 0 && !isFiltered ? emptyMessage : noMatchMessage}</p>
+          ) : (
+            <div ref={bodyRef} onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)} style={{ height: viewportHeight, overflowY: 'auto' }}>
+              <div style={{ position: 'relative', height: viewRows.length * rowHeight }}>
+                {viewRows.slice(start, end).map((row, offset) => (
+                  <div
+                    key={rowKey(row)}
+                    onClick={onRowClick ? () => onRowClick(row) : undefined}
+                    style={{
+                      position: 'absolute',
+                      top: (start + offset) * rowHeight,
+                      left: 0,
+                      right: 0,
+                      height: rowHeight,
+                      display: 'flex',
+                      alignItems: 'center',
+                      borderBottom: '1px solid #eee',
+                      cursor: onRowClick ? 'pointer' : undefined,
+                      ...(rowStyle ? rowStyle(row) : null),
+                    }}
+                  >
+                    {visibleColumns.map(column => {
+                      const value = columnValue(column, row);
+                      return (
+                        <div key={column.key} style={cellStyle(column.width)} title={typeof value === 'string' ? value : undefined}>
+                          {column.render ? column.render(row) : value}
+                        </div>
+                      );
+                    })}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+      {server && pageCount > 1 && (
+        <div style={{ marginTop: '5px' }}>
+          <button onClick={() => setQuery({ ...query, page: query.page - 1 })} disabled={query.page === 0}>Previous</button>
+          <span style={{ margin: '0 10px' }}>Page {query.page + 1} of {pageCount}</span>
+          <button onClick={() => setQuery({ ...query, page: query.page + 1 })} disabled={query.page + 1 >= pageCount}>Next</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataGrid;
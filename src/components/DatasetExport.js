@@ -0,0 +1,22 @@
+import React from 'react';
+import { exportFilename, serializeDataset } from '../utils/dataExport';
+import { downloadFile } from '../utils/download';
+
+const MIME_TYPES = { csv: 'text/csv', json: 'application/json' };
+
+// CSV/JSON export of a panel's rows as shown (filtered and sorted).
+function DatasetExport({ dataset, rows }) {
+  const handleExport = (format) => {
+    downloadFile(exportFilename(dataset, format), serializeDataset(dataset, rows, format), MIME_TYPES[format]);
+  };
+
+  return (
+    <span>
+      Export{' '}
+      <button onClick={() => handleExport('csv')} disabled={rows.length === 0}>CSV</button>{' '}
+      <button onClick={() => handleExport('json')} disabled={rows.length === 0}>JSON</button>
+    </span>
+  );
+}
+
+export default DatasetExport;
@@ -0,0 +1,259 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DRAWING_TOOLS, createDrawing, logicalToTime, timeToLogical } from '../utils/drawings';
+import { formatNumber } from '../utils/format';
+
+const HANDLE_SIZE = 6;
+const HIT_WIDTH = 10;
+const ZONE_FILL = 'rgba(41, 98, 255, 0.12)';
+
+const isEditable = target => ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+
+// SVG over the price chart that draws `drawings` and places new ones with
+// `tool`. Points convert through the chart's logical bar index, so shapes
+// follow the chart as it scrolls, zooms and receives candles. A selected
+// drawing can be dragged, or deleted with Delete / Backspace.
+function DrawingLayer({ chart, series, candles, drawings, onChange, tool, onToolDone, selectedId, onSelect, alertIds }) {
+  const svgRef = useRef();
+  const [, setFrame] = useState(0);
+  const [pending, setPending] = useState(null); // first point of a two-point drawing
+  const [pointer, setPointer] = useState(null); // { x, y } while placing
+  const [drag, setDrag] = useState(null); // { id, startX, startY, dx, dy }
+
+  // Window listeners read the latest props and helpers through this ref, so
+  // they are only re-added when a drag, selection or tool changes.
+  const latestRef = useRef();
+
+  // Price-scale drags have no event of their own; the crosshair moves with
+  // the pointer during them.
+  useEffect(() => {
+    const redraw = () => setFrame(frame => frame + 1);
+    const timeScale = chart.timeScale();
+    timeScale.subscribeVisibleLogicalRangeChange(redraw);
+    timeScale.subscribeSizeChange(redraw);
+    chart.subscribeCrosshairMove(redraw);
+    return () => {
+      timeScale.unsubscribeVisibleLogicalRangeChange(redraw);
+      timeScale.unsubscribeSizeChange(redraw);
+      chart.unsubscribeCrosshairMove(redraw);
+    };
+  }, [chart]);
+
+  useEffect(() => {
+    setPending(null);
+    setPointer(null);
+  }, [tool]);
+
+  const xOf = (time) => {
+    const logical = timeToLogical(candles, time);
+    return logical === null ? null : chart.timeScale().logicalToCoordinate(logical);
+  };
+
+  const toPixel = ({ time, price }) => {
+    const x = xOf(time);
+    const y = series.priceToCoordinate(price);
+    return x === null || y === null ? null : { x, y };
+  };
+
+  const fromPixel = ({ x, y }) => {
+    const logical = chart.timeScale().coordinateToLogical(x);
+    const price = series.coordinateToPrice(y);
+    if (logical === null || price === null || candles.length === 0) return null;
+    return { time: logicalToTime(candles, logical), price };
+  };
+
+  const shiftPoint = (point, dx, dy) => {
+    const y = series.priceToCoordinate(point.price);
+    const price = y === null ? null : series.coordinateToPrice(y + dy);
+    const x = dx === 0 ? null : xOf(point.time);
+    const logical = x === null ? null : chart.timeScale().coordinateToLogical(x + dx);
+    return {
+      time: logical === null ? point.time : logicalToTime(candles, logical),
+      price: price === null ? point.price : price,
+    };
+  };
+
+  const shifted = (drawing, dx, dy) => ({ ...drawing, points: drawing.points.map(p => shiftPoint(p, dx, dy)) });
+
+  const positionOf = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  latestRef.current = { drawings, onChange, onSelect, onToolDone, drag, positionOf, shifted };
+
+  // --- Placing ---
+  const handlePlaceClick = (event) => {
+    const point = fromPixel(positionOf(event));
+    if (!point) return;
+    if (DRAWING_TOOLS[tool].points === 2 && !pending) {
+      setPending(point);
+      return;
+    }
+    let text = '';
+    if (tool === 'text') {
+      text = window.prompt('Note text');
+      if (!text) return;
+    }
+    const drawing = createDrawing(tool, pending ? [pending, point] : [point], { text });
+    setPending(null);
+    onChange([...drawings, drawing]);
+    onSelect(drawing.id);
+    onToolDone();
+  };
+
+  // --- Moving ---
+  const startDrag = (event, drawing) => {
+    if (tool || event.button !== 0) return;
+    event.preventDefault();
+    event.stopPropagation();
+    onSelect(drawing.id);
+    const { x, y } = positionOf(event);
+    setDrag({ id: drawing.id, startX: x, startY: y, dx: 0, dy: 0 });
+  };
+
+  const dragId = drag && drag.id;
+  useEffect(() => {
+    if (!dragId) return undefined;
+    const handleMove = (event) => {
+      const { x, y } = latestRef.current.positionOf(event);
+      setDrag(current => ({ ...current, dx: x - current.startX, dy: y - current.startY }));
+    };
+    const handleUp = () => {
+      const { drawings: current, onChange: change, drag: finished, shifted: shift } = latestRef.current;
+      setDrag(null);
+      if (!finished || (finished.dx === 0 && finished.dy === 0)) return;
+      change(current.map(d => (d.id === finished.id ? shift(d, finished.dx, finished.dy) : d)));
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [dragId]);
+
+  // --- Keyboard and deselection ---
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isEditable(event.target)) return;
+      if (event.key === 'Escape') {
+        if (tool) latestRef.current.onToolDone();
+        else latestRef.current.onSelect(null);
+      } else if ((event.key === 'Delete' || event.key === 'Backspace') && selectedId) {
+        event.preventDefault();
+        latestRef.current.onChange(latestRef.current.drawings.filter(d => d.id !== selectedId));
+        latestRef.current.onSelect(null);
+      }
+    };
+    const handleMouseDown = (event) => {
+      if (selectedId && !event.target.closest('[data-drawing], [data-drawing-toolbar]')) latestRef.current.onSelect(null);
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('mousedown', handleMouseDown);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('mousedown', handleMouseDown);
+    };
+  }, [selectedId, tool]);
+
+  // --- Rendering ---
+  const width = chart.timeScale().width();
+
+  const handles = points => points.map((p, index) => (
+    <rect key={index} x={p.x - HANDLE_SIZE / 2} y={p.y - HANDLE_SIZE / 2} width={HANDLE_SIZE} height={HANDLE_SIZE} fill="white" stroke="#333" pointerEvents="none" />
+  ));
+
+  const renderShape = (drawing, { selected = false, preview = false } = {}) => {
+    const stroke = drawing.color;
+    const strokeWidth = selected ? 2 : 1;
+    const dash = preview ? '4 4' : undefined;
+    const props = preview ? { pointerEvents: 'none' } : {
+      'data-drawing': drawing.id,
+      onMouseDown: event => startDrag(event, drawing),
+      style: { cursor: tool ? undefined : 'move' },
+    };
+
+    if (drawing.tool === 'hline') {
+      const y = series.priceToCoordinate(drawing.points[0].price);
+      if (y === null) return null;
+      const alerting = alertIds.has(drawing.id);
+      return (
+        <g key={drawing.id} {...props}>
+          <line x1={0} x2={width} y1={y} y2={y} stroke="transparent" strokeWidth={HIT_WIDTH} pointerEvents={preview ? 'none' : 'stroke'} />
+          <line x1={0} x2={width} y1={y} y2={y} stroke={stroke} strokeWidth={strokeWidth} strokeDasharray={alerting ? '6 4' : dash} pointerEvents="none" />
+          <text x={width - 4} y={y - 4} textAnchor="end" fill={stroke} fontSize="11" pointerEvents="none">
+            {formatNumber(drawing.points[0].price)}{alerting ? ' (alert)' : ''}
+          </text>
+        </g>
+      );
+    }
+
+    const points = drawing.points.map(toPixel);
+    if (points.some(p => p === null)) return null;
+
+    if (drawing.tool === 'text') {
+      const [p] = points;
+      return (
+        <g key={drawing.id} {...props}>
+          <text x={p.x} y={p.y} fill={stroke} fontSize="13" fontWeight={selected ? 'bold' : 'normal'} pointerEvents={preview ? 'none' : 'all'}>
+            {drawing.text}
+          </text>
+          {selected && handles(points)}
+        </g>
+      );
+    }
+
+    const [a, b] = points;
+    if (drawing.tool === 'rectangle') {
+      return (
+        <g key={drawing.id} {...props}>
+          <rect
+            x={Math.min(a.x, b.x)}
+            y={Math.min(a.y, b.y)}
+            width={Math.abs(b.x - a.x)}
+            height={Math.abs(b.y - a.y)}
+            fill={ZONE_FILL}
+            stroke={stroke}
+            strokeWidth={strokeWidth}
+            strokeDasharray={dash}
+            pointerEvents={preview ? 'none' : 'all'}
+          />
+          {selected && handles(points)}
+        </g>
+      );
+    }
+
+    return (
+      <g key={drawing.id} {...props}>
+        <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke="transparent" strokeWidth={HIT_WIDTH} pointerEvents={preview ? 'none' : 'stroke'} />
+        <line x1={a.x} y1={a.y} x2={b.x} y2={b.y} stroke={stroke} strokeWidth={strokeWidth} strokeDasharray={dash} pointerEvents="none" />
+        {selected && handles(points)}
+      </g>
+    );
+  };
+
+  let preview = null;
+  if (tool && pending && pointer) {
+    const end = fromPixel(pointer);
+    if (end) preview = renderShape(createDrawing(tool, [pending, end]), { preview: true });
+  }
+
+  return (
+    <svg
+      ref={svgRef}
+      width={width}
+      height="100%"
+      onClick={tool ? handlePlaceClick : undefined}
+      onMouseMove={tool ? event => setPointer(positionOf(event)) : undefined}
+      style={{ position: 'absolute', top: 0, left: 0, zIndex: 2, pointerEvents: tool ? 'all' : 'none', cursor: tool ? 'crosshair' : undefined }}
+    >
+      {drawings.map(drawing => renderShape(
+        drag && drag.id === drawing.id ? shifted(drawing, drag.dx, drag.dy) : drawing,
+        { selected: drawing.id === selectedId },
+      ))}
+      {preview}
+    </svg>
+  );
+}
+
+export default DrawingLayer;
@@ -0,0 +1,37 @@
+import React from 'react';
+import { DRAWING_TOOLS } from '../utils/drawings';
+
+const activeStyle = active => ({ marginRight: '5px', fontWeight: active ? 'bold' : 'normal', backgroundColor: active ? '#e3ecff' : undefined });
+
+// Tool picker for the chart's drawings, plus actions on the selected one.
+// Clicks in here do not deselect the drawing (see DrawingLayer).
+function DrawingToolbar({ tool, onToolChange, selected, hasAlert, onDelete, onToggleAlert, onEditText, onClear, count }) {
+  return (
+    <div data-drawing-toolbar style={{ marginBottom: '10px' }}>
+      Draw:{' '}
+      {Object.entries(DRAWING_TOOLS).map(([key, { label }]) => (
+        <button key={key} onClick={() => onToolChange(tool === key ? null : key)} style={activeStyle(tool === key)}>
+          {label}
+        </button>
+      ))}
+      {tool && <span style={{ color: '#666', marginRight: '10px' }}>Click the chart to place it (Esc cancels).</span>}
+      {selected && (
+        <span style={{ marginLeft: '10px' }}>
+          {selected.tool === 'hline' && (
+            <label style={{ marginRight: '10px' }}>
+              <input type="checkbox" checked={hasAlert} onChange={onToggleAlert} style={{ marginRight: '5px' }} />
+              Price alert
+            </label>
+          )}
+          {selected.tool === 'text' && <button onClick={onEditText} style={{ marginRight: '5px' }}>Edit text</button>}
+          <button onClick={onDelete} style={{ marginRight: '5px' }}>Delete drawing</button>
+        </span>
+      )}
+      {count > 0 && (
+        <button onClick={onClear} style={{ marginLeft: '10px' }}>Clear all ({count})</button>
+      )}
+    </div>
+  );
+}
+
+export default DrawingToolbar;
@@ -0,0 +1,64 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import SeriesChart from './SeriesChart';
+import { loadBacktestData } from '../services/backtestData';
+import { describeApiError } from '../services/api';
+import { buildEquityCurve } from '../utils/backtestMetrics';
+
+const PALETTE = ['#2962ff', '#ef6c00', '#2e7d32', '#8e24aa', '#c62828', '#00838f', '#6d4c41'];
+
+const describe = result => `#${result.id} ${result.strategyName} ${result.symbol} ${result.startDate} → ${result.endDate}`;
+
+// Overlays the equity curves of several backtest results as % return, so runs
+// with different starting capital line up.
+function EquityComparison({ results, onClose }) {
+  const [curves, setCurves] = useState({});
+  const [errors, setErrors] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    results.forEach(result => {
+      loadBacktestData(result)
+        .then(({ candles, trades }) => {
+          if (cancelled) return;
+          const equity = buildEquityCurve(candles, trades, result.initialCapital);
+          setCurves(prev => ({
+            ...prev,
+            [result.id]: equity.map(({ time, value }) => ({ time, value: (value / result.initialCapital - 1) * 100 })),
+          }));
+        })
+        .catch(error => {
+          console.error('Error loading backtest for comparison:', error);
+          if (!cancelled) setErrors(prev => ({ ...prev, [result.id]: describeApiError(error) }));
+        });
+    });
+    return () => { cancelled = true; };
+  }, [results]);
+
+  const series = useMemo(() => results
+    .filter(result => curves[result.id])
+    .map(result => ({
+      type: 'line',
+      data: curves[result.id],
+      options: { color: PALETTE[results.indexOf(result) % PALETTE.length], lineWidth: 2, title: `#${result.id}` },
+    })), [results, curves]);
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <h3 style={{ margin: 0 }}>Equity Comparison (% return)</h3>
+        <button onClick={onClose}>Close</button>
+      </div>
+      <ul>
+        {results.map((result, index) => (
+          <li key={result.id} style={{ color: PALETTE[index % PALETTE.length] }}>
+            {describe(result)}
+            {errors[result.id] && <span style={{ color: 'red' }}> (failed to load: {errors[result.id]})</span>}
+          </li>
+        ))}
+      </ul>
+      <SeriesChart series={series} height={300} />
+    </div>
+  );
+}
+
+export default EquityComparison;
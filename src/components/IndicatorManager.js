@@ -0,0 +1,100 @@
+import React, { useState } from 'react';
+import { INDICATOR_TYPES, createIndicator } from '../utils/indicatorCatalog';
+
+const GROUPS = [
+  { placement: 'overlay', label: 'Overlays' },
+  { placement: 'oscillator', label: 'Oscillators' },
+];
+
+// <input type="color"> only accepts #rrggbb; named colours from the defaults
+// are resolved through a canvas.
+const toHexColor = (color) => {
+  if (/^#[0-9a-f]{6}$/i.test(color)) return color;
+  const context = document.createElement('canvas').getContext('2d');
+  if (!context) return '#000000';
+  context.fillStyle = color;
+  return context.fillStyle;
+};
+
+// Inputs are uncontrolled so a half-typed number (an empty field, "0.") can be
+// edited freely; the layout only changes once the value is valid.
+function IndicatorSettings({ indicator, onChange, onRemove }) {
+  const definition = INDICATOR_TYPES[indicator.type];
+
+  const handleParamChange = (param, rawValue) => {
+    const value = Number(rawValue);
+    if (rawValue === '' || !Number.isFinite(value)) return;
+    if (param.min !== undefined && value < param.min) return;
+    if (param.max !== undefined && value > param.max) return;
+    onChange({ ...indicator, params: { ...indicator.params, [param.key]: value } });
+  };
+
+  const handleColorChange = (key, color) => {
+    onChange({ ...indicator, colors: { ...indicator.colors, [key]: color } });
+  };
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '8px', padding: '4px 0' }}>
+      <strong style={{ minWidth: '120px' }}>{definition.label}</strong>
+      {definition.params.map(param => (
+        <label key={param.key}>
+          {param.label}{' '}
+          <input
+            type="number"
+            defaultValue={indicator.params[param.key]}
+            min={param.min}
+            max={param.max}
+            step={param.step || 1}
+            onChange={(e) => handleParamChange(param, e.target.value)}
+            style={{ width: '60px' }}
+          />
+        </label>
+      ))}
+      {definition.outputs.map(output => (
+        <label key={output.key} title={`${output.label} colour`}>
+          {definition.outputs.length > 1 ? `${output.label} ` : ''}
+          <input
+            type="color"
+            value={toHexColor(indicator.colors[output.key])}
+            onChange={(e) => handleColorChange(output.key, e.target.value)}
+          />
+        </label>
+      ))}
+      <button onClick={() => onRemove(indicator.id)}>Remove</button>
+    </div>
+  );
+}
+
+function IndicatorManager({ indicators, onChange }) {
+  const [typeToAdd, setTypeToAdd] = useState('sma');
+
+  const handleAdd = () => onChange([...indicators, createIndicator(typeToAdd)]);
+  const handleUpdate = (updated) => onChange(indicators.map(i => (i.id === updated.id ? updated : i)));
+  const handleRemove = (id) => onChange(indicators.filter(i => i.id !== id));
+
+  return (
+    <div style={{ marginBottom: '10px', border: '1px solid #ccc', padding: '10px' }}>
+      <div style={{ marginBottom: '5px' }}>
+        <select value={typeToAdd} onChange={(e) => setTypeToAdd(e.target.value)} style={{ padding: '4px', marginRight: '10px' }}>
+          {GROUPS.map(group => (
+            <optgroup key={group.placement} label={group.label}>
+              {Object.entries(INDICATOR_TYPES)
+                .filter(([, definition]) => definition.placement === group.placement)
+                .map(([type, definition]) => <option key={type} value={type}>{definition.label}</option>)}
+            </optgroup>
+          ))}
+        </select>
+        <button onClick={handleAdd}>Add Indicator</button>
+      </div>
+      {indicators.length === 0 ? (
+        <p>No indicators on the chart.</p>
+      ) : (
+        indicators.map(indicator => (
+          <IndicatorSettings key={indicator.id} indicator={indicator} onChange={handleUpdate} onRemove={handleRemove} />
+        ))
+      )}
+    </div>
+  );
+}
+
+export default IndicatorManager;
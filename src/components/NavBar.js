@@ -0,0 +1,48 @@
+import React from 'react';
+import { hrefFor, navigate } from '../services/router';
+import { routePath } from '../utils/routes';
+
+// Plain clicks navigate in place; modified clicks are left to the browser so
+// a view can open in a new tab or window.
+function NavLink({ path, active, children }) {
+  const handleClick = (event) => {
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+    event.preventDefault();
+    navigate(path);
+  };
+  return (
+    <a
+      href={hrefFor(path)}
+      onClick={handleClick}
+      style={{
+        marginRight: '5px',
+        padding: '6px 12px',
+        textDecoration: 'none',
+        color: 'inherit',
+        fontWeight: active ? 'bold' : 'normal',
+        backgroundColor: active ? '#e3ecff' : undefined,
+      }}
+    >
+      {children}
+    </a>
+  );
+}
+
+// Links to the app's views. The symbol link reopens the current symbol and
+// timeframe.
+function NavBar({ route, symbol, timeframe }) {
+  return (
+    <nav>
+      <NavLink path="/" active={route.view === 'dashboard'}>Dashboard</NavLink>
+      {symbol && (
+        <NavLink path={routePath({ view: 'symbol', symbol, timeframe })} active={route.view === 'symbol'}>
+          {symbol}
+        </NavLink>
+      )}
+      <NavLink path="/backtests" active={route.view === 'backtests' || route.view === 'backtest'}>Backtests</NavLink>
+      <NavLink path="/strategies" active={route.view === 'strategies'}>Strategies</NavLink>
+    </nav>
+  );
+}
+
+export default NavBar;
@@ -0,0 +1,14 @@
+import React from 'react';
+
+// Inline error state for a panel whose data failed to load.
+function PanelError({ message, onRetry }) {
+  if (!message) return null;
+  return (
+    <div style={{ color: 'rgba(214, 56, 80, 1)', border: '1px solid rgba(214, 56, 80, 1)', padding: '8px', marginBottom: '10px' }}>
+      {message}
+      {onRetry && <button onClick={onRetry} style={{ marginLeft: '10px' }}>Retry</button>}
+    </div>
+  );
+}
+
+export default PanelError;
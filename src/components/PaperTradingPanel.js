@@ -0,0 +1,262 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useStompSubscription } from '../hooks/useSocket';
+import { usePersistentState } from '../hooks/usePersistentState';
+import { getCurrentUserId } from '../services/session';
+import { pushToast } from '../services/toasts';
+import { normalizeCandle } from '../utils/apiSchemas';
+import { formatNumber } from '../utils/format';
+import {
+  DEFAULT_RISK_LIMITS,
+  MAX_ORDER_HISTORY,
+  ORDER_SIDES,
+  ORDER_TYPES,
+  RISK_LIMIT_FIELDS,
+  checkOrderRisk,
+  createOrder,
+  defaultOrderValues,
+  describeOrder,
+  fillPrice,
+  toPaperTrade,
+  validateOrder,
+} from '../utils/paperTrading';
+
+const ERROR_COLOR = 'rgba(214, 56, 80, 1)';
+const inputStyle = { display: 'block', width: '100%', padding: '8px', boxSizing: 'border-box' };
+
+const FieldError = ({ message }) => (message
+  ? <div style={{ color: ERROR_COLOR, fontSize: '12px' }}>{message}</div>
+  : null);
+
+// Renders nothing; reports one symbol's stock-data candles.
+function OrderFeed({ symbol, onCandle }) {
+  useStompSubscription(`/topic/stock-data/${symbol}`, data => onCandle(symbol, data));
+  return null;
+}
+
+// Order ticket and working orders for manual paper trades. Orders pass the
+// user's risk limits before they are placed and fill against the live
+// stock-data feed of their symbol; fills go to `onFill` as simulated trades.
+// `ticketRequest` ({ symbol, price }) opens the ticket at a price picked on
+// the chart. Orders and limits are kept per user across reloads.
+function PaperTradingPanel({ symbol, lastPrice, trades, onFill, ticketRequest, paused }) {
+  const userId = getCurrentUserId();
+  const [orders, setOrders] = usePersistentState(`paper-orders:${userId}`, []);
+  const [limits, setLimits] = usePersistentState(`paper-risk-limits:${userId}`, DEFAULT_RISK_LIMITS);
+  const [ticket, setTicket] = useState(null); // order form values while the ticket is open
+  const [showErrors, setShowErrors] = useState(false);
+  const [rejections, setRejections] = useState([]);
+  const [showLimits, setShowLimits] = useState(false);
+
+  // Ticks can arrive faster than React re-renders; the refs hold the latest
+  // orders and fills so an order cannot fill twice.
+  const ordersRef = useRef(orders);
+  ordersRef.current = orders;
+  const tradesRef = useRef(trades);
+  tradesRef.current = trades;
+  const updateOrders = (update) => {
+    ordersRef.current = update(ordersRef.current);
+    setOrders(ordersRef.current);
+  };
+
+  const openTicket = (price = null) => {
+    setTicket(defaultOrderValues(symbol, price));
+    setShowErrors(false);
+    setRejections([]);
+  };
+
+  useEffect(() => {
+    if (!ticketRequest) return;
+    setTicket(defaultOrderValues(ticketRequest.symbol, ticketRequest.price));
+    setShowErrors(false);
+    setRejections([]);
+  }, [ticketRequest]);
+
+  const working = orders.filter(o => o.status === 'working');
+  const closed = orders.filter(o => o.status !== 'working').slice(-20).reverse();
+  const feedSymbols = paused ? [] : Array.from(new Set(working.map(o => o.symbol)));
+
+  // Older closed orders make room for new ones; working ones are never dropped.
+  const keepHistory = list => {
+    const closedIds = list.filter(o => o.status !== 'working').map(o => o.id);
+    if (closedIds.length <= MAX_ORDER_HISTORY) return list;
+    const dropped = new Set(closedIds.slice(0, closedIds.length - MAX_ORDER_HISTORY));
+    return list.filter(o => !dropped.has(o.id));
+  };
+
+  const handleCandle = (candleSymbol, data) => {
+    const candle = normalizeCandle(data);
+    if (!candle) return;
+    const now = Date.now();
+    const fills = [];
+    ordersRef.current.forEach(o => {
+      if (o.status !== 'working' || o.symbol !== candleSymbol) return;
+      const price = fillPrice(o, candle);
+      if (price !== null) fills.push({ order: o, price });
+    });
+    if (fills.length === 0) return;
+
+    const filled = new Map(fills.map(({ order, price }) => [order.id, price]));
+    updateOrders(prev => keepHistory(prev.map(o => (
+      filled.has(o.id) ? { ...o, status: 'filled', fillPrice: filled.get(o.id), closedAt: now } : o
+    ))));
+    fills.forEach(({ order, price }) => {
+      const trade = toPaperTrade(order, price, tradesRef.current, now);
+      tradesRef.current = [...tradesRef.current, trade];
+      onFill(trade);
+      pushToast({ title: 'Paper order filled', message: `${describeOrder(order)} at ${formatNumber(price)}` });
+    });
+  };
+
+  const errors = ticket ? validateOrder(ticket) : {};
+  const errorFor = field => (showErrors ? errors[field] : null);
+  const update = (field, value) => setTicket(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (Object.keys(errors).length > 0) {
+      setShowErrors(true);
+      return;
+    }
+    const order = createOrder(ticket);
+    const orderLastPrice = order.symbol === symbol ? lastPrice : undefined;
+    const risk = checkOrderRisk(order, { trades, workingOrders: working, limits, lastPrice: orderLastPrice });
+    if (risk.errors.length > 0) {
+      setRejections(risk.errors);
+      return;
+    }
+    if (risk.needsConfirmation && !window.confirm(`${describeOrder(order)} has a notional of ${formatNumber(risk.notional)}. Place it?`)) {
+      return;
+    }
+    updateOrders(prev => [...prev, order]);
+    setTicket(null);
+    setRejections([]);
+  };
+
+  const handleCancel = (id) => {
+    updateOrders(prev => keepHistory(prev.map(o => (
+      o.id === id && o.status === 'working' ? { ...o, status: 'cancelled', closedAt: Date.now() } : o
+    ))));
+  };
+
+  const handleLimitChange = (key, raw) => {
+    const value = raw === '' ? null : Number(raw);
+    if (value !== null && (!Number.isFinite(value) || value < 0)) return;
+    setLimits(prev => ({ ...prev, [key]: value }));
+  };
+
+  const priceField = ticket && ORDER_TYPES[ticket.type].priceField;
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '20px' }}>
+      {feedSymbols.map(s => <OrderFeed key={s} symbol={s} onCandle={handleCandle} />)}
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px' }}>
+        <button onClick={() => openTicket()} disabled={Boolean(ticket)}>New order</button>
+        <button onClick={() => setShowLimits(!showLimits)}>{showLimits ? 'Hide risk limits' : 'Risk limits'}</button>
+        <span style={{ color: '#666' }}>Double-click a price on the chart to open a ticket there.</span>
+        {paused && <span style={{ color: '#d89614' }}>Orders do not fill during a replay.</span>}
+      </div>
+
+      {showLimits && (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(4, 1fr)', gap: '10px', marginBottom: '10px' }}>
+          {RISK_LIMIT_FIELDS.map(field => (
+            <label key={field.key}>
+              {field.label}
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={limits[field.key] ?? ''}
+                onChange={(e) => handleLimitChange(field.key, e.target.value)}
+                placeholder="Off"
+                style={inputStyle}
+              />
+            </label>
+          ))}
+        </div>
+      )}
+
+      {ticket && (
+        <form onSubmit={handleSubmit} style={{ border: '1px solid #ddd', padding: '10px', marginBottom: '10px' }}>
+          <div style={{ display: 'grid', gridTemplateColumns: 'repeat(5, 1fr)', gap: '10px', marginBottom: '10px' }}>
+            <label>
+              Symbol
+              <input type="text" value={ticket.symbol} onChange={(e) => update('symbol', e.target.value.toUpperCase())} style={inputStyle} />
+              <FieldError message={errorFor('symbol')} />
+            </label>
+            <label>
+              Side
+              <select value={ticket.side} onChange={(e) => update('side', e.target.value)} style={inputStyle}>
+                {ORDER_SIDES.map(side => <option key={side} value={side}>{side}</option>)}
+              </select>
+            </label>
+            <label>
+              Type
+              <select value={ticket.type} onChange={(e) => update('type', e.target.value)} style={inputStyle}>
+                {Object.entries(ORDER_TYPES).map(([key, t]) => <option key={key} value={key}>{t.label}</option>)}
+              </select>
+            </label>
+            <label>
+              Quantity
+              <input type="number" min="0" step="any" value={ticket.quantity} onChange={(e) => update('quantity', e.target.value)} style={inputStyle} />
+              <FieldError message={errorFor('quantity')} />
+            </label>
+            {priceField && (
+              <label>
+                {ticket.type === 'LIMIT' ? 'Limit price' : 'Stop price'}
+                <input type="number" min="0" step="any" value={ticket[priceField]} onChange={(e) => update(priceField, e.target.value)} style={inputStyle} />
+                <FieldError message={errorFor(priceField)} />
+              </label>
+            )}
+          </div>
+          {ticket.symbol === symbol && typeof lastPrice === 'number' && (
+            <p style={{ margin: '0 0 10px', color: '#666' }}>Last {symbol}: {formatNumber(lastPrice)}</p>
+          )}
+          {rejections.map(reason => <div key={reason} style={{ color: ERROR_COLOR, marginBottom: '5px' }}>{reason}</div>)}
+          <button type="submit" style={{ marginRight: '5px' }}>Place {ticket.side === 'BUY' ? 'buy' : 'sell'} order</button>
+          <button type="button" onClick={() => setTicket(null)}>Cancel</button>
+        </form>
+      )}
+
+      <h3>Working Orders</h3>
+      {working.length === 0 ? (
+        <p>No working orders.</p>
+      ) : (
+        <table>
+          <thead>
+            <tr>
+              <th>Placed</th>
+              <th>Order</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {working.map(o => (
+              <tr key={o.id}>
+                <td>{new Date(o.createdAt).toLocaleString()}</td>
+                <td>{describeOrder(o)}</td>
+                <td><button onClick={() => handleCancel(o.id)}>Cancel</button></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {closed.length > 0 && (
+        <>
+          <h3>Recent Orders</h3>
+          <ul style={{ maxHeight: '150px', overflowY: 'auto', margin: 0 }}>
+            {closed.map(o => (
+              <li key={o.id}>
+                [{new Date(o.closedAt).toLocaleString()}] {describeOrder(o)}:{' '}
+                {o.status === 'filled' ? `filled at ${formatNumber(o.fillPrice)}` : o.status}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default PaperTradingPanel;
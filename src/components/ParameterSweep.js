@@ -0,0 +1,278 @@
+import React, { useMemo, useState } from 'react';
+import { loadCandles } from '../services/backtestData';
+import { describeApiError } from '../services/api';
+import { runSweepInWorker } from '../services/backtestWorker';
+import { DEFAULT_EXECUTION, ENGINE_STRATEGIES } from '../utils/backtestEngine';
+import { OBJECTIVES, rangeValues } from '../utils/parameterSweep';
+import { DATE_PRESETS, presetRange } from '../utils/dateRanges';
+import { DOWN_COLOR } from '../utils/chartTheme';
+import { formatNumber } from '../utils/format';
+
+const DEFAULT_STRATEGY = 'SMA_CROSSOVER_STRATEGY';
+const DEFAULT_PRESET = '1Y';
+const VISIBLE_ROWS = 50;
+
+const defaultRanges = strategyName => Object.fromEntries(
+  Object.entries(ENGINE_STRATEGIES[strategyName].defaults).map(([key, value]) => [key, { min: value, max: value, step: 1 }]),
+);
+
+const paramsKey = params => JSON.stringify(params);
+
+// Red (worst) to green (best) across the scores present.
+function scoreColor(score, min, max) {
+  if (score === null) return '#eee';
+  const t = max === min ? 1 : (score - min) / (max - min);
+  return `hsl(${Math.round(120 * t)}, 70%, 75%)`;
+}
+
+function SweepHeatmap({ rows, xKey, yKey, selectedKey, onSelect }) {
+  const xValues = Array.from(new Set(rows.map(r => r.params[xKey]))).sort((a, b) => a - b);
+  const yValues = Array.from(new Set(rows.map(r => r.params[yKey]))).sort((a, b) => a - b);
+  const scores = rows.map(r => r.inSample.score).filter(score => score !== null);
+  const min = Math.min(...scores);
+  const max = Math.max(...scores);
+  const cells = new Map(rows.map(r => [`${r.params[xKey]}|${r.params[yKey]}`, r]));
+
+  return (
+    <table style={{ width: 'auto', fontSize: '12px' }}>
+      <thead>
+        <tr>
+          <th>{yKey} \ {xKey}</th>
+          {xValues.map(x => <th key={x}>{x}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {yValues.map(y => (
+          <tr key={y}>
+            <th>{y}</th>
+            {xValues.map(x => {
+              const row = cells.get(`${x}|${y}`);
+              if (!row) return <td key={x} style={{ backgroundColor: '#fafafa' }}></td>;
+              const selected = paramsKey(row.params) === selectedKey;
+              return (
+                <td
+                  key={x}
+                  onClick={() => onSelect(row)}
+                  title={paramsKey(row.params)}
+                  style={{
+                    cursor: 'pointer',
+                    textAlign: 'center',
+                    backgroundColor: scoreColor(row.inSample.score, min, max),
+                    outline: selected ? '2px solid #333' : 'none',
+                  }}
+                >
+                  {formatNumber(row.inSample.score)}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// Grid search over an engine strategy's parameters, ranked by an objective
+// and optionally validated walk-forward on held-out data. Any combination
+// can be saved as a (disabled) strategy config.
+function ParameterSweep({ symbol, onSaveStrategy }) {
+  const [strategyName, setStrategyName] = useState(DEFAULT_STRATEGY);
+  const [ranges, setRanges] = useState(() => defaultRanges(DEFAULT_STRATEGY));
+  const [preset, setPreset] = useState(DEFAULT_PRESET);
+  const [range, setRange] = useState(() => presetRange(DEFAULT_PRESET));
+  const [initialCapital, setInitialCapital] = useState('10000');
+  const [objective, setObjective] = useState('netProfitPercent');
+  const [inSamplePercent, setInSamplePercent] = useState('70');
+  const [status, setStatus] = useState({ running: false, error: null });
+  const [sweep, setSweep] = useState(null); // { rows, splitTime, symbol, strategyName, objective }
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [savedKeys, setSavedKeys] = useState({});
+
+  const combinationCount = useMemo(
+    () => Object.values(ranges).reduce((count, r) => count * rangeValues(r).length, 1),
+    [ranges],
+  );
+
+  const handleStrategyChange = (name) => {
+    setStrategyName(name);
+    setRanges(defaultRanges(name));
+  };
+
+  const handleRangeChange = (key, field, value) => {
+    setRanges(prev => ({ ...prev, [key]: { ...prev[key], [field]: Number(value) } }));
+  };
+
+  const handlePresetChange = (value) => {
+    setPreset(value);
+    setRange(presetRange(value));
+  };
+
+  const handleRun = async () => {
+    const capital = Number(initialCapital);
+    const split = Number(inSamplePercent);
+    const invalidRange = Object.values(ranges).some(r => ![r.min, r.max, r.step].every(Number.isFinite) || r.step <= 0 || r.max < r.min);
+    if (invalidRange) return setStatus({ running: false, error: 'Each range needs min ≤ max and a positive step.' });
+    if (!(capital > 0)) return setStatus({ running: false, error: 'Initial capital must be a positive number.' });
+    if (!(split >= 10 && split <= 100)) return setStatus({ running: false, error: 'In-sample share must be between 10% and 100%.' });
+    if (!range.startDate || !range.endDate || range.startDate > range.endDate) {
+      return setStatus({ running: false, error: 'Start date must be on or before end date.' });
+    }
+
+    setStatus({ running: true, error: null });
+    setSelectedKey(null);
+    try {
+      const candles = await loadCandles(symbol, range.startDate, range.endDate);
+      if (candles.length === 0) throw new Error('No price data for this period');
+      const result = await runSweepInWorker({
+        candles,
+        symbol,
+        strategyName,
+        ranges,
+        objective,
+        inSamplePercent: split,
+        startDate: range.startDate,
+        endDate: range.endDate,
+        initialCapital: capital,
+        execution: DEFAULT_EXECUTION,
+      });
+      setSweep({ ...result, symbol, strategyName, objective });
+      setStatus({ running: false, error: null });
+    } catch (error) {
+      console.error('Error running parameter sweep:', error);
+      setStatus({ running: false, error: describeApiError(error) });
+    }
+  };
+
+  const handleSave = async (row) => {
+    const key = paramsKey(row.params);
+    setSavedKeys(prev => ({ ...prev, [key]: 'saving' }));
+    try {
+      await onSaveStrategy({ strategyName: sweep.strategyName, symbol: sweep.symbol, parameters: row.params });
+      setSavedKeys(prev => ({ ...prev, [key]: 'saved' }));
+    } catch (error) {
+      setSavedKeys(prev => ({ ...prev, [key]: 'failed' }));
+    }
+  };
+
+  const sweptKeys = Object.keys(ranges).filter(key => rangeValues(ranges[key]).length > 1);
+  const heatmapKeys = sweep ? Object.keys(sweep.rows[0].params).filter(key => new Set(sweep.rows.map(r => r.params[key])).size > 1) : [];
+  const selectedRow = sweep && sweep.rows.find(row => paramsKey(row.params) === selectedKey);
+  const visibleRows = sweep ? sweep.rows.slice(0, VISIBLE_ROWS) : [];
+  if (selectedRow && !visibleRows.includes(selectedRow)) visibleRows.unshift(selectedRow);
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '10px' }}>
+        <select value={strategyName} onChange={(e) => handleStrategyChange(e.target.value)} style={{ padding: '8px' }}>
+          {Object.keys(ENGINE_STRATEGIES).map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+        <span>on {symbol}</span>
+        {DATE_PRESETS.map(p => (
+          <button key={p} type="button" onClick={() => handlePresetChange(p)} style={{ padding: '4px 10px', fontWeight: preset === p ? 'bold' : 'normal' }}>
+            {p}
+          </button>
+        ))}
+        <input type="date" value={range.startDate} onChange={(e) => { setPreset(''); setRange(prev => ({ ...prev, startDate: e.target.value })); }} />
+        <span>to</span>
+        <input type="date" value={range.endDate} onChange={(e) => { setPreset(''); setRange(prev => ({ ...prev, endDate: e.target.value })); }} />
+      </div>
+      <table style={{ width: 'auto', marginBottom: '10px' }}>
+        <thead>
+          <tr><th>Parameter</th><th>Min</th><th>Max</th><th>Step</th></tr>
+        </thead>
+        <tbody>
+          {Object.entries(ranges).map(([key, r]) => (
+            <tr key={key}>
+              <td>{key}</td>
+              {['min', 'max', 'step'].map(field => (
+                <td key={field}>
+                  <input type="number" step="any" value={r[field]} onChange={(e) => handleRangeChange(key, field, e.target.value)} style={{ width: '70px' }} />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '10px', alignItems: 'center', marginBottom: '10px' }}>
+        <label>
+          Objective{' '}
+          <select value={objective} onChange={(e) => setObjective(e.target.value)} style={{ padding: '4px' }}>
+            {Object.entries(OBJECTIVES).map(([key, o]) => <option key={key} value={key}>{o.label}</option>)}
+          </select>
+        </label>
+        <label>
+          In-sample %{' '}
+          <input type="number" min="10" max="100" value={inSamplePercent} onChange={(e) => setInSamplePercent(e.target.value)} style={{ width: '60px' }} />
+        </label>
+        <label>
+          Initial capital{' '}
+          <input type="number" min="0" step="any" value={initialCapital} onChange={(e) => setInitialCapital(e.target.value)} style={{ width: '100px' }} />
+        </label>
+        <button onClick={handleRun} disabled={status.running} style={{ padding: '8px 15px' }}>
+          {status.running ? 'Running…' : `Run Sweep (${combinationCount} combinations)`}
+        </button>
+        {sweptKeys.length > 0 && <span style={{ color: '#666' }}>Sweeping {sweptKeys.join(', ')}</span>}
+      </div>
+      {status.error && <p style={{ color: DOWN_COLOR }}>{status.error}</p>}
+
+      {sweep && (
+        <>
+          <p style={{ color: '#666' }}>
+            Ranked by in-sample {OBJECTIVES[sweep.objective].label}
+            {sweep.splitTime ? `; out-of-sample from ${new Date(sweep.splitTime * 1000).toLocaleDateString()}` : '; no out-of-sample period'}.
+          </p>
+          {heatmapKeys.length === 2 && (
+            <SweepHeatmap
+              rows={sweep.rows}
+              xKey={heatmapKeys[0]}
+              yKey={heatmapKeys[1]}
+              selectedKey={selectedKey}
+              onSelect={row => setSelectedKey(paramsKey(row.params))}
+            />
+          )}
+          <div style={{ maxHeight: '300px', overflowY: 'scroll', marginTop: '10px' }}>
+            <table>
+              <thead>
+                <tr>
+                  <th>Parameters</th>
+                  <th>IS Score</th>
+                  <th>IS P/L (%)</th>
+                  <th>IS Sharpe</th>
+                  <th>IS Max DD (%)</th>
+                  <th>IS Trades</th>
+                  <th>OOS Score</th>
+                  <th>OOS P/L (%)</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map(row => {
+                  const key = paramsKey(row.params);
+                  return (
+                    <tr key={key} onClick={() => setSelectedKey(key)} style={{ cursor: 'pointer', backgroundColor: key === selectedKey ? '#e3ecff' : undefined }}>
+                      <td>{Object.entries(row.params).map(([k, v]) => `${k}=${v}`).join(', ')}</td>
+                      <td>{formatNumber(row.inSample.score)}</td>
+                      <td>{formatNumber(row.inSample.netProfitPercent)}</td>
+                      <td>{formatNumber(row.inSample.sharpeRatio)}</td>
+                      <td>{formatNumber(row.inSample.maxDrawdown)}</td>
+                      <td>{row.inSample.totalTrades}</td>
+                      <td>{row.outOfSample ? formatNumber(row.outOfSample.score) : '-'}</td>
+                      <td>{row.outOfSample ? formatNumber(row.outOfSample.netProfitPercent) : '-'}</td>
+                      <td onClick={(e) => e.stopPropagation()}>
+                        <button onClick={() => handleSave(row)} disabled={savedKeys[key] === 'saving' || savedKeys[key] === 'saved'}>
+                          {{ saving: 'Saving…', saved: 'Saved', failed: 'Retry Save' }[savedKeys[key]] || 'Save as Strategy'}
+                        </button>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default ParameterSweep;
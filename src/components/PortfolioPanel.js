@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import SeriesChart from './SeriesChart';
+import { useStompSubscription } from '../hooks/useSocket';
+import { normalizeCandle } from '../utils/apiSchemas';
+import { buildPortfolio } from '../utils/portfolio';
+import { formatNumber } from '../utils/format';
+import { UP_COLOR, DOWN_COLOR } from '../utils/chartTheme';
+
+const pnlStyle = value => ({ color: value < 0 ? DOWN_COLOR : UP_COLOR });
+
+// Renders nothing; reports each stock-data tick's close for one symbol.
+// Ticks without a usable close are skipped.
+function LivePrice({ symbol, onPrice }) {
+  useStompSubscription(`/topic/stock-data/${symbol}`, data => {
+    const candle = normalizeCandle(data);
+    if (candle) onPrice(symbol, candle.close);
+  });
+  return null;
+}
+
+// Open positions, P/L and per-strategy attribution rebuilt from the simulated
+// trades. Positions are marked to the live stock-data feed of each held
+// symbol; until a tick arrives they are marked at the last fill.
+function PortfolioPanel({ trades }) {
+  const [prices, setPrices] = useState({});
+
+  const portfolio = useMemo(() => buildPortfolio(trades, prices), [trades, prices]);
+  const openPositions = portfolio.positions.filter(p => p.quantity !== 0);
+
+  const handlePrice = (symbol, price) => {
+    setPrices(prev => (prev[symbol] === price ? prev : { ...prev, [symbol]: price }));
+  };
+
+  // The curve ends at the current mark-to-market value.
+  const series = useMemo(() => {
+    const data = [...portfolio.equityCurve];
+    const now = Math.floor(Date.now() / 1000);
+    if (data.length > 0 && now > data[data.length - 1].time) {
+      data.push({ time: now, value: portfolio.currentValue });
+    }
+    return [{ type: 'area', data, options: { lineWidth: 2, title: 'Portfolio' } }];
+  }, [portfolio]);
+
+  if (trades.length === 0) return <p>No simulated trades yet.</p>;
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '20px' }}>
+      {openPositions.map(p => <LivePrice key={p.symbol} symbol={p.symbol} onPrice={handlePrice} />)}
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '20px', marginBottom: '10px' }}>
+        <span>Value: <strong>{formatNumber(portfolio.currentValue)}</strong></span>
+        <span>Realized P/L: <strong style={pnlStyle(portfolio.realizedPnl)}>{formatNumber(portfolio.realizedPnl)}</strong></span>
+        <span>Unrealized P/L: <strong style={pnlStyle(portfolio.unrealizedPnl)}>{formatNumber(portfolio.unrealizedPnl)}</strong></span>
+      </div>
+
+      <h3>Positions</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Symbol</th>
+            <th>Quantity</th>
+            <th>Avg Cost</th>
+            <th>Price</th>
+            <th>Market Value</th>
+            <th>Unrealized P/L</th>
+            <th>Realized P/L</th>
+          </tr>
+        </thead>
+        <tbody>
+          {portfolio.positions.map(p => (
+            <tr key={p.symbol}>
+              <td>{p.symbol}</td>
+              <td>{formatNumber(p.quantity)}</td>
+              <td>{formatNumber(p.averageCost)}</td>
+              <td title={p.isLive ? 'Live price' : 'Last fill price'}>
+                {formatNumber(p.marketPrice)}{p.isLive ? '' : '*'}
+              </td>
+              <td>{formatNumber(p.marketValue)}</td>
+              <td style={pnlStyle(p.unrealizedPnl)}>{formatNumber(p.unrealizedPnl)}</td>
+              <td style={pnlStyle(p.realizedPnl)}>{formatNumber(p.realizedPnl)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p style={{ fontSize: '12px', color: '#666' }}>* marked at the last fill until a live price arrives</p>
+
+      <h3>Attribution by Strategy</h3>
+      <table>
+        <thead>
+          <tr>
+            <th>Strategy</th>
+            <th>Trades</th>
+            <th>Realized P/L</th>
+            <th>Unrealized P/L</th>
+            <th>Total P/L</th>
+          </tr>
+        </thead>
+        <tbody>
+          {portfolio.attribution.map(entry => (
+            <tr key={entry.strategyName}>
+              <td>{entry.strategyName}</td>
+              <td>{entry.trades}</td>
+              <td style={pnlStyle(entry.realizedPnl)}>{formatNumber(entry.realizedPnl)}</td>
+              <td style={pnlStyle(entry.unrealizedPnl)}>{formatNumber(entry.unrealizedPnl)}</td>
+              <td style={pnlStyle(entry.totalPnl)}>{formatNumber(entry.totalPnl)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <h3>Portfolio Value</h3>
+      <SeriesChart series={series} height={250} />
+    </div>
+  );
+}
+
+export default PortfolioPanel;
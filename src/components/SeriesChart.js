@@ -0,0 +1,59 @@
+import React, { useEffect, useRef } from 'react';
+import { createChart } from 'lightweight-charts';
+import { BASE_CHART_OPTIONS, CANDLESTICK_OPTIONS } from '../utils/chartTheme';
+
+const ADDERS = {
+  line: (chart, options) => chart.addLineSeries({ lineWidth: 1, ...options }),
+  area: (chart, options) => chart.addAreaSeries({ lineWidth: 1, ...options }),
+  histogram: (chart, options) => chart.addHistogramSeries(options),
+  candlestick: (chart, options) => chart.addCandlestickSeries({ ...CANDLESTICK_OPTIONS, ...options }),
+};
+
+// A static chart for analysis views. `series` is a list of
+// { type, data, options, markers }; pass a memoized array, since a new one
+// redraws every series.
+function SeriesChart({ series, height = 250, chartOptions }) {
+  const containerRef = useRef();
+  const chartRef = useRef();
+
+  useEffect(() => {
+    const chart = createChart(containerRef.current, {
+      ...BASE_CHART_OPTIONS,
+      ...chartOptions,
+      width: containerRef.current.clientWidth,
+      height,
+    });
+    chartRef.current = chart;
+
+    const handleResize = () => {
+      chart.applyOptions({ width: containerRef.current.clientWidth });
+    };
+
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      window.removeEventListener('resize', handleResize);
+      chart.remove();
+      chartRef.current = null;
+    };
+  }, [height, chartOptions]);
+
+  useEffect(() => {
+    const chart = chartRef.current;
+    const created = series.map(({ type, data, options, markers }) => {
+      const s = ADDERS[type](chart, options || {});
+      s.setData(data);
+      if (markers) s.setMarkers(markers);
+      return s;
+    });
+    chart.timeScale().fitContent();
+
+    return () => {
+      if (chartRef.current === chart) created.forEach(s => chart.removeSeries(s));
+    };
+  }, [series, height, chartOptions]);
+
+  return <div ref={containerRef} style={{ height: `${height}px` }}></div>;
+}
+
+export default SeriesChart;
@@ -0,0 +1,134 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createSessionRecorder, parseSession } from '../services/sessionRecorder';
+import { createReplayPlayer, REPLAY_SPEEDS } from '../services/replayPlayer';
+import { downloadFile, readFileText } from '../utils/download';
+
+const COUNT_REFRESH_MS = 1000;
+
+const formatClock = (ms) => {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+// Recording of the live feed to a downloadable session file, and replay of a
+// session through the connection's own message handlers. The app leaves live
+// mode while replaying: `onReplayStart` and `onReplayEnd` switch it, and
+// `onReplayReset` puts the session's snapshot back before a backwards seek.
+function SessionControls({ connection, getSnapshot, replaySession, onReplayStart, onReplayReset, onReplayEnd }) {
+  const recorderRef = useRef(null);
+  if (!recorderRef.current) recorderRef.current = createSessionRecorder(connection);
+  const recorder = recorderRef.current;
+  const [recording, setRecording] = useState(false);
+  const [recordedCount, setRecordedCount] = useState(0);
+  const [lastSession, setLastSession] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+  const [playerState, setPlayerState] = useState(null);
+  const playerRef = useRef(null);
+  const onReplayResetRef = useRef(onReplayReset);
+  onReplayResetRef.current = onReplayReset;
+
+  // The count is polled rather than pushed so a busy feed does not re-render
+  // on every message.
+  useEffect(() => {
+    if (!recording) return undefined;
+    const interval = setInterval(() => setRecordedCount(recorder.messageCount()), COUNT_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, [recording, recorder]);
+
+  useEffect(() => () => { recorder.stop(); }, [recorder]);
+
+  useEffect(() => {
+    if (!replaySession) return undefined;
+    const player = createReplayPlayer({
+      session: replaySession,
+      deliver: connection.inject,
+      reset: () => onReplayResetRef.current(replaySession),
+      onChange: setPlayerState,
+    });
+    playerRef.current = player;
+    setPlayerState(player.getState());
+    return () => {
+      player.dispose();
+      playerRef.current = null;
+      setPlayerState(null);
+    };
+  }, [replaySession, connection]);
+
+  const handleStartRecording = () => {
+    recorder.start(getSnapshot());
+    setRecordedCount(0);
+    setRecording(true);
+  };
+
+  const handleStopRecording = () => {
+    const session = recorder.stop();
+    setRecording(false);
+    setLastSession(session);
+    const stamp = session.startedAt.replace(/[:.]/g, '-');
+    downloadFile(`session-${session.symbol}-${stamp}.json`, JSON.stringify(session), 'application/json');
+  };
+
+  const handleLoadFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const session = parseSession(await readFileText(file));
+      setLoadError(null);
+      onReplayStart(session);
+    } catch (error) {
+      setLoadError(error.message);
+    }
+  };
+
+  if (replaySession && playerState) {
+    const player = playerRef.current;
+    return (
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', border: '1px solid #d89614', padding: '10px', marginBottom: '20px' }}>
+        <strong style={{ color: '#d89614' }}>REPLAY</strong>
+        <span>{replaySession.symbol} recorded {new Date(replaySession.startedAt).toLocaleString()}</span>
+        <button onClick={() => (playerState.playing ? player.pause() : player.play())} style={{ width: '70px' }}>
+          {playerState.playing ? 'Pause' : 'Play'}
+        </button>
+        <input
+          type="range"
+          min="0"
+          max={playerState.duration}
+          step="100"
+          value={playerState.position}
+          onChange={(e) => player.seek(Number(e.target.value))}
+          style={{ flex: 1, minWidth: '200px' }}
+        />
+        <span>{formatClock(playerState.position)} / {formatClock(playerState.duration)}</span>
+        <select value={playerState.speed} onChange={(e) => player.setSpeed(Number(e.target.value))} style={{ padding: '4px' }}>
+          {REPLAY_SPEEDS.map(speed => <option key={speed} value={speed}>{speed}x</option>)}
+        </select>
+        <span style={{ color: '#666' }}>{playerState.delivered} / {replaySession.messages.length} messages</span>
+        <button onClick={onReplayEnd}>Back to live</button>
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px', marginBottom: '20px' }}>
+      {recording ? (
+        <>
+          <button onClick={handleStopRecording} style={{ color: 'rgba(214, 56, 80, 1)' }}>■ Stop recording</button>
+          <span>{recordedCount} messages recorded</span>
+        </>
+      ) : (
+        <button onClick={handleStartRecording}>● Record session</button>
+      )}
+      {lastSession && !recording && (
+        <button onClick={() => onReplayStart(lastSession)}>Replay last recording</button>
+      )}
+      <label>
+        Replay file:{' '}
+        <input type="file" accept=".json,application/json" onChange={handleLoadFile} disabled={recording} />
+      </label>
+      {loadError && <span style={{ color: 'rgba(214, 56, 80, 1)' }}>{loadError}</span>}
+    </div>
+  );
+}
+
+export default SessionControls;
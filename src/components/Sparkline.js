@@ -0,0 +1,23 @@
+import React from 'react';
+
+function Sparkline({ values, width = 120, height = 32, color = '#333' }) {
+  if (!values || values.length < 2) {
+    return <svg width={width} height={height}></svg>;
+  }
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+  const points = values.map((value, i) => {
+    const x = (i / (values.length - 1)) * width;
+    const y = height - ((value - min) / range) * (height - 2) - 1;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <svg width={width} height={height}>
+      <polyline points={points} fill="none" stroke={color} strokeWidth="1.5" />
+    </svg>
+  );
+}
+
+export default Sparkline;
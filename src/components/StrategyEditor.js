@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+import {
+  STRATEGY_SCHEMAS,
+  backendFieldErrors,
+  defaultParameters,
+  toFormValues,
+  toStrategyPayload,
+  validateStrategy,
+} from '../utils/strategySchemas';
+
+const ERROR_COLOR = 'rgba(214, 56, 80, 1)';
+
+const FieldError = ({ message }) => (message
+  ? <div style={{ color: ERROR_COLOR, fontSize: '12px' }}>{message}</div>
+  : null);
+
+// Create or edit form for a strategy config, generated from the strategy
+// type's parameter schema. Errors show once a field is touched, and a submit
+// with any left reveals them all instead of saving. `onSave` gets the
+// request body and returns a promise; field errors from a rejected save are
+// shown next to their fields.
+function StrategyEditor({ strategy, onSave, onCancel }) {
+  const [initialValues, setInitialValues] = useState(() => toFormValues(strategy));
+  const [values, setValues] = useState(initialValues);
+  const [touched, setTouched] = useState({});
+  const [serverErrors, setServerErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const isEdit = Boolean(strategy);
+  const schema = STRATEGY_SCHEMAS[values.strategyName];
+  const errors = validateStrategy(values);
+  const isValid = Object.keys(errors).length === 0;
+  const isDirty = JSON.stringify(values) !== JSON.stringify(initialValues);
+  const errorFor = field => serverErrors[field] || (touched[field] ? errors[field] : null);
+
+  // Editing a field clears the backend's complaint about it.
+  const touch = (field) => {
+    setTouched(prev => ({ ...prev, [field]: true }));
+    setServerErrors(prev => {
+      const { [field]: dropped, form, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const update = (field, patch) => {
+    setValues(prev => ({ ...prev, ...patch }));
+    touch(field);
+  };
+
+  const handleTypeChange = (strategyName) => {
+    const params = Object.fromEntries(Object.entries(defaultParameters(strategyName)).map(([key, value]) => [key, String(value)]));
+    update('strategyName', { strategyName, params });
+  };
+
+  const handleParamChange = (key, text) => {
+    setValues(prev => ({ ...prev, params: { ...prev.params, [key]: text } }));
+    touch(key);
+  };
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    if (!isValid) {
+      setTouched(Object.fromEntries(Object.keys(errors).map(field => [field, true])));
+      return;
+    }
+    setSaving(true);
+    onSave(toStrategyPayload(values, strategy))
+      .then(() => {
+        const next = isEdit ? values : toFormValues(null);
+        setInitialValues(next);
+        setValues(next);
+        setTouched({});
+      })
+      .catch(error => setServerErrors(backendFieldErrors(error)))
+      .finally(() => setSaving(false));
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', marginBottom: '10px' }}>
+        <label>
+          Strategy type
+          <select value={values.strategyName} onChange={(e) => handleTypeChange(e.target.value)} style={{ display: 'block', width: '100%', padding: '8px' }}>
+            <option value="">Select strategy…</option>
+            {Object.entries(STRATEGY_SCHEMAS).map(([name, s]) => (
+              <option key={name} value={name}>{s.label} ({name})</option>
+            ))}
+            {values.strategyName && !schema && <option value={values.strategyName}>{values.strategyName} (unknown)</option>}
+          </select>
+          <FieldError message={errorFor('strategyName')} />
+        </label>
+        <label>
+          Symbol
+          <input
+            type="text"
+            placeholder="e.g., IBM"
+            value={values.symbol}
+            onChange={(e) => update('symbol', { symbol: e.target.value.toUpperCase() })}
+            style={{ display: 'block', width: '100%', padding: '8px', boxSizing: 'border-box' }}
+          />
+          <FieldError message={errorFor('symbol')} />
+        </label>
+        {schema && schema.params.map(param => (
+          <label key={param.key}>
+            {param.label}
+            <input
+              type="number"
+              min={param.min}
+              max={param.max}
+              step={param.type === 'integer' ? 1 : 'any'}
+              value={values.params[param.key] ?? ''}
+              onChange={(e) => handleParamChange(param.key, e.target.value)}
+              style={{ display: 'block', width: '100%', padding: '8px', boxSizing: 'border-box' }}
+            />
+            <FieldError message={errorFor(param.key)} />
+          </label>
+        ))}
+        <label style={{ gridColumn: '1 / span 2' }}>
+          <input
+            type="checkbox"
+            checked={values.enabled}
+            onChange={(e) => update('enabled', { enabled: e.target.checked })}
+            style={{ marginRight: '5px' }}
+          />
+          Enabled
+        </label>
+      </div>
+      <FieldError message={serverErrors.form} />
+      <button type="submit" disabled={saving || (isEdit && !isDirty)} style={{ padding: '8px 15px' }}>
+        {isEdit ? 'Save Changes' : 'Create Strategy'}
+      </button>
+      {onCancel && (
+        <button type="button" onClick={onCancel} style={{ padding: '8px 15px', marginLeft: '5px' }}>
+          Cancel
+        </button>
+      )}
+      {isDirty && <span style={{ marginLeft: '10px', color: '#d89614' }}>● Unsaved changes</span>}
+    </form>
+  );
+}
+
+export default StrategyEditor;
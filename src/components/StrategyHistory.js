@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { diffStrategies } from '../utils/strategyConfigs';
+
+const formatValue = value => (value === undefined ? '—' : JSON.stringify(value));
+
+const describe = version => `${version.strategyName} (${version.symbol})`;
+
+// Changes made to strategy configs through this UI, newest first, each with
+// its diff. Restoring a version puts the config back as it was before that
+// change, recreating it if it has since been deleted.
+function StrategyHistory({ history, onRestore, onClear }) {
+  const [expandedId, setExpandedId] = useState(null);
+  const [restoreError, setRestoreError] = useState(null);
+
+  const handleRestore = (entry) => {
+    setRestoreError(null);
+    onRestore(entry).catch(error => {
+      const message = error.response && error.response.data && error.response.data.message;
+      setRestoreError(message || error.message);
+    });
+  };
+
+  if (history.length === 0) return <p>No changes recorded yet.</p>;
+
+  return (
+    <div style={{ maxHeight: '300px', overflowY: 'scroll', border: '1px solid #ccc', padding: '10px', marginBottom: '20px' }}>
+      {restoreError && <p style={{ color: 'rgba(214, 56, 80, 1)' }}>Restore failed: {restoreError}</p>}
+      <table>
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Action</th>
+            <th>Strategy</th>
+            <th>Changes</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {[...history].reverse().map(entry => {
+            const changes = diffStrategies(entry.before, entry.after);
+            const expanded = expandedId === entry.id;
+            return (
+              <tr key={entry.id}>
+                <td>{new Date(entry.at).toLocaleString()}</td>
+                <td>{entry.action}</td>
+                <td>{describe(entry.after || entry.before)}{entry.strategyId !== null ? ` #${entry.strategyId}` : ''}</td>
+                <td>
+                  <button onClick={() => setExpandedId(expanded ? null : entry.id)} style={{ marginRight: '5px' }}>
+                    {expanded ? 'Hide' : `${changes.length} change${changes.length === 1 ? '' : 's'}`}
+                  </button>
+                  {expanded && changes.map(change => (
+                    <div key={change.field}>{change.field}: {formatValue(change.before)} → {formatValue(change.after)}</div>
+                  ))}
+                </td>
+                <td>
+                  {entry.before && (
+                    <button onClick={() => handleRestore(entry)} title="Restore the version from before this change">
+                      Restore
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <button onClick={onClear} style={{ marginTop: '10px' }}>Clear history</button>
+    </div>
+  );
+}
+
+export default StrategyHistory;
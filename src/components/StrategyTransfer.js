@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+import { downloadFile, readFileText } from '../utils/download';
+import { parseStrategyFile, planImport, serializeStrategies } from '../utils/strategyConfigs';
+
+const ERROR_COLOR = 'rgba(214, 56, 80, 1)';
+
+const ACTION_COLORS = {
+  create: 'rgba(39, 157, 130, 1)',
+  update: '#d89614',
+  unchanged: '#666',
+  duplicate: '#666',
+  invalid: ERROR_COLOR,
+};
+
+const FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  yaml: { extension: 'yaml', type: 'application/x-yaml' },
+};
+
+const formatValue = value => (value === undefined ? '—' : JSON.stringify(value));
+
+// Export of the selected configs (all of them when none are selected) and
+// import from an exported file. An import is previewed as a diff against the
+// existing configs and only applied when every entry in the file is valid.
+function StrategyTransfer({ strategies, selectedIds, onCreate, onUpdate }) {
+  const [preview, setPreview] = useState(null); // { fileName, rows }
+  const [importError, setImportError] = useState(null);
+  const [applying, setApplying] = useState(false);
+  const [results, setResults] = useState({}); // row index -> 'done' | error message
+
+  const selected = selectedIds.length > 0 ? strategies.filter(s => selectedIds.includes(s.id)) : strategies;
+
+  const handleExport = (format) => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(
+      `strategies-${stamp}.${FORMATS[format].extension}`,
+      serializeStrategies(selected, format),
+      FORMATS[format].type,
+    );
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = ''; // so the same file can be picked again
+    if (!file) return;
+    setResults({});
+    try {
+      const parsed = parseStrategyFile(await readFileText(file));
+      const valid = parsed.filter(p => Object.keys(p.errors).length === 0);
+      const plan = planImport(valid.map(p => p.entry), strategies);
+      const rows = parsed.map(p => (Object.keys(p.errors).length > 0
+        ? { index: p.index, entry: p.entry, action: 'invalid', errors: p.errors, changes: [] }
+        : { index: p.index, ...plan[valid.indexOf(p)] }));
+      setImportError(null);
+      setPreview({ fileName: file.name, rows });
+    } catch (error) {
+      setPreview(null);
+      setImportError(error.message);
+    }
+  };
+
+  // Entries are applied one at a time; a failure is shown on its row and the
+  // rest still run.
+  const handleApply = async () => {
+    setApplying(true);
+    for (const row of preview.rows) {
+      if (row.action !== 'create' && row.action !== 'update') continue;
+      try {
+        if (row.action === 'create') await onCreate(row.entry);
+        else await onUpdate(row.existing.id, row.entry);
+        setResults(prev => ({ ...prev, [row.index]: 'done' }));
+      } catch (error) {
+        const message = error.response && error.response.data && error.response.data.message;
+        setResults(prev => ({ ...prev, [row.index]: message || error.message }));
+      }
+    }
+    setApplying(false);
+  };
+
+  const invalidCount = preview ? preview.rows.filter(row => row.action === 'invalid').length : 0;
+  const pendingCount = preview ? preview.rows.filter(row => (row.action === 'create' || row.action === 'update') && !results[row.index]).length : 0;
+
+  return (
+    <div style={{ border: '1px solid #ccc', padding: '15px', marginBottom: '20px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '10px' }}>
+        <span>Export {selectedIds.length > 0 ? `${selected.length} selected` : `all ${strategies.length}`}:</span>
+        <button onClick={() => handleExport('json')} disabled={selected.length === 0}>JSON</button>
+        <button onClick={() => handleExport('yaml')} disabled={selected.length === 0}>YAML</button>
+        <label style={{ marginLeft: '20px' }}>
+          Import{' '}
+          <input type="file" accept=".json,.yaml,.yml,application/json" onChange={handleFile} />
+        </label>
+      </div>
+      {importError && <p style={{ color: ERROR_COLOR }}>{importError}</p>}
+
+      {preview && (
+        <div style={{ marginTop: '10px' }}>
+          <h4 style={{ margin: '5px 0' }}>Import preview: {preview.fileName}</h4>
+          <table>
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Action</th>
+                <th>Strategy</th>
+                <th>Symbol</th>
+                <th>Changes</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map(row => (
+                <tr key={row.index}>
+                  <td>{row.index + 1}</td>
+                  <td style={{ color: ACTION_COLORS[row.action], fontWeight: 'bold' }}>{row.action}</td>
+                  <td>{row.entry ? row.entry.strategyName : '-'}</td>
+                  <td>{row.entry ? row.entry.symbol : '-'}</td>
+                  <td>
+                    {row.errors && Object.entries(row.errors).map(([field, message]) => (
+                      <div key={field} style={{ color: ERROR_COLOR }}>{field}: {message}</div>
+                    ))}
+                    {row.action === 'update' && row.changes.map(change => (
+                      <div key={change.field}>{change.field}: {formatValue(change.before)} → {formatValue(change.after)}</div>
+                    ))}
+                  </td>
+                  <td style={{ color: results[row.index] && results[row.index] !== 'done' ? ERROR_COLOR : undefined }}>
+                    {results[row.index] || ''}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {invalidCount > 0 && (
+            <p style={{ color: ERROR_COLOR }}>Fix the {invalidCount} invalid entr{invalidCount === 1 ? 'y' : 'ies'} in the file before importing.</p>
+          )}
+          <button onClick={handleApply} disabled={applying || invalidCount > 0 || pendingCount === 0} style={{ padding: '8px 15px', marginTop: '10px' }}>
+            {applying ? 'Importing…' : `Apply ${pendingCount} change${pendingCount === 1 ? '' : 's'}`}
+          </button>
+          <button onClick={() => setPreview(null)} style={{ padding: '8px 15px', marginLeft: '5px' }}>Close</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default StrategyTransfer;
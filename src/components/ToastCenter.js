@@ -0,0 +1,34 @@
+import React, { useSyncExternalStore } from 'react';
+import { dismissToast, getToasts, onToastsChange } from '../services/toasts';
+
+const KIND_COLORS = {
+  info: 'rgba(39, 157, 130, 1)',
+  error: 'rgba(214, 56, 80, 1)',
+};
+
+// The toasts pushed through services/toasts.js, newest at the bottom.
+function ToastCenter() {
+  const toasts = useSyncExternalStore(onToastsChange, getToasts);
+  if (toasts.length === 0) return null;
+
+  return (
+    <div role="status" style={{ position: 'fixed', right: '20px', bottom: '20px', width: '320px', zIndex: 1000 }}>
+      {toasts.map(toast => (
+        <div
+          key={toast.id}
+          style={{ backgroundColor: 'white', borderLeft: `4px solid ${KIND_COLORS[toast.kind]}`, boxShadow: '0 2px 6px rgba(0, 0, 0, 0.2)', padding: '10px', marginTop: '10px' }}
+        >
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <strong style={{ color: KIND_COLORS[toast.kind] }}>
+              {toast.title}{toast.count > 1 ? ` (×${toast.count})` : ''}
+            </strong>
+            <button onClick={() => dismissToast(toast.id)} title="Dismiss">✕</button>
+          </div>
+          {toast.message && <div style={{ fontSize: '14px' }}>{toast.message}</div>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default ToastCenter;
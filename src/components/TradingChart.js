@@ -0,0 +1,271 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createChart, LineStyle } from 'lightweight-charts';
+import { INDICATOR_TYPES } from '../utils/indicatorCatalog';
+import { toSeriesData } from '../utils/indicators';
+import { BASE_CHART_OPTIONS, CANDLESTICK_OPTIONS, VOLUME_DOWN_COLOR, VOLUME_UP_COLOR } from '../utils/chartTheme';
+import { isTailUpdate } from '../utils/quotes';
+
+const addSeries = (chart, seriesType, color, title) => (
+  seriesType === 'histogram'
+    ? chart.addHistogramSeries({ color, title })
+    : chart.addLineSeries({ color, lineWidth: 1, title })
+);
+
+// Candles without a volume get no bar rather than a zero one.
+const toVolumeData = candles => candles
+  .filter(c => typeof c.volume === 'number')
+  .map(c => ({ time: c.time, value: c.volume, color: c.close < c.open ? VOLUME_DOWN_COLOR : VOLUME_UP_COLOR }));
+
+const setSeriesData = (series, data, lastPointOnly) => {
+  if (!lastPointOnly) {
+    series.setData(data);
+  } else if (data.length > 0) {
+    series.update(data[data.length - 1]);
+  }
+};
+
+// Fills the volume and indicator series from `candles`, or with
+// `lastPointOnly` just moves their newest point.
+const setIndicatorData = (volumeSeries, indicatorSeries, candles, lastPointOnly) => {
+  if (volumeSeries) setSeriesData(volumeSeries, toVolumeData(candles), lastPointOnly);
+  indicatorSeries.forEach(({ indicator, series }) => {
+    const computed = INDICATOR_TYPES[indicator.type].compute(candles, indicator.params);
+    Object.entries(series).forEach(([key, s]) => setSeriesData(s, toSeriesData(candles, computed[key]), lastPointOnly));
+  });
+};
+
+// `details` is for the hover card; the series does not take it.
+const setSeriesMarkers = (series, markers) => {
+  if (series) series.setMarkers(markers.map(({ details, ...marker }) => marker));
+};
+
+const MARKER_DETAIL_STYLE = {
+  position: 'absolute',
+  zIndex: 3,
+  pointerEvents: 'none',
+  backgroundColor: 'white',
+  border: '1px solid #ccc',
+  padding: '6px 8px',
+  fontSize: '12px',
+  boxShadow: '0 1px 4px rgba(0, 0, 0, 0.2)',
+};
+
+// Candlestick chart with overlay indicators, plus a volume pane and one
+// stacked pane per oscillator. The panes share the price chart's visible
+// logical range. Markers carry a `details` object, shown on hover and pinned
+// by a click. A double-click reports the price under the pointer.
+// `renderOverlay({ chart, series })` draws over the price chart.
+function TradingChart({ candles, indicators, markers = [], candlestickSeriesRef, onPriceDoubleClick, renderOverlay, height = 400, paneHeight = 150, volumeHeight = 100 }) {
+  const chartContainerRef = useRef();
+  const volumeContainerRef = useRef();
+  const volumeSeriesRef = useRef(null);
+  const paneContainersRef = useRef({});
+  const chartRef = useRef();
+  const paneChartsRef = useRef([]);
+  const indicatorSeriesRef = useRef([]); // [{ indicator, series: { outputKey: series } }]
+  const candlesRef = useRef(candles);
+  const renderedCandlesRef = useRef([]);
+  const markersRef = useRef(markers);
+  const onPriceDoubleClickRef = useRef(onPriceDoubleClick);
+  const [markerDetail, setMarkerDetail] = useState(null); // { details, x, y, pinned }
+  const [chartApi, setChartApi] = useState(null); // { chart, series } once created
+
+  candlesRef.current = candles;
+  markersRef.current = markers;
+  onPriceDoubleClickRef.current = onPriceDoubleClick;
+
+  // --- Price Chart ---
+  useEffect(() => {
+    const chart = createChart(chartContainerRef.current, {
+      ...BASE_CHART_OPTIONS,
+      width: chartContainerRef.current.clientWidth,
+      height,
+    });
+    chartRef.current = chart;
+
+    candlestickSeriesRef.current = chart.addCandlestickSeries(CANDLESTICK_OPTIONS);
+    candlestickSeriesRef.current.setData(candlesRef.current);
+    renderedCandlesRef.current = candlesRef.current;
+    setSeriesMarkers(candlestickSeriesRef.current, markersRef.current);
+    setChartApi({ chart, series: candlestickSeriesRef.current });
+
+    const findMarker = param => (
+      param.hoveredObjectId ? markersRef.current.find(m => m.id === param.hoveredObjectId) : null
+    );
+    const handleCrosshairMove = param => {
+      const marker = findMarker(param);
+      setMarkerDetail(current => {
+        if (current && current.pinned) return current;
+        return marker && param.point ? { details: marker.details, x: param.point.x, y: param.point.y, pinned: false } : null;
+      });
+    };
+    const handleClick = param => {
+      const marker = findMarker(param);
+      setMarkerDetail(marker && param.point ? { details: marker.details, x: param.point.x, y: param.point.y, pinned: true } : null);
+    };
+    const handleDblClick = param => {
+      if (!param.point || !onPriceDoubleClickRef.current) return;
+      const price = candlestickSeriesRef.current.coordinateToPrice(param.point.y);
+      if (price !== null) onPriceDoubleClickRef.current(price);
+    };
+    chart.subscribeCrosshairMove(handleCrosshairMove);
+    chart.subscribeClick(handleClick);
+    chart.subscribeDblClick(handleDblClick);
+
+    const handleResize = () => {
+      const width = chartContainerRef.current.clientWidth;
+      chart.applyOptions({ width });
+      paneChartsRef.current.forEach(pane => pane.applyOptions({ width }));
+    };
+
+    // Docked panels change width without the window resizing.
+    const observer = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(handleResize);
+    if (observer) observer.observe(chartContainerRef.current);
+    window.addEventListener('resize', handleResize);
+
+    return () => {
+      if (observer) observer.disconnect();
+      window.removeEventListener('resize', handleResize);
+      chart.unsubscribeCrosshairMove(handleCrosshairMove);
+      chart.unsubscribeClick(handleClick);
+      chart.unsubscribeDblClick(handleDblClick);
+      setChartApi(null);
+      chart.remove();
+      chartRef.current = null;
+      candlestickSeriesRef.current = null;
+      renderedCandlesRef.current = [];
+    };
+  }, [height, candlestickSeriesRef]);
+
+  // --- Volume, Indicator Series and Oscillator Panes ---
+  // A new `height` means a new price chart, so the overlays are added again.
+  useEffect(() => {
+    const chart = chartRef.current;
+    const created = [];
+    const volumeChart = createChart(volumeContainerRef.current, {
+      ...BASE_CHART_OPTIONS,
+      width: volumeContainerRef.current.clientWidth,
+      height: volumeHeight,
+    });
+    volumeSeriesRef.current = volumeChart.addHistogramSeries({ priceFormat: { type: 'volume' } });
+    const paneCharts = [volumeChart];
+
+    indicators.forEach(indicator => {
+      const definition = INDICATOR_TYPES[indicator.type];
+      if (!definition) return;
+      let target = chart;
+      if (definition.placement === 'oscillator') {
+        const container = paneContainersRef.current[indicator.id];
+        target = createChart(container, {
+          ...BASE_CHART_OPTIONS,
+          width: container.clientWidth,
+          height: paneHeight,
+        });
+        paneCharts.push(target);
+      }
+      const series = {};
+      definition.outputs.forEach(output => {
+        series[output.key] = addSeries(target, output.seriesType, indicator.colors[output.key], output.label);
+      });
+      if (definition.levels) {
+        const firstSeries = series[definition.outputs[0].key];
+        definition.levels(indicator.params).forEach(level => {
+          firstSeries.createPriceLine({ price: level, color: '#999', lineWidth: 1, lineStyle: LineStyle.Dashed, axisLabelVisible: true });
+        });
+      }
+      created.push({ indicator, series, chart: target });
+    });
+
+    indicatorSeriesRef.current = created;
+    paneChartsRef.current = paneCharts;
+    setIndicatorData(volumeSeriesRef.current, created, candlesRef.current, false);
+
+    // Keep every pane scrolled and zoomed together with the price chart.
+    const charts = [chart, ...paneCharts];
+    let syncing = false;
+    const handlers = charts.map(source => {
+      const handler = range => {
+        if (syncing || !range) return;
+        syncing = true;
+        charts.forEach(target => {
+          if (target !== source) target.timeScale().setVisibleLogicalRange(range);
+        });
+        syncing = false;
+      };
+      source.timeScale().subscribeVisibleLogicalRangeChange(handler);
+      return handler;
+    });
+    const mainRange = chart.timeScale().getVisibleLogicalRange();
+    if (mainRange) paneCharts.forEach(pane => pane.timeScale().setVisibleLogicalRange(mainRange));
+
+    return () => {
+      // On unmount the price chart is already removed, and its series with it.
+      if (chartRef.current === chart) {
+        chart.timeScale().unsubscribeVisibleLogicalRangeChange(handlers[0]);
+        created.forEach(({ series, chart: owner }) => {
+          if (owner === chart) Object.values(series).forEach(s => chart.removeSeries(s));
+        });
+      }
+      paneCharts.forEach(pane => pane.remove());
+      volumeSeriesRef.current = null;
+      indicatorSeriesRef.current = [];
+      paneChartsRef.current = [];
+    };
+  }, [indicators, height, paneHeight, volumeHeight]);
+
+  // --- Candle Data ---
+  useEffect(() => {
+    const previous = renderedCandlesRef.current;
+    if (candles === previous || !candlestickSeriesRef.current) return;
+    const tailOnly = isTailUpdate(previous, candles);
+    if (tailOnly) {
+      candlestickSeriesRef.current.update(candles[candles.length - 1]);
+    } else {
+      candlestickSeriesRef.current.setData(candles);
+    }
+    renderedCandlesRef.current = candles;
+    setIndicatorData(volumeSeriesRef.current, indicatorSeriesRef.current, candles, tailOnly);
+  }, [candles, candlestickSeriesRef]);
+
+  // --- Markers ---
+  useEffect(() => {
+    setSeriesMarkers(candlestickSeriesRef.current, markers);
+  }, [markers, candlestickSeriesRef]);
+
+  const oscillators = indicators.filter(indicator => INDICATOR_TYPES[indicator.type]?.placement === 'oscillator');
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ position: 'relative' }}>
+        <div ref={chartContainerRef} style={{ height: `${height}px` }}></div>
+        {chartApi && renderOverlay && renderOverlay(chartApi)}
+        {markerDetail && (
+          <div style={{ ...MARKER_DETAIL_STYLE, left: markerDetail.x + 12, top: markerDetail.y + 12 }}>
+            <strong>{markerDetail.details.title}</strong>
+            <div>Strategy: {markerDetail.details.strategy || '-'}</div>
+            {markerDetail.details.description && <div>{markerDetail.details.description}</div>}
+            {typeof markerDetail.details.price === 'number' && <div>Price: {markerDetail.details.price.toFixed(2)}</div>}
+            <div>{new Date(markerDetail.details.timestamp).toLocaleString()}</div>
+          </div>
+        )}
+      </div>
+      <div style={{ borderTop: '1px solid #ccc' }}>
+        <div style={{ fontSize: '12px', color: '#666', padding: '2px 0' }}>Volume</div>
+        <div ref={volumeContainerRef} style={{ height: `${volumeHeight}px` }}></div>
+      </div>
+      {oscillators.map(indicator => (
+        <div key={indicator.id} style={{ borderTop: '1px solid #ccc' }}>
+          <div style={{ fontSize: '12px', color: '#666', padding: '2px 0' }}>
+            {INDICATOR_TYPES[indicator.type].label} ({Object.values(indicator.params).join(', ')})
+          </div>
+          <div
+            ref={el => { paneContainersRef.current[indicator.id] = el; }}
+            style={{ height: `${paneHeight}px` }}
+          ></div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+export default TradingChart;
@@ -0,0 +1,59 @@
+import React, { createRef } from 'react';
+import { render } from '@testing-library/react';
+import TradingChart from './TradingChart';
+import { createIndicator } from '../utils/indicatorCatalog';
+
+// A stand-in for lightweight-charts that, like the real one, throws when a
+// series is removed from a chart that was already removed.
+jest.mock('lightweight-charts', () => {
+  const createSeries = () => ({
+    setData: jest.fn(),
+    update: jest.fn(),
+    setMarkers: jest.fn(),
+    createPriceLine: jest.fn(),
+    coordinateToPrice: jest.fn(() => null),
+  });
+  const createChart = () => {
+    let removed = false;
+    const timeScale = {
+      subscribeVisibleLogicalRangeChange: jest.fn(),
+      unsubscribeVisibleLogicalRangeChange: jest.fn(),
+      getVisibleLogicalRange: jest.fn(() => null),
+      setVisibleLogicalRange: jest.fn(),
+    };
+    return {
+      addCandlestickSeries: createSeries,
+      addHistogramSeries: createSeries,
+      addLineSeries: createSeries,
+      removeSeries: () => {
+        if (removed) throw new Error('Value is undefined');
+      },
+      timeScale: () => timeScale,
+      applyOptions: jest.fn(),
+      subscribeCrosshairMove: jest.fn(),
+      unsubscribeCrosshairMove: jest.fn(),
+      subscribeClick: jest.fn(),
+      unsubscribeClick: jest.fn(),
+      subscribeDblClick: jest.fn(),
+      unsubscribeDblClick: jest.fn(),
+      remove: () => { removed = true; },
+    };
+  };
+  return { createChart, LineStyle: { Dashed: 2 } };
+});
+
+const candles = [
+  { time: 1, open: 10, high: 11, low: 9, close: 10.5, volume: 100 },
+  { time: 2, open: 10.5, high: 12, low: 10, close: 11.5, volume: 150 },
+];
+
+test('unmounts with overlay and oscillator indicators shown', () => {
+  const indicators = [createIndicator('sma'), createIndicator('rsi')];
+  const seriesRef = createRef();
+  const { rerender, unmount } = render(
+    <TradingChart candles={candles} indicators={indicators} candlestickSeriesRef={seriesRef} />,
+  );
+  // Dropping the oscillator rebuilds the overlays on the live price chart.
+  rerender(<TradingChart candles={candles} indicators={[indicators[0]]} candlestickSeriesRef={seriesRef} />);
+  expect(() => unmount()).not.toThrow();
+});
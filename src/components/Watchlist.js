@@ -0,0 +1,138 @@
+import React, { useEffect, useState } from 'react';
+import { describeApiError, getCandles, isCancelled } from '../services/api';
+import { useStompSubscription } from '../hooks/useSocket';
+import { usePersistentState } from '../hooks/usePersistentState';
+import { getCurrentUserId } from '../services/session';
+import { summarizeQuote, upsertCandle } from '../utils/quotes';
+import { normalizeCandle, normalizeSignal } from '../utils/apiSchemas';
+import { UP_COLOR, DOWN_COLOR } from '../utils/chartTheme';
+import Sparkline from './Sparkline';
+
+const SPARKLINE_POINTS = 60;
+
+function WatchlistTile({ symbol, active, onSelect, onRemove, onMoveUp, onMoveDown }) {
+  const [candles, setCandles] = useState([]);
+  const [lastSignal, setLastSignal] = useState(null);
+  const [loadError, setLoadError] = useState(null);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    getCandles(symbol, { signal: controller.signal })
+      .then(data => {
+        setCandles(data);
+        setLoadError(null);
+      })
+      .catch(error => {
+        if (isCancelled(error)) return;
+        console.error(`Error fetching watchlist data for ${symbol}:`, error);
+        setLoadError(describeApiError(error));
+      });
+    return () => controller.abort();
+  }, [symbol]);
+
+  useStompSubscription(`/topic/stock-data/${symbol}`, data => {
+    const candle = normalizeCandle(data);
+    if (candle) setCandles(prev => upsertCandle(prev, candle));
+  });
+
+  useStompSubscription(`/topic/trading-signals/${symbol}`, data => {
+    const signal = normalizeSignal(data);
+    if (signal) setLastSignal(signal);
+  });
+
+  const quote = summarizeQuote(candles);
+  const color = quote && quote.change < 0 ? DOWN_COLOR : UP_COLOR;
+  const stop = event => event.stopPropagation();
+
+  return (
+    <div
+      onClick={() => onSelect(symbol)}
+      style={{ border: `1px solid ${active ? '#333' : '#ccc'}`, padding: '8px', cursor: 'pointer', backgroundColor: active ? '#f2f2f2' : 'white' }}
+    >
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+        <strong>{symbol}</strong>
+        <span onClick={stop}>
+          <button onClick={onMoveUp} disabled={!onMoveUp} title="Move up">▲</button>
+          <button onClick={onMoveDown} disabled={!onMoveDown} title="Move down">▼</button>
+          <button onClick={() => onRemove(symbol)} title="Remove">✕</button>
+        </span>
+      </div>
+      {quote ? (
+        <div style={{ color }}>
+          {quote.last.toFixed(2)} {quote.change >= 0 ? '+' : ''}{quote.change.toFixed(2)} ({quote.changePercent.toFixed(2)}%)
+        </div>
+      ) : loadError ? (
+        <div style={{ color: DOWN_COLOR }} title={loadError}>Failed to load</div>
+      ) : (
+        <div style={{ color: '#666' }}>No data</div>
+      )}
+      <Sparkline values={candles.slice(-SPARKLINE_POINTS).map(c => c.close)} color={color} />
+      <div style={{ fontSize: '12px', color: '#666' }}>
+        {lastSignal
+          ? `${lastSignal.signalType} (${lastSignal.strategyName}) ${new Date(lastSignal.timestamp).toLocaleTimeString()}`
+          : 'No signal'}
+      </div>
+    </div>
+  );
+}
+
+function Watchlist({ activeSymbol, onSelectSymbol }) {
+  const [symbols, setSymbols] = usePersistentState(`watchlist:${getCurrentUserId()}`, ['IBM']);
+  const [newSymbol, setNewSymbol] = useState('');
+
+  const handleAdd = () => {
+    const candidate = newSymbol.trim().toUpperCase();
+    if (candidate && !symbols.includes(candidate)) {
+      setSymbols([...symbols, candidate]);
+    }
+    setNewSymbol('');
+  };
+
+  const handleRemove = (symbolToRemove) => {
+    setSymbols(symbols.filter(s => s !== symbolToRemove));
+  };
+
+  const handleMove = (index, delta) => {
+    const next = symbols.slice();
+    const [moved] = next.splice(index, 1);
+    next.splice(index + delta, 0, moved);
+    setSymbols(next);
+  };
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <div style={{ marginBottom: '10px' }}>
+        <input
+          type="text"
+          value={newSymbol}
+          onChange={(e) => setNewSymbol(e.target.value.toUpperCase())}
+          onKeyDown={(e) => e.key === 'Enter' && handleAdd()}
+          placeholder="Add symbol"
+          style={{ marginRight: '10px', padding: '8px' }}
+        />
+        <button onClick={handleAdd} style={{ padding: '8px 15px' }}>
+          Add to Watchlist
+        </button>
+      </div>
+      {symbols.length === 0 ? (
+        <p>Watchlist is empty.</p>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '10px' }}>
+          {symbols.map((s, index) => (
+            <WatchlistTile
+              key={s}
+              symbol={s}
+              active={s === activeSymbol}
+              onSelect={onSelectSymbol}
+              onRemove={handleRemove}
+              onMoveUp={index > 0 ? () => handleMove(index, -1) : null}
+              onMoveDown={index < symbols.length - 1 ? () => handleMove(index, 1) : null}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default Watchlist;
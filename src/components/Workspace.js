@@ -0,0 +1,180 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { DOCKS, dockPanels, movePanel, resizeDock, resizePanel, updatePanel } from '../utils/workspace';
+
+const DROP_COLOR = '#2962ff';
+const EMPTY_DOCK_WIDTH = 160;
+
+const splitterStyle = { flex: 'none', width: '6px', cursor: 'col-resize', background: '#f0f0f0', margin: '0 4px' };
+const dropLine = active => ({ height: '3px', background: active ? DROP_COLOR : 'transparent', marginBottom: '4px' });
+
+const applyResize = (layout, { kind, key, size }) => (
+  kind === 'panel' ? resizePanel(layout, key, size) : resizeDock(layout, key, size)
+);
+
+// Lays out `panels` ({ [id]: { title, render } }) as `layout` places them
+// (see utils/workspace.js). A panel is docked by dragging its title bar onto
+// a dock or in front of another panel, and resized by dragging the bar under
+// it or the splitters between docks. Collapsed panels stay mounted, and a
+// panel keeps its state across views while it stays in the same dock, so
+// live feeds inside one keep running.
+function Workspace({ layout, panels, onChange }) {
+  const [dragId, setDragId] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null); // { dock, beforeId }
+  const [resize, setResize] = useState(null); // { kind: 'dock' | 'panel', key, start, startSize, size }
+  const bodyRefs = useRef({});
+
+  // The mouseup listener commits the resize against the latest layout and
+  // onChange rather than the ones from when the drag started.
+  const latestRef = useRef();
+  latestRef.current = { layout, onChange, resize };
+
+  // --- Resizing ---
+  const startResize = (event, kind, key, startSize) => {
+    if (event.button !== 0) return;
+    event.preventDefault();
+    const start = kind === 'panel' ? event.clientY : event.clientX;
+    setResize({ kind, key, start, startSize, size: startSize });
+  };
+
+  const resizing = resize && `${resize.kind}:${resize.key}`;
+  useEffect(() => {
+    if (!resizing) return undefined;
+    const handleMove = (event) => {
+      setResize(current => {
+        const delta = current.kind === 'panel' ? event.clientY - current.start : event.clientX - current.start;
+        return { ...current, size: current.startSize + (current.key === 'right' && current.kind === 'dock' ? -delta : delta) };
+      });
+    };
+    const handleUp = () => {
+      const { layout: current, onChange: change, resize: finished } = latestRef.current;
+      setResize(null);
+      if (finished && finished.size !== finished.startSize) change(applyResize(current, finished));
+    };
+    window.addEventListener('mousemove', handleMove);
+    window.addEventListener('mouseup', handleUp);
+    return () => {
+      window.removeEventListener('mousemove', handleMove);
+      window.removeEventListener('mouseup', handleUp);
+    };
+  }, [resizing]);
+
+  // --- Docking ---
+  const handleDragStart = (event, id) => {
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', id);
+    setDragId(id);
+  };
+
+  const handleDragEnd = () => {
+    setDragId(null);
+    setDropTarget(null);
+  };
+
+  const handleDragOver = (event, dock, beforeId = null) => {
+    if (!dragId) return;
+    event.preventDefault();
+    event.stopPropagation();
+    if (!dropTarget || dropTarget.dock !== dock || dropTarget.beforeId !== beforeId) setDropTarget({ dock, beforeId });
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    if (dragId && dropTarget) onChange(movePanel(layout, dragId, dropTarget.dock, dropTarget.beforeId));
+    handleDragEnd();
+  };
+
+  // --- Rendering ---
+  const shown = resize ? applyResize(layout, resize) : layout;
+
+  const renderPanel = (panel, dock) => {
+    const { id, height, collapsed } = panel;
+    const { title, render } = panels[id];
+    const dockIndex = DOCKS.indexOf(dock);
+    const moveTo = target => onChange(movePanel(layout, id, target));
+    return (
+      <section key={id} onDragOver={(e) => handleDragOver(e, dock, id)} style={{ marginBottom: '10px', opacity: dragId === id ? 0.5 : 1 }}>
+        <div style={dropLine(dropTarget && dropTarget.beforeId === id)} />
+        <div style={{ border: '1px solid #ccc', background: 'white' }}>
+          <div
+            draggable
+            onDragStart={(e) => handleDragStart(e, id)}
+            onDragEnd={handleDragEnd}
+            title="Drag to dock this panel elsewhere"
+            style={{ display: 'flex', alignItems: 'center', gap: '5px', padding: '4px 8px', background: '#f5f5f5', cursor: 'grab' }}
+          >
+            <strong style={{ flex: 1 }}>{title}</strong>
+            {dockIndex > 0 && <button onClick={() => moveTo(DOCKS[dockIndex - 1])} title="Move to the dock on the left">◀</button>}
+            {dockIndex < DOCKS.length - 1 && <button onClick={() => moveTo(DOCKS[dockIndex + 1])} title="Move to the dock on the right">▶</button>}
+            <button onClick={() => onChange(updatePanel(layout, id, { collapsed: !collapsed }))}>{collapsed ? 'Expand' : 'Collapse'}</button>
+          </div>
+          <div
+            ref={el => { bodyRefs.current[id] = el; }}
+            style={{
+              display: collapsed ? 'none' : 'block',
+              height: height === null ? undefined : `${height}px`,
+              overflow: height === null ? undefined : 'auto',
+              padding: '10px',
+              boxSizing: 'border-box',
+            }}
+          >
+            {render()}
+          </div>
+          {!collapsed && (
+            <div
+              onMouseDown={(e) => startResize(e, 'panel', id, height ?? bodyRefs.current[id].offsetHeight)}
+              onDoubleClick={() => onChange(resizePanel(layout, id, null))}
+              title="Drag to resize; double-click to fit the content"
+              style={{ height: '6px', cursor: 'row-resize', background: '#f0f0f0' }}
+            />
+          )}
+        </div>
+      </section>
+    );
+  };
+
+  const renderDock = (dock) => {
+    const docked = dockPanels(shown, dock).filter(p => panels[p.id]);
+    if (dock !== 'main' && docked.length === 0 && !dragId) return null;
+    let width = null;
+    if (dock !== 'main') width = docked.length > 0 ? shown.widths[dock] : EMPTY_DOCK_WIDTH;
+    return (
+      <div
+        key={dock}
+        onDragOver={(e) => handleDragOver(e, dock)}
+        onDrop={handleDrop}
+        style={{
+          flex: width === null ? 1 : 'none',
+          width: width === null ? undefined : `${width}px`,
+          minWidth: 0,
+          minHeight: dragId ? '120px' : undefined,
+          outline: dragId ? '1px dashed #bbb' : 'none',
+        }}
+      >
+        {docked.map(panel => renderPanel(panel, dock))}
+        {dragId && <div style={dropLine(dropTarget && dropTarget.dock === dock && dropTarget.beforeId === null)} />}
+        {dragId && docked.length === 0 && <p style={{ color: '#666', textAlign: 'center' }}>Dock here</p>}
+      </div>
+    );
+  };
+
+  const splitter = (dock) => (dockPanels(shown, dock).some(p => panels[p.id]) ? (
+    <div
+      key={`${dock}-splitter`}
+      onMouseDown={(e) => startResize(e, 'dock', dock, shown.widths[dock])}
+      title="Drag to resize"
+      style={splitterStyle}
+    />
+  ) : null);
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'stretch' }}>
+      {renderDock('left')}
+      {splitter('left')}
+      {renderDock('main')}
+      {splitter('right')}
+      {renderDock('right')}
+    </div>
+  );
+}
+
+export default Workspace;
@@ -0,0 +1,44 @@
+import React from 'react';
+import {
+  deleteWorkspace,
+  resetViewLayout,
+  saveWorkspaceAs,
+  switchWorkspace,
+  workspaceNames,
+} from '../utils/workspace';
+
+// Picks the active named workspace and saves, deletes or resets layouts.
+// Rearranging panels updates the active workspace as it happens, so "Save
+// as" is how a second arrangement is started from the current one.
+function WorkspaceMenu({ workspaces, onChange, view }) {
+  const names = workspaceNames(workspaces);
+
+  const handleSaveAs = () => {
+    const name = (window.prompt('Name for this layout', '') || '').trim();
+    if (!name) return;
+    if (workspaces.layouts[name] && !window.confirm(`Replace the layout "${name}"?`)) return;
+    onChange(saveWorkspaceAs(workspaces, name));
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(`Delete the layout "${workspaces.active}"?`)) onChange(deleteWorkspace(workspaces, workspaces.active));
+  };
+
+  return (
+    <span>
+      <label style={{ marginRight: '5px' }}>
+        Layout:{' '}
+        <select value={workspaces.active} onChange={(e) => onChange(switchWorkspace(workspaces, e.target.value))} style={{ padding: '4px' }}>
+          {names.map(name => <option key={name} value={name}>{name}</option>)}
+        </select>
+      </label>
+      <button onClick={handleSaveAs} style={{ marginRight: '5px' }}>Save as…</button>
+      <button onClick={handleDelete} disabled={names.length < 2} style={{ marginRight: '5px' }}>Delete</button>
+      <button onClick={() => onChange(resetViewLayout(workspaces, view))} title="Put this view's panels back where they started">
+        Reset view
+      </button>
+    </span>
+  );
+}
+
+export default WorkspaceMenu;
@@ -0,0 +1,78 @@
+import { loadJSON, saveJSON } from './utils/storage';
+
+// Backend endpoints are chosen at runtime, so one build can serve every
+// environment. The build's env gives the `local` profile; a config file served
+// next to the app (public/config.json, or REACT_APP_CONFIG_URL) can override
+// it and add more:
+//   { "defaultProfile": "staging",
+//     "profiles": { "staging": { "label", "apiBaseUrl", "websocketUrl", "auth" } } }
+// The active profile is the first of: ?profile= in the URL, the one last
+// picked in this browser, REACT_APP_BACKEND_PROFILE, the file's default.
+
+const CONFIG_URL = process.env.REACT_APP_CONFIG_URL || '/config.json';
+const PROFILE_KEY = 'backend-profile';
+
+const ENV_PROFILE = {
+  label: 'Local',
+  apiBaseUrl: process.env.REACT_APP_API_BASE_URL || 'http://localhost:8080/api/v1',
+  websocketUrl: process.env.REACT_APP_WEBSOCKET_URL || 'http://localhost:8080/ws',
+  // The stock backend has no login; one that does turns this on.
+  auth: process.env.REACT_APP_AUTH === 'true',
+};
+
+// Read at call time, so they follow `selectProfile`.
+export let API_BASE_URL = ENV_PROFILE.apiBaseUrl;
+export let WEBSOCKET_URL = ENV_PROFILE.websocketUrl;
+export let AUTH_REQUIRED = ENV_PROFILE.auth;
+
+// Runs the app against the in-browser mock backend in src/mock instead of a
+// server: build with REACT_APP_MOCK_BACKEND=true, or open the app with ?mock.
+export const USE_MOCK_BACKEND = process.env.REACT_APP_MOCK_BACKEND === 'true'
+  || new URLSearchParams(window.location.search).has('mock');
+
+let profiles = { local: ENV_PROFILE };
+let activeProfile = 'local';
+
+// Merges the served file into the env profile and picks the active one.
+// Profiles missing a field inherit it from `local`.
+export function resolveRuntimeConfig(file, { requested = [], fallback = ENV_PROFILE } = {}) {
+  const merged = { local: fallback };
+  Object.entries((file && file.profiles) || {}).forEach(([name, profile]) => {
+    merged[name] = { ...fallback, label: name, ...merged[name], ...profile };
+  });
+  const candidates = [...requested, file && file.defaultProfile, 'local'];
+  const active = candidates.find(name => name && merged[name]);
+  return { profiles: merged, active };
+}
+
+export const getProfiles = () => profiles;
+export const getActiveProfile = () => activeProfile;
+
+export function selectProfile(name) {
+  if (!profiles[name]) throw new Error(`Unknown backend profile: ${name}`);
+  activeProfile = name;
+  API_BASE_URL = profiles[name].apiBaseUrl;
+  WEBSOCKET_URL = profiles[name].websocketUrl;
+  AUTH_REQUIRED = Boolean(profiles[name].auth);
+  saveJSON(PROFILE_KEY, name);
+}
+
+// Called once before the app renders. A missing or broken config file leaves
+// the env profile in place.
+export async function loadRuntimeConfig() {
+  let file = null;
+  try {
+    const response = await window.fetch(CONFIG_URL, { cache: 'no-store' });
+    if (response.ok) file = await response.json();
+  } catch (error) {
+    console.error('Error loading runtime config:', error);
+  }
+  const requested = [
+    new URLSearchParams(window.location.search).get('profile'),
+    loadJSON(PROFILE_KEY, null),
+    process.env.REACT_APP_BACKEND_PROFILE,
+  ];
+  const resolved = resolveRuntimeConfig(file, { requested });
+  profiles = resolved.profiles;
+  selectProfile(resolved.active);
+}
@@ -0,0 +1,20 @@
+import { resolveRuntimeConfig } from './config';
+
+const LOCAL = { label: 'Local', apiBaseUrl: 'http://localhost:8080/api/v1', websocketUrl: 'http://localhost:8080/ws', auth: true };
+
+test('served profiles inherit missing fields from the env profile', () => {
+  const { profiles, active } = resolveRuntimeConfig({
+    defaultProfile: 'staging',
+    profiles: { staging: { apiBaseUrl: 'https://staging/api/v1', websocketUrl: 'https://staging/ws' }, local: { auth: false } },
+  }, { fallback: LOCAL });
+
+  expect(active).toBe('staging');
+  expect(profiles.staging).toEqual({ label: 'staging', apiBaseUrl: 'https://staging/api/v1', websocketUrl: 'https://staging/ws', auth: true });
+  expect(profiles.local).toEqual({ ...LOCAL, auth: false });
+});
+
+test('the first known requested profile wins over the default', () => {
+  const file = { defaultProfile: 'staging', profiles: { staging: {}, prod: {} } };
+  expect(resolveRuntimeConfig(file, { requested: [null, 'gone', 'prod'], fallback: LOCAL }).active).toBe('prod');
+  expect(resolveRuntimeConfig(null, { requested: ['prod'], fallback: LOCAL })).toEqual({ profiles: { local: LOCAL }, active: 'local' });
+});
@@ -0,0 +1,25 @@
+import { useCallback, useEffect, useState } from 'react';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+// useState backed by localStorage under `key`. When the key changes (another
+// user signs in) the value is reloaded from the new key rather than carried
+// over to it.
+export function usePersistentState(key, initialValue) {
+  const [state, setState] = useState(() => ({ key, value: loadJSON(key, initialValue) }));
+
+  let current = state;
+  if (state.key !== key) {
+    current = { key, value: loadJSON(key, initialValue) };
+    setState(current);
+  }
+
+  useEffect(() => {
+    saveJSON(state.key, state.value);
+  }, [state]);
+
+  const setValue = useCallback((update) => {
+    setState(prev => ({ key: prev.key, value: typeof update === 'function' ? update(prev.value) : update }));
+  }, []);
+
+  return [current.value, setValue];
+}
@@ -0,0 +1,19 @@
+import { act, renderHook } from '@testing-library/react';
+import { usePersistentState } from './usePersistentState';
+
+beforeEach(() => window.localStorage.clear());
+
+test('values are saved under their key and reloaded when the key changes', () => {
+  window.localStorage.setItem('trading-platform:prefs:bob', JSON.stringify(['bob']));
+  const { result, rerender } = renderHook(({ key }) => usePersistentState(key, []), { initialProps: { key: 'prefs:alice' } });
+
+  act(() => result.current[1](prev => [...prev, 'alice']));
+  expect(result.current[0]).toEqual(['alice']);
+
+  rerender({ key: 'prefs:bob' });
+  expect(result.current[0]).toEqual(['bob']);
+  act(() => result.current[1](prev => [...prev, 'again']));
+
+  expect(JSON.parse(window.localStorage.getItem('trading-platform:prefs:alice'))).toEqual(['alice']);
+  expect(JSON.parse(window.localStorage.getItem('trading-platform:prefs:bob'))).toEqual(['bob', 'again']);
+});
@@ -0,0 +1,12 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { getLocation, onLocationChange } from '../services/router';
+import { parseRoute } from '../utils/routes';
+
+// The current route, re-rendering on navigation and Back / Forward.
+export function useRoute() {
+  const location = useSyncExternalStore(onLocationChange, getLocation);
+  return useMemo(() => {
+    const index = location.indexOf('?');
+    return index === -1 ? parseRoute(location) : parseRoute(location.slice(0, index), location.slice(index));
+  }, [location]);
+}
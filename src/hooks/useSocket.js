@@ -0,0 +1,22 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { socket } from '../services/socket';
+
+// Subscribes to a STOMP destination for as long as the component is mounted
+// or until `destination` changes. The handler may change on every render
+// without causing a resubscribe. Pass a falsy destination to skip.
+export function useStompSubscription(destination, handler) {
+  const handlerRef = useRef(handler);
+
+  useEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  useEffect(() => {
+    if (!destination) return undefined;
+    return socket.subscribe(destination, payload => handlerRef.current(payload));
+  }, [destination]);
+}
+
+export function useConnectionState() {
+  return useSyncExternalStore(socket.onStateChange, socket.getState);
+}
@@ -2,14 +2,31 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import AuthGate from './components/AuthGate';
+import ToastCenter from './components/ToastCenter';
 import reportWebVitals from './reportWebVitals';
+import { USE_MOCK_BACKEND, loadRuntimeConfig } from './config';
+import { installAuthInterceptors } from './services/auth';
+import { installMockBackend } from './mock';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+
+// The backend profile has to be known before anything talks to it.
+loadRuntimeConfig().then(() => {
+  if (USE_MOCK_BACKEND) {
+    installMockBackend();
+  }
+  installAuthInterceptors();
+
+  root.render(
+    <React.StrictMode>
+      <AuthGate>
+        <App />
+      </AuthGate>
+      <ToastCenter />
+    </React.StrictMode>
+  );
+});
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
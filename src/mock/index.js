@@ -0,0 +1,49 @@
+import axios, { AxiosError } from 'axios';
+import { API_BASE_URL } from '../config';
+import { createMockBackend } from './mockBackend';
+import { createMockClientFactory, createMockFeed } from './mockSocket';
+
+// Mock mode: one shared in-memory backend behind both axios and the STOMP
+// connection, so REST calls and the live feed see the same strategies,
+// signals and trades.
+
+const LATENCY_MS = 80;
+
+export const mockBackend = createMockBackend();
+export const mockFeed = createMockFeed(mockBackend);
+export const mockClientFactory = createMockClientFactory(mockFeed);
+
+const parseBody = (data) => {
+  if (typeof data !== 'string') return data;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+// An axios adapter answering from the mock backend. Error statuses reject
+// with an AxiosError carrying the response, as a real server's would.
+export function mockAdapter(config) {
+  const url = new URL(config.url.startsWith('http') ? config.url : `${API_BASE_URL}${config.url}`);
+  const base = new URL(API_BASE_URL);
+  const path = url.pathname.startsWith(base.pathname) ? url.pathname.slice(base.pathname.length) : url.pathname;
+  const params = { ...Object.fromEntries(url.searchParams), ...config.params };
+  const { status, data } = mockBackend.request({ method: config.method, path, params, body: parseBody(config.data) });
+
+  return new Promise((resolve, reject) => {
+    setTimeout(() => {
+      const response = { data, status, statusText: String(status), headers: {}, config, request: null };
+      if (status < 400) {
+        resolve(response);
+      } else {
+        const code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+        reject(new AxiosError(`Request failed with status code ${status}`, code, config, null, response));
+      }
+    }, LATENCY_MS);
+  });
+}
+
+export function installMockBackend() {
+  axios.defaults.adapter = mockAdapter;
+}
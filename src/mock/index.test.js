@@ -0,0 +1,17 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config';
+import { mockAdapter } from '.';
+
+test('axios requests are answered by the mock backend', async () => {
+  const { data: strategies } = await axios.get(`${API_BASE_URL}/strategies`, { adapter: mockAdapter });
+  expect(strategies.length).toBeGreaterThan(0);
+
+  const { status, data: created } = await axios.post(`${API_BASE_URL}/strategies`, {
+    strategyName: 'RSI_MEAN_REVERSION_STRATEGY', symbol: 'TSLA', parameters: '{}', enabled: false,
+  }, { adapter: mockAdapter });
+  expect(status).toBe(201);
+  expect(created).toMatchObject({ symbol: 'TSLA', id: expect.any(Number) });
+
+  await expect(axios.delete(`${API_BASE_URL}/strategies/999`, { adapter: mockAdapter }))
+    .rejects.toMatchObject({ response: { status: 404, data: { message: 'Strategy 999 not found' } } });
+});
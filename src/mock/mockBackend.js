@@ -0,0 +1,278 @@
+import { ENGINE_STRATEGIES, runBacktest } from '../utils/backtestEngine';
+import { macd, rsi, sma } from '../utils/indicators';
+import { backtestSlug, parseParameters } from '../utils/strategies';
+import { toFormValues, validateStrategy } from '../utils/strategySchemas';
+import { filterToPeriod } from '../services/backtestData';
+import { sortRows } from '../utils/grid';
+import { createMockMarket } from './mockMarket';
+
+// In-memory stand-in for the Spring Boot backend: the REST routes the app
+// calls, plus the live feed's side effects (indicators, signals and the
+// simulated trades that enabled strategies place on them).
+
+const SIGNAL_LOOKBACK = 200;
+const MAX_STORED = 1000;
+const TRADE_QUANTITY = 10;
+const STARTING_CASH = 10000;
+
+const SEED_STRATEGIES = [
+  { id: 1, strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', parameters: '{"shortSma":5,"longSma":20}', enabled: true },
+  { id: 2, strategyName: 'RSI_MEAN_REVERSION_STRATEGY', symbol: 'IBM', parameters: '{"rsiPeriod":14,"oversold":30,"overbought":70}', enabled: true },
+  { id: 3, strategyName: 'MACD_CROSSOVER_STRATEGY', symbol: 'AAPL', parameters: '{"fastPeriod":12,"slowPeriod":26,"signalPeriod":9}', enabled: false },
+];
+
+const toIso = time => new Date(time * 1000).toISOString();
+
+const toStockData = (symbol, candle) => ({
+  symbol,
+  timestamp: toIso(candle.time),
+  open: candle.open,
+  high: candle.high,
+  low: candle.low,
+  close: candle.close,
+  volume: candle.volume,
+});
+
+const last = values => values[values.length - 1];
+
+class MockHttpError extends Error {
+  constructor(status, data) {
+    super(data.message);
+    this.status = status;
+    this.data = data;
+  }
+}
+
+const notFound = what => new MockHttpError(404, { message: `${what} not found` });
+
+// Spring Data paging for list endpoints: without a `page` parameter the whole
+// list is returned, as the real backend's unpaged routes do.
+function toPage(rows, { page, size = 20, sort, from, to, ...filters }) {
+  if (page === undefined) return rows;
+  const matching = rows.filter(row => (
+    Object.entries(filters).every(([key, value]) => String(row[key] ?? '').toLowerCase().includes(String(value).toLowerCase()))
+    && (!from || row.startDate >= from)
+    && (!to || row.endDate <= to)
+  ));
+  const [key, direction] = sort ? sort.split(',') : [];
+  const sorted = key ? sortRows(matching, [{ key }], { key, direction }) : matching;
+  const number = Number(page);
+  const pageSize = Number(size);
+  return {
+    content: sorted.slice(number * pageSize, (number + 1) * pageSize),
+    totalElements: sorted.length,
+    number,
+    size: pageSize,
+  };
+}
+
+// Spring-style validation errors, so the editor can place them on fields.
+function checkStrategy(body) {
+  const errors = validateStrategy(toFormValues(body));
+  if (Object.keys(errors).length === 0) return;
+  throw new MockHttpError(400, {
+    message: 'Validation failed',
+    errors: Object.entries(errors).map(([field, message]) => ({
+      field: ['strategyName', 'symbol'].includes(field) ? field : `parameters.${field}`,
+      defaultMessage: message,
+    })),
+  });
+}
+
+export function createMockBackend({ market = createMockMarket() } = {}) {
+  let strategies = SEED_STRATEGIES.map(s => ({ ...s }));
+  const signals = new Map(); // symbol -> signals, oldest first
+  const trades = [];
+  const backtestResults = [];
+  const backtestTrades = new Map(); // result id -> trades
+  const books = new Map(); // strategy id -> { quantity, cash }
+  const nextId = { strategy: SEED_STRATEGIES.length + 1, signal: 1, trade: 1, backtest: 1 };
+
+  const refreshTokens = new Map(); // refresh token -> user
+  let tokenCount = 0;
+
+  // Any non-empty credentials sign in; tokens are opaque and never expire.
+  const issueTokens = (user) => {
+    tokenCount += 1;
+    const refreshToken = `mock-refresh-${tokenCount}`;
+    refreshTokens.set(refreshToken, user);
+    return { accessToken: `mock-access-${tokenCount}`, refreshToken, user };
+  };
+
+  const takeId = (kind) => {
+    nextId[kind] += 1;
+    return nextId[kind] - 1;
+  };
+
+  const findStrategy = (id) => {
+    const strategy = strategies.find(s => String(s.id) === String(id));
+    if (!strategy) throw notFound(`Strategy ${id}`);
+    return strategy;
+  };
+
+  function runServerBacktest(symbol, slug, params) {
+    const strategyName = Object.keys(ENGINE_STRATEGIES).find(name => backtestSlug(name) === slug);
+    if (!strategyName) throw notFound(`Backtest strategy ${slug}`);
+    const { startDate, endDate, initialCapital = STARTING_CASH, ...overrides } = params;
+    const candles = startDate && endDate ? filterToPeriod(market.candles(symbol), startDate, endDate) : market.candles(symbol);
+    if (candles.length === 0) throw new MockHttpError(400, { message: 'No price data for this period' });
+    let result;
+    try {
+      result = runBacktest({
+        candles,
+        symbol,
+        strategyName,
+        parameters: overrides,
+        startDate,
+        endDate,
+        initialCapital: Number(initialCapital),
+      });
+    } catch (error) {
+      throw new MockHttpError(400, { message: error.message });
+    }
+    const { trades: resultTrades, source, ...stored } = result;
+    const id = takeId('backtest');
+    const saved = { ...stored, id };
+    backtestResults.push(saved);
+    backtestTrades.set(id, resultTrades.map(t => ({ ...t, backtestResultId: id })));
+    return saved;
+  }
+
+  // [method, path pattern, handler(match, { params, body })]
+  const routes = [
+    ['POST', /^\/auth\/login$/, (match, { body }) => {
+      if (!body || !body.username || !body.password) {
+        throw new MockHttpError(401, { message: 'Invalid username or password' });
+      }
+      return issueTokens({ id: body.username, username: body.username });
+    }],
+    ['POST', /^\/auth\/refresh$/, (match, { body }) => {
+      const user = body && refreshTokens.get(body.refreshToken);
+      if (!user) throw new MockHttpError(401, { message: 'Invalid refresh token' });
+      refreshTokens.delete(body.refreshToken);
+      return issueTokens(user);
+    }],
+    ['GET', /^\/stock\/simulated-trades$/, () => trades],
+    ['GET', /^\/stock\/backtest\/results$/, (match, { params }) => toPage(backtestResults, params)],
+    ['GET', /^\/stock\/backtest\/results\/([^/]+)$/, ([, id]) => {
+      const result = backtestResults.find(r => String(r.id) === id);
+      if (!result) throw notFound(`Backtest result ${id}`);
+      return result;
+    }],
+    ['GET', /^\/stock\/backtest\/results\/([^/]+)\/trades$/, ([, id]) => {
+      if (!backtestTrades.has(Number(id))) throw notFound(`Backtest result ${id}`);
+      return backtestTrades.get(Number(id));
+    }],
+    ['GET', /^\/stock\/([^/]+)\/backtest\/([^/]+)$/, ([, symbol, slug], { params }) => runServerBacktest(symbol, slug, params)],
+    ['GET', /^\/stock\/([^/]+)\/signals$/, ([, symbol]) => signals.get(symbol) || []],
+    ['GET', /^\/stock\/([^/]+)\/fetch$/, ([, symbol]) => `Data fetch triggered for ${symbol}`],
+    ['GET', /^\/stock\/([^/]+)$/, ([, symbol]) => market.candles(symbol).map(c => toStockData(symbol, c))],
+    ['GET', /^\/strategies$/, () => strategies],
+    ['POST', /^\/strategies$/, (match, { body }) => {
+      checkStrategy(body);
+      const created = { ...body, id: takeId('strategy') };
+      strategies = [...strategies, created];
+      return created;
+    }],
+    ['PUT', /^\/strategies\/([^/]+)$/, ([, id], { body }) => {
+      const existing = findStrategy(id);
+      checkStrategy(body);
+      const updated = { ...existing, ...body, id: existing.id };
+      strategies = strategies.map(s => (s.id === existing.id ? updated : s));
+      return updated;
+    }],
+    ['DELETE', /^\/strategies\/([^/]+)$/, ([, id]) => {
+      const existing = findStrategy(id);
+      strategies = strategies.filter(s => s.id !== existing.id);
+      books.delete(existing.id);
+      return '';
+    }],
+  ];
+
+  // Resolves to { status, data }; never throws.
+  function request({ method = 'GET', path, params = {}, body }) {
+    const upper = method.toUpperCase();
+    for (const [routeMethod, pattern, handler] of routes) {
+      const match = routeMethod === upper && path.match(pattern);
+      if (!match) continue;
+      try {
+        const data = handler(match, { params, body });
+        return { status: upper === 'POST' ? 201 : upper === 'DELETE' ? 204 : 200, data };
+      } catch (error) {
+        if (error instanceof MockHttpError) return { status: error.status, data: error.data };
+        return { status: 500, data: { message: error.message } };
+      }
+    }
+    return { status: 404, data: { message: `No mock route for ${upper} ${path}` } };
+  }
+
+  function placeTrade(strategy, signal) {
+    const book = books.get(strategy.id) || { quantity: 0, cash: STARTING_CASH };
+    if (signal.signalType === 'BUY' && book.quantity > 0) return null;
+    if (signal.signalType === 'SELL' && book.quantity === 0) return null;
+    const quantity = signal.signalType === 'BUY' ? TRADE_QUANTITY : book.quantity;
+    const cash = book.cash + (signal.signalType === 'BUY' ? -1 : 1) * quantity * signal.price;
+    books.set(strategy.id, { quantity: signal.signalType === 'BUY' ? quantity : 0, cash });
+    const trade = {
+      id: takeId('trade'),
+      symbol: signal.symbol,
+      timestamp: signal.timestamp,
+      tradeType: signal.signalType,
+      price: signal.price,
+      quantity,
+      strategyName: strategy.strategyName,
+      cashAfterTrade: cash,
+    };
+    trades.push(trade);
+    if (trades.length > MAX_STORED) trades.shift();
+    return trade;
+  }
+
+  // One live-feed step for a symbol. Returns the STOMP messages it produced
+  // as [{ destination, payload }].
+  function advance(symbol) {
+    const { candle, closed } = market.tick(symbol);
+    const messages = [{ destination: `/topic/stock-data/${symbol}`, payload: toStockData(symbol, candle) }];
+    if (!closed) return messages;
+
+    const recent = market.candles(symbol).slice(-SIGNAL_LOOKBACK - 1, -1); // up to the closed bar
+    const closes = recent.map(c => c.close);
+    const macdValues = macd(closes, 12, 26, 9);
+    messages.push({
+      destination: `/topic/indicators/${symbol}`,
+      payload: {
+        symbol,
+        timestamp: toIso(closed.time),
+        sma: last(sma(closes, 20)),
+        rsi: last(rsi(closes, 14)),
+        macd: last(macdValues.line),
+        macdSignal: last(macdValues.signal),
+      },
+    });
+
+    strategies
+      .filter(strategy => strategy.enabled && strategy.symbol === symbol && ENGINE_STRATEGIES[strategy.strategyName])
+      .forEach(strategy => {
+        const engine = ENGINE_STRATEGIES[strategy.strategyName];
+        const params = { ...engine.defaults, ...parseParameters(strategy.parameters) };
+        const action = last(engine.signals(recent, params));
+        if (!action) return;
+        const signal = {
+          id: takeId('signal'),
+          symbol,
+          timestamp: toIso(closed.time),
+          signalType: action,
+          strategyName: strategy.strategyName,
+          price: closed.close,
+          description: `${strategy.strategyName} ${action === 'BUY' ? 'entry' : 'exit'} at ${closed.close.toFixed(2)} (mock)`,
+        };
+        const list = [...(signals.get(symbol) || []), signal].slice(-MAX_STORED);
+        signals.set(symbol, list);
+        messages.push({ destination: `/topic/trading-signals/${symbol}`, payload: signal });
+        placeTrade(strategy, signal);
+      });
+    return messages;
+  }
+
+  return { request, advance };
+}
@@ -0,0 +1,101 @@
+import { createMockBackend } from './mockBackend';
+import { createMockMarket, LIVE_BAR_SECONDS } from './mockMarket';
+
+const NOW = Date.parse('2024-06-12T15:00:00Z');
+
+const setup = () => {
+  let now = NOW;
+  const market = createMockMarket({ seed: 7, now: () => now });
+  const backend = createMockBackend({ market });
+  return { backend, market, advanceClock: (ms) => { now += ms; } };
+};
+
+test('price history is deterministic per symbol and seed', () => {
+  const a = setup().backend.request({ path: '/stock/IBM' });
+  const b = setup().backend.request({ path: '/stock/IBM' });
+  expect(a.status).toBe(200);
+  expect(a.data).toEqual(b.data);
+  expect(a.data[0]).toEqual(expect.objectContaining({ symbol: 'IBM', timestamp: expect.any(String), close: expect.any(Number) }));
+  a.data.forEach(bar => expect(bar.high).toBeGreaterThanOrEqual(Math.max(bar.open, bar.close)));
+});
+
+test('strategy CRUD validates like the backend', () => {
+  const { backend } = setup();
+  const created = backend.request({
+    method: 'post',
+    path: '/strategies',
+    body: { strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'MSFT', parameters: '{"shortSma":3,"longSma":9}', enabled: true },
+  });
+  expect(created.status).toBe(201);
+
+  const invalid = backend.request({
+    method: 'put',
+    path: `/strategies/${created.data.id}`,
+    body: { ...created.data, parameters: '{"shortSma":30,"longSma":9}' },
+  });
+  expect(invalid.status).toBe(400);
+  expect(invalid.data.errors).toEqual([{ field: 'parameters.longSma', defaultMessage: 'Must be greater than Short SMA' }]);
+
+  expect(backend.request({ method: 'delete', path: `/strategies/${created.data.id}` }).status).toBe(204);
+  expect(backend.request({ path: '/strategies' }).data.map(s => s.symbol)).not.toContain('MSFT');
+  expect(backend.request({ method: 'delete', path: '/strategies/999' }).status).toBe(404);
+});
+
+test('server backtests are stored with their trades', () => {
+  const { backend } = setup();
+  const run = backend.request({
+    path: '/stock/IBM/backtest/sma-crossover',
+    params: { startDate: '2024-01-01', endDate: '2024-06-01', initialCapital: '10000', shortSma: 5, longSma: 20 },
+  });
+  expect(run.status).toBe(200);
+  expect(run.data).toEqual(expect.objectContaining({ id: 1, strategyName: 'SMA_CROSSOVER_STRATEGY', initialCapital: 10000 }));
+  expect(run.data.trades).toBeUndefined();
+  expect(backend.request({ path: '/stock/backtest/results' }).data).toEqual([run.data]);
+  expect(backend.request({ path: '/stock/backtest/results/1/trades' }).data).toHaveLength(run.data.totalTrades * 2);
+  expect(backend.request({ path: '/stock/backtest/results/1' }).data).toEqual(run.data);
+  expect(backend.request({ path: '/stock/backtest/results/2' }).status).toBe(404);
+  expect(backend.request({ path: '/stock/IBM/backtest/unknown' }).status).toBe(404);
+});
+
+test('backtest results page, sort and filter when asked to', () => {
+  const { backend } = setup();
+  [5, 8, 3].forEach(shortSma => backend.request({
+    path: '/stock/IBM/backtest/sma-crossover',
+    params: { startDate: '2024-01-01', endDate: '2024-06-01', shortSma, longSma: 20 },
+  }));
+  const page = backend.request({ path: '/stock/backtest/results', params: { page: '1', size: '2', sort: 'id,desc', symbol: 'ibm' } }).data;
+  expect(page).toEqual(expect.objectContaining({ totalElements: 3, number: 1, size: 2 }));
+  expect(page.content.map(r => r.id)).toEqual([1]);
+  expect(backend.request({ path: '/stock/backtest/results', params: { page: '0', from: '2024-02-01' } }).data.totalElements).toBe(0);
+});
+
+test('the live feed publishes candles, indicators on bar close, and signals with trades', () => {
+  const { backend, advanceClock } = setup();
+  const messages = [];
+  for (let i = 0; i < 2000; i += 1) {
+    advanceClock(1000);
+    messages.push(...backend.advance('IBM'));
+  }
+  const topics = destination => messages.filter(m => m.destination === destination).map(m => m.payload);
+  expect(topics('/topic/stock-data/IBM')).toHaveLength(2000);
+  // The first tick also closes the last bar of the generated history.
+  expect(topics('/topic/indicators/IBM')).toHaveLength(2000 / LIVE_BAR_SECONDS + 1);
+
+  const signals = topics('/topic/trading-signals/IBM');
+  expect(signals.length).toBeGreaterThan(0);
+  expect(backend.request({ path: '/stock/IBM/signals' }).data).toEqual(signals);
+  const trades = backend.request({ path: '/stock/simulated-trades' }).data;
+  expect(trades.length).toBeGreaterThan(0);
+  expect(trades[0]).toEqual(expect.objectContaining({ symbol: 'IBM', tradeType: 'BUY', quantity: 10 }));
+});
+
+test('login and refresh issue tokens, and a refresh token works once', () => {
+  const { backend } = setup();
+  expect(backend.request({ method: 'post', path: '/auth/login', body: { username: 'ann', password: '' } }).status).toBe(401);
+  const login = backend.request({ method: 'post', path: '/auth/login', body: { username: 'ann', password: 'secret' } });
+  expect(login.data).toEqual({ accessToken: expect.any(String), refreshToken: expect.any(String), user: { id: 'ann', username: 'ann' } });
+
+  const refresh = { method: 'post', path: '/auth/refresh', body: { refreshToken: login.data.refreshToken } };
+  expect(backend.request(refresh).data.accessToken).not.toBe(login.data.accessToken);
+  expect(backend.request(refresh).status).toBe(401);
+});
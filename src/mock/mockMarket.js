@@ -0,0 +1,103 @@
+// Seeded random-walk prices for the mock backend. Each symbol gets daily bars
+// up to yesterday, then short intraday bars up to now that the live feed keeps
+// extending, so both backtests over months and the live chart have data.
+
+export const LIVE_BAR_SECONDS = 5;
+const HISTORY_DAYS = 400;
+const INTRADAY_BARS = 360;
+const DAY_SECONDS = 24 * 60 * 60;
+const DAILY_VOLATILITY = 0.015;
+const BAR_VOLATILITY = 0.0008;
+
+// mulberry32: small, fast and good enough for fake prices.
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const hashSymbol = symbol => Array.from(symbol).reduce((hash, char) => Math.imul(hash ^ char.charCodeAt(0), 16777619), 2166136261) >>> 0;
+
+// Standard normal via Box-Muller.
+const gaussian = random => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const round = value => Math.round(value * 100) / 100;
+
+function makeBar(random, time, open, volatility, baseVolume) {
+  const close = open * Math.exp(volatility * gaussian(random));
+  const wick = Math.abs(volatility * gaussian(random)) * open / 2;
+  return {
+    time,
+    open: round(open),
+    high: round(Math.max(open, close) + wick),
+    low: round(Math.min(open, close) - wick),
+    close: round(close),
+    volume: Math.round(baseVolume * (0.5 + random())),
+  };
+}
+
+export function createMockMarket({ seed = 1, now = () => Date.now() } = {}) {
+  const series = new Map(); // symbol -> { random, candles }
+
+  function generate(symbol) {
+    const random = createRandom(hashSymbol(symbol) ^ seed);
+    const candles = [];
+    let price = 20 + (hashSymbol(symbol) % 480);
+    const nowSeconds = Math.floor(now() / 1000);
+    const today = Math.floor(nowSeconds / DAY_SECONDS) * DAY_SECONDS;
+
+    for (let day = HISTORY_DAYS; day >= 1; day -= 1) {
+      const time = today - day * DAY_SECONDS;
+      const weekday = new Date(time * 1000).getUTCDay();
+      if (weekday === 0 || weekday === 6) continue;
+      const bar = makeBar(random, time, price, DAILY_VOLATILITY, 1e6);
+      candles.push(bar);
+      price = bar.close;
+    }
+    const currentBar = Math.floor(nowSeconds / LIVE_BAR_SECONDS) * LIVE_BAR_SECONDS;
+    for (let i = INTRADAY_BARS; i >= 1; i -= 1) {
+      const bar = makeBar(random, currentBar - i * LIVE_BAR_SECONDS, price, BAR_VOLATILITY, 1e4);
+      candles.push(bar);
+      price = bar.close;
+    }
+    return { random, candles };
+  }
+
+  const entry = (symbol) => {
+    if (!series.has(symbol)) series.set(symbol, generate(symbol));
+    return series.get(symbol);
+  };
+
+  return {
+    candles: symbol => entry(symbol).candles,
+
+    // Moves the price one step. Returns the updated bar and, when this tick
+    // started a new bar, the one it closed.
+    tick(symbol) {
+      const { random, candles } = entry(symbol);
+      const last = candles[candles.length - 1];
+      const barTime = Math.floor(now() / 1000 / LIVE_BAR_SECONDS) * LIVE_BAR_SECONDS;
+      const step = last.close * Math.exp(BAR_VOLATILITY / 2 * gaussian(random));
+      if (barTime > last.time) {
+        const bar = { time: barTime, open: last.close, high: last.close, low: last.close, close: last.close, volume: 0 };
+        const next = { ...bar, close: round(step), high: round(Math.max(bar.high, step)), low: round(Math.min(bar.low, step)), volume: Math.round(2000 * random()) };
+        candles.push(next);
+        return { candle: next, closed: last };
+      }
+      const updated = {
+        ...last,
+        close: round(step),
+        high: round(Math.max(last.high, step)),
+        low: round(Math.min(last.low, step)),
+        volume: last.volume + Math.round(2000 * random()),
+      };
+      candles[candles.length - 1] = updated;
+      return { candle: updated, closed: null };
+    },
+  };
+}
@@ -0,0 +1,77 @@
+// A fake stompjs client fed by the mock backend, for createStompConnection's
+// `clientFactory`. While anything is subscribed, every symbol with a
+// subscriber advances once per tick and the resulting messages are delivered
+// to that symbol's topic subscribers.
+
+export const MOCK_TICK_MS = 1000;
+const CONNECT_DELAY_MS = 100;
+const TOPIC = /^\/topic\/[^/]+\/([^/]+)$/;
+
+export function createMockFeed(backend, { tickMs = MOCK_TICK_MS } = {}) {
+  const listeners = new Map(); // destination -> Set<listener>
+  let timer = null;
+
+  const symbols = () => new Set(Array.from(listeners.keys()).map(destination => destination.match(TOPIC)[1]));
+
+  const tick = () => {
+    symbols().forEach(symbol => {
+      backend.advance(symbol).forEach(({ destination, payload }) => {
+        (listeners.get(destination) || []).forEach(listener => listener(payload));
+      });
+    });
+  };
+
+  return {
+    tick,
+    subscribe(destination, listener) {
+      if (!TOPIC.test(destination)) throw new Error(`Unknown mock topic ${destination}`);
+      if (!listeners.has(destination)) listeners.set(destination, new Set());
+      listeners.get(destination).add(listener);
+      if (!timer) timer = setInterval(tick, tickMs);
+      return () => {
+        const set = listeners.get(destination);
+        if (!set) return;
+        set.delete(listener);
+        if (set.size === 0) listeners.delete(destination);
+        if (listeners.size === 0) {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    },
+  };
+}
+
+export function createMockClientFactory(feed) {
+  return () => {
+    const unsubscribers = new Set();
+    const client = {
+      connected: false,
+      heartbeat: { outgoing: 0, incoming: 0 },
+      debug: null,
+      connect(headers, onConnect) {
+        setTimeout(() => {
+          client.connected = true;
+          onConnect({ command: 'CONNECTED', headers: { 'heart-beat': '0,0' } });
+        }, CONNECT_DELAY_MS);
+      },
+      subscribe(destination, callback) {
+        const unsubscribe = feed.subscribe(destination, payload => callback({ body: JSON.stringify(payload) }));
+        unsubscribers.add(unsubscribe);
+        return {
+          unsubscribe: () => {
+            unsubscribers.delete(unsubscribe);
+            unsubscribe();
+          },
+        };
+      },
+      disconnect(callback) {
+        client.connected = false;
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        unsubscribers.clear();
+        if (callback) callback();
+      },
+    };
+    return client;
+  };
+}
@@ -0,0 +1,29 @@
+import { createStompConnection } from '../services/stompConnection';
+import { createMockClientFactory, createMockFeed } from './mockSocket';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+test('the mock client drives a real stomp connection', () => {
+  const advance = jest.fn(symbol => [
+    { destination: `/topic/stock-data/${symbol}`, payload: { symbol, close: 1 } },
+    { destination: `/topic/indicators/${symbol}`, payload: { symbol, sma: 1 } },
+  ]);
+  const feed = createMockFeed({ advance }, { tickMs: 1000 });
+  const connection = createStompConnection({ url: 'mock', clientFactory: createMockClientFactory(feed) });
+  const received = [];
+
+  connection.connect();
+  const unsubscribe = connection.subscribe('/topic/stock-data/IBM', message => received.push(message));
+  jest.advanceTimersByTime(100);
+  expect(connection.getState().status).toBe('connected');
+
+  jest.advanceTimersByTime(3000);
+  expect(advance).toHaveBeenCalledTimes(3);
+  expect(received).toEqual([{ symbol: 'IBM', close: 1 }, { symbol: 'IBM', close: 1 }, { symbol: 'IBM', close: 1 }]);
+
+  unsubscribe();
+  jest.advanceTimersByTime(3000);
+  expect(advance).toHaveBeenCalledTimes(3); // the feed stops once nothing listens
+  connection.disconnect();
+});
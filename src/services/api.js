@@ -0,0 +1,163 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config';
+import {
+  ApiResponseError,
+  normalizeBacktestResult,
+  normalizeCandle,
+  normalizeList,
+  normalizeOne,
+  normalizeSignal,
+  normalizeStrategyConfig,
+  normalizeTrade,
+  toNumber,
+} from '../utils/apiSchemas';
+
+// Every backend endpoint the app calls, returning normalized data (see
+// utils/apiSchemas.js). Reads retry transient failures; any call takes an
+// AbortSignal (`{ signal }`) so a view can drop requests it no longer needs.
+
+const GET_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+// Network errors, timeouts, throttling and server errors may pass; a 4xx
+// other than those will not.
+const isTransient = (error) => {
+  if (axios.isCancel(error) || error instanceof ApiResponseError) return false;
+  if (!error.response) return true;
+  const { status } = error.response;
+  return status === 408 || status === 429 || status >= 500;
+};
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  if (signal) {
+    signal.addEventListener('abort', () => {
+      clearTimeout(timer);
+      reject(new axios.CanceledError());
+    }, { once: true });
+  }
+});
+
+let retryDelayMs = RETRY_DELAY_MS;
+// For tests.
+export const setRetryDelay = (ms) => { retryDelayMs = ms; };
+
+// Idempotent GET with exponential backoff between attempts. GETs that start
+// work on the server (a backtest, an ingestion) pass `retries: 0`.
+async function get(path, { params, signal, retries = GET_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const response = await axios.get(`${API_BASE_URL}${path}`, { params, signal });
+      return response.data;
+    } catch (error) {
+      if (attempt >= retries || !isTransient(error) || (signal && signal.aborted)) throw error;
+      await wait(retryDelayMs * 2 ** attempt, signal);
+    }
+  }
+}
+
+export const isCancelled = error => axios.isCancel(error);
+
+// A user-facing sentence for a failed call.
+export function describeApiError(error) {
+  if (error instanceof ApiResponseError) return error.message;
+  if (error.response) {
+    const { status, data } = error.response;
+    const message = data && typeof data === 'object' && data.message;
+    return message ? `${message} (HTTP ${status})` : `The server answered HTTP ${status}`;
+  }
+  if (error.request || error.code === 'ERR_NETWORK') return 'The backend could not be reached';
+  return error.message;
+}
+
+const isNotFound = error => Boolean(error.response && error.response.status === 404);
+
+// For endpoints the original backend does not have: their 404 answers with
+// `fallback()` instead of failing the view.
+async function getOptional(path, options, fallback) {
+  try {
+    return await get(path, options);
+  } catch (error) {
+    if (isNotFound(error)) return fallback();
+    throw error;
+  }
+}
+
+// --- Market data ---
+
+export async function getCandles(symbol, options) {
+  const candles = normalizeList(await get(`/stock/${symbol}`, options), normalizeCandle, `${symbol} prices`);
+  return candles.sort((a, b) => a.time - b.time);
+}
+
+export async function getSignals(symbol, options) {
+  const data = await getOptional(`/stock/${symbol}/signals`, options, () => []);
+  return normalizeList(data, normalizeSignal, `${symbol} signals`);
+}
+
+export async function requestDataFetch(symbol) {
+  return get(`/stock/${symbol}/fetch`, { retries: 0 });
+}
+
+// --- Trading and backtests ---
+
+export async function getSimulatedTrades(options) {
+  return normalizeList(await get('/stock/simulated-trades', options), normalizeTrade, 'simulated trades');
+}
+
+// One page of results for `params` (see utils/grid.js toPageParams). A
+// backend that pages answers with a Spring Page; an older one ignores the
+// parameters and sends every result, which the caller then pages itself
+// (`paged: false`).
+export async function getBacktestResultsPage(params, options = {}) {
+  const data = await get('/stock/backtest/results', { ...options, params });
+  if (data && typeof data === 'object' && Array.isArray(data.content)) {
+    const rows = normalizeList(data.content, normalizeBacktestResult, 'backtest results');
+    return { rows, total: toNumber(data.totalElements) ?? rows.length, paged: true };
+  }
+  const rows = normalizeList(data, normalizeBacktestResult, 'backtest results');
+  return { rows, total: rows.length, paged: false };
+}
+
+// A backend without the by-id endpoint has the result looked up in the full
+// list instead.
+export async function getBacktestResult(id, options) {
+  const data = await getOptional(`/stock/backtest/results/${encodeURIComponent(id)}`, options, () => null);
+  if (data !== null) return normalizeOne(data, normalizeBacktestResult, 'the backtest result');
+  const { rows } = await getBacktestResultsPage(undefined, options);
+  const result = rows.find(row => String(row.id) === String(id));
+  if (!result) throw new ApiResponseError(`Backtest ${id} was not found`);
+  return result;
+}
+
+// Empty where the backend does not keep a backtest's trades.
+export async function getBacktestTrades(id, options) {
+  const data = await getOptional(`/stock/backtest/results/${id}/trades`, options, () => []);
+  return normalizeList(data, normalizeTrade, 'backtest trades');
+}
+
+export async function runServerBacktest(symbol, slug, params) {
+  const data = await get(`/stock/${symbol}/backtest/${slug}`, { params, retries: 0 });
+  return normalizeOne(data, normalizeBacktestResult, 'the backtest');
+}
+
+// --- Strategy configs ---
+
+export async function getStrategies(options) {
+  return normalizeList(await get('/strategies', options), normalizeStrategyConfig, 'strategies');
+}
+
+// Older backends answer a create without the stored config.
+export async function createStrategy(payload) {
+  const response = await axios.post(`${API_BASE_URL}/strategies`, payload);
+  return normalizeStrategyConfig(response.data);
+}
+
+export async function updateStrategy(id, payload) {
+  const response = await axios.put(`${API_BASE_URL}/strategies/${id}`, { ...payload, id });
+  return normalizeStrategyConfig(response.data);
+}
+
+export async function deleteStrategy(id) {
+  await axios.delete(`${API_BASE_URL}/strategies/${id}`);
+}
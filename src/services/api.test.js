@@ -0,0 +1,101 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config';
+import {
+  describeApiError,
+  getBacktestResult,
+  getBacktestResultsPage,
+  getBacktestTrades,
+  getCandles,
+  getSignals,
+  getSimulatedTrades,
+  isCancelled,
+  runServerBacktest,
+  setRetryDelay,
+} from './api';
+
+const originalAdapter = axios.defaults.adapter;
+
+// Answers each request with the next of `responses` ([status, data]) and
+// records the paths asked for.
+const serve = (...responses) => {
+  const paths = [];
+  axios.defaults.adapter = async (config) => {
+    paths.push(config.url.replace(API_BASE_URL, ''));
+    const [status, data] = responses.length > 1 ? responses.shift() : responses[0];
+    const response = { status, data, headers: {}, config, statusText: String(status) };
+    if (status === 0) throw new axios.AxiosError('Network Error', 'ERR_NETWORK', config, {});
+    if (status >= 400) throw new axios.AxiosError('failed', 'ERR_BAD_RESPONSE', config, {}, response);
+    return response;
+  };
+  return paths;
+};
+
+beforeEach(() => setRetryDelay(0));
+afterEach(() => { axios.defaults.adapter = originalAdapter; });
+
+test('reads retry transient failures and return normalized, sorted data', async () => {
+  const paths = serve([0, null], [503, {}], [200, [
+    { timestamp: '2024-06-12T15:01:00Z', open: 2, high: 2, low: 2, close: 2 },
+    { timestamp: '2024-06-12T15:00:00Z', open: 1, high: 1, low: 1, close: 1 },
+  ]]);
+  const candles = await getCandles('IBM');
+  expect(paths).toEqual(['/stock/IBM', '/stock/IBM', '/stock/IBM']);
+  expect(candles.map(c => c.close)).toEqual([1, 2]);
+});
+
+test('client errors and server-side work are not retried', async () => {
+  const paths = serve([404, { message: 'No such symbol' }]);
+  const error = await getSimulatedTrades().catch(e => e);
+  expect(describeApiError(error)).toBe('No such symbol (HTTP 404)');
+
+  serve([500, {}]);
+  const failed = await runServerBacktest('IBM', 'sma-crossover', {}).catch(e => e);
+  expect(describeApiError(failed)).toBe('The server answered HTTP 500');
+  expect(paths).toHaveLength(1);
+});
+
+test('aborting a read stops its retries', async () => {
+  setRetryDelay(50);
+  const paths = serve([503, {}]);
+  const controller = new AbortController();
+  const pending = getCandles('IBM', { signal: controller.signal }).catch(e => e);
+  await new Promise(resolve => setTimeout(resolve, 10));
+  controller.abort();
+  expect(isCancelled(await pending)).toBe(true);
+  expect(paths).toHaveLength(1);
+});
+
+test('unexpected shapes and unreachable backends are described', async () => {
+  serve([200, '<html>']);
+  expect(describeApiError(await getSimulatedTrades().catch(e => e))).toBe('Unexpected response for simulated trades: expected a list');
+  serve([0, null]);
+  expect(describeApiError(await getSimulatedTrades().catch(e => e))).toBe('The backend could not be reached');
+});
+
+test('backtest results come by the page, from a Spring page or a plain list, or one by id', async () => {
+  const result = { id: 7, strategyName: 'SMA', symbol: 'IBM', initialCapital: '1000', finalCapital: 1100 };
+  serve([200, { content: [result], totalElements: 41, number: 2, size: 20 }]);
+  const page = await getBacktestResultsPage({ page: 2, size: 20 });
+  expect(page).toEqual({ rows: [expect.objectContaining({ id: 7, initialCapital: 1000 })], total: 41, paged: true });
+
+  serve([200, [result, { ...result, id: 8 }]]);
+  expect(await getBacktestResultsPage({ page: 0, size: 20 })).toEqual(expect.objectContaining({ total: 2, paged: false }));
+
+  const paths = serve([200, result]);
+  expect(await getBacktestResult(7)).toEqual(expect.objectContaining({ id: 7, finalCapital: 1100 }));
+  expect(paths).toEqual(['/stock/backtest/results/7']);
+});
+
+test('endpoints the original backend lacks fall back instead of failing on 404', async () => {
+  const result = { id: 7, strategyName: 'SMA', symbol: 'IBM', initialCapital: 1000, finalCapital: 1100 };
+  serve([404, { message: 'Not Found' }]);
+  expect(await getSignals('IBM')).toEqual([]);
+  expect(await getBacktestTrades(7)).toEqual([]);
+
+  const paths = serve([404, { message: 'Not Found' }], [200, [result]]);
+  expect(await getBacktestResult(7)).toEqual(expect.objectContaining({ id: 7, finalCapital: 1100 }));
+  expect(paths).toEqual(['/stock/backtest/results/7', '/stock/backtest/results']);
+
+  serve([404, { message: 'Not Found' }], [200, [result]]);
+  expect(describeApiError(await getBacktestResult(9).catch(e => e))).toBe('Backtest 9 was not found');
+});
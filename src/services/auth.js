@@ -0,0 +1,102 @@
+import axios from 'axios';
+import { API_BASE_URL, AUTH_REQUIRED } from '../config';
+import { loadJSON, saveJSON } from '../utils/storage';
+
+// The signed-in user and their bearer tokens. The backend answers
+//   POST /auth/login   { username, password } and
+//   POST /auth/refresh { refreshToken }
+// with { accessToken, refreshToken, user: { id, username } }. Tokens are kept
+// in storage so a reload stays signed in; the access token goes on every API
+// request and on the STOMP connect frame.
+
+const SESSION_KEY = 'auth-session';
+
+let session = loadJSON(SESSION_KEY, null);
+let expiredReason = null;
+let refreshing = null; // in-flight refresh, shared by every request that hit a 401
+const listeners = new Set();
+
+const setSession = (next, reason = null) => {
+  session = next;
+  expiredReason = reason;
+  saveJSON(SESSION_KEY, next);
+  listeners.forEach(listener => listener());
+};
+
+const fromResponse = data => ({
+  accessToken: data.accessToken,
+  refreshToken: data.refreshToken || null,
+  user: data.user,
+});
+
+export const getSession = () => session;
+export const getAccessToken = () => (session ? session.accessToken : null);
+
+// Why the user was last signed out without asking, e.g. a refused refresh.
+export const getExpiredReason = () => expiredReason;
+
+// For useSyncExternalStore: returns an unsubscribe function.
+export const onAuthChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export async function login(username, password) {
+  const response = await axios.post(`${API_BASE_URL}/auth/login`, { username, password });
+  setSession(fromResponse(response.data));
+}
+
+export function logout(reason = null) {
+  refreshing = null;
+  setSession(null, reason);
+}
+
+// Swaps the refresh token for new tokens; concurrent callers share one call.
+// Without a refresh token, or when it is refused, the user is signed out and
+// has to log in again.
+export function refreshSession() {
+  if (!refreshing) {
+    const refreshToken = session && session.refreshToken;
+    refreshing = (refreshToken
+      ? axios.post(`${API_BASE_URL}/auth/refresh`, { refreshToken }, { skipAuthRefresh: true })
+      : Promise.reject(new Error('No refresh token')))
+      .then(response => setSession(fromResponse(response.data)))
+      .catch(error => {
+        logout('Your session expired. Please sign in again.');
+        throw error;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+const isApiRequest = config => Boolean(config.url) && config.url.startsWith(API_BASE_URL);
+const isAuthRequest = config => config.url.startsWith(`${API_BASE_URL}/auth/`);
+
+// Adds the bearer token to API requests and retries a request once after a
+// 401, with refreshed tokens. Other hosts never see the token.
+export function installAuthInterceptors(instance = axios) {
+  instance.interceptors.request.use(config => {
+    const token = getAccessToken();
+    if (token && isApiRequest(config)) {
+      config.headers.set('Authorization', `Bearer ${token}`);
+    }
+    return config;
+  });
+
+  instance.interceptors.response.use(undefined, async error => {
+    const { config, response } = error;
+    if (!AUTH_REQUIRED || !response || response.status !== 401 || !config || !isApiRequest(config)
+      || isAuthRequest(config) || config.skipAuthRefresh || config.authRetried) {
+      throw error;
+    }
+    await refreshSession();
+    return instance({ ...config, authRetried: true });
+  });
+}
+
+// STOMP connect headers for the current session.
+export const authConnectHeaders = () => {
+  const token = getAccessToken();
+  return token ? { Authorization: `Bearer ${token}` } : {};
+};
@@ -0,0 +1,84 @@
+import axios from 'axios';
+import { API_BASE_URL } from '../config';
+import { getAccessToken, getExpiredReason, getSession, installAuthInterceptors, login, logout } from './auth';
+import { getCurrentUserId } from './session';
+
+// Sign-in is off unless the env or a profile turns it on.
+jest.mock('../config', () => ({ ...jest.requireActual('../config'), AUTH_REQUIRED: true }));
+
+// A backend whose valid access token is `valid`, handing out the given tokens
+// on login and refresh. Records each request's Authorization header.
+function fakeServer({ refreshOk = true } = {}) {
+  const calls = [];
+  let valid = null;
+  const adapter = async (config) => {
+    const path = config.url.replace(API_BASE_URL, '');
+    const authorization = config.headers.Authorization || null;
+    calls.push([path, authorization]);
+    const respond = (status, data) => {
+      const response = { status, data, headers: {}, config, statusText: String(status) };
+      if (status < 400) return response;
+      throw new axios.AxiosError('failed', 'ERR_BAD_REQUEST', config, null, response);
+    };
+    if (path === '/auth/login') {
+      valid = 'token-1';
+      return respond(200, { accessToken: valid, refreshToken: 'refresh-1', user: { id: 7, username: 'ann' } });
+    }
+    if (path === '/auth/refresh') {
+      if (!refreshOk) return respond(401, {});
+      valid = 'token-2';
+      return respond(200, { accessToken: valid, refreshToken: 'refresh-2', user: { id: 7, username: 'ann' } });
+    }
+    return authorization === `Bearer ${valid}` ? respond(200, 'ok') : respond(401, {});
+  };
+  return { adapter, calls, expire: () => { valid = 'rotated'; } };
+}
+
+const setup = (options) => {
+  const server = fakeServer(options);
+  axios.defaults.adapter = server.adapter;
+  const instance = axios.create({ adapter: server.adapter });
+  installAuthInterceptors(instance);
+  return { server, instance };
+};
+
+const originalAdapter = axios.defaults.adapter;
+afterEach(() => {
+  logout();
+  axios.defaults.adapter = originalAdapter;
+});
+
+test('login attaches the bearer token to API requests only', async () => {
+  const { server, instance } = setup();
+  await login('ann', 'secret');
+  expect(getCurrentUserId()).toBe('7');
+
+  await instance.get(`${API_BASE_URL}/strategies`);
+  await instance.get('https://example.com/elsewhere').catch(() => {});
+  expect(server.calls.slice(1)).toEqual([['/strategies', 'Bearer token-1'], ['https://example.com/elsewhere', null]]);
+});
+
+test('a 401 refreshes the tokens once and retries the requests', async () => {
+  const { server, instance } = setup();
+  await login('ann', 'secret');
+  server.expire();
+
+  const results = await Promise.all([
+    instance.get(`${API_BASE_URL}/strategies`),
+    instance.get(`${API_BASE_URL}/stock/simulated-trades`),
+  ]);
+  expect(results.map(r => r.data)).toEqual(['ok', 'ok']);
+  expect(server.calls.filter(([path]) => path === '/auth/refresh')).toHaveLength(1);
+  expect(getAccessToken()).toBe('token-2');
+});
+
+test('a refused refresh signs the user out', async () => {
+  const { server, instance } = setup({ refreshOk: false });
+  await login('ann', 'secret');
+  server.expire();
+
+  await expect(instance.get(`${API_BASE_URL}/strategies`)).rejects.toThrow();
+  expect(getSession()).toBeNull();
+  expect(getExpiredReason()).toMatch(/sign in again/);
+  expect(getCurrentUserId()).toBe('local');
+});
@@ -0,0 +1,36 @@
+import { getBacktestTrades, getCandles } from './api';
+
+// Candles covering a backtest's period, end date inclusive.
+export function filterToPeriod(candles, startDate, endDate) {
+  const start = new Date(`${startDate}T00:00:00`).getTime() / 1000;
+  const end = new Date(`${endDate}T23:59:59.999`).getTime() / 1000;
+  return candles.filter(c => c.time >= start && c.time <= end);
+}
+
+// Candles imported from a file stand in for the backend's history of their
+// symbol until cleared, so backtests and sweeps can run on data the backend
+// does not have.
+const importedCandles = new Map();
+
+export const setImportedCandles = (symbol, candles) => importedCandles.set(symbol, candles);
+export const clearImportedCandles = symbol => importedCandles.delete(symbol);
+export const getImportedCandles = symbol => importedCandles.get(symbol) || null;
+export const clearAllImportedCandles = () => importedCandles.clear();
+
+export async function loadCandles(symbol, startDate, endDate) {
+  if (importedCandles.has(symbol)) return filterToPeriod(importedCandles.get(symbol), startDate, endDate);
+  return filterToPeriod(await getCandles(symbol), startDate, endDate);
+}
+
+// Everything the detail and comparison views need for one backtest result.
+// Results produced in the browser already carry their trades; backend results
+// have them fetched.
+export async function loadBacktestData(result) {
+  const [candles, trades] = await Promise.all([
+    loadCandles(result.symbol, result.startDate, result.endDate),
+    Array.isArray(result.trades)
+      ? Promise.resolve(result.trades)
+      : getBacktestTrades(result.id),
+  ]);
+  return { candles, trades };
+}
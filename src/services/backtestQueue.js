@@ -0,0 +1,84 @@
+import { backtestSlug } from '../utils/strategies';
+import { describeApiError, runServerBacktest } from './api';
+import { loadCandles } from './backtestData';
+import { runBacktestInWorker } from './backtestWorker';
+
+// Backtest runs queued from the launcher. Runs wait as "pending" and execute
+// one at a time in the order they were queued, on the backend or in the
+// in-browser engine. The queue lives here rather than in a component so runs
+// carry on while the user switches views.
+
+let runs = []; // newest first: { id, status, engine, execution, strategyName, symbol, startDate, endDate, initialCapital, params, error }
+let nextRunId = 0;
+const listeners = new Set();
+const finishedListeners = new Set();
+
+const emit = (next) => {
+  runs = next;
+  listeners.forEach(listener => listener());
+};
+
+export const getBacktestRuns = () => runs;
+
+export const onBacktestRunsChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// `listener(result)` is called with the result of every run that finishes.
+export const onBacktestFinished = (listener) => {
+  finishedListeners.add(listener);
+  return () => finishedListeners.delete(listener);
+};
+
+function executeOnServer(run) {
+  return runServerBacktest(run.symbol, backtestSlug(run.strategyName), {
+    startDate: run.startDate,
+    endDate: run.endDate,
+    initialCapital: run.initialCapital,
+    ...run.params,
+  });
+}
+
+async function executeInBrowser(run) {
+  const candles = await loadCandles(run.symbol, run.startDate, run.endDate);
+  if (candles.length === 0) throw new Error('No price data for this period');
+  return runBacktestInWorker({
+    candles,
+    symbol: run.symbol,
+    strategyName: run.strategyName,
+    parameters: JSON.stringify(run.params),
+    startDate: run.startDate,
+    endDate: run.endDate,
+    initialCapital: run.initialCapital,
+    execution: run.execution,
+  });
+}
+
+const updateRun = (id, changes) => emit(runs.map(run => (run.id === id ? { ...run, ...changes } : run)));
+
+function runNext() {
+  if (runs.some(run => run.status === 'running')) return;
+  const next = [...runs].reverse().find(run => run.status === 'pending');
+  if (!next) return;
+
+  updateRun(next.id, { status: 'running' });
+  (next.engine === 'browser' ? executeInBrowser(next) : executeOnServer(next))
+    .then(
+      result => {
+        updateRun(next.id, { status: 'finished' });
+        finishedListeners.forEach(listener => listener(result));
+      },
+      error => {
+        console.error('Error running backtest:', error);
+        updateRun(next.id, { status: 'failed', error: describeApiError(error) });
+      },
+    )
+    .finally(runNext);
+}
+
+export function enqueueBacktest(run) {
+  nextRunId += 1;
+  emit([{ ...run, id: nextRunId, status: 'pending' }, ...runs]);
+  runNext();
+}
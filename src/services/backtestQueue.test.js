@@ -0,0 +1,36 @@
+import { runServerBacktest } from './api';
+import { enqueueBacktest, getBacktestRuns, onBacktestFinished } from './backtestQueue';
+
+jest.mock('./api', () => ({ ...jest.requireActual('./api'), runServerBacktest: jest.fn() }));
+jest.mock('./backtestWorker', () => ({ runBacktestInWorker: jest.fn() }));
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+const statuses = () => getBacktestRuns().map(run => [run.symbol, run.status]);
+
+test('queued runs execute one at a time and report what they return', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const pending = [];
+  runServerBacktest.mockImplementation(() => new Promise((resolve, reject) => pending.push({ resolve, reject })));
+  const finished = jest.fn();
+  const unsubscribe = onBacktestFinished(finished);
+
+  const run = { engine: 'server', strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', startDate: '2024-01-01', endDate: '2024-06-01', initialCapital: 10000, params: { shortSma: 5 } };
+  enqueueBacktest(run);
+  enqueueBacktest({ ...run, symbol: 'AAPL' });
+  expect(statuses()).toEqual([['AAPL', 'pending'], ['IBM', 'running']]);
+  expect(runServerBacktest).toHaveBeenCalledTimes(1);
+  expect(runServerBacktest).toHaveBeenCalledWith('IBM', 'sma-crossover', expect.objectContaining({ initialCapital: 10000, shortSma: 5 }));
+
+  pending[0].resolve({ id: 1 });
+  await flush();
+  expect(finished).toHaveBeenCalledWith({ id: 1 });
+  expect(statuses()).toEqual([['AAPL', 'running'], ['IBM', 'finished']]);
+
+  pending[1].reject(new Error('No price data for this period'));
+  await flush();
+  expect(getBacktestRuns()[0]).toEqual(expect.objectContaining({ status: 'failed', error: 'No price data for this period' }));
+  expect(finished).toHaveBeenCalledTimes(1);
+
+  unsubscribe();
+  console.error.mockRestore();
+});
@@ -0,0 +1,42 @@
+import { createBacktestWorker } from './workerFactory';
+
+// Runs browser backtests off the main thread. One worker is started on first
+// use and shared by every caller.
+let worker = null;
+let nextRequestId = 0;
+const pending = new Map();
+
+function getWorker() {
+  if (!worker) {
+    worker = createBacktestWorker();
+    worker.onmessage = event => {
+      const { id, result, error } = event.data;
+      const request = pending.get(id);
+      if (!request) return;
+      pending.delete(id);
+      if (error) request.reject(new Error(error));
+      else request.resolve(result);
+    };
+    worker.onerror = event => {
+      console.error('Backtest worker error:', event.message);
+      pending.forEach(request => request.reject(new Error(event.message || 'Backtest worker failed')));
+      pending.clear();
+      worker.terminate();
+      worker = null;
+    };
+  }
+  return worker;
+}
+
+function callWorker(type, request) {
+  nextRequestId += 1;
+  const id = nextRequestId;
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject });
+    getWorker().postMessage({ id, type, request });
+  });
+}
+
+export const runBacktestInWorker = request => callWorker('backtest', request);
+
+export const runSweepInWorker = request => callWorker('sweep', request);
@@ -0,0 +1,53 @@
+// Browser notifications and the alert sound. Both are best effort: browsers
+// without the APIs, or a user who declined permission, just get the in-app
+// alert history.
+
+const notificationsAvailable = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// 'granted' | 'denied' | 'default' | 'unsupported'
+export const getNotificationPermission = () => (
+  notificationsAvailable() ? window.Notification.permission : 'unsupported'
+);
+
+export async function requestNotificationPermission() {
+  if (!notificationsAvailable()) return 'unsupported';
+  try {
+    return await window.Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return getNotificationPermission();
+  }
+}
+
+export function showNotification(title, body) {
+  if (getNotificationPermission() !== 'granted') return;
+  try {
+    new window.Notification(title, { body });
+  } catch (error) {
+    console.error('Error showing notification:', error);
+  }
+}
+
+let audioContext = null;
+
+// A short two-tone beep, synthesized so the app needs no sound asset.
+export function playAlertSound() {
+  const AudioContext = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+  if (!AudioContext) return;
+  try {
+    if (!audioContext) audioContext = new AudioContext();
+    const start = audioContext.currentTime;
+    [880, 660].forEach((frequency, i) => {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = frequency;
+      gain.gain.value = 0.1;
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(start + i * 0.15);
+      oscillator.stop(start + i * 0.15 + 0.12);
+    });
+  } catch (error) {
+    console.error('Error playing alert sound:', error);
+  }
+}
@@ -0,0 +1,71 @@
+// Plays a recorded session back in session time. Every `tickMs` of wall time
+// moves the position on by `tickMs * speed` and delivers the messages up to
+// it, in order. Seeking backwards resets to the session's snapshot and
+// re-delivers everything up to the new position at once.
+
+export const REPLAY_SPEEDS = [1, 2, 5, 10, 25, 50];
+const TICK_MS = 100;
+
+export function createReplayPlayer({ session, deliver, reset, onChange = () => {}, tickMs = TICK_MS }) {
+  const { messages, duration } = session;
+  let position = 0;
+  let index = 0; // next message to deliver
+  let speed = 1;
+  let timer = null;
+
+  const getState = () => ({ position, duration, speed, playing: timer !== null, delivered: index });
+  const notify = () => onChange(getState());
+
+  const deliverUntil = (target) => {
+    while (index < messages.length && messages[index].t <= target) {
+      deliver(messages[index].destination, messages[index].payload);
+      index += 1;
+    }
+  };
+
+  const stopTimer = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const tick = () => {
+    position = Math.min(duration, position + tickMs * speed);
+    deliverUntil(position);
+    if (position >= duration) stopTimer();
+    notify();
+  };
+
+  return {
+    getState,
+
+    play() {
+      if (timer) return;
+      if (position >= duration) this.seek(0);
+      timer = setInterval(tick, tickMs);
+      notify();
+    },
+
+    pause() {
+      stopTimer();
+      notify();
+    },
+
+    seek(target) {
+      const clamped = Math.max(0, Math.min(duration, target));
+      if (clamped < position || clamped === 0) {
+        reset();
+        index = 0;
+      }
+      position = clamped;
+      deliverUntil(position);
+      notify();
+    },
+
+    setSpeed(value) {
+      speed = value;
+      notify();
+    },
+
+    dispose: stopTimer,
+  };
+}
@@ -0,0 +1,53 @@
+import { createReplayPlayer } from './replayPlayer';
+
+const SESSION = {
+  duration: 1000,
+  messages: [
+    { t: 100, destination: 'a', payload: 1 },
+    { t: 400, destination: 'b', payload: 2 },
+    { t: 1000, destination: 'a', payload: 3 },
+  ],
+};
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => jest.useRealTimers());
+
+const setup = () => {
+  const delivered = [];
+  const reset = jest.fn(() => delivered.push('reset'));
+  const player = createReplayPlayer({ session: SESSION, deliver: (destination, payload) => delivered.push(payload), reset, tickMs: 100 });
+  return { player, delivered, reset };
+};
+
+test('plays in session time at the chosen speed and stops at the end', () => {
+  const { player, delivered } = setup();
+  player.play();
+  jest.advanceTimersByTime(400);
+  expect(delivered).toEqual([1, 2]);
+
+  player.setSpeed(5);
+  jest.advanceTimersByTime(200);
+  expect(delivered).toEqual([1, 2, 3]);
+  expect(player.getState()).toMatchObject({ position: 1000, playing: false, delivered: 3 });
+});
+
+test('pause holds the position', () => {
+  const { player, delivered } = setup();
+  player.play();
+  jest.advanceTimersByTime(200);
+  player.pause();
+  jest.advanceTimersByTime(1000);
+  expect(delivered).toEqual([1]);
+  expect(player.getState().position).toBe(200);
+});
+
+test('seeking forward catches up and seeking back replays from the snapshot', () => {
+  const { player, delivered, reset } = setup();
+  player.seek(500);
+  expect(delivered).toEqual([1, 2]);
+  expect(reset).not.toHaveBeenCalled();
+
+  player.seek(150);
+  expect(delivered).toEqual([1, 2, 'reset', 1]);
+  expect(player.getState()).toMatchObject({ position: 150, delivered: 1 });
+});
@@ -0,0 +1,38 @@
+import { carryParams } from '../utils/routes';
+
+// Browser history for the app's routes (see utils/routes.js). Locations here
+// are app paths; the base path the app is served from (PUBLIC_URL) is added
+// and stripped at the edges.
+
+const BASE = new URL(process.env.PUBLIC_URL || '/', window.location.origin).pathname.replace(/\/$/, '');
+
+const listeners = new Set();
+const emit = () => listeners.forEach(listener => listener());
+
+// App path plus query string of the current entry.
+export function getLocation() {
+  const { pathname, search } = window.location;
+  const path = BASE && pathname.startsWith(BASE) ? pathname.slice(BASE.length) : pathname;
+  return `${path || '/'}${search}`;
+}
+
+export const onLocationChange = (listener) => {
+  if (listeners.size === 0) window.addEventListener('popstate', emit);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('popstate', emit);
+  };
+};
+
+// The href for an app path, for links that can also open in a new tab.
+export const hrefFor = path => `${BASE}${carryParams(path, window.location.search)}`;
+
+// `replace` rewrites the current entry instead of adding one, for changes
+// that should not each be a Back step, like typing a symbol.
+export function navigate(path, { replace = false } = {}) {
+  const next = carryParams(path, window.location.search);
+  if (next === getLocation()) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', `${BASE}${next}`);
+  emit();
+}
@@ -0,0 +1,28 @@
+import { getLocation, navigate, onLocationChange } from './router';
+
+afterEach(() => window.history.replaceState(null, '', '/'));
+
+test('navigation adds or rewrites history entries and notifies listeners', () => {
+  window.history.replaceState(null, '', '/?mock');
+  const listener = jest.fn();
+  const unsubscribe = onLocationChange(listener);
+  const startLength = window.history.length;
+
+  navigate('/symbol/IBM?tf=5m');
+  expect(getLocation()).toBe('/symbol/IBM?tf=5m&mock=');
+  expect(window.history.length).toBe(startLength + 1);
+
+  navigate('/symbol/AAPL', { replace: true });
+  expect(getLocation()).toBe('/symbol/AAPL?mock=');
+  expect(window.history.length).toBe(startLength + 1);
+
+  navigate('/symbol/AAPL');
+  expect(listener).toHaveBeenCalledTimes(2);
+
+  window.dispatchEvent(new PopStateEvent('popstate'));
+  expect(listener).toHaveBeenCalledTimes(3);
+
+  unsubscribe();
+  window.dispatchEvent(new PopStateEvent('popstate'));
+  expect(listener).toHaveBeenCalledTimes(3);
+});
@@ -0,0 +1,9 @@
+import { getSession } from './auth';
+
+// Identifies whose preferences are being read and written. Without a signed-in
+// user (a backend that does not require login) every browser is a single
+// local user.
+export const getCurrentUserId = () => {
+  const session = getSession();
+  return session && session.user ? String(session.user.id ?? session.user.username) : 'local';
+};
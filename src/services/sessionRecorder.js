@@ -0,0 +1,67 @@
+// Records the market-data messages a connection delivers, so a session can be
+// downloaded and replayed later. A recording starts from a snapshot of what
+// the chart already showed (candles and signals), since the messages alone
+// only describe what changed after that.
+
+export const SESSION_VERSION = 1;
+const RECORDED_TOPIC = /^\/topic\/(stock-data|indicators|trading-signals)\//;
+
+export const isRecordedDestination = destination => RECORDED_TOPIC.test(destination);
+
+export function createSessionRecorder(connection, { now = () => Date.now() } = {}) {
+  let session = null;
+  let stopTap = null;
+  let startedAt = 0;
+
+  return {
+    // snapshot: { symbol, candles, signals }
+    start(snapshot) {
+      if (session) return;
+      startedAt = now();
+      session = {
+        version: SESSION_VERSION,
+        symbol: snapshot.symbol,
+        startedAt: new Date(startedAt).toISOString(),
+        snapshot: { candles: snapshot.candles, signals: snapshot.signals },
+        messages: [],
+      };
+      stopTap = connection.onMessage((destination, payload) => {
+        if (isRecordedDestination(destination)) {
+          session.messages.push({ t: now() - startedAt, destination, payload });
+        }
+      });
+    },
+
+    // Returns the finished session.
+    stop() {
+      if (!session) return null;
+      stopTap();
+      const finished = { ...session, duration: now() - startedAt };
+      session = null;
+      stopTap = null;
+      return finished;
+    },
+
+    isRecording: () => session !== null,
+    messageCount: () => (session ? session.messages.length : 0),
+  };
+}
+
+// Reads a downloaded session file; throws when it is not one.
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new Error('Not a session file: the JSON could not be read');
+  }
+  if (!session || session.version !== SESSION_VERSION || !Array.isArray(session.messages) || !session.snapshot) {
+    throw new Error('Not a session file recorded by this app');
+  }
+  const invalid = session.messages.findIndex(m => typeof m.t !== 'number' || !isRecordedDestination(String(m.destination)));
+  if (invalid !== -1) throw new Error(`Message ${invalid + 1} in the session is malformed`);
+  return {
+    ...session,
+    duration: session.duration ?? (session.messages.length > 0 ? session.messages[session.messages.length - 1].t : 0),
+  };
+}
@@ -0,0 +1,43 @@
+import { createSessionRecorder, parseSession } from './sessionRecorder';
+
+function fakeConnection() {
+  const taps = new Set();
+  return {
+    onMessage: (tap) => {
+      taps.add(tap);
+      return () => taps.delete(tap);
+    },
+    emit: (destination, payload) => taps.forEach(tap => tap(destination, payload)),
+  };
+}
+
+test('records market-data messages relative to the start', () => {
+  let now = 1000;
+  const connection = fakeConnection();
+  const recorder = createSessionRecorder(connection, { now: () => now });
+  recorder.start({ symbol: 'IBM', candles: [{ time: 1, close: 1 }], signals: [] });
+
+  now = 1500;
+  connection.emit('/topic/stock-data/IBM', { close: 2 });
+  connection.emit('/topic/alerts/IBM', { ignored: true });
+  now = 2500;
+  connection.emit('/topic/trading-signals/IBM', { signalType: 'BUY' });
+  expect(recorder.messageCount()).toBe(2);
+
+  const session = recorder.stop();
+  connection.emit('/topic/stock-data/IBM', { close: 3 });
+  expect(recorder.isRecording()).toBe(false);
+  expect(session).toMatchObject({ symbol: 'IBM', duration: 1500, snapshot: { candles: [{ time: 1, close: 1 }], signals: [] } });
+  expect(session.messages).toEqual([
+    { t: 500, destination: '/topic/stock-data/IBM', payload: { close: 2 } },
+    { t: 1500, destination: '/topic/trading-signals/IBM', payload: { signalType: 'BUY' } },
+  ]);
+  expect(parseSession(JSON.stringify(session))).toEqual(session);
+});
+
+test('parseSession rejects other files', () => {
+  expect(() => parseSession('not json')).toThrow('could not be read');
+  expect(() => parseSession('{"strategies": []}')).toThrow('Not a session file');
+  expect(() => parseSession(JSON.stringify({ version: 1, snapshot: {}, messages: [{ t: 1, destination: '/topic/x' }] })))
+    .toThrow('Message 1');
+});
@@ -0,0 +1,12 @@
+import { createStompConnection } from './stompConnection';
+import { USE_MOCK_BACKEND, WEBSOCKET_URL } from '../config';
+import { mockClientFactory } from '../mock';
+import { authConnectHeaders } from './auth';
+
+// The app-wide connection. Components subscribe through the hooks in
+// hooks/useSocket.js rather than talking to STOMP directly.
+export const socket = createStompConnection({
+  url: () => WEBSOCKET_URL,
+  connectHeaders: authConnectHeaders,
+  clientFactory: USE_MOCK_BACKEND ? mockClientFactory : undefined,
+});
@@ -0,0 +1,174 @@
+import SockJS from 'sockjs-client';
+import Stomp from 'stompjs';
+
+export const CONNECTION_STATUS = {
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  OFFLINE: 'offline',
+};
+
+const defaultClientFactory = (url) => {
+  const client = Stomp.over(new SockJS(url));
+  client.debug = null; // stompjs logs every frame otherwise
+  return client;
+};
+
+// One long-lived STOMP connection shared by the whole app. Subscriptions are
+// reference counted per destination and survive reconnects: whatever is
+// registered while the socket is down gets (re)subscribed on the next connect.
+// `url` and `connectHeaders` are read on every (re)connect, so a changed
+// backend or a refreshed token applies from the next one.
+export function createStompConnection({
+  url,
+  clientFactory = defaultClientFactory,
+  connectHeaders = () => ({}),
+  heartbeatMs = 10000,
+  initialDelayMs = 1000,
+  maxDelayMs = 30000,
+} = {}) {
+  const subscriptions = new Map(); // destination -> { handlers: Set, stompSubscription }
+  const listeners = new Set();
+  const taps = new Set(); // (destination, payload) => void, for every delivered message
+  let client = null;
+  let reconnectTimer = null;
+  let attempt = 0;
+  let shouldRun = false;
+  let state = { status: CONNECTION_STATUS.OFFLINE, lastMessageAt: null, nextRetryAt: null };
+
+  const setState = (patch) => {
+    state = { ...state, ...patch };
+    listeners.forEach(listener => listener(state));
+  };
+
+  const deliver = (destination, payload) => {
+    const entry = subscriptions.get(destination);
+    if (!entry) return;
+    setState({ lastMessageAt: Date.now() });
+    taps.forEach(tap => tap(destination, payload));
+    entry.handlers.forEach(handler => handler(payload));
+  };
+
+  const dispatch = (destination, message) => {
+    let payload;
+    try {
+      payload = JSON.parse(message.body);
+    } catch (error) {
+      console.error(`Malformed message on ${destination}:`, error);
+      return;
+    }
+    deliver(destination, payload);
+  };
+
+  const stompSubscribe = (destination) => {
+    const entry = subscriptions.get(destination);
+    if (!entry || entry.stompSubscription || !client || !client.connected) return;
+    entry.stompSubscription = client.subscribe(destination, message => dispatch(destination, message));
+  };
+
+  const scheduleReconnect = () => {
+    if (!shouldRun || reconnectTimer) return;
+    const backoff = Math.min(maxDelayMs, initialDelayMs * 2 ** attempt);
+    const delay = Math.round(backoff / 2 + Math.random() * backoff / 2);
+    attempt += 1;
+    setState({ status: CONNECTION_STATUS.RECONNECTING, nextRetryAt: Date.now() + delay });
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      open();
+    }, delay);
+  };
+
+  const open = () => {
+    if (!shouldRun) return;
+    subscriptions.forEach(entry => { entry.stompSubscription = null; });
+    const current = clientFactory(typeof url === 'function' ? url() : url);
+    client = current;
+    current.heartbeat.outgoing = heartbeatMs;
+    current.heartbeat.incoming = heartbeatMs;
+    if (state.status !== CONNECTION_STATUS.RECONNECTING) {
+      setState({ status: CONNECTION_STATUS.CONNECTING });
+    }
+
+    current.connect(connectHeaders(), () => {
+      if (client !== current) return;
+      attempt = 0;
+      setState({ status: CONNECTION_STATUS.CONNECTED, nextRetryAt: null });
+      subscriptions.forEach((entry, destination) => stompSubscribe(destination));
+    }, error => {
+      // stompjs reports both failed handshakes and dropped sockets here.
+      if (client !== current) return;
+      console.error('WebSocket connection error:', error);
+      client = null;
+      scheduleReconnect();
+    });
+  };
+
+  const connect = () => {
+    if (shouldRun) return;
+    shouldRun = true;
+    attempt = 0;
+    open();
+  };
+
+  const disconnect = () => {
+    shouldRun = false;
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    const current = client;
+    client = null;
+    subscriptions.forEach(entry => { entry.stompSubscription = null; });
+    if (current && current.connected) {
+      current.disconnect(() => console.log('Disconnected from WebSocket'));
+    } else if (current && current.ws) {
+      current.ws.close(); // still handshaking
+    }
+    setState({ status: CONNECTION_STATUS.OFFLINE, nextRetryAt: null });
+  };
+
+  // Returns an unsubscribe function. The STOMP subscription is dropped once the
+  // last handler for a destination goes away.
+  const subscribe = (destination, handler) => {
+    let entry = subscriptions.get(destination);
+    if (!entry) {
+      entry = { handlers: new Set(), stompSubscription: null };
+      subscriptions.set(destination, entry);
+    }
+    entry.handlers.add(handler);
+    stompSubscribe(destination);
+
+    return () => {
+      const existing = subscriptions.get(destination);
+      if (!existing) return;
+      existing.handlers.delete(handler);
+      if (existing.handlers.size > 0) return;
+      subscriptions.delete(destination);
+      if (existing.stompSubscription && client && client.connected) {
+        existing.stompSubscription.unsubscribe();
+      }
+    };
+  };
+
+  const onStateChange = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  // Sees every message delivered to a subscriber, e.g. to record a session.
+  const onMessage = (tap) => {
+    taps.add(tap);
+    return () => taps.delete(tap);
+  };
+
+  return {
+    connect,
+    disconnect,
+    subscribe,
+    onStateChange,
+    onMessage,
+    // Delivers a message to the destination's handlers as if it had arrived
+    // over the socket; used to replay recorded sessions.
+    inject: deliver,
+    getState: () => state,
+    getDestinations: () => Array.from(subscriptions.keys()),
+  };
+}
@@ -0,0 +1,157 @@
+import { createStompConnection, CONNECTION_STATUS } from './stompConnection';
+
+// Minimal stand-in for a stompjs client. Each reconnect gets a fresh one, just
+// like SockJS sockets which cannot be reopened.
+function fakeClientFactory() {
+  const clients = [];
+  const factory = (url) => {
+    const client = {
+      url,
+      heartbeat: {},
+      connected: false,
+      subscriptions: {},
+      connect(headers, onConnect, onError) {
+        client.headers = headers;
+        client.onConnect = () => { client.connected = true; onConnect(); };
+        client.onError = (error) => { client.connected = false; onError(error); };
+      },
+      subscribe(destination, callback) {
+        client.subscriptions[destination] = callback;
+        return { unsubscribe: () => { delete client.subscriptions[destination]; } };
+      },
+      disconnect(callback) {
+        client.connected = false;
+        callback();
+      },
+    };
+    clients.push(client);
+    return client;
+  };
+  factory.clients = clients;
+  return factory;
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(Math, 'random').mockReturnValue(1);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('adds and removes subscriptions without reconnecting', () => {
+  const factory = fakeClientFactory();
+  const connection = createStompConnection({ url: 'ws', clientFactory: factory });
+  connection.connect();
+  factory.clients[0].onConnect();
+
+  const received = [];
+  const unsubscribe = connection.subscribe('/topic/stock-data/IBM', data => received.push(data));
+  factory.clients[0].subscriptions['/topic/stock-data/IBM']({ body: '{"close":1}' });
+  unsubscribe();
+
+  expect(received).toEqual([{ close: 1 }]);
+  expect(factory.clients[0].subscriptions).toEqual({});
+  expect(factory.clients).toHaveLength(1);
+  expect(connection.getState().lastMessageAt).not.toBeNull();
+});
+
+test('shares one STOMP subscription between handlers of the same destination', () => {
+  const factory = fakeClientFactory();
+  const connection = createStompConnection({ url: 'ws', clientFactory: factory });
+  connection.connect();
+  factory.clients[0].onConnect();
+
+  const first = jest.fn();
+  const second = jest.fn();
+  const unsubscribeFirst = connection.subscribe('/topic/indicators/IBM', first);
+  connection.subscribe('/topic/indicators/IBM', second);
+  unsubscribeFirst();
+  factory.clients[0].subscriptions['/topic/indicators/IBM']({ body: '{}' });
+
+  expect(first).not.toHaveBeenCalled();
+  expect(second).toHaveBeenCalledTimes(1);
+});
+
+test('reconnects with exponential backoff and restores subscriptions', () => {
+  const factory = fakeClientFactory();
+  const connection = createStompConnection({ url: 'ws', clientFactory: factory, initialDelayMs: 1000 });
+  connection.subscribe('/topic/trading-signals/IBM', () => {});
+  connection.connect();
+  expect(connection.getState().status).toBe(CONNECTION_STATUS.CONNECTING);
+
+  factory.clients[0].onError('Whoops! Lost connection');
+  expect(connection.getState().status).toBe(CONNECTION_STATUS.RECONNECTING);
+  jest.advanceTimersByTime(999);
+  expect(factory.clients).toHaveLength(1);
+  jest.advanceTimersByTime(1);
+  expect(factory.clients).toHaveLength(2);
+
+  factory.clients[1].onError('still down');
+  jest.advanceTimersByTime(1999);
+  expect(factory.clients).toHaveLength(2);
+  jest.advanceTimersByTime(1);
+  expect(factory.clients).toHaveLength(3);
+
+  factory.clients[2].onConnect();
+  expect(connection.getState().status).toBe(CONNECTION_STATUS.CONNECTED);
+  expect(Object.keys(factory.clients[2].subscriptions)).toEqual(['/topic/trading-signals/IBM']);
+  expect(factory.clients[2].heartbeat).toEqual({ outgoing: 10000, incoming: 10000 });
+});
+
+test('disconnect stops reconnect attempts and reports offline', () => {
+  const factory = fakeClientFactory();
+  const connection = createStompConnection({ url: 'ws', clientFactory: factory });
+  const states = [];
+  connection.onStateChange(state => states.push(state.status));
+  connection.connect();
+  factory.clients[0].onError('down');
+  connection.disconnect();
+  jest.advanceTimersByTime(60000);
+
+  expect(factory.clients).toHaveLength(1);
+  expect(states[states.length - 1]).toBe(CONNECTION_STATUS.OFFLINE);
+});
+
+test('taps see delivered messages, including injected ones while offline', () => {
+  const factory = fakeClientFactory();
+  const connection = createStompConnection({ url: 'ws', clientFactory: factory });
+  const tapped = [];
+  const received = [];
+  connection.onMessage((destination, payload) => tapped.push([destination, payload]));
+  connection.subscribe('/topic/indicators/IBM', data => received.push(data));
+
+  connection.connect();
+  factory.clients[0].onConnect();
+  factory.clients[0].subscriptions['/topic/indicators/IBM']({ body: '{"rsi":40}' });
+  connection.disconnect();
+  connection.inject('/topic/indicators/IBM', { rsi: 50 });
+  connection.inject('/topic/indicators/AAPL', { rsi: 60 }); // nobody subscribed
+
+  expect(received).toEqual([{ rsi: 40 }, { rsi: 50 }]);
+  expect(tapped).toEqual([['/topic/indicators/IBM', { rsi: 40 }], ['/topic/indicators/IBM', { rsi: 50 }]]);
+});
+
+test('reads the url and connect headers again on every reconnect', () => {
+  const factory = fakeClientFactory();
+  let token = 'first';
+  const connection = createStompConnection({
+    url: () => `ws-${token}`,
+    clientFactory: factory,
+    connectHeaders: () => ({ Authorization: `Bearer ${token}` }),
+  });
+  connection.connect();
+  token = 'second';
+  factory.clients[0].onError('down');
+  jest.advanceTimersByTime(1000);
+
+  expect(factory.clients.map(client => [client.url, client.headers.Authorization])).toEqual([
+    ['ws-first', 'Bearer first'],
+    ['ws-second', 'Bearer second'],
+  ]);
+  connection.disconnect();
+});
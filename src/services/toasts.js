@@ -0,0 +1,49 @@
+// App-wide notification center. Anything can push a toast; ToastCenter shows
+// them. A toast repeating one already on screen bumps its count instead of
+// stacking, so a failing poll does not bury everything else.
+
+const TOAST_TIMEOUT_MS = { info: 4000, error: 8000 };
+
+let toasts = []; // { id, kind, title, message, count }
+let nextId = 0;
+const listeners = new Set();
+const timers = new Map(); // toast id -> dismiss timer
+
+const emit = (next) => {
+  toasts = next;
+  listeners.forEach(listener => listener());
+};
+
+export const getToasts = () => toasts;
+
+export const onToastsChange = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export function dismissToast(id) {
+  clearTimeout(timers.get(id));
+  timers.delete(id);
+  emit(toasts.filter(t => t.id !== id));
+}
+
+const scheduleDismiss = (toast) => {
+  clearTimeout(timers.get(toast.id));
+  timers.set(toast.id, setTimeout(() => dismissToast(toast.id), TOAST_TIMEOUT_MS[toast.kind]));
+};
+
+// kind: 'info' | 'error'
+export function pushToast({ kind = 'info', title, message = '' }) {
+  const same = toasts.find(t => t.kind === kind && t.title === title && t.message === message);
+  if (same) {
+    const bumped = { ...same, count: same.count + 1 };
+    emit(toasts.map(t => (t.id === same.id ? bumped : t)));
+    scheduleDismiss(bumped);
+    return same.id;
+  }
+  nextId += 1;
+  const toast = { id: nextId, kind, title, message, count: 1 };
+  emit([...toasts, toast]);
+  scheduleDismiss(toast);
+  return toast.id;
+}
@@ -0,0 +1,19 @@
+import { dismissToast, getToasts, pushToast } from './toasts';
+
+beforeEach(() => jest.useFakeTimers());
+afterEach(() => {
+  getToasts().forEach(t => dismissToast(t.id));
+  jest.useRealTimers();
+});
+
+test('repeated toasts are counted instead of stacked, and expire', () => {
+  pushToast({ kind: 'error', title: 'Could not load trades', message: 'HTTP 500' });
+  pushToast({ kind: 'error', title: 'Could not load trades', message: 'HTTP 500' });
+  pushToast({ title: 'Data fetch started' });
+  expect(getToasts().map(t => [t.title, t.count])).toEqual([['Could not load trades', 2], ['Data fetch started', 1]]);
+
+  jest.advanceTimersByTime(4000);
+  expect(getToasts().map(t => t.title)).toEqual(['Could not load trades']);
+  jest.advanceTimersByTime(4000);
+  expect(getToasts()).toEqual([]);
+});
@@ -0,0 +1,3 @@
+// The worker URL needs `import.meta`, which Jest cannot load; tests mock
+// this module instead of the engine around it.
+export const createBacktestWorker = () => new Worker(new URL('../workers/backtest.worker.js', import.meta.url));
@@ -0,0 +1,247 @@
+import { toEpochSeconds, toNumber } from './apiSchemas';
+import { formatNumber } from './format';
+
+// User-defined alerts evaluated against the live feed. An alert is a plain
+// object so it can be persisted as is:
+//   { id, type, symbol, ...type fields, mode, cooldownMinutes, sound,
+//     enabled, createdAt, lastTriggeredAt, triggerCount }
+// Conditions fire on the message where they become true (a crossing, a move
+// reaching its size), not on every message while they stay true. The mode
+// then decides whether the alert may fire again.
+
+export const MAX_ALERT_HISTORY = 200;
+
+export const ALERT_MODES = {
+  once: 'One-shot',
+  repeat: 'Repeating',
+  cooldown: 'Cooldown',
+};
+
+// `fields` drive the create form; `source` is the feed an alert listens to.
+export const ALERT_TYPES = {
+  PRICE_CROSS: {
+    label: 'Price crosses level',
+    source: 'price',
+    fields: [
+      { key: 'direction', label: 'Direction', options: { above: 'Above', below: 'Below' } },
+      { key: 'level', label: 'Price', type: 'number' },
+    ],
+  },
+  PERCENT_MOVE: {
+    label: '% move within N minutes',
+    source: 'price',
+    fields: [
+      { key: 'percent', label: 'Move %', type: 'number', positive: true },
+      { key: 'minutes', label: 'Minutes', type: 'number', positive: true },
+    ],
+  },
+  RSI_THRESHOLD: {
+    label: 'RSI threshold',
+    source: 'indicator',
+    fields: [
+      { key: 'direction', label: 'Direction', options: { above: 'Above', below: 'Below' } },
+      { key: 'level', label: 'RSI', type: 'number', min: 0, max: 100 },
+    ],
+  },
+  MACD_CROSS: {
+    label: 'MACD crossover',
+    source: 'indicator',
+    fields: [
+      { key: 'direction', label: 'Cross', options: { bullish: 'Bullish', bearish: 'Bearish', either: 'Either' } },
+    ],
+  },
+  STRATEGY_SIGNAL: {
+    label: 'Signal from strategy',
+    source: 'signal',
+    fields: [{ key: 'strategyName', label: 'Strategy', type: 'strategy' }],
+  },
+};
+
+export const defaultAlertValues = (type, symbol) => {
+  const values = { type, symbol, mode: 'once', cooldownMinutes: '5', sound: false };
+  ALERT_TYPES[type].fields.forEach(field => {
+    values[field.key] = field.options ? Object.keys(field.options)[0] : '';
+  });
+  return values;
+};
+
+// Errors keyed by field for the create form's string values.
+export function validateAlert(values) {
+  const errors = {};
+  if (!values.symbol || !values.symbol.trim()) errors.symbol = 'Symbol is required';
+  ALERT_TYPES[values.type].fields.forEach(field => {
+    const raw = values[field.key];
+    if (field.options) return;
+    if (field.type === 'strategy') {
+      if (!raw) errors[field.key] = 'Choose a strategy';
+      return;
+    }
+    const number = Number(raw);
+    if (raw === '' || raw === undefined || !Number.isFinite(number)) {
+      errors[field.key] = 'Must be a number';
+    } else if (field.positive && number <= 0) {
+      errors[field.key] = 'Must be greater than 0';
+    } else if (field.max !== undefined && (number < field.min || number > field.max)) {
+      errors[field.key] = `Must be between ${field.min} and ${field.max}`;
+    }
+  });
+  if (values.mode === 'cooldown') {
+    const cooldown = Number(values.cooldownMinutes);
+    if (!Number.isFinite(cooldown) || cooldown <= 0) errors.cooldownMinutes = 'Must be greater than 0';
+  }
+  return errors;
+}
+
+let nextId = 0;
+const newId = (now) => {
+  nextId += 1;
+  return `${now.toString(36)}-${nextId}`;
+};
+
+export function createAlert(values, now = Date.now()) {
+  const alert = {
+    id: newId(now),
+    type: values.type,
+    symbol: values.symbol.trim().toUpperCase(),
+    mode: values.mode,
+    cooldownMinutes: values.mode === 'cooldown' ? Number(values.cooldownMinutes) : null,
+    sound: Boolean(values.sound),
+    enabled: true,
+    createdAt: now,
+    lastTriggeredAt: null,
+    triggerCount: 0,
+  };
+  ALERT_TYPES[values.type].fields.forEach(field => {
+    const raw = values[field.key];
+    alert[field.key] = field.options || field.type === 'strategy' ? raw : Number(raw);
+  });
+  return alert;
+}
+
+export function describeAlert(alert) {
+  switch (alert.type) {
+    case 'PRICE_CROSS':
+      return `${alert.symbol} price crosses ${alert.direction} ${alert.level}`;
+    case 'PERCENT_MOVE':
+      return `${alert.symbol} moves ${alert.percent}% within ${alert.minutes} min`;
+    case 'RSI_THRESHOLD':
+      return `${alert.symbol} RSI crosses ${alert.direction} ${alert.level}`;
+    case 'MACD_CROSS':
+      return `${alert.symbol} MACD ${alert.direction === 'either' ? '' : `${alert.direction} `}crossover`;
+    case 'STRATEGY_SIGNAL':
+      return `${alert.strategyName} signal on ${alert.symbol}`;
+    default:
+      return alert.type;
+  }
+}
+
+// Whether the alert's mode lets it fire at `now`.
+export function isAlertReady(alert, now) {
+  if (!alert.enabled) return false;
+  if (alert.mode !== 'cooldown' || alert.lastTriggeredAt === null) return true;
+  return now - alert.lastTriggeredAt >= alert.cooldownMinutes * 60000;
+}
+
+// The alert after firing; a one-shot alert disables itself.
+export const markTriggered = (alert, now) => ({
+  ...alert,
+  enabled: alert.mode !== 'once',
+  lastTriggeredAt: now,
+  triggerCount: alert.triggerCount + 1,
+});
+
+export const alertHistoryEntry = (alert, message, now) => ({
+  id: newId(now),
+  at: new Date(now).toISOString(),
+  alertId: alert.id,
+  symbol: alert.symbol,
+  type: alert.type,
+  message,
+});
+
+const crossed = (previous, current, direction) => (
+  direction === 'above' ? previous <= 0 && current > 0 : previous >= 0 && current < 0
+);
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Per-alert condition checks. Each gets the alert, the message, and the
+// alert's memory from the previous message (undefined at first), and returns
+// { memory, message } where message is set when the alert fires.
+const CHECKS = {
+  PRICE_CROSS(alert, data, memory) {
+    if (!isNumber(data.close)) return { memory };
+    const distance = data.close - alert.level;
+    const fired = memory !== undefined && crossed(memory, distance, alert.direction);
+    return { memory: distance, message: fired && `${alert.symbol} crossed ${alert.direction} ${alert.level} at ${formatNumber(data.close)}` };
+  },
+
+  // Compares each price with the oldest one still inside the window. The
+  // feed's timestamps come in any of the backend's date shapes.
+  PERCENT_MOVE(alert, data, memory = { window: [], active: false }) {
+    const close = toNumber(data.close);
+    const seconds = toEpochSeconds(data.timestamp ?? data.time);
+    if (close === null || seconds === null) return { memory };
+    const time = seconds * 1000;
+    const windowStart = time - alert.minutes * 60000;
+    const window = [...memory.window.filter(point => point.time >= windowStart), { time, price: close }];
+    const change = ((close - window[0].price) / window[0].price) * 100;
+    const active = Math.abs(change) >= alert.percent;
+    const message = active && !memory.active
+      && `${alert.symbol} moved ${change > 0 ? '+' : ''}${formatNumber(change)}% in ${alert.minutes} min to ${formatNumber(close)}`;
+    return { memory: { window, active }, message };
+  },
+
+  RSI_THRESHOLD(alert, data, memory) {
+    if (!isNumber(data.rsi)) return { memory };
+    const distance = data.rsi - alert.level;
+    const fired = memory !== undefined && crossed(memory, distance, alert.direction);
+    return { memory: distance, message: fired && `${alert.symbol} RSI crossed ${alert.direction} ${alert.level} (${formatNumber(data.rsi)})` };
+  },
+
+  MACD_CROSS(alert, data, memory) {
+    if (!isNumber(data.macd) || !isNumber(data.macdSignal)) return { memory };
+    const histogram = data.macd - data.macdSignal;
+    let direction = null;
+    if (memory !== undefined && crossed(memory, histogram, 'above')) direction = 'bullish';
+    if (memory !== undefined && crossed(memory, histogram, 'below')) direction = 'bearish';
+    const fired = direction !== null && (alert.direction === 'either' || alert.direction === direction);
+    return { memory: histogram, message: fired && `${alert.symbol} MACD ${direction} crossover` };
+  },
+
+  STRATEGY_SIGNAL(alert, data, memory) {
+    const fired = data.strategyName === alert.strategyName;
+    return { memory, message: fired && `${alert.strategyName}: ${data.signalType} ${alert.symbol} at ${formatNumber(data.price)}` };
+  },
+};
+
+// Keeps each alert's memory between messages. `evaluate` takes the alerts for
+// the message's symbol and returns [{ alert, message }] for those whose
+// condition fired; whether they may fire is left to the caller. Disabled
+// alerts lose their memory, so re-enabling one does not compare against a
+// price from before it was paused.
+export function createAlertEngine() {
+  const memories = new Map(); // alert id -> memory
+
+  return {
+    // source: 'price' | 'indicator' | 'signal'
+    evaluate(alerts, source, data) {
+      const hits = [];
+      alerts.forEach(alert => {
+        if (!alert.enabled) {
+          memories.delete(alert.id);
+          return;
+        }
+        if (ALERT_TYPES[alert.type].source !== source) return;
+        const { memory, message } = CHECKS[alert.type](alert, data, memories.get(alert.id));
+        memories.set(alert.id, memory);
+        if (message) hits.push({ alert, message });
+      });
+      return hits;
+    },
+
+    forget(id) {
+      memories.delete(id);
+    },
+  };
+}
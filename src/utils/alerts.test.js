@@ -0,0 +1,100 @@
+import {
+  createAlert,
+  createAlertEngine,
+  defaultAlertValues,
+  isAlertReady,
+  markTriggered,
+  validateAlert,
+} from './alerts';
+
+const NOW = Date.parse('2024-06-12T15:00:00Z');
+const tick = (minutes, close) => ({ timestamp: new Date(NOW + minutes * 60000).toISOString(), close });
+
+const alertOf = (type, fields, mode = 'repeat') => createAlert({ ...defaultAlertValues(type, 'IBM'), mode, ...fields }, NOW);
+
+// Runs the messages through a fresh engine and returns each hit's message.
+const run = (alert, source, messages) => {
+  const engine = createAlertEngine();
+  return messages.flatMap(data => engine.evaluate([alert], source, data).map(hit => hit.message));
+};
+
+test('price alerts fire on the crossing, not while the price stays past the level', () => {
+  const alert = alertOf('PRICE_CROSS', { direction: 'above', level: '100' });
+  const closes = [99, 101, 102, 98, 100.5];
+  expect(run(alert, 'price', closes.map((close, i) => tick(i, close)))).toEqual([
+    'IBM crossed above 100 at 101.00',
+    'IBM crossed above 100 at 100.50',
+  ]);
+  expect(run(alert, 'indicator', [{ rsi: 50 }])).toEqual([]);
+});
+
+test('percent moves are measured within the time window', () => {
+  const alert = alertOf('PERCENT_MOVE', { percent: '2', minutes: '5' });
+  expect(run(alert, 'price', [tick(0, 100), tick(3, 101), tick(4, 102.5), tick(5, 103)])).toEqual([
+    'IBM moved +2.50% in 5 min to 102.50',
+  ]);
+  // The same rise spread over more than the window never fires.
+  expect(run(alert, 'price', [tick(0, 100), tick(4, 101), tick(8, 102), tick(12, 103)])).toEqual([]);
+  expect(run(alert, 'price', [tick(0, 100), tick(1, 97)])).toEqual(['IBM moved -3.00% in 5 min to 97.00']);
+
+  // Java LocalDateTime arrays, as the backend sends them without a date format.
+  const arrayTick = (minute, close) => ({ timestamp: [2024, 6, 12, 15, minute, 0], close });
+  expect(run(alert, 'price', [arrayTick(0, 100), arrayTick(3, 102.5)])).toEqual(['IBM moved +2.50% in 5 min to 102.50']);
+  expect(run(alert, 'price', [arrayTick(0, 100), arrayTick(10, 102.5)])).toEqual([]);
+});
+
+test('RSI and MACD alerts read the indicator feed', () => {
+  const rsiAlert = alertOf('RSI_THRESHOLD', { direction: 'below', level: '30' });
+  expect(run(rsiAlert, 'indicator', [{ rsi: 35 }, { rsi: null }, { rsi: 28 }, { rsi: 25 }])).toEqual([
+    'IBM RSI crossed below 30 (28.00)',
+  ]);
+
+  const macdAlert = alertOf('MACD_CROSS', { direction: 'bullish' });
+  const macd = [{ macd: -1, macdSignal: 0 }, { macd: 1, macdSignal: 0 }, { macd: -1, macdSignal: 0 }, { macd: 2, macdSignal: 1 }];
+  expect(run(macdAlert, 'indicator', macd)).toEqual(['IBM MACD bullish crossover', 'IBM MACD bullish crossover']);
+  expect(run({ ...macdAlert, direction: 'either' }, 'indicator', macd)).toHaveLength(3);
+});
+
+test('strategy alerts fire on every signal from that strategy', () => {
+  const alert = alertOf('STRATEGY_SIGNAL', { strategyName: 'RSI_MEAN_REVERSION_STRATEGY' });
+  expect(run(alert, 'signal', [
+    { strategyName: 'RSI_MEAN_REVERSION_STRATEGY', signalType: 'BUY', price: 101 },
+    { strategyName: 'SMA_CROSSOVER_STRATEGY', signalType: 'SELL', price: 102 },
+  ])).toEqual(['RSI_MEAN_REVERSION_STRATEGY: BUY IBM at 101.00']);
+});
+
+test('modes decide whether a triggered alert may fire again', () => {
+  const once = markTriggered(alertOf('PRICE_CROSS', { level: '100' }, 'once'), NOW);
+  expect(once.enabled).toBe(false);
+  expect(isAlertReady(once, NOW + 1)).toBe(false);
+
+  const repeat = markTriggered(alertOf('PRICE_CROSS', { level: '100' }, 'repeat'), NOW);
+  expect(isAlertReady(repeat, NOW + 1)).toBe(true);
+  expect(repeat.triggerCount).toBe(1);
+
+  const cooldown = markTriggered(alertOf('PRICE_CROSS', { level: '100', cooldownMinutes: '10' }, 'cooldown'), NOW);
+  expect(isAlertReady(cooldown, NOW + 9 * 60000)).toBe(false);
+  expect(isAlertReady(cooldown, NOW + 10 * 60000)).toBe(true);
+});
+
+test('disabled alerts start from scratch when re-enabled', () => {
+  const engine = createAlertEngine();
+  const alert = alertOf('PRICE_CROSS', { direction: 'above', level: '100' });
+  engine.evaluate([alert], 'price', tick(0, 90));
+  engine.evaluate([{ ...alert, enabled: false }], 'price', tick(1, 95));
+  expect(engine.evaluate([alert], 'price', tick(2, 110))).toEqual([]);
+});
+
+test('the form values are validated per alert type', () => {
+  expect(validateAlert({ ...defaultAlertValues('PRICE_CROSS', ''), level: 'abc' })).toEqual({
+    symbol: 'Symbol is required',
+    level: 'Must be a number',
+  });
+  expect(validateAlert({ ...defaultAlertValues('RSI_THRESHOLD', 'IBM'), level: '120' })).toEqual({ level: 'Must be between 0 and 100' });
+  expect(validateAlert({ ...defaultAlertValues('PERCENT_MOVE', 'IBM'), percent: '0', minutes: '5', mode: 'cooldown', cooldownMinutes: '' }))
+    .toEqual({ percent: 'Must be greater than 0', cooldownMinutes: 'Must be greater than 0' });
+  expect(validateAlert(defaultAlertValues('STRATEGY_SIGNAL', 'IBM'))).toEqual({ strategyName: 'Choose a strategy' });
+  expect(createAlert({ ...defaultAlertValues('PRICE_CROSS', ' ibm '), level: '100.5' }, NOW)).toEqual(expect.objectContaining({
+    symbol: 'IBM', direction: 'above', level: 100.5, mode: 'once', cooldownMinutes: null, enabled: true,
+  }));
+});
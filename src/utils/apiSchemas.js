@@ -0,0 +1,115 @@
+// Validation and normalization of backend responses and feed messages, so the
+// rest of the app can rely on their shapes. Every timestamped record gets
+// `time` in epoch seconds (what the charts use) and its `timestamp` rewritten
+// as an ISO string, whichever of ISO, epoch seconds or milliseconds, or a
+// Jackson LocalDateTime array the backend sent. Numeric fields are numbers or
+// null. A record missing what it cannot do without normalizes to null.
+
+export class ApiResponseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ApiResponseError';
+  }
+}
+
+// Epoch values below this are seconds, above it milliseconds (year 5138).
+const MILLISECONDS_FROM = 1e11;
+
+export function toEpochSeconds(value) {
+  if (value === null || value === undefined || value === '') return null;
+  let ms;
+  if (Array.isArray(value)) {
+    // [year, month, day, hour, minute, second, nanos], zone-less like the ISO
+    // strings the backend sends, so read as local time.
+    const [year, month, day, hour = 0, minute = 0, second = 0, nanos = 0] = value;
+    ms = new Date(year, month - 1, day, hour, minute, second, nanos / 1e6).getTime();
+  } else if (typeof value === 'number' || (typeof value === 'string' && /^\d+(\.\d+)?$/.test(value))) {
+    const number = Number(value);
+    ms = number >= MILLISECONDS_FROM ? number : number * 1000;
+  } else if (typeof value === 'string') {
+    ms = Date.parse(value);
+  } else {
+    return null;
+  }
+  return Number.isFinite(ms) ? ms / 1000 : null;
+}
+
+export function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = typeof value === 'number' ? value : Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+const withTime = (raw) => {
+  const time = toEpochSeconds(raw.timestamp);
+  return time === null ? null : { ...raw, time, timestamp: new Date(time * 1000).toISOString() };
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function normalizeCandle(raw) {
+  if (!isObject(raw)) return null;
+  const time = toEpochSeconds(raw.timestamp ?? raw.time);
+  const [open, high, low, close] = [raw.open, raw.high, raw.low, raw.close].map(toNumber);
+  if (time === null || [open, high, low, close].includes(null)) return null;
+  return { time, open, high, low, close, volume: toNumber(raw.volume) };
+}
+
+export function normalizeSignal(raw) {
+  if (!isObject(raw) || !raw.signalType) return null;
+  const signal = withTime(raw);
+  return signal && { ...signal, signalType: String(signal.signalType).toUpperCase(), price: toNumber(raw.price) };
+}
+
+export function normalizeTrade(raw) {
+  if (!isObject(raw) || !raw.tradeType) return null;
+  const trade = withTime(raw);
+  return trade && {
+    ...trade,
+    tradeType: String(trade.tradeType).toUpperCase(),
+    price: toNumber(raw.price),
+    quantity: toNumber(raw.quantity),
+    cashAfterTrade: toNumber(raw.cashAfterTrade),
+  };
+}
+
+const BACKTEST_NUMBERS = [
+  'initialCapital', 'finalCapital', 'totalProfitLoss', 'percentageProfitLoss',
+  'totalTrades', 'winningTrades', 'losingTrades',
+];
+
+export function normalizeBacktestResult(raw) {
+  if (!isObject(raw) || raw.id === undefined || raw.id === null) return null;
+  const result = { ...raw };
+  BACKTEST_NUMBERS.forEach(field => { result[field] = toNumber(raw[field]); });
+  return result;
+}
+
+export function normalizeStrategyConfig(raw) {
+  if (!isObject(raw) || raw.id === undefined || raw.id === null || !raw.strategyName) return null;
+  return {
+    ...raw,
+    symbol: raw.symbol || '',
+    enabled: Boolean(raw.enabled),
+    parameters: typeof raw.parameters === 'string' ? raw.parameters : JSON.stringify(raw.parameters || {}),
+  };
+}
+
+// A list response: throws unless it is an array, drops (and logs) the rows
+// that do not normalize. `what` names the endpoint in messages.
+export function normalizeList(data, normalizeRow, what) {
+  if (!Array.isArray(data)) {
+    throw new ApiResponseError(`Unexpected response for ${what}: expected a list`);
+  }
+  const rows = data.map(normalizeRow).filter(Boolean);
+  if (rows.length < data.length) {
+    console.warn(`Dropped ${data.length - rows.length} malformed ${what} record(s)`);
+  }
+  return rows;
+}
+
+export function normalizeOne(data, normalizeRow, what) {
+  const row = normalizeRow(data);
+  if (!row) throw new ApiResponseError(`Unexpected response for ${what}`);
+  return row;
+}
@@ -0,0 +1,48 @@
+import {
+  ApiResponseError,
+  normalizeBacktestResult,
+  normalizeCandle,
+  normalizeList,
+  normalizeSignal,
+  normalizeStrategyConfig,
+  normalizeTrade,
+  toEpochSeconds,
+} from './apiSchemas';
+
+const SECONDS = Date.parse('2024-06-12T15:00:00Z') / 1000;
+
+test('timestamps in any of the backend formats become epoch seconds', () => {
+  expect(toEpochSeconds('2024-06-12T15:00:00Z')).toBe(SECONDS);
+  expect(toEpochSeconds(SECONDS)).toBe(SECONDS);
+  expect(toEpochSeconds(SECONDS * 1000)).toBe(SECONDS);
+  expect(toEpochSeconds(String(SECONDS * 1000))).toBe(SECONDS);
+  expect(toEpochSeconds([2024, 6, 12, 15, 0])).toBe(new Date(2024, 5, 12, 15, 0).getTime() / 1000);
+  expect(toEpochSeconds('not a date')).toBeNull();
+  expect(toEpochSeconds(null)).toBeNull();
+});
+
+test('records get typed fields, and those missing essentials are rejected', () => {
+  expect(normalizeCandle({ timestamp: SECONDS * 1000, open: '1', high: 2, low: 0.5, close: 1.5 }))
+    .toEqual({ time: SECONDS, open: 1, high: 2, low: 0.5, close: 1.5, volume: null });
+  expect(normalizeCandle({ timestamp: SECONDS, open: 1, high: 2, low: 0.5 })).toBeNull();
+
+  expect(normalizeSignal({ timestamp: [2024, 6, 12], signalType: 'buy', price: '10.5', strategyName: 'X' }))
+    .toEqual(expect.objectContaining({ signalType: 'BUY', price: 10.5, strategyName: 'X', timestamp: expect.stringMatching(/Z$/) }));
+
+  const trade = normalizeTrade({ id: 1, timestamp: '2024-06-12T15:00:00Z', tradeType: 'SELL', price: 10, quantity: 5, cashAfterTrade: null });
+  expect(trade).toEqual(expect.objectContaining({ time: SECONDS, timestamp: '2024-06-12T15:00:00.000Z', cashAfterTrade: null }));
+  expect(normalizeTrade({ id: 2, tradeType: 'BUY' })).toBeNull();
+
+  expect(normalizeBacktestResult({ id: 3, initialCapital: '10000', finalCapital: undefined }))
+    .toEqual(expect.objectContaining({ id: 3, initialCapital: 10000, finalCapital: null }));
+  expect(normalizeStrategyConfig({ id: 4, strategyName: 'S', parameters: { a: 1 }, enabled: 1 }))
+    .toEqual({ id: 4, strategyName: 'S', symbol: '', parameters: '{"a":1}', enabled: true });
+});
+
+test('lists drop malformed rows but not a malformed response', () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  expect(normalizeList([{ id: 1 }, null, { id: 2 }], normalizeBacktestResult, 'results').map(r => r.id)).toEqual([1, 2]);
+  expect(console.warn).toHaveBeenCalledWith('Dropped 1 malformed results record(s)');
+  expect(() => normalizeList({ message: 'oops' }, normalizeBacktestResult, 'results')).toThrow(ApiResponseError);
+  console.warn.mockRestore();
+});
@@ -0,0 +1,169 @@
+import { sma, rsi, macd } from './indicators';
+import { parseParameters } from './strategies';
+
+// Long-only backtests run in the browser. Results have the same shape as the
+// backend's backtest results, plus the trades that produced them, so the
+// results table and detail view can show either.
+
+// Each strategy turns candles into a per-bar action: 'BUY', 'SELL' or null.
+// Parameter names and defaults match the JSON stored in strategy configs;
+// `isValid` rules out combinations that make no sense to test.
+export const ENGINE_STRATEGIES = {
+  SMA_CROSSOVER_STRATEGY: {
+    defaults: { shortSma: 5, longSma: 20 },
+    isValid: ({ shortSma, longSma }) => shortSma < longSma,
+    signals: (candles, { shortSma, longSma }) => {
+      const closes = candles.map(c => c.close);
+      const short = sma(closes, shortSma);
+      const long = sma(closes, longSma);
+      return crossovers(short, long);
+    },
+  },
+  RSI_MEAN_REVERSION_STRATEGY: {
+    defaults: { rsiPeriod: 14, oversold: 30, overbought: 70 },
+    isValid: ({ oversold, overbought }) => oversold < overbought,
+    signals: (candles, { rsiPeriod, oversold, overbought }) => {
+      const values = rsi(candles.map(c => c.close), rsiPeriod);
+      return values.map((value, i) => {
+        const previous = values[i - 1];
+        if (value === null || previous === null || previous === undefined) return null;
+        if (previous >= oversold && value < oversold) return 'BUY';
+        if (previous <= overbought && value > overbought) return 'SELL';
+        return null;
+      });
+    },
+  },
+  MACD_CROSSOVER_STRATEGY: {
+    defaults: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+    isValid: ({ fastPeriod, slowPeriod }) => fastPeriod < slowPeriod,
+    signals: (candles, { fastPeriod, slowPeriod, signalPeriod }) => {
+      const { line, signal } = macd(candles.map(c => c.close), fastPeriod, slowPeriod, signalPeriod);
+      return crossovers(line, signal);
+    },
+  },
+};
+
+// BUY where `fast` crosses above `slow`, SELL where it crosses below.
+function crossovers(fast, slow) {
+  return fast.map((value, i) => {
+    if (i === 0 || [value, slow[i], fast[i - 1], slow[i - 1]].some(v => v === null)) return null;
+    const before = fast[i - 1] - slow[i - 1];
+    const now = value - slow[i];
+    if (before <= 0 && now > 0) return 'BUY';
+    if (before >= 0 && now < 0) return 'SELL';
+    return null;
+  });
+}
+
+export const DEFAULT_EXECUTION = {
+  commissionPerTrade: 0,
+  commissionRate: 0, // fraction of notional
+  slippageBps: 0,
+  sizing: 'percentOfEquity', // 'percentOfEquity' | 'fixedQuantity' | 'fixedNotional'
+  sizingValue: 100,
+};
+
+function orderQuantity(execution, cash, price) {
+  const perShare = price * (1 + execution.commissionRate);
+  const affordable = Math.floor(Math.max(cash - execution.commissionPerTrade, 0) / perShare);
+  let wanted;
+  switch (execution.sizing) {
+    case 'fixedQuantity':
+      wanted = Math.floor(execution.sizingValue);
+      break;
+    case 'fixedNotional':
+      wanted = Math.floor(execution.sizingValue / price);
+      break;
+    default:
+      wanted = Math.floor(((cash - execution.commissionPerTrade) * execution.sizingValue / 100) / perShare);
+  }
+  return Math.max(0, Math.min(wanted, affordable));
+}
+
+let nextResultId = 0;
+
+// Signals act at the bar's close, filled with slippage against the trade. The
+// whole position is entered on BUY and exited on SELL; one still open after
+// the last bar is closed at its close. A round trip wins when it clears both
+// legs' commissions.
+export function runBacktest({
+  candles,
+  symbol,
+  strategyName,
+  parameters,
+  startDate,
+  endDate,
+  initialCapital,
+  execution: executionOverrides,
+}) {
+  const strategy = ENGINE_STRATEGIES[strategyName];
+  if (!strategy) throw new Error(`Strategy ${strategyName} is not supported in the browser`);
+  const params = { ...strategy.defaults };
+  Object.entries(parseParameters(parameters)).forEach(([key, value]) => {
+    params[key] = Number(value);
+  });
+  const invalid = Object.keys(params).filter(key => !Number.isFinite(params[key]));
+  if (invalid.length > 0) throw new Error(`Parameters must be numbers: ${invalid.join(', ')}`);
+  const execution = { ...DEFAULT_EXECUTION, ...executionOverrides };
+  const actions = strategy.signals(candles, params);
+
+  let cash = initialCapital;
+  let position = null; // { quantity, cost } of the open entry, commission included
+  const trades = [];
+  const tripResults = [];
+
+  const fill = (candle, side, quantity) => {
+    const slip = execution.slippageBps / 10000;
+    const price = side === 'BUY' ? candle.close * (1 + slip) : candle.close * (1 - slip);
+    const notional = price * quantity;
+    const commission = execution.commissionPerTrade + notional * execution.commissionRate;
+    if (side === 'BUY') {
+      cash -= notional + commission;
+      position = { quantity, cost: notional + commission };
+    } else {
+      cash += notional - commission;
+      tripResults.push(notional - commission - position.cost);
+      position = null;
+    }
+    trades.push({
+      id: trades.length + 1,
+      symbol,
+      timestamp: new Date(candle.time * 1000).toISOString(),
+      tradeType: side,
+      price,
+      quantity,
+      commission,
+      strategyName,
+      cashAfterTrade: cash,
+    });
+  };
+
+  candles.forEach((candle, i) => {
+    if (actions[i] === 'BUY' && !position) {
+      const quantity = orderQuantity(execution, cash, candle.close * (1 + execution.slippageBps / 10000));
+      if (quantity > 0) fill(candle, 'BUY', quantity);
+    } else if (actions[i] === 'SELL' && position) {
+      fill(candle, 'SELL', position.quantity);
+    }
+  });
+  if (position) fill(candles[candles.length - 1], 'SELL', position.quantity);
+
+  nextResultId += 1;
+  return {
+    id: `browser-${Date.now().toString(36)}-${nextResultId}`,
+    source: 'browser',
+    strategyName,
+    symbol,
+    startDate,
+    endDate,
+    parameters: JSON.stringify(params),
+    initialCapital,
+    finalCapital: cash,
+    totalProfitLoss: cash - initialCapital,
+    percentageProfitLoss: ((cash - initialCapital) / initialCapital) * 100,
+    totalTrades: tripResults.length,
+    winningTrades: tripResults.filter(pnl => pnl > 0).length,
+    losingTrades: tripResults.filter(pnl => pnl <= 0).length,
+    trades,
+  };
+}
@@ -0,0 +1,63 @@
+import { runBacktest } from './backtestEngine';
+
+const DAY = 24 * 60 * 60;
+const toCandles = closes => closes.map((close, i) => ({ time: 1704200000 + i * DAY, close }));
+
+// Falls, rallies, then falls again: one SMA(2)/SMA(3) golden cross and one
+// death cross.
+const CLOSES = [10, 9, 8, 9, 10, 12, 14, 13, 11, 9];
+
+const baseRequest = {
+  candles: toCandles(CLOSES),
+  symbol: 'IBM',
+  strategyName: 'SMA_CROSSOVER_STRATEGY',
+  parameters: '{"shortSma": 2, "longSma": 3}',
+  startDate: '2024-01-02',
+  endDate: '2024-01-11',
+  initialCapital: 1000,
+};
+
+test('returns a result shaped like the backend with its trades', () => {
+  const result = runBacktest(baseRequest);
+  expect(result.trades.map(t => [t.tradeType, t.price, t.quantity])).toEqual([['BUY', 10, 100], ['SELL', 11, 100]]);
+  expect(result).toMatchObject({
+    source: 'browser',
+    strategyName: 'SMA_CROSSOVER_STRATEGY',
+    symbol: 'IBM',
+    initialCapital: 1000,
+    totalTrades: 1,
+    winningTrades: 1,
+    losingTrades: 0,
+  });
+  expect(result.finalCapital).toBeCloseTo(1100);
+  expect(result.totalProfitLoss).toBeCloseTo(100);
+  expect(result.percentageProfitLoss).toBeCloseTo(10);
+});
+
+test('applies slippage, commissions and position sizing', () => {
+  const result = runBacktest({
+    ...baseRequest,
+    execution: { slippageBps: 100, commissionPerTrade: 1, commissionRate: 0, sizing: 'fixedQuantity', sizingValue: 50 },
+  });
+  const [buy, sell] = result.trades;
+  expect(buy.price).toBeCloseTo(10.1);
+  expect(sell.price).toBeCloseTo(10.89);
+  expect(buy.quantity).toBe(50);
+  expect(result.finalCapital).toBeCloseTo(1000 - 50 * 10.1 - 1 + 50 * 10.89 - 1);
+});
+
+test('closes an open position on the last bar and rejects unknown strategies', () => {
+  const result = runBacktest({ ...baseRequest, candles: toCandles(CLOSES.slice(0, 7)) });
+  expect(result.trades.map(t => t.tradeType)).toEqual(['BUY', 'SELL']);
+  expect(result.trades[1].price).toBe(14);
+  expect(() => runBacktest({ ...baseRequest, strategyName: 'MYSTERY' })).toThrow('not supported');
+});
+
+test('runs the RSI and MACD strategies with their default parameters', () => {
+  const closes = Array.from({ length: 120 }, (_, i) => 100 + Math.sin(i / 6) * 15);
+  ['RSI_MEAN_REVERSION_STRATEGY', 'MACD_CROSSOVER_STRATEGY'].forEach(strategyName => {
+    const result = runBacktest({ ...baseRequest, candles: toCandles(closes), strategyName, parameters: '{}' });
+    expect(result.totalTrades).toBeGreaterThan(0);
+    expect(result.trades[0].tradeType).toBe('BUY');
+  });
+});
@@ -0,0 +1,127 @@
+import { applyFill } from './lots';
+
+// Performance analytics for a backtest, rebuilt from its trades marked to
+// market on the candles of the tested period. Trades use the backend's
+// simulated-trade shape ({ timestamp, tradeType, price, quantity }).
+
+const TRADING_DAYS_PER_YEAR = 252;
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+const toTime = timestamp => new Date(timestamp).getTime() / 1000;
+
+const sortedTrades = trades => trades
+  .map(trade => ({ ...trade, time: toTime(trade.timestamp) }))
+  .sort((a, b) => a.time - b.time);
+
+// Equity at every candle close: cash plus the open position at the close.
+// A trade counts from the candle it falls in.
+export function buildEquityCurve(candles, trades, initialCapital) {
+  const pending = sortedTrades(trades);
+  let cash = initialCapital;
+  let position = 0;
+  let next = 0;
+
+  return candles.map(candle => {
+    while (next < pending.length && pending[next].time <= candle.time) {
+      const trade = pending[next];
+      const notional = trade.price * trade.quantity;
+      const costs = trade.commission || 0;
+      if (trade.tradeType === 'BUY') {
+        cash -= notional + costs;
+        position += trade.quantity;
+      } else {
+        cash += notional - costs;
+        position -= trade.quantity;
+      }
+      next += 1;
+    }
+    return { time: candle.time, value: cash + position * candle.close, exposed: position !== 0 };
+  });
+}
+
+// Percentage below the running equity peak, 0 at new highs.
+export function buildDrawdownCurve(equityCurve) {
+  let peak = -Infinity;
+  return equityCurve.map(point => {
+    peak = Math.max(peak, point.value);
+    return { time: point.time, value: peak > 0 ? (point.value / peak - 1) * 100 : 0 };
+  });
+}
+
+// Round trips closed by the trades, matched FIFO.
+export function closedTrades(trades) {
+  let lots = [];
+  const closed = [];
+  sortedTrades(trades).forEach(trade => {
+    const result = applyFill(lots, { side: trade.tradeType, quantity: trade.quantity, price: trade.price, time: trade.time });
+    lots = result.lots;
+    closed.push(...result.closed);
+  });
+  return closed;
+}
+
+function dailyReturns(equityCurve) {
+  const closes = [];
+  let currentDay = null;
+  equityCurve.forEach(point => {
+    const day = new Date(point.time * 1000).toDateString();
+    if (day !== currentDay) {
+      closes.push(point.value);
+      currentDay = day;
+    } else {
+      closes[closes.length - 1] = point.value;
+    }
+  });
+  const returns = [];
+  for (let i = 1; i < closes.length; i++) {
+    if (closes[i - 1] !== 0) returns.push(closes[i] / closes[i - 1] - 1);
+  }
+  return returns;
+}
+
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+export function computeMetrics(equityCurve, trades, initialCapital) {
+  const drawdowns = buildDrawdownCurve(equityCurve);
+  const returns = dailyReturns(equityCurve);
+  const roundTrips = closedTrades(trades);
+  const wins = roundTrips.filter(t => t.profitLoss > 0);
+  const losses = roundTrips.filter(t => t.profitLoss < 0);
+  const grossProfit = wins.reduce((sum, t) => sum + t.profitLoss, 0);
+  const grossLoss = -losses.reduce((sum, t) => sum + t.profitLoss, 0);
+
+  let sharpeRatio = null;
+  let sortinoRatio = null;
+  if (returns.length > 1) {
+    const average = mean(returns);
+    const variance = returns.reduce((sum, r) => sum + (r - average) ** 2, 0) / (returns.length - 1);
+    const downside = Math.sqrt(mean(returns.map(r => Math.min(r, 0) ** 2)));
+    const annualize = Math.sqrt(TRADING_DAYS_PER_YEAR);
+    if (variance > 0) sharpeRatio = (average / Math.sqrt(variance)) * annualize;
+    if (downside > 0) sortinoRatio = (average / downside) * annualize;
+  }
+
+  const finalEquity = equityCurve.length > 0 ? equityCurve[equityCurve.length - 1].value : initialCapital;
+  const years = equityCurve.length > 1
+    ? (equityCurve[equityCurve.length - 1].time - equityCurve[0].time) / SECONDS_PER_YEAR
+    : 0;
+
+  let profitFactor = null;
+  if (grossLoss > 0) profitFactor = grossProfit / grossLoss;
+  else if (grossProfit > 0) profitFactor = Infinity;
+
+  return {
+    finalEquity,
+    maxDrawdown: drawdowns.reduce((worst, point) => Math.min(worst, point.value), 0),
+    sharpeRatio,
+    sortinoRatio,
+    profitFactor,
+    averageWin: wins.length > 0 ? grossProfit / wins.length : null,
+    averageLoss: losses.length > 0 ? -grossLoss / losses.length : null,
+    exposure: equityCurve.length > 0 ? (equityCurve.filter(p => p.exposed).length / equityCurve.length) * 100 : 0,
+    cagr: years > 0 && finalEquity > 0 && initialCapital > 0
+      ? ((finalEquity / initialCapital) ** (1 / years) - 1) * 100
+      : null,
+    roundTrips: roundTrips.length,
+  };
+}
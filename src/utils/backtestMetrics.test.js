@@ -0,0 +1,35 @@
+import { buildDrawdownCurve, buildEquityCurve, computeMetrics } from './backtestMetrics';
+
+const DAY = 24 * 60 * 60;
+const start = new Date('2024-01-02T16:00:00Z').getTime() / 1000;
+const candles = [100, 110, 99, 121, 121].map((close, i) => ({ time: start + i * DAY, close }));
+const iso = i => new Date((start + i * DAY) * 1000).toISOString();
+const trades = [
+  { timestamp: iso(0), tradeType: 'BUY', price: 100, quantity: 10 },
+  { timestamp: iso(3), tradeType: 'SELL', price: 121, quantity: 10 },
+];
+
+test('equity marks the open position to each close', () => {
+  const curve = buildEquityCurve(candles, trades, 1000);
+  expect(curve.map(p => p.value)).toEqual([1000, 1100, 990, 1210, 1210]);
+  expect(curve.map(p => p.exposed)).toEqual([true, true, true, false, false]);
+});
+
+test('drawdown is measured from the running peak', () => {
+  const drawdown = buildDrawdownCurve(buildEquityCurve(candles, trades, 1000));
+  expect(drawdown.map(p => Number(p.value.toFixed(2)))).toEqual([0, 0, -10, 0, 0]);
+});
+
+test('computeMetrics summarises risk and trade statistics', () => {
+  const metrics = computeMetrics(buildEquityCurve(candles, trades, 1000), trades, 1000);
+  expect(metrics.finalEquity).toBe(1210);
+  expect(metrics.maxDrawdown).toBeCloseTo(-10);
+  expect(metrics.exposure).toBe(60);
+  expect(metrics.roundTrips).toBe(1);
+  expect(metrics.averageWin).toBe(210);
+  expect(metrics.averageLoss).toBeNull();
+  expect(metrics.profitFactor).toBe(Infinity);
+  expect(metrics.sharpeRatio).toBeGreaterThan(0);
+  expect(metrics.sortinoRatio).toBeGreaterThan(metrics.sharpeRatio);
+  expect(metrics.cagr).toBeGreaterThan(0);
+});
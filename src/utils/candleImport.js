@@ -0,0 +1,57 @@
+import { parseCsv } from './csv';
+
+// Candles from an OHLCV CSV file with a header row. Column names are matched
+// case-insensitively; volume is optional. Times may be ISO dates/timestamps
+// or epoch seconds/milliseconds.
+
+const TIME_COLUMNS = ['time', 'timestamp', 'date', 'datetime'];
+const PRICE_COLUMNS = ['open', 'high', 'low', 'close'];
+
+// Epoch values past 1e11 can only be milliseconds (1e11 s is year 5138).
+function parseTime(value) {
+  const trimmed = value.trim();
+  if (/^\d+(\.\d+)?$/.test(trimmed)) {
+    const number = Number(trimmed);
+    return Math.floor(number > 1e11 ? number / 1000 : number);
+  }
+  // A bare date is taken as midnight UTC, like the chart does.
+  const ms = Date.parse(/^\d{4}-\d{2}-\d{2}$/.test(trimmed) ? `${trimmed}T00:00:00Z` : trimmed);
+  return Number.isNaN(ms) ? null : Math.floor(ms / 1000);
+}
+
+export function parseOhlcvCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) throw new Error('The file is empty');
+  const names = header.map(name => name.trim().toLowerCase());
+  const timeIndex = names.findIndex(name => TIME_COLUMNS.includes(name));
+  if (timeIndex === -1) throw new Error(`No time column (expected one of ${TIME_COLUMNS.join(', ')})`);
+  const missing = PRICE_COLUMNS.filter(name => !names.includes(name));
+  if (missing.length > 0) throw new Error(`Missing columns: ${missing.join(', ')}`);
+  const index = Object.fromEntries([...PRICE_COLUMNS, 'volume'].map(name => [name, names.indexOf(name)]));
+
+  const byTime = new Map();
+  rows.forEach((row, i) => {
+    const line = i + 2;
+    const time = parseTime(row[timeIndex] || '');
+    if (time === null) throw new Error(`Line ${line}: unreadable time "${row[timeIndex]}"`);
+    const candle = { time };
+    PRICE_COLUMNS.forEach(name => {
+      const value = Number(row[index[name]]);
+      if (row[index[name]] === undefined || row[index[name]].trim() === '' || !Number.isFinite(value)) {
+        throw new Error(`Line ${line}: ${name} is not a number`);
+      }
+      candle[name] = value;
+    });
+    if (candle.high < Math.max(candle.open, candle.close) || candle.low > Math.min(candle.open, candle.close)) {
+      throw new Error(`Line ${line}: high/low do not contain open and close`);
+    }
+    if (index.volume !== -1 && row[index.volume] !== undefined && row[index.volume].trim() !== '') {
+      const volume = Number(row[index.volume]);
+      if (!Number.isFinite(volume)) throw new Error(`Line ${line}: volume is not a number`);
+      candle.volume = volume;
+    }
+    byTime.set(time, candle); // a repeated time keeps the later row
+  });
+  if (byTime.size === 0) throw new Error('The file has no data rows');
+  return Array.from(byTime.values()).sort((a, b) => a.time - b.time);
+}
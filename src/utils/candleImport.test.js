@@ -0,0 +1,17 @@
+import { parseOhlcvCsv } from './candleImport';
+
+test('parseOhlcvCsv reads common layouts and sorts by time', () => {
+  const candles = parseOhlcvCsv('Date,Open,High,Low,Close,Volume\n2024-01-03,2,3,1,2.5,100\n2024-01-02,1,2,0.5,1.5,\n');
+  expect(candles).toEqual([
+    { time: Date.parse('2024-01-02T00:00:00Z') / 1000, open: 1, high: 2, low: 0.5, close: 1.5 },
+    { time: Date.parse('2024-01-03T00:00:00Z') / 1000, open: 2, high: 3, low: 1, close: 2.5, volume: 100 },
+  ]);
+  expect(parseOhlcvCsv('timestamp,open,high,low,close\n1704189600000,1,1,1,1')[0].time).toBe(1704189600);
+});
+
+test('parseOhlcvCsv reports the offending line', () => {
+  expect(() => parseOhlcvCsv('time,open,high,low\n1,1,1,1')).toThrow('Missing columns: close');
+  expect(() => parseOhlcvCsv('time,open,high,low,close\n1,1,1,1,1\n2,1,x,1,1')).toThrow('Line 3: high is not a number');
+  expect(() => parseOhlcvCsv('time,open,high,low,close\nyesterday,1,1,1,1')).toThrow('Line 2: unreadable time');
+  expect(() => parseOhlcvCsv('time,open,high,low,close\n1,1,1,2,1')).toThrow('Line 2: high/low');
+});
@@ -0,0 +1,37 @@
+export const UP_COLOR = 'rgba(39, 157, 130, 1)';
+export const DOWN_COLOR = 'rgba(214, 56, 80, 1)';
+export const VOLUME_UP_COLOR = 'rgba(39, 157, 130, 0.5)';
+export const VOLUME_DOWN_COLOR = 'rgba(214, 56, 80, 0.5)';
+
+const PRICE_SCALE_WIDTH = 70; // same on every stacked chart so the bars line up
+
+export const BASE_CHART_OPTIONS = {
+  layout: {
+    backgroundColor: '#ffffff',
+    textColor: '#333',
+  },
+  grid: {
+    vertLines: {
+      color: 'rgba(197, 203, 206, 0.5)',
+    },
+    horzLines: {
+      color: 'rgba(197, 203, 206, 0.5)',
+    },
+  },
+  rightPriceScale: {
+    minimumWidth: PRICE_SCALE_WIDTH,
+  },
+  timeScale: {
+    timeVisible: true,
+    secondsVisible: true,
+  },
+};
+
+export const CANDLESTICK_OPTIONS = {
+  upColor: UP_COLOR,
+  downColor: DOWN_COLOR,
+  borderDownColor: DOWN_COLOR,
+  borderUpColor: UP_COLOR,
+  wickDownColor: DOWN_COLOR,
+  wickUpColor: UP_COLOR,
+};
@@ -0,0 +1,54 @@
+// RFC 4180 CSV: fields containing commas, quotes or line breaks are quoted,
+// with embedded quotes doubled.
+
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (header, rows) => [header, ...rows]
+  .map(row => row.map(escapeField).join(','))
+  .join('\r\n') + '\r\n';
+
+// Rows of string fields; blank lines are skipped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+    i += 1;
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+}
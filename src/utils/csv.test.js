@@ -0,0 +1,9 @@
+import { parseCsv, toCsv } from './csv';
+
+test('toCsv quotes fields that need it and parseCsv reads them back', () => {
+  const rows = [['plain', 'a,b', 'say "hi"', 'two\nlines', null]];
+  const text = toCsv(['h1', 'h2', 'h3', 'h4', 'h5'], rows);
+  expect(text).toBe('h1,h2,h3,h4,h5\r\nplain,"a,b","say ""hi""","two\nlines",\r\n');
+  expect(parseCsv(text)).toEqual([['h1', 'h2', 'h3', 'h4', 'h5'], ['plain', 'a,b', 'say "hi"', 'two\nlines', '']]);
+  expect(() => parseCsv('"open')).toThrow('Unterminated');
+});
@@ -0,0 +1,93 @@
+import { toEpochSeconds } from './apiSchemas';
+import { formatDate } from './dateRanges';
+import { toCsv } from './csv';
+
+// Column definitions for exporting the signals, simulated trades and backtest
+// results panels. Both formats get the same values: timestamps as ISO 8601
+// (UTC), dates as yyyy-MM-dd and numbers rounded to the column's digits.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const timestamp = key => ({ key, type: 'timestamp' });
+const date = key => ({ key, type: 'date' });
+const text = key => ({ key, type: 'text' });
+const number = (key, digits) => ({ key, type: 'number', digits });
+
+export const DATASETS = {
+  signals: {
+    label: 'signals',
+    columns: [
+      timestamp('timestamp'),
+      text('symbol'),
+      text('signalType'),
+      text('strategyName'),
+      number('price', 4),
+      text('description'),
+    ],
+  },
+  trades: {
+    label: 'simulated-trades',
+    columns: [
+      text('id'),
+      timestamp('timestamp'),
+      text('symbol'),
+      text('tradeType'),
+      number('price', 4),
+      number('quantity', 4),
+      text('strategyName'),
+      number('cashAfterTrade', 2),
+    ],
+  },
+  backtests: {
+    label: 'backtest-results',
+    columns: [
+      text('id'),
+      { key: 'source', type: 'text', fallback: 'server' },
+      text('strategyName'),
+      text('symbol'),
+      date('startDate'),
+      date('endDate'),
+      text('parameters'),
+      number('initialCapital', 2),
+      number('finalCapital', 2),
+      number('totalProfitLoss', 2),
+      number('percentageProfitLoss', 2),
+      number('totalTrades', 0),
+      number('winningTrades', 0),
+      number('losingTrades', 0),
+    ],
+  },
+};
+
+// CSV numbers keep trailing zeros so columns line up; JSON gets numbers.
+function formatValue(column, value, format) {
+  if (value === null || value === undefined || value === '') return column.fallback ?? null;
+  switch (column.type) {
+    case 'timestamp':
+      return new Date(value).toISOString();
+    case 'date': {
+      // A LocalDate may also arrive as [year, month, day].
+      if (typeof value === 'string' && DATE_PATTERN.test(value)) return value;
+      const seconds = toEpochSeconds(value);
+      return seconds === null ? null : formatDate(new Date(seconds * 1000));
+    }
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+      return format === 'csv' ? value.toFixed(column.digits) : Number(value.toFixed(column.digits));
+    default:
+      return String(value);
+  }
+}
+
+export const formatRows = (dataset, rows, format = 'json') => rows.map(row => Object.fromEntries(
+  DATASETS[dataset].columns.map(column => [column.key, formatValue(column, row[column.key], format)]),
+));
+
+export function serializeDataset(dataset, rows, format) {
+  const formatted = formatRows(dataset, rows, format);
+  if (format === 'json') return `${JSON.stringify(formatted, null, 2)}\n`;
+  const keys = DATASETS[dataset].columns.map(column => column.key);
+  return toCsv(keys, formatted.map(row => keys.map(key => row[key])));
+}
+
+export const exportFilename = (dataset, format, now = new Date()) => `${DATASETS[dataset].label}-${formatDate(now)}.${format}`;
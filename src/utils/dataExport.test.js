@@ -0,0 +1,21 @@
+import { serializeDataset } from './dataExport';
+
+const TRADES = [
+  { id: 1, timestamp: '2024-01-02T15:30:00Z', symbol: 'IBM', tradeType: 'BUY', price: 100.123456, quantity: 10, strategyName: 'SMA', cashAfterTrade: 8998.7654 },
+  { id: 2, timestamp: '2024-02-02T15:30:00Z', symbol: 'IBM', tradeType: 'SELL', price: 110, quantity: 10, strategyName: 'RSI', cashAfterTrade: 10098.77 },
+];
+
+test('exports use ISO timestamps and fixed digits in both formats', () => {
+  expect(serializeDataset('trades', TRADES.slice(0, 1), 'csv')).toBe(
+    'id,timestamp,symbol,tradeType,price,quantity,strategyName,cashAfterTrade\r\n'
+    + '1,2024-01-02T15:30:00.000Z,IBM,BUY,100.1235,10.0000,SMA,8998.77\r\n',
+  );
+  expect(JSON.parse(serializeDataset('trades', TRADES.slice(0, 1), 'json'))[0]).toMatchObject({
+    timestamp: '2024-01-02T15:30:00.000Z', price: 100.1235, quantity: 10, cashAfterTrade: 8998.77,
+  });
+});
+
+test('backtest dates export as yyyy-MM-dd whatever shape they came in', () => {
+  const rows = [{ id: 1, strategyName: 'SMA', symbol: 'IBM', startDate: [2024, 1, 2], endDate: '2024-06-28' }];
+  expect(JSON.parse(serializeDataset('backtests', rows, 'json'))[0]).toMatchObject({ startDate: '2024-01-02', endDate: '2024-06-28' });
+});
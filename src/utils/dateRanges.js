@@ -0,0 +1,29 @@
+export const DATE_PRESETS = ['1M', '3M', 'YTD', '1Y'];
+
+// Local calendar date as the backend's yyyy-MM-dd.
+export const formatDate = date => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0'),
+].join('-');
+
+export function presetRange(preset, today = new Date()) {
+  const start = new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  switch (preset) {
+    case '1M':
+      start.setMonth(start.getMonth() - 1);
+      break;
+    case '3M':
+      start.setMonth(start.getMonth() - 3);
+      break;
+    case 'YTD':
+      start.setMonth(0, 1);
+      break;
+    case '1Y':
+      start.setFullYear(start.getFullYear() - 1);
+      break;
+    default:
+      throw new Error(`Unknown date preset: ${preset}`);
+  }
+  return { startDate: formatDate(start), endDate: formatDate(today) };
+}
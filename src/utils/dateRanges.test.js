@@ -0,0 +1,14 @@
+import { presetRange } from './dateRanges';
+
+const today = new Date(2024, 4, 15); // 15 May 2024
+
+test('presetRange counts back from today', () => {
+  expect(presetRange('1M', today)).toEqual({ startDate: '2024-04-15', endDate: '2024-05-15' });
+  expect(presetRange('3M', today)).toEqual({ startDate: '2024-02-15', endDate: '2024-05-15' });
+  expect(presetRange('YTD', today)).toEqual({ startDate: '2024-01-01', endDate: '2024-05-15' });
+  expect(presetRange('1Y', today)).toEqual({ startDate: '2023-05-15', endDate: '2024-05-15' });
+});
+
+test('presetRange rejects unknown presets', () => {
+  expect(() => presetRange('5Y', today)).toThrow('Unknown date preset');
+});
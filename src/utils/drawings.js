@@ -0,0 +1,102 @@
+import { createAlert } from './alerts';
+
+// Chart annotations, anchored to { time, price } points so they stay put
+// through zoom, scroll, live updates and timeframe changes. Times map to the
+// chart's logical bar index by interpolating between the candles around them
+// (and extrapolating past either end at the first or last bar interval).
+
+export const DRAWING_TOOLS = {
+  hline: { label: 'Horizontal line', points: 1 },
+  trendline: { label: 'Trend line', points: 2 },
+  rectangle: { label: 'Rectangle', points: 2 },
+  text: { label: 'Text note', points: 1 },
+};
+
+export const DRAWING_COLOR = '#2962ff';
+const DEFAULT_INTERVAL = 60;
+
+const interval = (candles, at) => (candles.length > 1 ? candles[at + 1].time - candles[at].time : DEFAULT_INTERVAL);
+
+// Index of the last candle at or before `time` (candles sorted, non-empty).
+function floorIndex(candles, time) {
+  let low = 0;
+  let high = candles.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (candles[mid].time <= time) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+export function timeToLogical(candles, time) {
+  if (candles.length === 0) return null;
+  const last = candles.length - 1;
+  if (time <= candles[0].time) return (time - candles[0].time) / interval(candles, 0);
+  if (time >= candles[last].time) return last + (time - candles[last].time) / interval(candles, Math.max(0, last - 1));
+  const index = floorIndex(candles, time);
+  return index + (time - candles[index].time) / (candles[index + 1].time - candles[index].time);
+}
+
+export function logicalToTime(candles, logical) {
+  if (candles.length === 0) return null;
+  const last = candles.length - 1;
+  if (logical <= 0) return candles[0].time + logical * interval(candles, 0);
+  if (logical >= last) return candles[last].time + (logical - last) * interval(candles, Math.max(0, last - 1));
+  const index = Math.floor(logical);
+  return candles[index].time + (logical - index) * (candles[index + 1].time - candles[index].time);
+}
+
+let nextId = 0;
+
+export function createDrawing(tool, points, { text = '', now = Date.now() } = {}) {
+  nextId += 1;
+  return {
+    id: `${now.toString(36)}-${nextId}`,
+    tool,
+    points: points.map(({ time, price }) => ({ time, price })),
+    text,
+    color: DRAWING_COLOR,
+  };
+}
+
+// A horizontal line's price alert fires when the price crosses the line
+// from the side it is on now.
+export function alertForDrawing(drawing, symbol, lastPrice, now = Date.now()) {
+  const level = drawing.points[0].price;
+  const alert = createAlert({
+    type: 'PRICE_CROSS',
+    symbol,
+    direction: typeof lastPrice === 'number' && lastPrice > level ? 'below' : 'above',
+    level: String(level),
+    mode: 'once',
+    sound: false,
+  }, now);
+  return { ...alert, drawingId: drawing.id };
+}
+
+// Alerts after `symbol`'s drawings went from `previous` to `next`: a deleted
+// line's alert goes with it, and a moved line re-arms its alert at the new
+// level.
+export function reconcileDrawingAlerts(alerts, symbol, previous, next, lastPrice, now = Date.now()) {
+  const before = new Map(previous.map(d => [d.id, d]));
+  const after = new Map(next.map(d => [d.id, d]));
+  let changed = false;
+  const result = [];
+  alerts.forEach(alert => {
+    if (!alert.drawingId || !before.has(alert.drawingId)) {
+      result.push(alert);
+      return;
+    }
+    const drawing = after.get(alert.drawingId);
+    if (!drawing) {
+      changed = true;
+    } else if (drawing.points[0].price !== before.get(alert.drawingId).points[0].price) {
+      changed = true;
+      result.push(alertForDrawing(drawing, symbol, lastPrice, now));
+    } else {
+      result.push(alert);
+    }
+  });
+  return changed ? result : alerts;
+}
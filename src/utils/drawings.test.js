@@ -0,0 +1,38 @@
+import { alertForDrawing, createDrawing, logicalToTime, reconcileDrawingAlerts, timeToLogical } from './drawings';
+
+const candles = [{ time: 1000 }, { time: 1060 }, { time: 1120 }, { time: 1300 }];
+
+test('times map to logical bar positions and back', () => {
+  expect(timeToLogical(candles, 1060)).toBe(1);
+  expect(timeToLogical(candles, 1210)).toBe(2.5);
+  expect(timeToLogical(candles, 970)).toBe(-0.5);
+  expect(timeToLogical(candles, 1660)).toBe(5);
+  expect(timeToLogical([], 1000)).toBeNull();
+  [970, 1000, 1090, 1210, 1300, 1660].forEach(time => {
+    expect(logicalToTime(candles, timeToLogical(candles, time))).toBeCloseTo(time);
+  });
+});
+
+test('a line alert watches for a cross from the side the price is on', () => {
+  const line = createDrawing('hline', [{ time: 1000, price: 105 }]);
+  expect(alertForDrawing(line, 'IBM', 100)).toEqual(expect.objectContaining({
+    type: 'PRICE_CROSS', symbol: 'IBM', direction: 'above', level: 105, drawingId: line.id, enabled: true,
+  }));
+  expect(alertForDrawing(line, 'IBM', 110).direction).toBe('below');
+});
+
+test('moving a line re-arms its alert and deleting it drops the alert', () => {
+  const line = createDrawing('hline', [{ time: 1000, price: 105 }]);
+  const other = { id: 'x', type: 'PRICE_CROSS', level: 1 };
+  const alerts = [other, alertForDrawing(line, 'IBM', 100)];
+
+  expect(reconcileDrawingAlerts(alerts, 'IBM', [line], [{ ...line, text: 'note' }], 100)).toBe(alerts);
+
+  const moved = { ...line, points: [{ time: 1000, price: 95 }] };
+  const rearmed = reconcileDrawingAlerts(alerts, 'IBM', [line], [moved], 100);
+  expect(rearmed[0]).toBe(other);
+  expect(rearmed[1]).toEqual(expect.objectContaining({ level: 95, direction: 'below', drawingId: line.id }));
+  expect(rearmed[1].id).not.toBe(alerts[1].id);
+
+  expect(reconcileDrawingAlerts(alerts, 'IBM', [line], [], 100)).toEqual([other]);
+});
@@ -0,0 +1,12 @@
+// Fixed-point formatting that tolerates missing values.
+export function formatNumber(value, digits = 2) {
+  if (value === Infinity) return '∞';
+  if (value === -Infinity) return '-∞';
+  if (typeof value !== 'number' || Number.isNaN(value)) return '-';
+  return value.toFixed(digits);
+}
+
+export const formatPercent = (value, digits = 2) => {
+  const formatted = formatNumber(value, digits);
+  return formatted === '-' ? formatted : `${formatted}%`;
+};
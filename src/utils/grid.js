@@ -0,0 +1,115 @@
+import { formatDate } from './dateRanges';
+
+// Sorting, filtering, paging and row windowing for DataGrid. A column is
+// { key, label, width, value(row), render(row), filter, dates(row) } where
+// `value` (default row[key]) is what sorts and filters, and `filter` is one of
+// 'text' (substring, any case), 'select' (exact) or 'dateRange'. A date-range
+// column's `dates` gives a row's [first, last] yyyy-MM-dd day, and both have
+// to fall inside the filter's { from, to } (either end may be blank).
+
+export const EMPTY_QUERY = { sort: null, filters: {}, page: 0 };
+
+export const columnValue = (column, row) => (column.value ? column.value(row) : row[column.key]);
+
+// Local calendar day of an ISO timestamp, as date inputs give it.
+export const timestampDay = timestamp => formatDate(new Date(timestamp));
+
+const isBlank = value => value === null || value === undefined || value === '';
+
+export function isFilterActive(column, value) {
+  if (!value) return false;
+  return column.filter === 'dateRange' ? Boolean(value.from || value.to) : value !== '';
+}
+
+function matchesFilter(column, row, value) {
+  const cell = columnValue(column, row);
+  switch (column.filter) {
+    case 'text':
+      return !isBlank(cell) && String(cell).toLowerCase().includes(value.trim().toLowerCase());
+    case 'select':
+      return String(cell) === value;
+    case 'dateRange': {
+      const [first, last] = column.dates(row);
+      if (value.from && (!first || first < value.from)) return false;
+      if (value.to && (!last || last > value.to)) return false;
+      return true;
+    }
+    default:
+      return true;
+  }
+}
+
+export function filterRows(rows, columns, filters) {
+  const active = columns.filter(column => column.filter && isFilterActive(column, filters[column.key]));
+  if (active.length === 0) return rows;
+  return rows.filter(row => active.every(column => matchesFilter(column, row, filters[column.key])));
+}
+
+// Blanks sort last in either direction; numbers and numeric strings compare
+// as numbers.
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+// Stable, so rows that tie keep their incoming order.
+export function sortRows(rows, columns, sort) {
+  const column = sort && columns.find(c => c.key === sort.key);
+  if (!column) return rows;
+  const sign = sort.direction === 'desc' ? -1 : 1;
+  return rows
+    .map((row, index) => ({ row, index, value: columnValue(column, row) }))
+    .sort((a, b) => {
+      if (isBlank(a.value) || isBlank(b.value)) {
+        if (isBlank(a.value) && isBlank(b.value)) return a.index - b.index;
+        return isBlank(a.value) ? 1 : -1;
+      }
+      return sign * compareValues(a.value, b.value) || a.index - b.index;
+    })
+    .map(entry => entry.row);
+}
+
+export const applyQuery = (rows, columns, query) => sortRows(filterRows(rows, columns, query.filters), columns, query.sort);
+
+// A header click sorts ascending, then descending, then not at all.
+export function nextSort(sort, key) {
+  if (!sort || sort.key !== key) return { key, direction: 'asc' };
+  return sort.direction === 'asc' ? { key, direction: 'desc' } : null;
+}
+
+// Distinct values of a select column's cells, for its options.
+export function selectOptions(rows, column) {
+  const values = new Set();
+  rows.forEach(row => {
+    const value = columnValue(column, row);
+    if (!isBlank(value)) values.add(String(value));
+  });
+  return Array.from(values).sort((a, b) => compareValues(a, b));
+}
+
+// Rows to render for a scroll position, with `overscan` extra rows on each
+// side so fast scrolling does not flash blank space. `end` is exclusive.
+export function visibleRange({ scrollTop, viewportHeight, rowHeight, count, overscan = 5 }) {
+  const first = Math.floor(scrollTop / rowHeight);
+  const start = Math.max(0, first - overscan);
+  const end = Math.min(count, first + Math.ceil(viewportHeight / rowHeight) + overscan);
+  return { start, end: Math.max(start, end) };
+}
+
+// Query string for endpoints that page, sort and filter on the server:
+// Spring's page/size/sort plus one parameter per filter, with a date range
+// sent as from/to.
+export function toPageParams(query, size) {
+  const params = { page: query.page, size };
+  if (query.sort) params.sort = `${query.sort.key},${query.sort.direction}`;
+  Object.entries(query.filters).forEach(([key, value]) => {
+    if (!value) return;
+    if (typeof value === 'object') {
+      if (value.from) params.from = value.from;
+      if (value.to) params.to = value.to;
+    } else if (value.trim() !== '') {
+      params[key] = value.trim();
+    }
+  });
+  return params;
+}
@@ -0,0 +1,60 @@
+import { EMPTY_QUERY, applyQuery, nextSort, selectOptions, sortRows, toPageParams, visibleRange } from './grid';
+
+const COLUMNS = [
+  { key: 'symbol', filter: 'select' },
+  { key: 'strategyName', filter: 'text' },
+  { key: 'price' },
+  { key: 'period', filter: 'dateRange', value: row => row.startDate, dates: row => [row.startDate, row.endDate] },
+];
+
+const ROWS = [
+  { id: 1, symbol: 'IBM', strategyName: 'SMA_CROSSOVER', price: 10, startDate: '2024-01-01', endDate: '2024-03-01' },
+  { id: 2, symbol: 'AAPL', strategyName: 'RSI_MEAN_REVERSION', price: 9, startDate: '2024-02-01', endDate: '2024-02-20' },
+  { id: 3, symbol: 'IBM', strategyName: 'rsi_custom', price: null, startDate: '2024-02-10', endDate: '2024-04-01' },
+];
+
+const ids = rows => rows.map(r => r.id);
+
+test('filters combine and a row has to fall inside a date range', () => {
+  const query = filters => ({ ...EMPTY_QUERY, filters });
+  expect(ids(applyQuery(ROWS, COLUMNS, query({ symbol: 'IBM' })))).toEqual([1, 3]);
+  expect(ids(applyQuery(ROWS, COLUMNS, query({ strategyName: ' RSI' })))).toEqual([2, 3]);
+  expect(ids(applyQuery(ROWS, COLUMNS, query({ period: { from: '2024-02-01', to: '2024-03-01' } })))).toEqual([2]);
+  expect(ids(applyQuery(ROWS, COLUMNS, query({ symbol: 'IBM', period: { from: '2024-02-01', to: '' } })))).toEqual([3]);
+  expect(applyQuery(ROWS, COLUMNS, query({ symbol: '', period: { from: '', to: '' } }))).toBe(ROWS);
+});
+
+test('sorting is stable, cycles asc/desc/off and keeps blanks last', () => {
+  expect(ids(sortRows(ROWS, COLUMNS, { key: 'price', direction: 'asc' }))).toEqual([2, 1, 3]);
+  expect(ids(sortRows(ROWS, COLUMNS, { key: 'price', direction: 'desc' }))).toEqual([1, 2, 3]);
+  expect(ids(sortRows(ROWS, COLUMNS, { key: 'symbol', direction: 'asc' }))).toEqual([2, 1, 3]);
+  expect(sortRows(ROWS, COLUMNS, { key: 'missing', direction: 'asc' })).toBe(ROWS);
+
+  let sort = nextSort(null, 'price');
+  expect(sort).toEqual({ key: 'price', direction: 'asc' });
+  sort = nextSort(sort, 'price');
+  expect(sort).toEqual({ key: 'price', direction: 'desc' });
+  expect(nextSort(sort, 'price')).toBeNull();
+  expect(nextSort(sort, 'symbol')).toEqual({ key: 'symbol', direction: 'asc' });
+});
+
+test('select options are the distinct cell values', () => {
+  expect(selectOptions(ROWS, COLUMNS[0])).toEqual(['AAPL', 'IBM']);
+});
+
+test('only the rows in view, plus overscan, are rendered', () => {
+  expect(visibleRange({ scrollTop: 0, viewportHeight: 100, rowHeight: 20, count: 1000, overscan: 2 })).toEqual({ start: 0, end: 7 });
+  expect(visibleRange({ scrollTop: 2000, viewportHeight: 100, rowHeight: 20, count: 1000, overscan: 2 })).toEqual({ start: 98, end: 107 });
+  expect(visibleRange({ scrollTop: 19990, viewportHeight: 100, rowHeight: 20, count: 1000, overscan: 2 })).toEqual({ start: 997, end: 1000 });
+  expect(visibleRange({ scrollTop: 0, viewportHeight: 100, rowHeight: 20, count: 0 })).toEqual({ start: 0, end: 0 });
+});
+
+test('server page parameters carry the sort and the active filters', () => {
+  const query = {
+    sort: { key: 'finalCapital', direction: 'desc' },
+    filters: { symbol: 'IBM', strategyName: ' ', startDate: { from: '2024-01-01', to: '' } },
+    page: 2,
+  };
+  expect(toPageParams(query, 50)).toEqual({ page: 2, size: 50, sort: 'finalCapital,desc', symbol: 'IBM', from: '2024-01-01' });
+  expect(toPageParams(EMPTY_QUERY, 25)).toEqual({ page: 0, size: 25 });
+});
@@ -0,0 +1,113 @@
+import { sma, ema, rsi, macd, bollingerBands, vwap, stochastic } from './indicators';
+
+// Everything the chart and the indicator manager need to know about an
+// indicator type. Overlays draw on the price chart; oscillators get their own
+// pane. `outputs` lists the series an indicator draws, keyed by the names its
+// `compute` returns, and each output's colour is user-editable. `levels` are
+// horizontal guide lines drawn in an oscillator pane.
+export const INDICATOR_TYPES = {
+  sma: {
+    label: 'SMA',
+    placement: 'overlay',
+    params: [{ key: 'period', label: 'Period', defaultValue: 20, min: 1 }],
+    outputs: [{ key: 'value', label: 'SMA', seriesType: 'line', defaultColor: '#2962ff' }],
+    compute: (candles, { period }) => ({ value: sma(candles.map(c => c.close), period) }),
+  },
+  ema: {
+    label: 'EMA',
+    placement: 'overlay',
+    params: [{ key: 'period', label: 'Period', defaultValue: 50, min: 1 }],
+    outputs: [{ key: 'value', label: 'EMA', seriesType: 'line', defaultColor: '#ff6d00' }],
+    compute: (candles, { period }) => ({ value: ema(candles.map(c => c.close), period) }),
+  },
+  bollinger: {
+    label: 'Bollinger Bands',
+    placement: 'overlay',
+    params: [
+      { key: 'period', label: 'Period', defaultValue: 20, min: 1 },
+      { key: 'multiplier', label: 'Std Dev', defaultValue: 2, min: 0.1, step: 0.1 },
+    ],
+    outputs: [
+      { key: 'upper', label: 'Upper', seriesType: 'line', defaultColor: '#7b1fa2' },
+      { key: 'middle', label: 'Middle', seriesType: 'line', defaultColor: '#9e9e9e' },
+      { key: 'lower', label: 'Lower', seriesType: 'line', defaultColor: '#7b1fa2' },
+    ],
+    compute: (candles, { period, multiplier }) => bollingerBands(candles.map(c => c.close), period, multiplier),
+  },
+  vwap: {
+    label: 'VWAP',
+    placement: 'overlay',
+    params: [],
+    outputs: [{ key: 'value', label: 'VWAP', seriesType: 'line', defaultColor: '#00897b' }],
+    compute: candles => ({ value: vwap(candles) }),
+  },
+  rsi: {
+    label: 'RSI',
+    placement: 'oscillator',
+    params: [
+      { key: 'period', label: 'Period', defaultValue: 14, min: 1 },
+      { key: 'upperLevel', label: 'Overbought', defaultValue: 70, min: 0, max: 100 },
+      { key: 'lowerLevel', label: 'Oversold', defaultValue: 30, min: 0, max: 100 },
+    ],
+    outputs: [{ key: 'value', label: 'RSI', seriesType: 'line', defaultColor: 'purple' }],
+    levels: ({ upperLevel, lowerLevel }) => [upperLevel, lowerLevel],
+    compute: (candles, { period }) => ({ value: rsi(candles.map(c => c.close), period) }),
+  },
+  macd: {
+    label: 'MACD',
+    placement: 'oscillator',
+    params: [
+      { key: 'fast', label: 'Fast', defaultValue: 12, min: 1 },
+      { key: 'slow', label: 'Slow', defaultValue: 26, min: 1 },
+      { key: 'signal', label: 'Signal', defaultValue: 9, min: 1 },
+    ],
+    outputs: [
+      { key: 'histogram', label: 'Histogram', seriesType: 'histogram', defaultColor: 'green' },
+      { key: 'line', label: 'MACD', seriesType: 'line', defaultColor: 'orange' },
+      { key: 'signal', label: 'Signal', seriesType: 'line', defaultColor: 'red' },
+    ],
+    levels: () => [0],
+    compute: (candles, { fast, slow, signal }) => macd(candles.map(c => c.close), fast, slow, signal),
+  },
+  stochastic: {
+    label: 'Stochastic',
+    placement: 'oscillator',
+    params: [
+      { key: 'kPeriod', label: '%K', defaultValue: 14, min: 1 },
+      { key: 'dPeriod', label: '%D', defaultValue: 3, min: 1 },
+      { key: 'upperLevel', label: 'Overbought', defaultValue: 80, min: 0, max: 100 },
+      { key: 'lowerLevel', label: 'Oversold', defaultValue: 20, min: 0, max: 100 },
+    ],
+    outputs: [
+      { key: 'k', label: '%K', seriesType: 'line', defaultColor: '#1565c0' },
+      { key: 'd', label: '%D', seriesType: 'line', defaultColor: '#ef6c00' },
+    ],
+    levels: ({ upperLevel, lowerLevel }) => [upperLevel, lowerLevel],
+    compute: (candles, { kPeriod, dPeriod }) => stochastic(candles, kPeriod, dPeriod),
+  },
+};
+
+let nextInstanceId = 0;
+
+// A configured indicator as stored in the layout.
+export function createIndicator(type, overrides = {}) {
+  const definition = INDICATOR_TYPES[type];
+  const params = {};
+  definition.params.forEach(param => { params[param.key] = param.defaultValue; });
+  const colors = {};
+  definition.outputs.forEach(output => { colors[output.key] = output.defaultColor; });
+  nextInstanceId += 1;
+  return {
+    id: `${type}-${Date.now().toString(36)}-${nextInstanceId}`,
+    type,
+    params: { ...params, ...overrides.params },
+    colors: { ...colors, ...overrides.colors },
+  };
+}
+
+// What the chart showed before indicators became configurable.
+export const DEFAULT_INDICATOR_LAYOUT = [
+  createIndicator('sma'),
+  createIndicator('rsi'),
+  createIndicator('macd'),
+];
@@ -0,0 +1,129 @@
+// Technical indicators computed from candles. Every function returns an array
+// aligned with its input, holding null until enough data has been seen. The
+// formulas follow the backend's: SMA-seeded EMAs and Wilder-smoothed RSI, so
+// history computed here joins the live /topic/indicators values without a
+// jump.
+
+// Leading nulls in `values` are skipped by sma and ema, which lets signal
+// lines be averages over another indicator (MACD signal, Stochastic %D).
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(v => v !== null);
+  if (start === -1) return result;
+  let sum = 0;
+  for (let i = start; i < values.length; i++) {
+    sum += values[i];
+    if (i - start >= period) sum -= values[i - period];
+    if (i - start >= period - 1) result[i] = sum / period;
+  }
+  return result;
+}
+
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  const start = values.findIndex(v => v !== null);
+  if (start === -1 || values.length - start < period) return result;
+
+  const k = 2 / (period + 1);
+  let previous = 0;
+  for (let i = start; i < start + period; i++) previous += values[i];
+  previous /= period;
+  result[start + period - 1] = previous;
+  for (let i = start + period; i < values.length; i++) {
+    previous = values[i] * k + previous * (1 - k);
+    result[i] = previous;
+  }
+  return result;
+}
+
+export function rsi(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length <= period) return result;
+
+  let avgGain = 0;
+  let avgLoss = 0;
+  for (let i = 1; i <= period; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) avgGain += change;
+    else avgLoss -= change;
+  }
+  avgGain /= period;
+  avgLoss /= period;
+
+  const toRsi = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  result[period] = toRsi();
+  for (let i = period + 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRsi();
+  }
+  return result;
+}
+
+export function macd(values, fastPeriod, slowPeriod, signalPeriod) {
+  const fast = ema(values, fastPeriod);
+  const slow = ema(values, slowPeriod);
+  const line = values.map((_, i) => (fast[i] === null || slow[i] === null ? null : fast[i] - slow[i]));
+  const signal = ema(line, signalPeriod);
+  const histogram = line.map((value, i) => (signal[i] === null ? null : value - signal[i]));
+  return { line, signal, histogram };
+}
+
+// Bands at `multiplier` population standard deviations around the SMA.
+export function bollingerBands(values, period, multiplier) {
+  const middle = sma(values, period);
+  const upper = new Array(values.length).fill(null);
+  const lower = new Array(values.length).fill(null);
+  middle.forEach((mean, i) => {
+    if (mean === null) return;
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) variance += (values[j] - mean) ** 2;
+    const deviation = Math.sqrt(variance / period) * multiplier;
+    upper[i] = mean + deviation;
+    lower[i] = mean - deviation;
+  });
+  return { upper, middle, lower };
+}
+
+// Volume weighted average of the typical price, anchored to the start of each
+// calendar day. Candles without volume count as one share.
+export function vwap(candles) {
+  let day = null;
+  let cumulativeVolume = 0;
+  let cumulativeValue = 0;
+  return candles.map(candle => {
+    const candleDay = new Date(candle.time * 1000).toDateString();
+    if (candleDay !== day) {
+      day = candleDay;
+      cumulativeVolume = 0;
+      cumulativeValue = 0;
+    }
+    const volume = candle.volume > 0 ? candle.volume : 1;
+    cumulativeVolume += volume;
+    cumulativeValue += ((candle.high + candle.low + candle.close) / 3) * volume;
+    return cumulativeValue / cumulativeVolume;
+  });
+}
+
+// %K over the high/low range of the last `kPeriod` candles, %D its SMA.
+export function stochastic(candles, kPeriod, dPeriod) {
+  const k = candles.map((candle, i) => {
+    if (i < kPeriod - 1) return null;
+    let highest = -Infinity;
+    let lowest = Infinity;
+    for (let j = i - kPeriod + 1; j <= i; j++) {
+      highest = Math.max(highest, candles[j].high);
+      lowest = Math.min(lowest, candles[j].low);
+    }
+    return highest === lowest ? 50 : ((candle.close - lowest) / (highest - lowest)) * 100;
+  });
+  return { k, d: sma(k, dPeriod) };
+}
+
+// Pairs indicator values with candle times in the shape the chart series take.
+// Warm-up bars become whitespace points so every pane has the same bars as the
+// price chart and their logical ranges can be kept in sync.
+export function toSeriesData(candles, values) {
+  return values.map((value, i) => (value === null ? { time: candles[i].time } : { time: candles[i].time, value }));
+}
@@ -0,0 +1,76 @@
+import { sma, ema, rsi, macd, bollingerBands, vwap, stochastic, toSeriesData } from './indicators';
+
+// Closing prices from the classic Wilder RSI worked example.
+const CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08, 45.89,
+  46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64, 46.21,
+];
+
+test('sma averages a sliding window', () => {
+  expect(sma([1, 2, 3, 4, 5], 3)).toEqual([null, null, 2, 3, 4]);
+});
+
+test('ema is seeded with the sma of the first period', () => {
+  const result = ema([1, 2, 3, 4, 5], 3);
+  expect(result.slice(0, 3)).toEqual([null, null, 2]);
+  expect(result[3]).toBeCloseTo(3);
+  expect(result[4]).toBeCloseTo(4);
+  expect(ema([null, null, 2, 4, 6], 2).slice(2)).toEqual([null, 3, 5]);
+});
+
+test('rsi uses Wilder smoothing', () => {
+  const result = rsi(CLOSES, 14);
+  expect(result.slice(0, 14).every(v => v === null)).toBe(true);
+  expect(result.slice(14).map(v => Number(v.toFixed(2))))
+    .toEqual([70.46, 66.25, 66.48, 69.35, 66.29, 57.92, 62.88]);
+});
+
+test('macd signal is an ema of the macd line and histogram their difference', () => {
+  const closes = Array.from({ length: 60 }, (_, i) => 100 + Math.sin(i / 4) * 5 + i * 0.1);
+  const { line, signal, histogram } = macd(closes, 12, 26, 9);
+  expect(line[24]).toBeNull();
+  expect(line[25]).not.toBeNull();
+  expect(signal[32]).toBeNull();
+  expect(signal[33]).toBeCloseTo(line.slice(25, 34).reduce((a, b) => a + b, 0) / 9);
+  expect(histogram[59]).toBeCloseTo(line[59] - signal[59]);
+});
+
+test('sma skips leading nulls', () => {
+  expect(sma([null, null, 2, 4, 6], 2)).toEqual([null, null, null, 3, 5]);
+});
+
+test('bollinger bands sit the given deviations around the sma', () => {
+  const { upper, middle, lower } = bollingerBands([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+  expect(middle[7]).toBe(5);
+  expect(upper[7]).toBe(9);
+  expect(lower[7]).toBe(1);
+  expect(upper[6]).toBeNull();
+});
+
+test('vwap weights the typical price by volume and resets each day', () => {
+  const candle = (iso, price, volume) => ({ time: new Date(iso).getTime() / 1000, high: price, low: price, close: price, volume });
+  const result = vwap([
+    candle('2024-01-02T10:00:00', 10, 100),
+    candle('2024-01-02T10:01:00', 20, 300),
+    candle('2024-01-03T10:00:00', 30, 50),
+  ]);
+  expect(result).toEqual([10, 17.5, 30]);
+});
+
+test('stochastic places the close within the recent high/low range', () => {
+  const candles = [
+    { high: 10, low: 5, close: 7 },
+    { high: 12, low: 6, close: 11 },
+    { high: 11, low: 8, close: 8 },
+    { high: 9, low: 7, close: 9 },
+  ];
+  const { k, d } = stochastic(candles, 2, 2);
+  expect(k).toEqual([null, (11 - 5) / 7 * 100, (8 - 6) / 6 * 100, (9 - 7) / 4 * 100]);
+  expect(d[1]).toBeNull();
+  expect(d[2]).toBeCloseTo((k[1] + k[2]) / 2);
+});
+
+test('toSeriesData keeps warm-up bars as whitespace points', () => {
+  const candles = [{ time: 1 }, { time: 2 }, { time: 3 }];
+  expect(toSeriesData(candles, [null, 1.5, 2])).toEqual([{ time: 1 }, { time: 2, value: 1.5 }, { time: 3, value: 2 }]);
+});
@@ -0,0 +1,43 @@
+// FIFO lot accounting. A position is a list of open lots, oldest first, with
+// signed quantities (negative for shorts). A fill first closes lots on the
+// opposite side, oldest first, and any remainder opens a new lot.
+
+const EPSILON = 1e-9;
+
+export function applyFill(lots, { side, quantity, price, time }) {
+  const direction = side === 'BUY' ? 1 : -1;
+  const remainingLots = lots.map(lot => ({ ...lot }));
+  const closed = [];
+  let remaining = quantity;
+
+  while (remaining > EPSILON && remainingLots.length > 0 && Math.sign(remainingLots[0].quantity) === -direction) {
+    const lot = remainingLots[0];
+    const matched = Math.min(remaining, Math.abs(lot.quantity));
+    closed.push({
+      quantity: matched,
+      side: lot.quantity > 0 ? 'LONG' : 'SHORT',
+      entryPrice: lot.price,
+      exitPrice: price,
+      entryTime: lot.time,
+      exitTime: time,
+      profitLoss: (price - lot.price) * matched * Math.sign(lot.quantity),
+    });
+    lot.quantity += matched * direction;
+    remaining -= matched;
+    if (Math.abs(lot.quantity) <= EPSILON) remainingLots.shift();
+  }
+
+  if (remaining > EPSILON) {
+    remainingLots.push({ quantity: remaining * direction, price, time });
+  }
+  return { lots: remainingLots, closed };
+}
+
+export const positionQuantity = lots => lots.reduce((sum, lot) => sum + lot.quantity, 0);
+
+// Average entry price of the open position.
+export function averageCost(lots) {
+  const quantity = positionQuantity(lots);
+  if (Math.abs(quantity) <= EPSILON) return null;
+  return lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0) / quantity;
+}
@@ -0,0 +1,24 @@
+import { applyFill, averageCost, positionQuantity } from './lots';
+
+test('sells close the oldest long lots first', () => {
+  let { lots } = applyFill([], { side: 'BUY', quantity: 10, price: 100, time: 1 });
+  ({ lots } = applyFill(lots, { side: 'BUY', quantity: 10, price: 110, time: 2 }));
+  expect(averageCost(lots)).toBe(105);
+
+  const result = applyFill(lots, { side: 'SELL', quantity: 15, price: 120, time: 3 });
+  expect(result.closed.map(c => [c.quantity, c.entryPrice, c.profitLoss])).toEqual([[10, 100, 200], [5, 110, 50]]);
+  expect(positionQuantity(result.lots)).toBe(5);
+  expect(averageCost(result.lots)).toBe(110);
+});
+
+test('a fill larger than the position flips it', () => {
+  const { lots: long } = applyFill([], { side: 'BUY', quantity: 5, price: 50, time: 1 });
+  const { lots, closed } = applyFill(long, { side: 'SELL', quantity: 8, price: 40, time: 2 });
+  expect(closed[0].profitLoss).toBe(-50);
+  expect(positionQuantity(lots)).toBe(-3);
+
+  const cover = applyFill(lots, { side: 'BUY', quantity: 3, price: 30, time: 3 });
+  expect(cover.closed[0]).toMatchObject({ side: 'SHORT', profitLoss: 30 });
+  expect(cover.lots).toEqual([]);
+  expect(averageCost(cover.lots)).toBeNull();
+});
@@ -0,0 +1,97 @@
+// Chart markers for trading signals and simulated trade fills. Markers are
+// snapped onto the candle they fall in and handed to the chart in time order,
+// which setMarkers requires.
+
+export const ALL_STRATEGIES = 'ALL';
+
+const toTime = timestamp => new Date(timestamp).getTime() / 1000;
+
+export const signalKey = signal => (
+  signal.id !== undefined && signal.id !== null
+    ? `id:${signal.id}`
+    : `${signal.timestamp}|${signal.symbol}|${signal.strategyName}|${signal.signalType}`
+);
+
+// Adds `incoming` signals to `existing`, skipping ones already present, and
+// keeps the result in time order with at most the newest `limit` signals.
+export function mergeSignals(existing, incoming, limit = Infinity) {
+  const seen = new Set(existing.map(signalKey));
+  const added = incoming.filter(signal => {
+    const key = signalKey(signal);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  if (added.length === 0 && existing.length <= limit) return existing;
+  const merged = [...existing, ...added].sort((a, b) => toTime(a.timestamp) - toTime(b.timestamp));
+  return merged.length > limit ? merged.slice(merged.length - limit) : merged;
+}
+
+// Time of the candle that contains `time`, or null when there is no such
+// candle loaded.
+function snapToCandle(candles, time) {
+  if (candles.length === 0 || time < candles[0].time) return null;
+  let low = 0;
+  let high = candles.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (candles[mid].time <= time) low = mid;
+    else high = mid - 1;
+  }
+  return candles[low].time;
+}
+
+export function buildMarkers({ candles, signals, trades = [], symbol, strategy = ALL_STRATEGIES, showTrades = false }) {
+  const matchesStrategy = item => strategy === ALL_STRATEGIES || item.strategyName === strategy;
+  const markers = [];
+
+  signals
+    .filter(signal => signal.symbol === symbol && matchesStrategy(signal))
+    .forEach(signal => {
+      const time = snapToCandle(candles, toTime(signal.timestamp));
+      if (time === null) return;
+      const isBuy = signal.signalType === 'BUY';
+      markers.push({
+        id: `signal:${signalKey(signal)}`,
+        time,
+        position: isBuy ? 'belowBar' : 'aboveBar',
+        color: isBuy ? 'green' : 'red',
+        shape: isBuy ? 'arrowUp' : 'arrowDown',
+        text: signal.signalType,
+        details: {
+          title: `${signal.signalType} signal`,
+          strategy: signal.strategyName,
+          description: signal.description,
+          price: signal.price,
+          timestamp: signal.timestamp,
+        },
+      });
+    });
+
+  if (showTrades) {
+    trades
+      .filter(trade => trade.symbol === symbol && matchesStrategy(trade))
+      .forEach(trade => {
+        const time = snapToCandle(candles, toTime(trade.timestamp));
+        if (time === null) return;
+        const isBuy = trade.tradeType === 'BUY';
+        markers.push({
+          id: `trade:${trade.id}`,
+          time,
+          position: 'inBar',
+          color: isBuy ? '#1565c0' : '#ef6c00',
+          shape: 'circle',
+          text: `${isBuy ? 'B' : 'S'} ${trade.quantity}`,
+          details: {
+            title: `Simulated ${trade.tradeType} fill`,
+            strategy: trade.strategyName,
+            description: `${trade.quantity} @ ${trade.price}`,
+            price: trade.price,
+            timestamp: trade.timestamp,
+          },
+        });
+      });
+  }
+
+  return markers.sort((a, b) => a.time - b.time);
+}
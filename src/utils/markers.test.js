@@ -0,0 +1,52 @@
+import { buildMarkers, mergeSignals, ALL_STRATEGIES } from './markers';
+
+const time = iso => new Date(iso).getTime() / 1000;
+const candles = ['2024-01-02T10:00:00Z', '2024-01-02T10:01:00Z', '2024-01-02T10:02:00Z'].map(iso => ({ time: time(iso) }));
+const signal = (timestamp, signalType, strategyName, extra = {}) => ({ symbol: 'IBM', timestamp, signalType, strategyName, ...extra });
+
+test('mergeSignals de-duplicates and keeps time order', () => {
+  const live = [signal('2024-01-02T10:02:00Z', 'SELL', 'RSI')];
+  const history = [signal('2024-01-02T10:00:30Z', 'BUY', 'SMA'), signal('2024-01-02T10:02:00Z', 'SELL', 'RSI')];
+  const merged = mergeSignals(live, history);
+  expect(merged.map(s => s.signalType)).toEqual(['BUY', 'SELL']);
+  expect(mergeSignals(merged, history)).toBe(merged);
+});
+
+test('mergeSignals keeps only the newest signals past its limit', () => {
+  const existing = [signal('2024-01-02T10:00:00Z', 'BUY', 'SMA'), signal('2024-01-02T10:02:00Z', 'SELL', 'SMA')];
+  const merged = mergeSignals(existing, [signal('2024-01-02T10:01:00Z', 'SELL', 'RSI')], 2);
+  expect(merged.map(s => s.timestamp)).toEqual(['2024-01-02T10:01:00Z', '2024-01-02T10:02:00Z']);
+  expect(mergeSignals(existing, [], 1)).toEqual([existing[1]]);
+});
+
+test('buildMarkers snaps signals onto their candle and sorts them', () => {
+  const markers = buildMarkers({
+    candles,
+    symbol: 'IBM',
+    signals: [
+      signal('2024-01-02T10:01:45Z', 'SELL', 'RSI'),
+      signal('2024-01-02T10:00:30Z', 'BUY', 'SMA', { price: 101.5, description: 'cross' }),
+      signal('2024-01-02T09:59:00Z', 'BUY', 'SMA'),
+      { ...signal('2024-01-02T10:00:30Z', 'BUY', 'SMA'), symbol: 'AAPL' },
+    ],
+  });
+  expect(markers.map(m => [m.time, m.shape, m.position])).toEqual([
+    [candles[0].time, 'arrowUp', 'belowBar'],
+    [candles[1].time, 'arrowDown', 'aboveBar'],
+  ]);
+  expect(markers[0].details).toMatchObject({ strategy: 'SMA', price: 101.5, description: 'cross' });
+});
+
+test('buildMarkers filters by strategy and adds trade fills on request', () => {
+  const options = {
+    candles,
+    symbol: 'IBM',
+    signals: [signal('2024-01-02T10:00:00Z', 'BUY', 'SMA'), signal('2024-01-02T10:01:00Z', 'SELL', 'RSI')],
+    trades: [{ id: 7, symbol: 'IBM', timestamp: '2024-01-02T10:02:10Z', tradeType: 'BUY', quantity: 5, price: 100, strategyName: 'SMA' }],
+    strategy: 'SMA',
+  };
+  expect(buildMarkers(options).map(m => m.id)).toHaveLength(1);
+  const withTrades = buildMarkers({ ...options, showTrades: true });
+  expect(withTrades.map(m => m.shape)).toEqual(['arrowUp', 'circle']);
+  expect(buildMarkers({ ...options, strategy: ALL_STRATEGIES })).toHaveLength(2);
+});
@@ -0,0 +1,183 @@
+import { applyFill, positionQuantity } from './lots';
+import { formatDate } from './dateRanges';
+
+// Manual paper trading: orders from the order ticket, the risk checks they
+// pass before they are placed, and their fills against live candles. Fills
+// are simulated trades under the Manual strategy, from a paper account of
+// their own.
+
+export const MANUAL_STRATEGY = 'Manual';
+export const PAPER_STARTING_CASH = 100000;
+export const MAX_ORDER_HISTORY = 200;
+
+export const ORDER_SIDES = ['BUY', 'SELL'];
+
+export const ORDER_TYPES = {
+  MARKET: { label: 'Market', priceField: null },
+  LIMIT: { label: 'Limit', priceField: 'limitPrice' },
+  STOP: { label: 'Stop', priceField: 'stopPrice' },
+};
+
+// A limit left blank (null) is not checked.
+export const DEFAULT_RISK_LIMITS = {
+  maxPositionSize: 1000,
+  maxNotional: 100000,
+  dailyLossLimit: 2000,
+  confirmAbove: 25000,
+};
+
+export const RISK_LIMIT_FIELDS = [
+  { key: 'maxPositionSize', label: 'Max position (shares)' },
+  { key: 'maxNotional', label: 'Max notional exposure' },
+  { key: 'dailyLossLimit', label: 'Daily loss limit' },
+  { key: 'confirmAbove', label: 'Confirm orders above (notional)' },
+];
+
+export const defaultOrderValues = (symbol, price = null) => ({
+  symbol,
+  side: 'BUY',
+  type: price === null ? 'MARKET' : 'LIMIT',
+  quantity: '10',
+  limitPrice: price === null ? '' : String(price),
+  stopPrice: price === null ? '' : String(price),
+});
+
+const isPositive = raw => raw !== '' && Number.isFinite(Number(raw)) && Number(raw) > 0;
+
+export function validateOrder(values) {
+  const errors = {};
+  if (!values.symbol || !values.symbol.trim()) errors.symbol = 'Symbol is required';
+  if (!isPositive(values.quantity)) errors.quantity = 'Must be greater than 0';
+  const { priceField } = ORDER_TYPES[values.type];
+  if (priceField && !isPositive(values[priceField])) errors[priceField] = 'Must be greater than 0';
+  return errors;
+}
+
+let nextId = 0;
+
+export function createOrder(values, now = Date.now()) {
+  nextId += 1;
+  return {
+    id: `${now.toString(36)}-${nextId}`,
+    symbol: values.symbol.trim().toUpperCase(),
+    side: values.side,
+    type: values.type,
+    quantity: Number(values.quantity),
+    limitPrice: values.type === 'LIMIT' ? Number(values.limitPrice) : null,
+    stopPrice: values.type === 'STOP' ? Number(values.stopPrice) : null,
+    status: 'working',
+    createdAt: now,
+    closedAt: null,
+    fillPrice: null,
+  };
+}
+
+export function describeOrder(order) {
+  const price = order.type === 'LIMIT' ? ` @ ${order.limitPrice}` : order.type === 'STOP' ? ` stop ${order.stopPrice}` : '';
+  return `${order.side} ${order.quantity} ${order.symbol} ${ORDER_TYPES[order.type].label.toLowerCase()}${price}`;
+}
+
+const signedQuantity = order => (order.side === 'BUY' ? order.quantity : -order.quantity);
+
+// Open quantity per symbol and the P/L realized on `day` (local yyyy-MM-dd)
+// by the manual fills, closing lots FIFO.
+export function paperBook(trades, day) {
+  const lots = new Map(); // symbol -> open lots
+  const lastPrices = {};
+  let realizedToday = 0;
+  [...trades]
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    .forEach(trade => {
+      const time = new Date(trade.timestamp).getTime() / 1000;
+      const result = applyFill(lots.get(trade.symbol) || [], { side: trade.tradeType, quantity: trade.quantity, price: trade.price, time });
+      lots.set(trade.symbol, result.lots);
+      lastPrices[trade.symbol] = trade.price;
+      if (formatDate(new Date(trade.timestamp)) === day) {
+        realizedToday += result.closed.reduce((sum, c) => sum + c.profitLoss, 0);
+      }
+    });
+  const positions = {};
+  lots.forEach((symbolLots, symbol) => { positions[symbol] = positionQuantity(symbolLots); });
+  return { positions, lastPrices, realizedToday };
+}
+
+// The price an order is checked at: its own for limit and stop orders, the
+// last price for market orders.
+export const referencePrice = (order, lastPrice) => (
+  order.type === 'LIMIT' ? order.limitPrice : order.type === 'STOP' ? order.stopPrice : lastPrice
+);
+
+// Pre-trade checks for `order` given the manual fills so far and the orders
+// still working, as if all of those filled too. Returns the reasons it is
+// refused, its notional and whether it needs the user's confirmation.
+export function checkOrderRisk(order, { trades, workingOrders = [], limits, lastPrice, now = Date.now() }) {
+  const errors = [];
+  const price = referencePrice(order, lastPrice);
+  if (typeof price !== 'number' || !Number.isFinite(price)) {
+    return { errors: [`No price for ${order.symbol} yet`], notional: null, needsConfirmation: false };
+  }
+  const notional = order.quantity * price;
+  const { positions, lastPrices, realizedToday } = paperBook(trades, formatDate(new Date(now)));
+
+  const projected = { ...positions };
+  [...workingOrders, order].forEach(o => { projected[o.symbol] = (projected[o.symbol] || 0) + signedQuantity(o); });
+  const current = positions[order.symbol] || 0;
+  const reduces = current !== 0 && Math.sign(signedQuantity(order)) === -Math.sign(current) && order.quantity <= Math.abs(current);
+
+  if (limits.maxPositionSize !== null && Math.abs(projected[order.symbol]) > limits.maxPositionSize) {
+    errors.push(`Position in ${order.symbol} would reach ${Math.abs(projected[order.symbol])} shares (max ${limits.maxPositionSize})`);
+  }
+  if (limits.maxNotional !== null) {
+    const priceOf = symbol => (symbol === order.symbol ? price : lastPrices[symbol] || 0);
+    const exposure = Object.entries(projected).reduce((sum, [symbol, quantity]) => sum + Math.abs(quantity) * priceOf(symbol), 0);
+    if (exposure > limits.maxNotional) {
+      errors.push(`Exposure would reach ${exposure.toFixed(2)} (max ${limits.maxNotional})`);
+    }
+  }
+  if (limits.dailyLossLimit !== null && !reduces && realizedToday <= -limits.dailyLossLimit) {
+    errors.push(`Daily loss limit of ${limits.dailyLossLimit} reached (${realizedToday.toFixed(2)} today); only closing orders are allowed`);
+  }
+  return { errors, notional, needsConfirmation: limits.confirmAbove !== null && notional > limits.confirmAbove };
+}
+
+// Price a working order fills at on `candle`, or null. A candle that opened
+// before the order was placed may have traded through its price before the
+// order existed, so only its close counts; later candles fill at the order's
+// price, or at the open when they gap past it.
+export function fillPrice(order, candle) {
+  const fresh = candle.time * 1000 >= order.createdAt;
+  const start = fresh ? candle.open : candle.close;
+  const low = fresh ? candle.low : candle.close;
+  const high = fresh ? candle.high : candle.close;
+  const buy = order.side === 'BUY';
+  switch (order.type) {
+    case 'MARKET':
+      return candle.close;
+    case 'LIMIT':
+      if (buy) return low <= order.limitPrice ? Math.min(order.limitPrice, start) : null;
+      return high >= order.limitPrice ? Math.max(order.limitPrice, start) : null;
+    case 'STOP':
+      if (buy) return high >= order.stopPrice ? Math.max(order.stopPrice, start) : null;
+      return low <= order.stopPrice ? Math.min(order.stopPrice, start) : null;
+    default:
+      return null;
+  }
+}
+
+// The simulated trade for a fill, after the paper account's earlier fills.
+export function toPaperTrade(order, price, trades, now = Date.now()) {
+  const cash = trades.length > 0 ? trades[trades.length - 1].cashAfterTrade : PAPER_STARTING_CASH;
+  const notional = order.quantity * price;
+  return {
+    id: `paper-${order.id}`,
+    symbol: order.symbol,
+    time: now / 1000,
+    timestamp: new Date(now).toISOString(),
+    tradeType: order.side,
+    price,
+    quantity: order.quantity,
+    strategyName: MANUAL_STRATEGY,
+    cashAfterTrade: cash + (order.side === 'BUY' ? -notional : notional),
+    source: 'paper',
+  };
+}
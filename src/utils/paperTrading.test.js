@@ -0,0 +1,74 @@
+import {
+  DEFAULT_RISK_LIMITS,
+  PAPER_STARTING_CASH,
+  checkOrderRisk,
+  createOrder,
+  defaultOrderValues,
+  fillPrice,
+  toPaperTrade,
+  validateOrder,
+} from './paperTrading';
+
+const NOW = new Date(2024, 5, 12, 15, 0).getTime();
+const order = (values, createdAt = NOW) => createOrder({ ...defaultOrderValues('IBM'), ...values }, createdAt);
+const candle = (time, open, high, low, close) => ({ time, open, high, low, close });
+const trade = (tradeType, quantity, price, at = NOW) => ({
+  symbol: 'IBM', tradeType, quantity, price, timestamp: new Date(at).toISOString(),
+});
+
+test('orders need a quantity and the price their type uses', () => {
+  expect(validateOrder(defaultOrderValues('IBM'))).toEqual({});
+  expect(validateOrder({ ...defaultOrderValues('IBM'), quantity: '0' })).toEqual({ quantity: 'Must be greater than 0' });
+  expect(validateOrder({ ...defaultOrderValues('IBM'), type: 'STOP', stopPrice: '' })).toEqual({ stopPrice: 'Must be greater than 0' });
+  expect(defaultOrderValues('IBM', 101.5)).toEqual(expect.objectContaining({ type: 'LIMIT', limitPrice: '101.5' }));
+});
+
+test('limit and stop orders fill at their price, or at the open past a gap', () => {
+  const later = NOW / 1000 + 60;
+  const buyLimit = order({ type: 'LIMIT', limitPrice: '100' });
+  expect(fillPrice(buyLimit, candle(later, 101, 102, 100.5, 101))).toBeNull();
+  expect(fillPrice(buyLimit, candle(later, 101, 102, 99, 100))).toBe(100);
+  expect(fillPrice(buyLimit, candle(later, 98, 99, 97, 98))).toBe(98);
+
+  const sellStop = order({ side: 'SELL', type: 'STOP', stopPrice: '95' });
+  expect(fillPrice(sellStop, candle(later, 96, 97, 94, 95))).toBe(95);
+  expect(fillPrice(sellStop, candle(later, 93, 94, 92, 93))).toBe(93);
+
+  expect(fillPrice(order({ type: 'MARKET' }), candle(later, 1, 3, 1, 2))).toBe(2);
+});
+
+test('a candle that opened before the order only counts at its close', () => {
+  const buyLimit = order({ type: 'LIMIT', limitPrice: '100' });
+  const earlier = NOW / 1000 - 30;
+  expect(fillPrice(buyLimit, candle(earlier, 101, 102, 99, 101))).toBeNull();
+  expect(fillPrice(buyLimit, candle(earlier, 101, 102, 99, 99.5))).toBe(99.5);
+});
+
+test('risk checks cover position size, exposure and the daily loss limit', () => {
+  const limits = { ...DEFAULT_RISK_LIMITS, maxPositionSize: 100, maxNotional: 15000, confirmAbove: 5000 };
+  const options = { trades: [trade('BUY', 60, 100)], limits, lastPrice: 100, now: NOW };
+
+  const ok = checkOrderRisk(order({ quantity: '40' }), options);
+  expect(ok).toEqual({ errors: [], notional: 4000, needsConfirmation: false });
+  expect(checkOrderRisk(order({ quantity: '41' }), options).errors).toEqual(['Position in IBM would reach 101 shares (max 100)']);
+  expect(checkOrderRisk(order({ quantity: '40' }), { ...options, workingOrders: [order({ quantity: '5' })] }).errors).toHaveLength(1);
+
+  const pricey = checkOrderRisk(order({ type: 'LIMIT', limitPrice: '300', quantity: '30' }), options);
+  expect(pricey.errors).toEqual(['Exposure would reach 27000.00 (max 15000)']);
+  expect(pricey.needsConfirmation).toBe(true);
+
+  const losing = { ...options, trades: [trade('BUY', 60, 100), trade('SELL', 30, 0)], limits: { ...limits, dailyLossLimit: 2000 } };
+  expect(checkOrderRisk(order({ quantity: '1' }), losing).errors[0]).toMatch(/^Daily loss limit of 2000 reached/);
+  expect(checkOrderRisk(order({ side: 'SELL', quantity: '30' }), losing).errors).toEqual([]);
+
+  expect(checkOrderRisk(order({}), { ...options, lastPrice: undefined }).errors).toEqual(['No price for IBM yet']);
+  expect(checkOrderRisk(order({ quantity: '500' }), { ...options, limits: { maxPositionSize: null, maxNotional: null, dailyLossLimit: null, confirmAbove: null } }))
+    .toEqual({ errors: [], notional: 50000, needsConfirmation: false });
+});
+
+test('fills become Manual trades against the paper account', () => {
+  const buy = toPaperTrade(order({ quantity: '10' }), 100, [], NOW);
+  expect(buy).toEqual(expect.objectContaining({ tradeType: 'BUY', strategyName: 'Manual', cashAfterTrade: PAPER_STARTING_CASH - 1000 }));
+  const sell = toPaperTrade(order({ side: 'SELL', quantity: '10' }), 110, [buy], NOW);
+  expect(sell.cashAfterTrade).toBe(PAPER_STARTING_CASH + 100);
+});
@@ -0,0 +1,82 @@
+import { ENGINE_STRATEGIES, runBacktest } from './backtestEngine';
+import { buildEquityCurve, computeMetrics } from './backtestMetrics';
+
+// Grid search over strategy parameters with the in-browser engine, with an
+// optional walk-forward split: combinations are ranked on the in-sample
+// candles and then re-run on the held-out remainder.
+
+export const MAX_COMBINATIONS = 5000;
+
+// Every objective is "higher is better"; max drawdown is negative.
+export const OBJECTIVES = {
+  netProfitPercent: { label: 'Net P/L %', score: (result) => result.percentageProfitLoss },
+  sharpeRatio: { label: 'Sharpe Ratio', score: (result, metrics) => metrics.sharpeRatio },
+  maxDrawdown: { label: 'Max Drawdown', score: (result, metrics) => metrics.maxDrawdown },
+};
+
+// Values from min to max inclusive in `step` increments, rounded so float
+// steps such as 0.1 do not drift.
+export function rangeValues({ min, max, step }) {
+  if (!(step > 0) || max < min) return [min];
+  const values = [];
+  const decimals = (String(step).split('.')[1] || '').length;
+  for (let value = min; value <= max + step / 1e6; value += step) {
+    values.push(Number(value.toFixed(decimals)));
+  }
+  return values;
+}
+
+// Cartesian product of { key: [values] }.
+export function expandGrid(valuesByKey) {
+  return Object.entries(valuesByKey).reduce(
+    (combos, [key, values]) => combos.flatMap(combo => values.map(value => ({ ...combo, [key]: value }))),
+    [{}],
+  );
+}
+
+function evaluate(request, candles, params, objective) {
+  const result = runBacktest({ ...request, candles, parameters: JSON.stringify(params) });
+  const metrics = computeMetrics(buildEquityCurve(candles, result.trades, request.initialCapital), result.trades, request.initialCapital);
+  const score = OBJECTIVES[objective].score(result, metrics);
+  return {
+    score: score === null || Number.isNaN(score) ? null : score,
+    netProfitPercent: result.percentageProfitLoss,
+    sharpeRatio: metrics.sharpeRatio,
+    maxDrawdown: metrics.maxDrawdown,
+    totalTrades: result.totalTrades,
+  };
+}
+
+const byScore = (a, b) => (b.inSample.score ?? -Infinity) - (a.inSample.score ?? -Infinity);
+
+// `ranges` maps each parameter to { min, max, step }. Returns the ranked rows
+// and the time that splits in-sample from out-of-sample (null without a split).
+export function runSweep({ candles, strategyName, ranges, objective, inSamplePercent = 100, ...request }) {
+  const strategy = ENGINE_STRATEGIES[strategyName];
+  if (!strategy) throw new Error(`Strategy ${strategyName} is not supported in the browser`);
+  const valuesByKey = {};
+  Object.entries(ranges).forEach(([key, range]) => { valuesByKey[key] = rangeValues(range); });
+  const combinations = expandGrid(valuesByKey).filter(params => !strategy.isValid || strategy.isValid(params));
+  if (combinations.length === 0) throw new Error('No valid parameter combinations in these ranges');
+  if (combinations.length > MAX_COMBINATIONS) {
+    throw new Error(`${combinations.length} combinations exceeds the limit of ${MAX_COMBINATIONS}`);
+  }
+
+  const splitIndex = Math.floor(candles.length * Math.min(Math.max(inSamplePercent, 1), 100) / 100);
+  const inSample = candles.slice(0, splitIndex);
+  const outOfSample = candles.slice(splitIndex);
+  const hasOutOfSample = outOfSample.length > 1;
+  const fullRequest = { ...request, strategyName };
+
+  const rows = combinations.map(params => ({
+    params,
+    inSample: evaluate(fullRequest, inSample, params, objective),
+    outOfSample: hasOutOfSample ? evaluate(fullRequest, outOfSample, params, objective) : null,
+  }));
+  rows.sort(byScore);
+
+  return {
+    rows,
+    splitTime: hasOutOfSample ? outOfSample[0].time : null,
+  };
+}
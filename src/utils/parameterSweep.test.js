@@ -0,0 +1,45 @@
+import { expandGrid, rangeValues, runSweep } from './parameterSweep';
+
+const DAY = 24 * 60 * 60;
+const candles = Array.from({ length: 200 }, (_, i) => ({ time: 1704200000 + i * DAY, close: 100 + Math.sin(i / 8) * 20 + i * 0.05 }));
+
+test('rangeValues steps inclusively without float drift', () => {
+  expect(rangeValues({ min: 5, max: 15, step: 5 })).toEqual([5, 10, 15]);
+  expect(rangeValues({ min: 0.1, max: 0.5, step: 0.1 })).toEqual([0.1, 0.2, 0.3, 0.4, 0.5]);
+  expect(rangeValues({ min: 3, max: 3, step: 1 })).toEqual([3]);
+});
+
+test('expandGrid builds every combination', () => {
+  expect(expandGrid({ a: [1, 2], b: [3, 4] })).toEqual([
+    { a: 1, b: 3 }, { a: 1, b: 4 }, { a: 2, b: 3 }, { a: 2, b: 4 },
+  ]);
+});
+
+test('runSweep ranks valid combinations and scores the out-of-sample split', () => {
+  const { rows, splitTime } = runSweep({
+    candles,
+    symbol: 'IBM',
+    strategyName: 'SMA_CROSSOVER_STRATEGY',
+    ranges: { shortSma: { min: 5, max: 20, step: 5 }, longSma: { min: 10, max: 30, step: 10 } },
+    objective: 'netProfitPercent',
+    inSamplePercent: 70,
+    initialCapital: 10000,
+  });
+  // shortSma must stay below longSma: 4 x 3 grid minus 4 invalid pairs.
+  expect(rows).toHaveLength(8);
+  expect(rows.every(r => r.params.shortSma < r.params.longSma)).toBe(true);
+  const scores = rows.map(r => r.inSample.score);
+  expect([...scores].sort((a, b) => b - a)).toEqual(scores);
+  expect(splitTime).toBe(candles[140].time);
+  expect(rows[0].outOfSample).not.toBeNull();
+});
+
+test('runSweep refuses grids that are too large', () => {
+  expect(() => runSweep({
+    candles,
+    strategyName: 'MACD_CROSSOVER_STRATEGY',
+    ranges: { fastPeriod: { min: 1, max: 40, step: 1 }, slowPeriod: { min: 41, max: 100, step: 1 }, signalPeriod: { min: 1, max: 30, step: 1 } },
+    objective: 'sharpeRatio',
+    initialCapital: 10000,
+  })).toThrow('exceeds the limit');
+});
@@ -0,0 +1,124 @@
+import { applyFill, averageCost, positionQuantity } from './lots';
+
+// Portfolio state rebuilt from simulated trades. Each strategy keeps its own
+// FIFO book per symbol, so realized P/L is attributed to the strategy that
+// closed the lots; positions add the books up per symbol. Open lots are
+// marked to `prices` (symbol -> last price), falling back to the last traded
+// price.
+
+const toTime = timestamp => new Date(timestamp).getTime() / 1000;
+
+const sortTrades = trades => trades
+  .map(trade => ({ ...trade, time: toTime(trade.timestamp) }))
+  .sort((a, b) => a.time - b.time);
+
+const unrealizedOf = (lots, price) => lots.reduce((sum, lot) => sum + (price - lot.price) * lot.quantity, 0);
+
+// Paper fills draw on their own account; everything else is the backend's
+// simulated account. Each account's cashAfterTrade runs on its own balance.
+const accountOf = trade => (trade.source === 'paper' ? 'paper' : 'simulated');
+
+// Cash before a trade, recovered from its cashAfterTrade.
+function cashBefore(trade) {
+  if (typeof trade.cashAfterTrade !== 'number') return 0;
+  const notional = trade.price * trade.quantity;
+  return trade.cashAfterTrade + (trade.tradeType === 'BUY' ? notional : -notional);
+}
+
+// The starting cash of every account that has traded, added up.
+function startingCash(ordered) {
+  const firstTrades = new Map();
+  ordered.forEach(trade => {
+    if (!firstTrades.has(accountOf(trade))) firstTrades.set(accountOf(trade), trade);
+  });
+  return Array.from(firstTrades.values()).reduce((sum, trade) => sum + cashBefore(trade), 0);
+}
+
+export function buildPortfolio(trades, prices = {}) {
+  const ordered = sortTrades(trades);
+  const books = new Map(); // `${strategy}|${symbol}` -> { strategyName, symbol, lots, realized, trades }
+  const lastTradePrice = {};
+  const equityCurve = [];
+  const initialCash = startingCash(ordered);
+
+  const markAll = (priceOf) => {
+    let total = 0;
+    books.forEach(book => {
+      total += book.realized + unrealizedOf(book.lots, priceOf(book.symbol));
+    });
+    return total;
+  };
+
+  ordered.forEach(trade => {
+    const key = `${trade.strategyName || 'Manual'}|${trade.symbol}`;
+    if (!books.has(key)) {
+      books.set(key, { strategyName: trade.strategyName || 'Manual', symbol: trade.symbol, lots: [], realized: 0, trades: 0 });
+    }
+    const book = books.get(key);
+    const { lots, closed } = applyFill(book.lots, { side: trade.tradeType, quantity: trade.quantity, price: trade.price, time: trade.time });
+    book.lots = lots;
+    book.realized += closed.reduce((sum, c) => sum + c.profitLoss, 0);
+    book.trades += 1;
+    lastTradePrice[trade.symbol] = trade.price;
+
+    // Value as of this trade, with open lots marked at the latest trade prices.
+    const point = { time: trade.time, value: initialCash + markAll(symbol => lastTradePrice[symbol]) };
+    if (equityCurve.length > 0 && equityCurve[equityCurve.length - 1].time === point.time) {
+      equityCurve[equityCurve.length - 1] = point;
+    } else {
+      equityCurve.push(point);
+    }
+  });
+
+  const priceOf = symbol => (typeof prices[symbol] === 'number' ? prices[symbol] : lastTradePrice[symbol]);
+
+  const positionsBySymbol = new Map();
+  books.forEach(book => {
+    if (!positionsBySymbol.has(book.symbol)) {
+      positionsBySymbol.set(book.symbol, { symbol: book.symbol, lots: [], realizedPnl: 0 });
+    }
+    const position = positionsBySymbol.get(book.symbol);
+    position.lots.push(...book.lots);
+    position.realizedPnl += book.realized;
+  });
+
+  const positions = Array.from(positionsBySymbol.values()).map(({ symbol, lots, realizedPnl }) => {
+    const quantity = positionQuantity(lots);
+    const marketPrice = priceOf(symbol);
+    return {
+      symbol,
+      quantity,
+      averageCost: averageCost(lots),
+      marketPrice,
+      marketValue: quantity * marketPrice,
+      realizedPnl,
+      unrealizedPnl: unrealizedOf(lots, marketPrice),
+      isLive: typeof prices[symbol] === 'number',
+    };
+  }).sort((a, b) => a.symbol.localeCompare(b.symbol));
+
+  const byStrategy = new Map();
+  books.forEach(book => {
+    const entry = byStrategy.get(book.strategyName) || { strategyName: book.strategyName, realizedPnl: 0, unrealizedPnl: 0, trades: 0 };
+    entry.realizedPnl += book.realized;
+    entry.unrealizedPnl += unrealizedOf(book.lots, priceOf(book.symbol));
+    entry.trades += book.trades;
+    byStrategy.set(book.strategyName, entry);
+  });
+  const attribution = Array.from(byStrategy.values())
+    .map(entry => ({ ...entry, totalPnl: entry.realizedPnl + entry.unrealizedPnl }))
+    .sort((a, b) => b.totalPnl - a.totalPnl);
+
+  const realizedPnl = positions.reduce((sum, p) => sum + p.realizedPnl, 0);
+  const unrealizedPnl = positions.reduce((sum, p) => sum + p.unrealizedPnl, 0);
+
+  return {
+    positions,
+    attribution,
+    equityCurve,
+    initialCash,
+    realizedPnl,
+    unrealizedPnl,
+    currentValue: initialCash + realizedPnl + unrealizedPnl,
+  };
+}
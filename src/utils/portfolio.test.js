@@ -0,0 +1,46 @@
+import { buildPortfolio } from './portfolio';
+
+const trade = (timestamp, strategyName, symbol, tradeType, quantity, price, extra = {}) => ({
+  timestamp, strategyName, symbol, tradeType, quantity, price, ...extra,
+});
+
+const TRADES = [
+  trade('2024-01-02T10:00:00Z', 'SMA', 'IBM', 'BUY', 10, 100, { cashAfterTrade: 9000 }),
+  trade('2024-01-02T11:00:00Z', 'RSI', 'IBM', 'BUY', 10, 110),
+  trade('2024-01-03T10:00:00Z', 'SMA', 'IBM', 'SELL', 5, 120),
+  trade('2024-01-03T11:00:00Z', 'RSI', 'AAPL', 'BUY', 2, 50),
+];
+
+test('rebuilds positions per symbol from per-strategy FIFO books', () => {
+  const { positions, realizedPnl, initialCash } = buildPortfolio(TRADES);
+  expect(initialCash).toBe(10000);
+  expect(realizedPnl).toBe(100);
+
+  const ibm = positions.find(p => p.symbol === 'IBM');
+  expect(ibm).toMatchObject({ quantity: 15, realizedPnl: 100, marketPrice: 120, isLive: false });
+  expect(ibm.averageCost).toBeCloseTo((5 * 100 + 10 * 110) / 15);
+  expect(ibm.unrealizedPnl).toBe(5 * 20 + 10 * 10);
+});
+
+test('marks open lots to live prices and attributes P/L per strategy', () => {
+  const { attribution, positions, currentValue } = buildPortfolio(TRADES, { IBM: 130 });
+  expect(positions.find(p => p.symbol === 'IBM')).toMatchObject({ marketPrice: 130, isLive: true, unrealizedPnl: 5 * 30 + 10 * 20 });
+  expect(attribution).toEqual([
+    { strategyName: 'SMA', realizedPnl: 100, unrealizedPnl: 150, totalPnl: 250, trades: 2 },
+    { strategyName: 'RSI', realizedPnl: 0, unrealizedPnl: 200, totalPnl: 200, trades: 2 },
+  ]);
+  expect(currentValue).toBe(10000 + 100 + 350);
+});
+
+test('equity curve values the book at each trade time', () => {
+  const { equityCurve } = buildPortfolio(TRADES);
+  expect(equityCurve.map(p => p.value)).toEqual([10000, 10100, 10300, 10300]);
+  expect(equityCurve[0].time).toBe(Date.parse('2024-01-02T10:00:00Z') / 1000);
+});
+
+test('starting cash adds up the paper and simulated accounts', () => {
+  const paperFill = trade('2024-01-01T10:00:00Z', 'Manual', 'MSFT', 'BUY', 10, 300, { cashAfterTrade: 97000, source: 'paper' });
+  const { initialCash, equityCurve } = buildPortfolio([...TRADES, paperFill]);
+  expect(initialCash).toBe(100000 + 10000);
+  expect(equityCurve[0].value).toBe(110000);
+});
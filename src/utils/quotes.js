@@ -0,0 +1,47 @@
+// Quote tile figures from a list of candles ({ time, open, close }, time in
+// epoch seconds, oldest first). Change is measured against the previous
+// session's last close, or the first open we have when there is no earlier
+// session in the data.
+export function summarizeQuote(candles) {
+  if (!candles || candles.length === 0) return null;
+  const last = candles[candles.length - 1];
+  const lastDay = new Date(last.time * 1000).toDateString();
+  let reference = candles[0].open;
+  for (let i = candles.length - 1; i >= 0; i--) {
+    if (new Date(candles[i].time * 1000).toDateString() !== lastDay) {
+      reference = candles[i].close;
+      break;
+    }
+  }
+  const change = last.close - reference;
+  return {
+    last: last.close,
+    change,
+    changePercent: reference ? (change / reference) * 100 : 0,
+  };
+}
+
+// Inserts or replaces a candle by time, keeping the list sorted and capped.
+export function upsertCandle(candles, candle, maxLength = 500) {
+  const next = candles.slice();
+  const lastIndex = next.length - 1;
+  if (lastIndex >= 0 && next[lastIndex].time === candle.time) {
+    next[lastIndex] = candle;
+  } else if (lastIndex < 0 || next[lastIndex].time < candle.time) {
+    next.push(candle);
+  } else {
+    const index = next.findIndex(c => c.time >= candle.time);
+    if (next[index].time === candle.time) next[index] = candle;
+    else next.splice(index, 0, candle);
+  }
+  return next.length > maxLength ? next.slice(next.length - maxLength) : next;
+}
+
+// A live tick either replaces the last candle or appends one; both leave the
+// earlier candles untouched, so only the newest points need pushing.
+export const isTailUpdate = (previous, next) => (
+  previous.length > 1
+  && (next.length === previous.length || next.length === previous.length + 1)
+  && next[0] === previous[0]
+  && next[previous.length - 2] === previous[previous.length - 2]
+);
@@ -0,0 +1,31 @@
+import { summarizeQuote, upsertCandle } from './quotes';
+
+const at = (iso, open, close) => ({ time: new Date(iso).getTime() / 1000, open, close });
+
+test('summarizeQuote measures change against the previous session close', () => {
+  const quote = summarizeQuote([
+    at('2024-01-02T15:59:00', 99, 100),
+    at('2024-01-03T09:30:00', 101, 102),
+    at('2024-01-03T09:31:00', 102, 105),
+  ]);
+  expect(quote.last).toBe(105);
+  expect(quote.change).toBe(5);
+  expect(quote.changePercent).toBeCloseTo(5);
+});
+
+test('summarizeQuote falls back to the first open within a single session', () => {
+  const quote = summarizeQuote([at('2024-01-03T09:30:00', 50, 51), at('2024-01-03T09:31:00', 51, 49)]);
+  expect(quote.change).toBe(-1);
+  expect(quote.changePercent).toBeCloseTo(-2);
+  expect(summarizeQuote([])).toBeNull();
+});
+
+test('upsertCandle replaces, appends and inserts in time order', () => {
+  let candles = [{ time: 1, close: 1 }, { time: 3, close: 3 }];
+  candles = upsertCandle(candles, { time: 3, close: 4 });
+  candles = upsertCandle(candles, { time: 4, close: 5 });
+  candles = upsertCandle(candles, { time: 2, close: 2 });
+  expect(candles.map(c => c.time)).toEqual([1, 2, 3, 4]);
+  expect(candles[2].close).toBe(4);
+  expect(upsertCandle(candles, { time: 5, close: 6 }, 3).map(c => c.time)).toEqual([3, 4, 5]);
+});
@@ -0,0 +1,64 @@
+import { TIMEFRAMES } from './timeframes';
+
+// The app's client-side routes. Every view has its own URL, so a symbol and
+// timeframe or a single backtest can be linked to and reopened from history:
+//   /                    dashboard
+//   /symbol/IBM?tf=5m    one symbol's chart
+//   /backtests           backtest results
+//   /backtests/42        one backtest's detail
+//   /strategies          strategy management
+
+// Startup switches read from the query string (see config.js). They are
+// carried over on navigation so a reload starts the app the same way.
+const PRESERVED_PARAMS = ['mock', 'profile'];
+
+const decode = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return segment;
+  }
+};
+
+export function parseRoute(pathname, search = '') {
+  const parts = pathname.split('/').filter(Boolean).map(decode);
+  const params = new URLSearchParams(search);
+  const [section, id, ...rest] = parts;
+  if (rest.length > 0) return { view: 'notFound' };
+
+  if (!section) return { view: 'dashboard' };
+  if (section === 'symbol' && id) {
+    const timeframe = params.get('tf');
+    return { view: 'symbol', symbol: id.toUpperCase(), timeframe: TIMEFRAMES[timeframe] ? timeframe : null };
+  }
+  if (section === 'backtests') return id ? { view: 'backtest', backtestId: id } : { view: 'backtests' };
+  if (section === 'strategies' && !id) return { view: 'strategies' };
+  return { view: 'notFound' };
+}
+
+export function routePath(route) {
+  switch (route.view) {
+    case 'symbol':
+      return `/symbol/${encodeURIComponent(route.symbol)}${route.timeframe ? `?tf=${route.timeframe}` : ''}`;
+    case 'backtests':
+      return '/backtests';
+    case 'backtest':
+      return `/backtests/${encodeURIComponent(route.backtestId)}`;
+    case 'strategies':
+      return '/strategies';
+    default:
+      return '/';
+  }
+}
+
+// `path` with the preserved parameters of the current query string added.
+export function carryParams(path, currentSearch) {
+  const [pathname, query = ''] = path.split('?');
+  const params = new URLSearchParams(query);
+  const current = new URLSearchParams(currentSearch);
+  PRESERVED_PARAMS.forEach(name => {
+    if (current.has(name) && !params.has(name)) params.set(name, current.get(name));
+  });
+  const search = params.toString();
+  return search ? `${pathname}?${search}` : pathname;
+}
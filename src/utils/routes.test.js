@@ -0,0 +1,25 @@
+import { carryParams, parseRoute, routePath } from './routes';
+
+test('paths parse into views and build back into the same paths', () => {
+  expect(parseRoute('/')).toEqual({ view: 'dashboard' });
+  expect(parseRoute('/symbol/ibm', '?tf=5m')).toEqual({ view: 'symbol', symbol: 'IBM', timeframe: '5m' });
+  expect(parseRoute('/symbol/IBM', '?tf=3d')).toEqual({ view: 'symbol', symbol: 'IBM', timeframe: null });
+  expect(parseRoute('/backtests/')).toEqual({ view: 'backtests' });
+  expect(parseRoute('/backtests/browser-x1-2')).toEqual({ view: 'backtest', backtestId: 'browser-x1-2' });
+  expect(parseRoute('/strategies')).toEqual({ view: 'strategies' });
+  ['/symbol', '/strategies/1', '/backtests/1/trades', '/nowhere'].forEach(path => {
+    expect(parseRoute(path).view).toBe('notFound');
+  });
+
+  ['/', '/symbol/BRK.B?tf=1h', '/symbol/IBM', '/backtests', '/backtests/42', '/strategies'].forEach(path => {
+    const [pathname, search] = path.split('?');
+    expect(routePath(parseRoute(pathname, search && `?${search}`))).toBe(path);
+  });
+  expect(routePath({ view: 'symbol', symbol: 'A/B' })).toBe('/symbol/A%2FB');
+  expect(parseRoute('/symbol/A%2FB').symbol).toBe('A/B');
+});
+
+test('startup switches are carried over to the next path', () => {
+  expect(carryParams('/symbol/IBM?tf=5m', '?mock&profile=staging&tf=1m')).toBe('/symbol/IBM?tf=5m&mock=&profile=staging');
+  expect(carryParams('/strategies', '?tf=1m')).toBe('/strategies');
+});
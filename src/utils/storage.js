@@ -0,0 +1,21 @@
+const PREFIX = 'trading-platform:';
+
+// localStorage can be unavailable (private mode, quota) or hold stale junk from
+// an older build; both fall back to the caller's default.
+export function loadJSON(key, fallback) {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (error) {
+    console.error(`Error reading ${key} from storage:`, error);
+    return fallback;
+  }
+}
+
+export function saveJSON(key, value) {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing ${key} to storage:`, error);
+  }
+}
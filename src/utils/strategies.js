@@ -0,0 +1,18 @@
+// Strategy configs store their parameters as a JSON string. Unparseable or
+// non-object values read as no parameters.
+export function parseParameters(parameters) {
+  if (parameters && typeof parameters === 'object') return parameters;
+  try {
+    const parsed = JSON.parse(parameters || '{}');
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// Backtest endpoints are named after the strategy without its _STRATEGY
+// suffix: SMA_CROSSOVER_STRATEGY runs at /stock/{symbol}/backtest/sma-crossover.
+export const backtestSlug = strategyName => strategyName
+  .replace(/_STRATEGY$/i, '')
+  .toLowerCase()
+  .replace(/_/g, '-');
@@ -0,0 +1,13 @@
+import { backtestSlug, parseParameters } from './strategies';
+
+test('backtestSlug derives the endpoint name from the strategy name', () => {
+  expect(backtestSlug('SMA_CROSSOVER_STRATEGY')).toBe('sma-crossover');
+  expect(backtestSlug('RSI_MEAN_REVERSION')).toBe('rsi-mean-reversion');
+});
+
+test('parseParameters tolerates bad JSON', () => {
+  expect(parseParameters('{"shortSma": 5}')).toEqual({ shortSma: 5 });
+  expect(parseParameters('{shortSma: 5')).toEqual({});
+  expect(parseParameters('[1, 2]')).toEqual({});
+  expect(parseParameters(null)).toEqual({});
+});
@@ -0,0 +1,114 @@
+import { parseParameters } from './strategies';
+import { toFormValues, toStrategyPayload, validateStrategy } from './strategySchemas';
+import { parseYaml, toYaml } from './yaml';
+
+// Moving strategy configs in and out of files, and comparing versions of a
+// config. Files hold { version, exportedAt, strategies } with parameters as
+// objects rather than the backend's JSON strings.
+
+export const EXPORT_VERSION = 1;
+
+// The part of a config that is compared, exported and restored.
+export const normalizeStrategy = strategy => ({
+  strategyName: strategy.strategyName,
+  symbol: strategy.symbol,
+  enabled: Boolean(strategy.enabled),
+  parameters: parseParameters(strategy.parameters),
+});
+
+// Configs are matched across environments by type and symbol, not by id.
+export const strategyKey = strategy => `${strategy.strategyName}|${strategy.symbol}`;
+
+// Changed fields between two versions; either side may be null.
+export function diffStrategies(before, after) {
+  const a = before ? normalizeStrategy(before) : {};
+  const b = after ? normalizeStrategy(after) : {};
+  const changes = [];
+  ['strategyName', 'symbol', 'enabled'].forEach(field => {
+    if (a[field] !== b[field]) changes.push({ field, before: a[field], after: b[field] });
+  });
+  const keys = new Set([...Object.keys(a.parameters || {}), ...Object.keys(b.parameters || {})]);
+  keys.forEach(key => {
+    const was = a.parameters ? a.parameters[key] : undefined;
+    const now = b.parameters ? b.parameters[key] : undefined;
+    if (was !== now) changes.push({ field: `parameters.${key}`, before: was, after: now });
+  });
+  return changes;
+}
+
+export function serializeStrategies(strategies, format, exportedAt = new Date()) {
+  const document = {
+    version: EXPORT_VERSION,
+    exportedAt: exportedAt.toISOString(),
+    strategies: strategies.map(normalizeStrategy),
+  };
+  return format === 'yaml' ? toYaml(document) : `${JSON.stringify(document, null, 2)}\n`;
+}
+
+// Reads an exported file (JSON or YAML). Throws when the file cannot be read
+// at all; entries that fail validation come back with their `errors`.
+export function parseStrategyFile(text) {
+  const trimmed = text.trim();
+  let document;
+  try {
+    document = trimmed.startsWith('{') || trimmed.startsWith('[') ? JSON.parse(trimmed) : parseYaml(trimmed);
+  } catch (error) {
+    throw new Error(`Not a valid JSON or YAML file: ${error.message}`);
+  }
+  const list = Array.isArray(document) ? document : document && document.strategies;
+  if (!Array.isArray(list)) throw new Error('The file has no "strategies" list');
+  if (document.version !== undefined && document.version > EXPORT_VERSION) {
+    throw new Error(`File version ${document.version} is newer than this app supports`);
+  }
+
+  return list.map((item, index) => {
+    if (!item || typeof item !== 'object') return { index, entry: null, errors: { form: 'Not a strategy object' } };
+    const values = toFormValues({ ...item, symbol: String(item.symbol || '').toUpperCase(), enabled: item.enabled !== false });
+    const errors = validateStrategy(values);
+    const entry = Object.keys(errors).length === 0 ? toStrategyPayload(values) : normalizeStrategy(item);
+    return { index, entry, errors };
+  });
+}
+
+// What importing `entries` would do: create new configs, update the ones with
+// the same type and symbol, and skip those already identical. Only the first
+// entry for a type and symbol is used.
+export function planImport(entries, existing) {
+  const byKey = new Map(existing.map(strategy => [strategyKey(strategy), strategy]));
+  const seen = new Set();
+  return entries.map(entry => {
+    const key = strategyKey(entry);
+    const current = byKey.get(key) || null;
+    if (seen.has(key)) return { entry, existing: current, action: 'duplicate', changes: [] };
+    seen.add(key);
+    const changes = diffStrategies(current, entry);
+    let action = 'create';
+    if (current) action = changes.length === 0 ? 'unchanged' : 'update';
+    return { entry, existing: current, action, changes };
+  });
+}
+
+// The request body that recreates a normalized (or backend) config.
+export const toConfigPayload = strategy => {
+  const normalized = normalizeStrategy(strategy);
+  return { ...normalized, parameters: JSON.stringify(normalized.parameters) };
+};
+
+export const MAX_HISTORY_ENTRIES = 200;
+
+let nextHistoryId = 0;
+
+// A local change-history record: `action` is create, toggle, edit or delete,
+// and `before`/`after` are normalized versions (null where none exists).
+export function historyEntry(action, before, after, at = new Date()) {
+  nextHistoryId += 1;
+  const source = after || before;
+  return {
+    id: `${at.getTime().toString(36)}-${nextHistoryId}`,
+    at: at.toISOString(),
+    action,
+    strategyId: source.id ?? null,
+    before: before ? normalizeStrategy(before) : null,
+    after: after ? normalizeStrategy(after) : null,
+  };
+}
@@ -0,0 +1,49 @@
+import { diffStrategies, historyEntry, parseStrategyFile, planImport, serializeStrategies, toConfigPayload } from './strategyConfigs';
+
+const SMA = { id: 1, strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', parameters: '{"shortSma":5,"longSma":20}', enabled: true };
+const RSI = { id: 2, strategyName: 'RSI_MEAN_REVERSION_STRATEGY', symbol: 'AAPL', parameters: '{"rsiPeriod":14,"oversold":30,"overbought":70}', enabled: false };
+
+test('diffStrategies lists changed fields and parameters', () => {
+  expect(diffStrategies(SMA, { ...SMA, enabled: false, parameters: '{"shortSma":8,"longSma":20}' })).toEqual([
+    { field: 'enabled', before: true, after: false },
+    { field: 'parameters.shortSma', before: 5, after: 8 },
+  ]);
+  expect(diffStrategies(SMA, SMA)).toEqual([]);
+  expect(diffStrategies(null, SMA).map(c => c.field)).toEqual(['strategyName', 'symbol', 'enabled', 'parameters.shortSma', 'parameters.longSma']);
+});
+
+test('exported files parse back in both formats', () => {
+  ['json', 'yaml'].forEach(format => {
+    const parsed = parseStrategyFile(serializeStrategies([SMA, RSI], format, new Date('2024-01-02T00:00:00Z')));
+    expect(parsed.map(p => p.errors)).toEqual([{}, {}]);
+    expect(parsed[0].entry).toEqual({ strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', parameters: '{"shortSma":5,"longSma":20}', enabled: true });
+  });
+});
+
+test('parseStrategyFile reports unreadable files and invalid entries', () => {
+  expect(() => parseStrategyFile('{"strategies": ')).toThrow('Not a valid JSON or YAML file');
+  expect(() => parseStrategyFile('{"items": []}')).toThrow('no "strategies" list');
+  const [entry] = parseStrategyFile('[{"strategyName": "SMA_CROSSOVER_STRATEGY", "symbol": "ibm", "parameters": {"shortSma": 30}}]');
+  expect(entry.errors).toEqual({ longSma: 'Must be greater than Short SMA' });
+});
+
+test('planImport matches existing configs by type and symbol', () => {
+  const entries = parseStrategyFile(serializeStrategies([
+    { ...SMA, parameters: '{"shortSma":8,"longSma":20}' },
+    RSI,
+    { ...RSI, symbol: 'MSFT' },
+    { ...RSI, symbol: 'MSFT', enabled: true },
+  ], 'json')).map(p => p.entry);
+  const plan = planImport(entries, [SMA, RSI]);
+  expect(plan.map(row => row.action)).toEqual(['update', 'unchanged', 'create', 'duplicate']);
+  expect(plan[0].existing).toBe(SMA);
+  expect(plan[0].changes).toEqual([{ field: 'parameters.shortSma', before: 5, after: 8 }]);
+});
+
+test('historyEntry keeps normalized versions on both sides', () => {
+  const entry = historyEntry('toggle', SMA, { ...SMA, enabled: false }, new Date('2024-01-02T00:00:00Z'));
+  expect(entry).toMatchObject({ action: 'toggle', strategyId: 1, at: '2024-01-02T00:00:00.000Z' });
+  expect(entry.before.parameters).toEqual({ shortSma: 5, longSma: 20 });
+  expect(diffStrategies(entry.before, entry.after)).toEqual([{ field: 'enabled', before: true, after: false }]);
+  expect(toConfigPayload(entry.before)).toEqual({ strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', enabled: true, parameters: '{"shortSma":5,"longSma":20}' });
+});
@@ -0,0 +1,121 @@
+import { parseParameters } from './strategies';
+
+// Parameter schemas for the strategy types the backend knows. The strategy
+// editor builds its form from these; `check` adds rules that span several
+// parameters and returns { key: message }.
+export const STRATEGY_SCHEMAS = {
+  SMA_CROSSOVER_STRATEGY: {
+    label: 'SMA Crossover',
+    params: [
+      { key: 'shortSma', label: 'Short SMA', type: 'integer', min: 1, max: 200, defaultValue: 5 },
+      { key: 'longSma', label: 'Long SMA', type: 'integer', min: 2, max: 400, defaultValue: 20 },
+    ],
+    check: ({ shortSma, longSma }) => (shortSma >= longSma ? { longSma: 'Must be greater than Short SMA' } : {}),
+  },
+  RSI_MEAN_REVERSION_STRATEGY: {
+    label: 'RSI Mean Reversion',
+    params: [
+      { key: 'rsiPeriod', label: 'RSI Period', type: 'integer', min: 2, max: 100, defaultValue: 14 },
+      { key: 'oversold', label: 'Oversold', type: 'number', min: 0, max: 100, defaultValue: 30 },
+      { key: 'overbought', label: 'Overbought', type: 'number', min: 0, max: 100, defaultValue: 70 },
+    ],
+    check: ({ oversold, overbought }) => (oversold >= overbought ? { overbought: 'Must be greater than Oversold' } : {}),
+  },
+  MACD_CROSSOVER_STRATEGY: {
+    label: 'MACD Crossover',
+    params: [
+      { key: 'fastPeriod', label: 'Fast Period', type: 'integer', min: 1, max: 100, defaultValue: 12 },
+      { key: 'slowPeriod', label: 'Slow Period', type: 'integer', min: 2, max: 200, defaultValue: 26 },
+      { key: 'signalPeriod', label: 'Signal Period', type: 'integer', min: 1, max: 100, defaultValue: 9 },
+    ],
+    check: ({ fastPeriod, slowPeriod }) => (fastPeriod >= slowPeriod ? { slowPeriod: 'Must be greater than Fast Period' } : {}),
+  },
+};
+
+const SYMBOL_PATTERN = /^[A-Z][A-Z0-9.-]{0,9}$/;
+
+export const defaultParameters = strategyName => Object.fromEntries(
+  (STRATEGY_SCHEMAS[strategyName] ? STRATEGY_SCHEMAS[strategyName].params : [])
+    .map(param => [param.key, param.defaultValue]),
+);
+
+// Editor state for a config (or a blank one). Parameter values are kept as
+// the text typed into the form.
+export function toFormValues(strategy) {
+  const strategyName = strategy ? strategy.strategyName : '';
+  const params = { ...defaultParameters(strategyName), ...parseParameters(strategy && strategy.parameters) };
+  return {
+    strategyName,
+    symbol: strategy ? strategy.symbol || '' : '',
+    enabled: strategy ? Boolean(strategy.enabled) : true,
+    params: Object.fromEntries(Object.entries(params).map(([key, value]) => [key, String(value)])),
+  };
+}
+
+function checkParam(param, text) {
+  if (text === undefined || text.trim() === '') return 'Required';
+  const value = Number(text);
+  if (!Number.isFinite(value)) return 'Must be a number';
+  if (param.type === 'integer' && !Number.isInteger(value)) return 'Must be a whole number';
+  if (param.min !== undefined && value < param.min) return `Must be at least ${param.min}`;
+  if (param.max !== undefined && value > param.max) return `Must be at most ${param.max}`;
+  return null;
+}
+
+// Returns { field: message } for every invalid field; empty when valid.
+// Parameter errors are keyed by the parameter name.
+export function validateStrategy(values) {
+  const errors = {};
+  const schema = STRATEGY_SCHEMAS[values.strategyName];
+  if (!schema) errors.strategyName = 'Choose a strategy type';
+  if (!SYMBOL_PATTERN.test(values.symbol)) errors.symbol = 'Enter a ticker symbol, e.g. IBM';
+  if (!schema) return errors;
+
+  schema.params.forEach(param => {
+    const message = checkParam(param, values.params[param.key]);
+    if (message) errors[param.key] = message;
+  });
+  if (schema.params.every(param => !errors[param.key])) {
+    Object.assign(errors, schema.check(toParameters(values)));
+  }
+  return errors;
+}
+
+// Schema parameters as numbers, in schema order.
+export function toParameters(values) {
+  const schema = STRATEGY_SCHEMAS[values.strategyName];
+  return Object.fromEntries(schema.params.map(param => [param.key, Number(values.params[param.key])]));
+}
+
+// The body sent to POST /strategies and PUT /strategies/{id}. Saving an
+// edit keeps any stored parameters the schema does not cover, unless the
+// strategy type changed.
+export const toStrategyPayload = (values, original) => {
+  const stored = original && original.strategyName === values.strategyName ? parseParameters(original.parameters) : {};
+  return {
+    strategyName: values.strategyName,
+    symbol: values.symbol,
+    parameters: JSON.stringify({ ...stored, ...toParameters(values) }),
+    enabled: values.enabled,
+  };
+};
+
+// Field errors from a rejected request, keyed like validateStrategy's. Spring
+// returns either `errors: [{ field, defaultMessage }]` or a
+// `fieldErrors: { field: message }` map; `parameters.shortSma` maps to
+// `shortSma`. Anything not tied to a field lands under `form`.
+export function backendFieldErrors(error) {
+  const data = (error.response && error.response.data) || {};
+  const errors = {};
+  const add = (field, message) => {
+    const key = field ? field.replace(/^parameters\./, '') : 'form';
+    errors[key] = errors[key] ? `${errors[key]}; ${message}` : message;
+  };
+  if (Array.isArray(data.errors)) {
+    data.errors.forEach(e => add(e.field, e.defaultMessage || e.message));
+  } else if (data.fieldErrors && typeof data.fieldErrors === 'object') {
+    Object.entries(data.fieldErrors).forEach(([field, message]) => add(field, message));
+  }
+  if (Object.keys(errors).length === 0) add(null, data.message || error.message);
+  return errors;
+}
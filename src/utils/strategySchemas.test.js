@@ -0,0 +1,51 @@
+import { backendFieldErrors, toFormValues, toStrategyPayload, validateStrategy } from './strategySchemas';
+
+test('toFormValues fills schema defaults under the stored parameters', () => {
+  const values = toFormValues({ strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', parameters: '{"shortSma": 8}', enabled: false });
+  expect(values).toEqual({ strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', enabled: false, params: { shortSma: '8', longSma: '20' } });
+  expect(toFormValues(null)).toEqual({ strategyName: '', symbol: '', enabled: true, params: {} });
+});
+
+test('validateStrategy checks type, range and cross-field rules', () => {
+  const values = toFormValues({ strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM' });
+  expect(validateStrategy(values)).toEqual({});
+  expect(validateStrategy({ ...values, symbol: '' })).toEqual({ symbol: expect.any(String) });
+  expect(validateStrategy({ ...values, params: { shortSma: '2.5', longSma: '0' } })).toEqual({
+    shortSma: 'Must be a whole number',
+    longSma: 'Must be at least 2',
+  });
+  expect(validateStrategy({ ...values, params: { shortSma: '30', longSma: '20' } })).toEqual({
+    longSma: 'Must be greater than Short SMA',
+  });
+  expect(validateStrategy({ strategyName: 'SMA_CROSOVER', symbol: 'IBM', params: {} })).toEqual({
+    strategyName: 'Choose a strategy type',
+  });
+});
+
+test('toStrategyPayload sends numeric parameters as JSON', () => {
+  const values = toFormValues({ strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', parameters: '{"shortSma": 8}', enabled: true });
+  expect(toStrategyPayload(values)).toEqual({
+    strategyName: 'SMA_CROSSOVER_STRATEGY',
+    symbol: 'IBM',
+    parameters: '{"shortSma":8,"longSma":20}',
+    enabled: true,
+  });
+});
+
+test('toStrategyPayload keeps stored parameters outside the schema', () => {
+  const strategy = { strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', parameters: '{"shortSma": 8, "stopLoss": 0.05}', enabled: true };
+  const values = toFormValues(strategy);
+  expect(toStrategyPayload({ ...values, params: { ...values.params, shortSma: '10' } }, strategy).parameters)
+    .toBe('{"shortSma":10,"stopLoss":0.05,"longSma":20}');
+  expect(toStrategyPayload({ ...values, strategyName: 'RSI_MEAN_REVERSION_STRATEGY', params: { rsiPeriod: '14', oversold: '30', overbought: '70' } }, strategy).parameters)
+    .toBe('{"rsiPeriod":14,"oversold":30,"overbought":70}');
+});
+
+test('backendFieldErrors maps Spring validation errors onto fields', () => {
+  const error = response => ({ message: 'Request failed', response: { data: response } });
+  expect(backendFieldErrors(error({ errors: [{ field: 'parameters.longSma', defaultMessage: 'too large' }, { field: 'symbol', defaultMessage: 'unknown' }] })))
+    .toEqual({ longSma: 'too large', symbol: 'unknown' });
+  expect(backendFieldErrors(error({ fieldErrors: { symbol: 'unknown' } }))).toEqual({ symbol: 'unknown' });
+  expect(backendFieldErrors(error({ message: 'Duplicate strategy' }))).toEqual({ form: 'Duplicate strategy' });
+  expect(backendFieldErrors({ message: 'Network Error' })).toEqual({ form: 'Network Error' });
+});
@@ -0,0 +1,71 @@
+import { isTailUpdate } from './quotes';
+
+// Chart intervals and the aggregation of backend candles into them. Bars are
+// aligned to whole intervals in UTC (daily bars start at UTC midnight). A
+// source candle longer than the interval cannot be split, so it stays its own
+// bar.
+
+export const TIMEFRAMES = {
+  '1m': { label: '1m', seconds: 60 },
+  '5m': { label: '5m', seconds: 5 * 60 },
+  '15m': { label: '15m', seconds: 15 * 60 },
+  '1h': { label: '1h', seconds: 60 * 60 },
+  '1D': { label: '1D', seconds: 24 * 60 * 60 },
+};
+
+export const DEFAULT_TIMEFRAME = '1m';
+
+export const bucketStart = (time, seconds) => Math.floor(time / seconds) * seconds;
+
+const sumVolume = (a, b) => (a === null && b === null ? null : (a || 0) + (b || 0));
+
+// One bar from consecutive candles of a bucket, oldest first.
+const combine = (time, candles) => candles.slice(1).reduce((bar, c) => ({
+  time,
+  open: bar.open,
+  high: Math.max(bar.high, c.high),
+  low: Math.min(bar.low, c.low),
+  close: c.close,
+  volume: sumVolume(bar.volume, c.volume ?? null),
+}), { time, open: candles[0].open, high: candles[0].high, low: candles[0].low, close: candles[0].close, volume: candles[0].volume ?? null });
+
+// Candles sorted by time in, bars sorted by time out.
+export function aggregateCandles(candles, seconds) {
+  const bars = [];
+  let start = 0;
+  while (start < candles.length) {
+    const time = bucketStart(candles[start].time, seconds);
+    let end = start + 1;
+    while (end < candles.length && bucketStart(candles[end].time, seconds) === time) end += 1;
+    bars.push(combine(time, candles.slice(start, end)));
+    start = end;
+  }
+  return bars;
+}
+
+// Rebuilds only the bar holding the newest candle, reusing every other bar,
+// so the chart can push a live tick as an update of its last (partial) bar.
+export function aggregateTail(bars, candles, seconds) {
+  const last = candles[candles.length - 1];
+  const time = bucketStart(last.time, seconds);
+  let start = candles.length - 1;
+  while (start > 0 && bucketStart(candles[start - 1].time, seconds) === time) start -= 1;
+  const bar = combine(time, candles.slice(start));
+  const previous = bars[bars.length - 1];
+  if (previous && previous.time === time) return [...bars.slice(0, -1), bar];
+  return [...bars, bar];
+}
+
+// Keeps the last input and output, so a live tick on the same timeframe
+// costs one bar instead of a full re-aggregation.
+export function createCandleAggregator() {
+  let last = { candles: [], seconds: null, bars: [] };
+  return (candles, seconds) => {
+    if (candles === last.candles && seconds === last.seconds) return last.bars;
+    const bars = seconds === last.seconds && last.candles.length > 0 && isTailUpdate(last.candles, candles)
+      ? aggregateTail(last.bars, candles, seconds)
+      : aggregateCandles(candles, seconds);
+    last = { candles, seconds, bars };
+    return bars;
+  };
+}
@@ -0,0 +1,40 @@
+import { aggregateCandles, createCandleAggregator } from './timeframes';
+
+const T0 = Date.parse('2024-06-12T15:00:00Z') / 1000;
+const candle = (offset, open, close, volume = 10) => ({
+  time: T0 + offset,
+  open,
+  high: Math.max(open, close) + 1,
+  low: Math.min(open, close) - 1,
+  close,
+  volume,
+});
+
+test('candles are combined into interval-aligned bars', () => {
+  const candles = [candle(0, 10, 11), candle(20, 11, 13), candle(50, 13, 12, null), candle(60, 12, 9)];
+  expect(aggregateCandles(candles, 60)).toEqual([
+    { time: T0, open: 10, high: 14, low: 9, close: 12, volume: 20 },
+    { time: T0 + 60, open: 12, high: 13, low: 8, close: 9, volume: 10 },
+  ]);
+  expect(aggregateCandles(candles, 3600)).toHaveLength(1);
+  // Coarser source bars are never split.
+  expect(aggregateCandles([candle(0, 1, 2), candle(86400, 2, 3)], 60).map(b => b.time)).toEqual([T0, T0 + 86400]);
+});
+
+test('live ticks rebuild only the partial bar and keep the closed ones', () => {
+  const aggregate = createCandleAggregator();
+  const history = [candle(0, 10, 11), candle(30, 11, 12)];
+  aggregate(history, 60);
+
+  const ticked = [history[0], candle(30, 11, 15)];
+  const updated = aggregate(ticked, 60);
+  expect(updated).toHaveLength(1);
+  expect(updated[0]).toEqual(expect.objectContaining({ close: 15, high: 16, volume: 20 }));
+
+  const rolled = aggregate([...ticked, candle(60, 15, 14)], 60);
+  expect(rolled[0]).toBe(updated[0]);
+  expect(rolled[1]).toEqual(expect.objectContaining({ time: T0 + 60, open: 15, close: 14 }));
+
+  // A new timeframe starts over from the full list.
+  expect(aggregate([...ticked, candle(60, 15, 14)], 300)).toEqual([expect.objectContaining({ open: 10, close: 14, volume: 30 })]);
+});
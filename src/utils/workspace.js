@@ -0,0 +1,100 @@
+// Dockable panel layouts. A view's layout places each of its panels in the
+// left, main or right dock, in order, with a height (null fits the content)
+// and a collapsed flag; the side docks have a width. A named workspace holds
+// one layout per view, so each user can keep several screen arrangements and
+// switch between them.
+
+export const DOCKS = ['left', 'main', 'right'];
+export const DOCK_WIDTH_LIMITS = { min: 200, max: 900 };
+export const MIN_PANEL_HEIGHT = 100;
+export const DEFAULT_WORKSPACE = 'Default';
+export const EMPTY_WORKSPACES = { active: DEFAULT_WORKSPACE, layouts: { [DEFAULT_WORKSPACE]: {} } };
+
+const DEFAULT_DOCK_WIDTHS = { left: 320, right: 440 };
+
+// defaults: [{ id, dock, collapsed }] in display order.
+export function defaultViewLayout(defaults) {
+  return {
+    widths: { ...DEFAULT_DOCK_WIDTHS },
+    panels: defaults.map(({ id, dock = 'main', collapsed = false }) => ({ id, dock, height: null, collapsed })),
+  };
+}
+
+// A saved layout fitted to the view's panels as they are now: panels added
+// since it was saved take their default place, and ones that are gone drop out.
+export function resolveViewLayout(saved, defaults) {
+  const fallback = defaultViewLayout(defaults);
+  if (!saved || !Array.isArray(saved.panels)) return fallback;
+  const known = new Set(defaults.map(d => d.id));
+  const seen = new Set();
+  const panels = saved.panels.filter(p => {
+    if (!known.has(p.id) || seen.has(p.id) || !DOCKS.includes(p.dock)) return false;
+    seen.add(p.id);
+    return true;
+  });
+  return {
+    widths: { ...fallback.widths, ...saved.widths },
+    panels: [...panels, ...fallback.panels.filter(p => !seen.has(p.id))],
+  };
+}
+
+export const dockPanels = (layout, dock) => layout.panels.filter(p => p.dock === dock);
+
+// Moves panel `id` into `dock`, before `beforeId` or after the dock's last panel.
+export function movePanel(layout, id, dock, beforeId = null) {
+  const panel = layout.panels.find(p => p.id === id);
+  if (!panel || id === beforeId) return layout;
+  const rest = layout.panels.filter(p => p.id !== id);
+  let index = beforeId === null ? -1 : rest.findIndex(p => p.id === beforeId);
+  if (index === -1) index = rest.map(p => p.dock).lastIndexOf(dock) + 1;
+  return { ...layout, panels: [...rest.slice(0, index), { ...panel, dock }, ...rest.slice(index)] };
+}
+
+export function updatePanel(layout, id, changes) {
+  return { ...layout, panels: layout.panels.map(p => (p.id === id ? { ...p, ...changes } : p)) };
+}
+
+export const resizePanel = (layout, id, height) => updatePanel(layout, id, {
+  height: height === null ? null : Math.round(Math.max(MIN_PANEL_HEIGHT, height)),
+});
+
+export function resizeDock(layout, dock, width) {
+  const clamped = Math.round(Math.min(DOCK_WIDTH_LIMITS.max, Math.max(DOCK_WIDTH_LIMITS.min, width)));
+  return { ...layout, widths: { ...layout.widths, [dock]: clamped } };
+}
+
+// --- Named workspaces ---
+// { active: name, layouts: { [name]: { [view]: layout } } }. Views the user
+// has not rearranged have no entry and use their defaults.
+
+export function setViewLayout(workspaces, view, layout) {
+  const { active, layouts } = workspaces;
+  return { ...workspaces, layouts: { ...layouts, [active]: { ...layouts[active], [view]: layout } } };
+}
+
+export function resetViewLayout(workspaces, view) {
+  const { active, layouts } = workspaces;
+  const { [view]: dropped, ...rest } = layouts[active] || {};
+  return { ...workspaces, layouts: { ...layouts, [active]: rest } };
+}
+
+// A copy of the active workspace under `name`, which becomes active.
+export function saveWorkspaceAs(workspaces, name) {
+  const { active, layouts } = workspaces;
+  return { active: name, layouts: { ...layouts, [name]: layouts[active] || {} } };
+}
+
+export function switchWorkspace(workspaces, name) {
+  return workspaces.layouts[name] ? { ...workspaces, active: name } : workspaces;
+}
+
+// The last workspace cannot be deleted; deleting the active one switches to
+// the first left.
+export function deleteWorkspace(workspaces, name) {
+  const { [name]: dropped, ...layouts } = workspaces.layouts;
+  const names = Object.keys(layouts);
+  if (!dropped || names.length === 0) return workspaces;
+  return { active: workspaces.active === name ? names[0] : workspaces.active, layouts };
+}
+
+export const workspaceNames = workspaces => Object.keys(workspaces.layouts).sort((a, b) => a.localeCompare(b));
@@ -0,0 +1,81 @@
+import {
+  EMPTY_WORKSPACES,
+  defaultViewLayout,
+  deleteWorkspace,
+  dockPanels,
+  movePanel,
+  resetViewLayout,
+  resizeDock,
+  resizePanel,
+  resolveViewLayout,
+  saveWorkspaceAs,
+  setViewLayout,
+  switchWorkspace,
+  workspaceNames,
+} from './workspace';
+
+const defaults = [
+  { id: 'watchlist', dock: 'left' },
+  { id: 'chart' },
+  { id: 'signals' },
+  { id: 'alerts', dock: 'right', collapsed: true },
+];
+
+const ids = (layout, dock) => dockPanels(layout, dock).map(p => p.id);
+
+test('saved layouts are fitted to the panels a view has now', () => {
+  const saved = {
+    widths: { left: 250 },
+    panels: [
+      { id: 'signals', dock: 'left', height: 300, collapsed: false },
+      { id: 'gone', dock: 'main', height: null, collapsed: false },
+      { id: 'chart', dock: 'nowhere', height: null, collapsed: false },
+      { id: 'signals', dock: 'main', height: null, collapsed: false },
+    ],
+  };
+  const layout = resolveViewLayout(saved, defaults);
+  expect(layout.widths).toEqual({ left: 250, right: 440 });
+  expect(ids(layout, 'left')).toEqual(['signals', 'watchlist']);
+  expect(ids(layout, 'main')).toEqual(['chart']);
+  expect(layout.panels.find(p => p.id === 'alerts').collapsed).toBe(true);
+  expect(resolveViewLayout(undefined, defaults)).toEqual(defaultViewLayout(defaults));
+});
+
+test('panels move between docks and resize within limits', () => {
+  const layout = defaultViewLayout(defaults);
+
+  const toRight = movePanel(layout, 'chart', 'right');
+  expect(ids(toRight, 'main')).toEqual(['signals']);
+  expect(ids(toRight, 'right')).toEqual(['alerts', 'chart']);
+
+  const before = movePanel(toRight, 'signals', 'right', 'alerts');
+  expect(ids(before, 'right')).toEqual(['signals', 'alerts', 'chart']);
+  expect(ids(movePanel(layout, 'alerts', 'left'), 'left')).toEqual(['watchlist', 'alerts']);
+  expect(ids(movePanel(layout, 'chart', 'main', 'signals'), 'main')).toEqual(['chart', 'signals']);
+  expect(movePanel(layout, 'chart', 'main', 'chart')).toBe(layout);
+
+  expect(resizePanel(layout, 'chart', 20).panels[1].height).toBe(100);
+  expect(resizePanel(layout, 'chart', 333.4).panels[1].height).toBe(333);
+  expect(resizeDock(layout, 'left', 5000).widths.left).toBe(900);
+  expect(resizeDock(layout, 'right', 10).widths.right).toBe(200);
+});
+
+test('named workspaces keep their own layouts', () => {
+  const traded = setViewLayout(EMPTY_WORKSPACES, 'symbol', defaultViewLayout(defaults));
+  const quant = saveWorkspaceAs(traded, 'Quant');
+  expect(quant.active).toBe('Quant');
+  expect(quant.layouts.Quant.symbol).toBe(traded.layouts.Default.symbol);
+
+  const reset = resetViewLayout(quant, 'symbol');
+  expect(reset.layouts.Quant).toEqual({});
+  expect(reset.layouts.Default.symbol).toBeDefined();
+
+  expect(switchWorkspace(reset, 'Default').active).toBe('Default');
+  expect(switchWorkspace(reset, 'Missing')).toBe(reset);
+  expect(workspaceNames(reset)).toEqual(['Default', 'Quant']);
+
+  const deleted = deleteWorkspace(reset, 'Quant');
+  expect(deleted.active).toBe('Default');
+  expect(workspaceNames(deleted)).toEqual(['Default']);
+  expect(deleteWorkspace(deleted, 'Default')).toBe(deleted);
+});
@@ -0,0 +1,119 @@
+// The small YAML subset used by exported files: nested maps, lists of maps or
+// scalars, and scalars (numbers, booleans, null, plain or quoted strings).
+// Anchors, flow collections other than {} and [], and multi-line strings are
+// not supported.
+
+const PLAIN_STRING = /^[A-Za-z_][\w .:/-]*$/;
+const RESERVED = /^(true|false|null|~|yes|no|on|off)$/i;
+
+function scalarToYaml(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  return PLAIN_STRING.test(text) && !RESERVED.test(text) && !/:\s|\s$/.test(text) ? text : JSON.stringify(text);
+}
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function lines(value, indent) {
+  const pad = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${pad}[]`];
+    return value.flatMap(item => {
+      if (!isObject(item) && !Array.isArray(item)) return [`${pad}- ${scalarToYaml(item)}`];
+      const [first, ...rest] = lines(item, indent + 2);
+      return [`${pad}- ${first.trimStart()}`, ...rest];
+    });
+  }
+  if (Object.keys(value).length === 0) return [`${pad}{}`];
+  return Object.entries(value).flatMap(([key, item]) => {
+    if (Array.isArray(item) ? item.length === 0 : isObject(item) && Object.keys(item).length === 0) {
+      return [`${pad}${key}: ${Array.isArray(item) ? '[]' : '{}'}`];
+    }
+    if (Array.isArray(item) || isObject(item)) return [`${pad}${key}:`, ...lines(item, indent + 2)];
+    return [`${pad}${key}: ${scalarToYaml(item)}`];
+  });
+}
+
+export const toYaml = value => `${lines(value, 0).join('\n')}\n`;
+
+function parseScalar(text, lineNumber) {
+  if (text === '' || text === '~' || text === 'null') return null;
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (text === '{}') return {};
+  if (text === '[]') return [];
+  if (text.startsWith('"')) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Line ${lineNumber}: bad quoted string`);
+    }
+  }
+  if (text.startsWith("'")) {
+    if (!text.endsWith("'") || text.length < 2) throw new Error(`Line ${lineNumber}: bad quoted string`);
+    return text.slice(1, -1).replace(/''/g, "'");
+  }
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(text)) return Number(text);
+  return text;
+}
+
+const stripComment = text => text.replace(/\s+#.*$/, '').replace(/^#.*$/, '');
+
+export function parseYaml(text) {
+  const rows = text.split(/\r?\n/)
+    .map((raw, i) => ({ indent: raw.search(/\S/), content: stripComment(raw).trim(), lineNumber: i + 1 }))
+    .filter(row => row.indent >= 0 && row.content !== '' && row.content !== '---');
+  let position = 0;
+
+  // Parses the block whose rows sit at exactly `indent`.
+  function parseBlock(indent) {
+    const first = rows[position];
+    if (first.content.startsWith('- ') || first.content === '-') {
+      const list = [];
+      while (position < rows.length && rows[position].indent === indent && rows[position].content.startsWith('-')) {
+        const row = rows[position];
+        const rest = row.content.slice(1).trim();
+        if (rest === '') {
+          position += 1;
+          list.push(position < rows.length && rows[position].indent > indent ? parseBlock(rows[position].indent) : null);
+        } else if (/^[^"'][^:]*:(\s|$)/.test(rest)) {
+          // "- key: value" starts a map whose other keys line up with `key`.
+          rows[position] = { ...row, indent: indent + row.content.indexOf(rest), content: rest };
+          list.push(parseBlock(rows[position].indent));
+        } else {
+          position += 1;
+          list.push(parseScalar(rest, row.lineNumber));
+        }
+      }
+      return list;
+    }
+
+    const map = {};
+    while (position < rows.length && rows[position].indent === indent) {
+      const row = rows[position];
+      const match = row.content.match(/^([^:]+):(?:\s+(.*))?$/);
+      if (!match) throw new Error(`Line ${row.lineNumber}: expected "key: value"`);
+      const key = match[1].trim();
+      position += 1;
+      if (match[2] !== undefined && match[2] !== '') {
+        map[key] = parseScalar(match[2], row.lineNumber);
+      } else if (position < rows.length && rows[position].indent > indent) {
+        map[key] = parseBlock(rows[position].indent);
+      } else if (position < rows.length && rows[position].indent === indent && rows[position].content.startsWith('-')) {
+        map[key] = parseBlock(indent); // list items level with their key
+      } else {
+        map[key] = null;
+      }
+    }
+    return map;
+  }
+
+  if (rows.length === 0) return null;
+  if (rows.length === 1 && !/^[^"'][^:]*:(\s|$)/.test(rows[0].content) && !rows[0].content.startsWith('-')) {
+    return parseScalar(rows[0].content, rows[0].lineNumber);
+  }
+  const result = parseBlock(rows[0].indent);
+  if (position < rows.length) throw new Error(`Line ${rows[position].lineNumber}: unexpected indentation`);
+  return result;
+}
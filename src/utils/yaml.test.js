@@ -0,0 +1,35 @@
+import { parseYaml, toYaml } from './yaml';
+
+const DOCUMENT = {
+  version: 1,
+  exportedAt: '2024-01-02T10:00:00.000Z',
+  strategies: [
+    { strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', enabled: true, parameters: { shortSma: 5, longSma: 20 } },
+    { strategyName: 'RSI', symbol: 'BRK.B', enabled: false, parameters: {} },
+  ],
+  notes: ['true', 'a: b', 1.5, null],
+};
+
+test('toYaml writes block style and quotes ambiguous strings', () => {
+  expect(toYaml({ a: 'true', b: 'x: y', c: 'plain', d: [] })).toBe('a: "true"\nb: "x: y"\nc: plain\nd: []\n');
+  expect(toYaml(DOCUMENT)).toContain('strategies:\n  - strategyName: SMA_CROSSOVER_STRATEGY\n    symbol: IBM\n');
+});
+
+test('parseYaml reads back what toYaml writes', () => {
+  expect(parseYaml(toYaml(DOCUMENT))).toEqual(DOCUMENT);
+});
+
+test('parseYaml accepts hand-written files', () => {
+  const text = [
+    '# tuned on 2024-01-02',
+    'strategies:',
+    '- strategyName: SMA_CROSSOVER_STRATEGY  # comment',
+    "  symbol: 'IBM'",
+    '  parameters:',
+    '    shortSma: 8',
+  ].join('\n');
+  expect(parseYaml(text)).toEqual({
+    strategies: [{ strategyName: 'SMA_CROSSOVER_STRATEGY', symbol: 'IBM', parameters: { shortSma: 8 } }],
+  });
+  expect(() => parseYaml('a: 1\n    b: 2')).toThrow('Line 2');
+});
@@ -0,0 +1,18 @@
+/* eslint-disable no-restricted-globals */
+import { runBacktest } from '../utils/backtestEngine';
+import { runSweep } from '../utils/parameterSweep';
+
+const HANDLERS = {
+  backtest: runBacktest,
+  sweep: runSweep,
+};
+
+// Requests carry an id so the page can match each reply to its promise.
+self.onmessage = event => {
+  const { id, type, request } = event.data;
+  try {
+    self.postMessage({ id, result: HANDLERS[type](request) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};